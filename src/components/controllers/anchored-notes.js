@@ -0,0 +1,255 @@
+const { randomUUID } = require('crypto');
+const { shiftRange, getTextChange } = require('./woolf-ot-document');
+
+//Anchored notes are chapter notes tied to a passage of the chapter. An anchored note is a line of the chapter's
+//notes with the 'anchor' line format, whose value is "<id>@<index>+<length>": the note's id and the passage it
+//covers in the chapter. It is saved in the -notes_ MDFC file as a "[#anchor id@index+length]" line, and a note
+//may run over several lines with the same id.
+//While the chapter is edited, chap.anchors keeps each passage up to date by id ({ id: { index, length } }),
+//shifting it with every change to the chapter, and the notes are written with those ranges when saved.
+
+const anchorFormat = 'anchor';
+const anchorValuePattern = /^([\w-]+)@(\d+)\+(\d+)$/;
+
+function parseAnchorValue(value){
+  var match = anchorValuePattern.exec(String(value));
+  if(!match)
+    return null;
+  return { id: match[1], index: parseInt(match[2]), length: parseInt(match[3]) };
+}
+
+function formatAnchorValue(id, range){
+  return id + '@' + range.index + '+' + range.length;
+}
+
+//The passages of a chapter's anchored notes by id, read from its notes the first time
+function getAnchors(chap){
+  if(!chap.anchors)
+    chap.anchors = {};
+  var notes = chap.getNotesContentOrFile();
+  if(notes){
+    //Lines pasted in from another note bring their own passage
+    notes.ops.forEach(function(op){
+      var anchor = op.attributes ? parseAnchorValue(op.attributes[anchorFormat]) : null;
+      if(anchor && !chap.anchors[anchor.id])
+        chap.anchors[anchor.id] = { index: anchor.index, length: anchor.length };
+    });
+  }
+  return chap.anchors;
+}
+
+//Moves the passages through a change to the chapter's contents. Returns true when any of them moved.
+function shiftAnchors(chap, change){
+  var anchors = getAnchors(chap);
+  var moved = false;
+  Object.keys(anchors).forEach(function(id){
+    var shifted = shiftRange(anchors[id], change);
+    if(shifted.index != anchors[id].index || shifted.length != anchors[id].length){
+      anchors[id] = shifted;
+      moved = true;
+    }
+  });
+  //The notes are saved again with the new ranges
+  if(moved && chap.notes == null)
+    chap.notes = chap.getNotesContentOrFile();
+  if(moved)
+    chap.hasUnsavedChanges = true;
+  return moved;
+}
+
+//Moves the passages from one version of the chapter's contents to another, for changes made without a delta.
+//The change is taken to be the text between what the two versions start and end with.
+function shiftAnchorsBetween(chap, before, after){
+  var change = getTextChange(getText(before), getText(after));
+  return change.ops.length > 0 ? shiftAnchors(chap, change) : false;
+}
+
+//The notes with every anchor line carrying its passage as it is now, for saving
+function stampAnchors(chap, notes){
+  if(!chap.anchors || !notes)
+    return notes;
+  return {
+    ops: notes.ops.map(function(op){
+      var anchor = op.attributes ? parseAnchorValue(op.attributes[anchorFormat]) : null;
+      if(!anchor || !chap.anchors[anchor.id])
+        return op;
+      return { insert: op.insert, attributes: Object.assign({}, op.attributes, { [anchorFormat]: formatAnchorValue(anchor.id, chap.anchors[anchor.id]) }) };
+    })
+  };
+}
+
+//The passage of an anchor line's format value, as it is now
+function getAnchorRange(chap, value){
+  var anchor = parseAnchorValue(value);
+  if(!anchor)
+    return null;
+  return getAnchors(chap)[anchor.id] || { index: anchor.index, length: anchor.length };
+}
+
+//Adds a note on a passage at the end of the chapter's notes and returns it
+function addAnchoredNote(chap, index, length, text = ''){
+  index = parseInt(index);
+  length = parseInt(length);
+  var chapterLength = getLength(chap.getContentsOrFile());
+  if(isNaN(index) || isNaN(length) || index < 0 || length < 0 || index + length > chapterLength)
+    throw new Error('The passage is outside the chapter (0 to ' + chapterLength + ')');
+
+  var id = randomUUID();
+  getAnchors(chap)[id] = { index: index, length: length };
+
+  //The new note gets lines of its own after any notes already there
+  var notes = chap.getNotesContentOrFile();
+  var ops = notes && getText(notes).trim() != '' ? notes.ops.slice() : [];
+  if(ops.length > 0 && !getText({ ops: ops }).endsWith('\n'))
+    ops.push({ insert: '\n' });
+  String(text).replace(/\r\n/g, '\n').split('\n').forEach(function(line){
+    if(line != '')
+      ops.push({ insert: line });
+    ops.push({ insert: '\n', attributes: { [anchorFormat]: formatAnchorValue(id, { index: index, length: length }) } });
+  });
+
+  setNotes(chap, { ops: ops });
+  return describeNote(chap, id);
+}
+
+function removeAnchoredNote(chap, id){
+  var note = describeNote(chap, id);
+  var ops = [];
+  var line = [];
+  chap.getNotesContentOrFile().ops.forEach(function(op){
+    splitLines(op).forEach(function(piece){
+      line.push(piece);
+      if(piece.insert == '\n'){
+        var anchor = piece.attributes ? parseAnchorValue(piece.attributes[anchorFormat]) : null;
+        if(!anchor || anchor.id != id)
+          ops = ops.concat(line);
+        line = [];
+      }
+    });
+  });
+  ops = ops.concat(line);
+  if(ops.length == 0)
+    ops.push({ insert: '\n' });
+  delete chap.anchors[id];
+  setNotes(chap, { ops: ops });
+  return note;
+}
+
+//The anchored notes in the order of the chapter's notes: { id, index, length, passage, note, detached }.
+//A note whose passage was deleted is detached, anchored to the empty range where the passage was.
+function listAnchoredNotes(chap){
+  var notes = chap.getNotesContentOrFile();
+  if(!notes)
+    return [];
+  var anchors = getAnchors(chap);
+  var texts = {};
+  var order = [];
+  var line = '';
+  notes.ops.forEach(function(op){
+    splitLines(op).forEach(function(piece){
+      if(piece.insert != '\n'){
+        line += typeof piece.insert == 'string' ? piece.insert : '';
+        return;
+      }
+      var anchor = piece.attributes ? parseAnchorValue(piece.attributes[anchorFormat]) : null;
+      if(anchor){
+        if(!texts[anchor.id]){
+          texts[anchor.id] = [];
+          order.push(anchor.id);
+        }
+        texts[anchor.id].push(line);
+      }
+      line = '';
+    });
+  });
+
+  var text = getText(chap.getContentsOrFile());
+  return order.map(function(id){
+    var range = anchors[id];
+    return {
+      id: id,
+      index: range.index,
+      length: range.length,
+      passage: text.slice(range.index, range.index + range.length),
+      note: texts[id].join('\n'),
+      detached: range.length == 0
+    };
+  });
+}
+
+function describeNote(chap, id){
+  var note = listAnchoredNotes(chap).find(function(n){ return n.id == id; });
+  if(!note)
+    throw new Error('Unknown anchored note: ' + id);
+  return note;
+}
+
+function setNotes(chap, notes){
+  chap.notes = notes;
+  chap.hasUnsavedChanges = true;
+  if(chap.project)
+    chap.project.hasUnsavedChanges = true;
+}
+
+//An op split so each newline is an op of its own
+function splitLines(op){
+  if(typeof op.insert != 'string' || op.insert == '\n')
+    return [op];
+  return op.insert.split(/(\n)/).filter(function(part){
+    return part != '';
+  }).map(function(part){
+    return op.attributes ? { insert: part, attributes: op.attributes } : { insert: part };
+  });
+}
+
+function getLength(delta){
+  var length = 0;
+  (delta ? delta.ops : []).forEach(function(op){
+    length += typeof op.insert == 'string' ? op.insert.length : 1;
+  });
+  return length;
+}
+
+function getText(delta){
+  var text = '';
+  (delta ? delta.ops : []).forEach(function(op){
+    text += typeof op.insert == 'string' ? op.insert : ' ';
+  });
+  return text;
+}
+
+//Registers the anchor line format with Quill, for the notes editor (see the .anchored-note style)
+function registerAnchorFormat(Quill){
+  const Block = Quill.import('blots/block');
+
+  class AnchoredNote extends Block {
+    static create(value){
+      var node = super.create(value);
+      node.setAttribute('data-anchor', value);
+      return node;
+    }
+
+    static formats(node){
+      return node.getAttribute('data-anchor');
+    }
+  }
+  AnchoredNote.blotName = anchorFormat;
+  AnchoredNote.tagName = 'P';
+  AnchoredNote.className = 'anchored-note';
+
+  Quill.register(AnchoredNote, true);
+}
+
+module.exports = {
+  anchorFormat,
+  parseAnchorValue,
+  getAnchors,
+  shiftAnchors,
+  shiftAnchorsBetween,
+  stampAnchors,
+  getAnchorRange,
+  addAnchoredNote,
+  removeAnchoredNote,
+  listAnchoredNotes,
+  registerAnchorFormat
+};
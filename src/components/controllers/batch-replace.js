@@ -0,0 +1,207 @@
+const { getSearchIndex, getDeltaText } = require('./search-index');
+const chapterMetadata = require('./chapter-metadata');
+const { sliceOps } = require('./quill-utils');
+const { shiftAnchors } = require('./anchored-notes');
+
+//Find and replace across every chapter and reference document. Hits are found through the search index,
+//previewed and accepted or rejected one by one, and then applied to each chapter's delta in a single change,
+//so formatting around (and on) the replaced text is kept. The chapter open in the editor is changed through
+//the editor, which makes the replacement one undo step there.
+
+const inlineFormats = ['bold', 'italic', 'strike', 'underline'];
+
+//options: caseSensitive, wholeWord, regex (replacement may then use $1 etc.)
+function findReplacements(project, search, replacement, options = {}){
+  var hits = getSearchIndex(project).search(search, options).filter(function(hit){
+    return hit.kind == 'chapter' || hit.kind == 'reference';
+  });
+
+  var matchPattern = options.regex ? new RegExp(search, options.caseSensitive ? '' : 'i') : null;
+  return hits.map(function(hit, i){
+    return Object.assign(hit, {
+      number: i + 1,
+      replacement: matchPattern ? hit.match.replace(matchPattern, replacement) : replacement,
+      accepted: true
+    });
+  });
+}
+
+//Applies the accepted hits. applyToEditor(chap, change) should apply the change to the editor and return true
+//when chap is the chapter being edited. Hits whose text has changed since the preview are skipped.
+function applyReplacements(project, hits, applyToEditor){
+  var result = { replaced: 0, skipped: 0, chapters: [] };
+
+  groupByChapter(hits.filter(function(hit){ return hit.accepted; })).forEach(function(group){
+    var chap = project.getChapterById(group.chapterId);
+    if(!chap){
+      result.skipped += group.hits.length;
+      return;
+    }
+
+    var before = chap.getContentsOrFile();
+    var text = getDeltaText(before);
+    var edits = [];
+    group.hits.forEach(function(hit){
+      if(text.substr(hit.offset, hit.length) == hit.match)
+        edits.push({ offset: hit.offset, length: hit.length, text: hit.replacement });
+      else
+        result.skipped++;
+    });
+    if(edits.length == 0)
+      return;
+
+    var replaced = replaceInDelta(before, edits);
+    setChapterContents(project, chap, replaced.contents, replaced.change, applyToEditor);
+
+    result.replaced += edits.length;
+    result.chapters.push({
+      chapterId: chap.id,
+      title: chap.title,
+      count: edits.length,
+      before: before,
+      after: replaced.contents,
+      change: replaced.change,
+      inverse: replaced.inverse
+    });
+  });
+
+  return result;
+}
+
+//Puts back what applyReplacements changed, in chapters that haven't been edited since. Returns the number of chapters restored.
+function undoReplacements(project, result, applyToEditor){
+  var restored = 0;
+  result.chapters.forEach(function(changed){
+    var chap = project.getChapterById(changed.chapterId);
+    if(chap && getDeltaText(chap.getContentsOrFile()) == getDeltaText(changed.after)){
+      setChapterContents(project, chap, changed.before, changed.inverse, applyToEditor);
+      restored++;
+    }
+  });
+  return restored;
+}
+
+function setChapterContents(project, chap, contents, change, applyToEditor){
+  if(!applyToEditor || !applyToEditor(chap, change)){
+    chap.contents = contents;
+    chap.hasUnsavedChanges = true;
+    chapterMetadata.markEdited(chap);
+    //The editor's text-change shifts them for the chapter it shows
+    shiftAnchors(chap, change);
+  }
+  project.hasUnsavedChanges = true;
+}
+
+//The applyToEditor callback for the chapter shown in editorQuill
+function createEditorApplier(project, editorQuill){
+  return function(chap, change){
+    if(typeof project.getActiveChapter != 'function' || chap != project.getActiveChapter())
+      return false;
+    if(editorQuill.history)
+      editorQuill.history.cutoff();
+    editorQuill.updateContents(change, 'user');
+    if(editorQuill.history)
+      editorQuill.history.cutoff();
+    return true;
+  };
+}
+
+function groupByChapter(hits){
+  var groups = [];
+  hits.forEach(function(hit){
+    var group = groups.find(function(g){ return g.chapterId == hit.chapterId; });
+    if(!group){
+      group = { chapterId: hit.chapterId, hits: [] };
+      groups.push(group);
+    }
+    group.hits.push(hit);
+  });
+  groups.forEach(function(group){
+    group.hits.sort(function(a, b){ return a.offset - b.offset; });
+  });
+  return groups;
+}
+
+//Replaces non-overlapping ranges ({ offset, length, text }, in order) in a delta. The new text takes the inline
+//formatting of the first character it replaces. Returns the new contents, the change that turns the old
+//contents into the new, and its inverse.
+function replaceInDelta(delta, edits){
+  var ops = delta.ops;
+  var contents = [];
+  var change = [];
+  var inverse = [];
+  var pos = 0;
+  var newPos = 0;
+  var shift = 0;
+
+  edits.forEach(function(edit){
+    var inserted = edit.text != '' ? [makeInsert(edit.text, getInlineAttributes(ops, edit.offset))] : [];
+    var removed = sliceOps(ops, edit.offset, edit.offset + edit.length);
+
+    pushOps(contents, sliceOps(ops, pos, edit.offset));
+    pushOps(contents, inserted);
+
+    pushRetain(change, edit.offset - pos);
+    pushOps(change, inserted);
+    if(edit.length > 0)
+      change.push({ delete: edit.length });
+
+    var newOffset = edit.offset + shift;
+    pushRetain(inverse, newOffset - newPos);
+    pushOps(inverse, removed);
+    if(edit.text.length > 0)
+      inverse.push({ delete: edit.text.length });
+
+    pos = edit.offset + edit.length;
+    newPos = newOffset + edit.text.length;
+    shift += edit.text.length - edit.length;
+  });
+
+  pushOps(contents, sliceOps(ops, pos, Infinity));
+  return { contents: { ops: contents }, change: { ops: change }, inverse: { ops: inverse } };
+}
+
+//Line formats (headers, alignment...) live on newlines and are not carried over to replacement text
+function getInlineAttributes(ops, offset){
+  var op = sliceOps(ops, offset, offset + 1)[0];
+  if(!op || !op.attributes || op.insert == '\n')
+    return null;
+  var attributes = {};
+  inlineFormats.forEach(function(format){
+    if(op.attributes[format] !== undefined)
+      attributes[format] = op.attributes[format];
+  });
+  return Object.keys(attributes).length > 0 ? attributes : null;
+}
+
+function makeInsert(text, attributes){
+  var op = { insert: text };
+  if(attributes && Object.keys(attributes).length > 0)
+    op.attributes = Object.assign({}, attributes);
+  return op;
+}
+
+function pushRetain(ops, length){
+  if(length > 0)
+    ops.push({ retain: length });
+}
+
+//Appends ops, merging neighbouring text with the same formatting
+function pushOps(ops, newOps){
+  newOps.forEach(function(op){
+    var last = ops[ops.length - 1];
+    if(last && typeof last.insert == 'string' && typeof op.insert == 'string' &&
+      JSON.stringify(last.attributes || null) == JSON.stringify(op.attributes || null))
+      last.insert += op.insert;
+    else
+      ops.push(Object.assign({}, op));
+  });
+}
+
+module.exports = {
+  findReplacements,
+  applyReplacements,
+  undoReplacements,
+  createEditorApplier,
+  replaceInDelta
+};
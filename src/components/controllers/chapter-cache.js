@@ -0,0 +1,160 @@
+const fs = require('fs');
+const { parseMDF } = require('./markdownFic');
+const { countWords } = require('./wordcount');
+
+//Parsed chapter files and their word counts, shared by every open project and keyed by file path, so the
+//outliner, word count and compile don't re-read and re-parse every chapter each time they run.
+//Entries are checked against the file's modification time and size before use, and chapters invalidate
+//their files when they save. Parsed deltas are kept within a memory budget, dropping the least recently
+//used first; word counts are small and kept for every file.
+
+const defaultBudgetMB = 64;
+
+var budget = defaultBudgetMB * 1024 * 1024;
+var usedBytes = 0;
+var deltas = new Map(); //path -> { mtimeMs, size, delta, bytes }, oldest use first
+var wordCounts = new Map(); //path -> { mtimeMs, size, words }
+var stats = { hits: 0, misses: 0 };
+
+function readDelta(filepath){
+  return getCachedDelta(filepath, fs.statSync(filepath)) ||
+    storeDelta(filepath, fs.statSync(filepath), fs.readFileSync(filepath, 'utf8'));
+}
+
+async function readDeltaAsync(filepath){
+  var stat = await fs.promises.stat(filepath);
+  var cached = getCachedDelta(filepath, stat);
+  if(cached)
+    return cached;
+  var fileText = await fs.promises.readFile(filepath, 'utf8');
+  //Stat again in case the file was replaced while it was being read
+  return storeDelta(filepath, await fs.promises.stat(filepath), fileText);
+}
+
+function getWordCount(filepath){
+  var stat = fs.statSync(filepath);
+  var cached = getCachedWordCount(filepath, stat);
+  return cached != null ? cached : storeWordCount(filepath, stat, readDelta(filepath));
+}
+
+async function getWordCountAsync(filepath){
+  var stat = await fs.promises.stat(filepath);
+  var cached = getCachedWordCount(filepath, stat);
+  return cached != null ? cached : storeWordCount(filepath, stat, await readDeltaAsync(filepath));
+}
+
+function invalidate(filepath){
+  removeDelta(filepath);
+  wordCounts.delete(filepath);
+}
+
+function setBudget(bytes){
+  budget = Math.max(0, bytes);
+  evict();
+}
+
+function getStats(){
+  return {
+    budget: budget,
+    usedBytes: usedBytes,
+    chapters: deltas.size,
+    wordCounts: wordCounts.size,
+    hits: stats.hits,
+    misses: stats.misses
+  };
+}
+
+function clear(){
+  deltas.clear();
+  wordCounts.clear();
+  usedBytes = 0;
+  stats = { hits: 0, misses: 0 };
+}
+
+function getCachedDelta(filepath, stat){
+  var entry = deltas.get(filepath);
+  if(!entry || entry.mtimeMs != stat.mtimeMs || entry.size != stat.size){
+    stats.misses++;
+    return null;
+  }
+
+  //Move to the most recently used end
+  deltas.delete(filepath);
+  deltas.set(filepath, entry);
+  stats.hits++;
+  return copyDelta(entry.delta);
+}
+
+function storeDelta(filepath, stat, fileText){
+  //Temporarily support both old chapter JSON files (.pup) and new markdown (.txt)
+  var delta = filepath.endsWith('.pup') ? JSON.parse(fileText) : parseMDF(fileText);
+
+  removeDelta(filepath);
+  //Roughly what the parsed ops take in memory: two bytes per character plus the objects around them
+  var bytes = fileText.length * 4;
+  if(bytes <= budget){
+    deltas.set(filepath, { mtimeMs: stat.mtimeMs, size: stat.size, delta: delta, bytes: bytes });
+    usedBytes += bytes;
+    evict();
+  }
+  return copyDelta(delta);
+}
+
+function removeDelta(filepath){
+  var entry = deltas.get(filepath);
+  if(entry){
+    usedBytes -= entry.bytes;
+    deltas.delete(filepath);
+  }
+}
+
+function evict(){
+  var paths = deltas.keys();
+  while(usedBytes > budget)
+    removeDelta(paths.next().value);
+}
+
+function getCachedWordCount(filepath, stat){
+  var entry = wordCounts.get(filepath);
+  return entry && entry.mtimeMs == stat.mtimeMs && entry.size == stat.size ? entry.words : null;
+}
+
+function storeWordCount(filepath, stat, delta){
+  var words = countWords(getPlainText(delta));
+  wordCounts.set(filepath, { mtimeMs: stat.mtimeMs, size: stat.size, words: words });
+  return words;
+}
+
+//Callers get their own ops to change as they like; the cached delta is never handed out
+function copyDelta(delta){
+  return {
+    ops: delta.ops.map(function(op){
+      var copy = Object.assign({}, op);
+      if(op.attributes)
+        copy.attributes = Object.assign({}, op.attributes);
+      return copy;
+    })
+  };
+}
+
+function getPlainText(delta){
+  var text = '';
+  delta.ops.forEach(function(op){
+    if(typeof op.insert == 'string')
+      text += op.insert;
+  });
+  return text;
+}
+
+module.exports = {
+  defaultBudgetMB,
+  readDelta,
+  readDeltaAsync,
+  getWordCount,
+  getWordCountAsync,
+  invalidate,
+  setBudget,
+  getStats,
+  clear,
+  getPlainText
+};
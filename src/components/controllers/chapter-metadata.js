@@ -0,0 +1,83 @@
+//Structured metadata kept on each chapter alongside its title and summary:
+//status, targetWords, lastEdited (ISO timestamp), revisionPass and customFields ({ name: value }).
+
+const statuses = ['idea', 'draft', 'revision', 'final'];
+
+function getMetadata(chap){
+  return {
+    status: chap.status || null,
+    targetWords: chap.targetWords || 0,
+    lastEdited: chap.lastEdited || null,
+    revisionPass: chap.revisionPass || 0,
+    customFields: Object.assign({}, chap.customFields)
+  };
+}
+
+//Applies the given changes after checking them, so a bad value never leaves the chapter half updated.
+//A custom field set to '' or null is removed.
+function setMetadata(chap, changes){
+  var status = chap.status;
+  if(changes.status !== undefined){
+    status = changes.status == null || changes.status === '' ? null : String(changes.status).toLowerCase();
+    if(status != null && !statuses.includes(status))
+      throw new Error('Invalid status "' + changes.status + '". Use one of: ' + statuses.join(', '));
+  }
+
+  var targetWords = chap.targetWords;
+  if(changes.targetWords !== undefined)
+    targetWords = parseCount(changes.targetWords, 'target word count');
+
+  var revisionPass = chap.revisionPass;
+  if(changes.revisionPass !== undefined)
+    revisionPass = parseCount(changes.revisionPass, 'revision pass');
+
+  var customFields = Object.assign({}, chap.customFields);
+  Object.keys(changes.customFields || {}).forEach(function(name){
+    var fieldName = name.trim();
+    var value = changes.customFields[name];
+    if(fieldName == '')
+      throw new Error('Custom fields need a name');
+    if(value == null || value === '')
+      delete customFields[fieldName];
+    else
+      customFields[fieldName] = String(value);
+  });
+
+  chap.status = status;
+  chap.targetWords = targetWords;
+  chap.revisionPass = revisionPass;
+  chap.customFields = customFields;
+  return getMetadata(chap);
+}
+
+function markEdited(chap, date){
+  chap.lastEdited = (date || new Date()).toISOString();
+}
+
+function parseCount(value, label){
+  if(value == null || value === '')
+    return 0;
+  var count = Number(value);
+  if(!Number.isInteger(count) || count < 0)
+    throw new Error('Invalid ' + label + ' "' + value + '". Use a whole number of 0 or more');
+  return count;
+}
+
+//Short display form of lastEdited for tables, e.g. "2024-03-05 14:07"
+function formatLastEdited(lastEdited){
+  if(!lastEdited)
+    return '';
+  var date = new Date(lastEdited);
+  if(isNaN(date))
+    return '';
+  var pad = function(n){ return String(n).padStart(2, '0'); };
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+}
+
+module.exports = {
+  statuses,
+  getMetadata,
+  setMetadata,
+  markEdited,
+  formatLastEdited
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const { logError } = require('./error-log');
+const { shiftRange, getTextChange } = require('./woolf-ot-document');
+const reviewNamePrepend = '-review_';
+const reviewKinds = [
+  { name: 'annotations', id: 'annotationId', counter: 'annotationCounter' },
+  { name: 'suggestions', id: 'suggestionId', counter: 'suggestionCounter' },
+  { name: 'corrections', id: 'correctionId', counter: 'correctionCounter' }
+];
+
+//The review of a chapter: its annotations (comments), suggested edits and quick corrections, as WoolfOTDocument
+//keeps them (see woolf-ot-document.js). chap.review holds the Maps, and while the chapter is in the editor the OT
+//document works on those same Maps, so what is annotated or suggested there belongs to the chapter and keeps to its text.
+//Reviews are saved next to the chapter file ('-review_' + its name, as JSON) with the text their ranges refer to,
+//so the ranges can be moved if the chapter was changed without them, in WareWoolf or in another editor.
+
+function getReview(chap){
+  if(!chap.review)
+    chap.review = loadReview(chap);
+  return chap.review;
+}
+
+function newReview(){
+  return { annotations: new Map(), suggestions: new Map(), corrections: new Map(), saved: '' };
+}
+
+function getReviewFilename(chapFilename){
+  return reviewNamePrepend + chapFilename.replace(/\.txt$/, '') + '.json';
+}
+
+function loadReview(chap){
+  var review = newReview();
+  if(!chap.project || chap.filename == null)
+    return review;
+  try{
+    var filepath = chap.project.directory + chap.project.chapsDirectory + getReviewFilename(chap.filename);
+    if(!fs.existsSync(filepath))
+      return review;
+
+    var saved = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    var text = getText(chap.getContentsOrFile());
+    var change = typeof saved.text == 'string' && saved.text != text ? getTextChange(saved.text, text) : null;
+
+    reviewKinds.forEach(function(kind){
+      (saved[kind.name] || []).forEach(function(record){
+        //Accepted and rejected suggestions keep the range they had when they were resolved
+        if(change && (kind.name != 'suggestions' || record.status == 'pending'))
+          record.range = shiftRange(record.range, change);
+        review[kind.name].set(record[kind.id], record);
+      });
+    });
+    //Moved ranges are saved with the chapter's text the next time the project is saved
+    review.saved = change ? '' : serializeRecords(review);
+  }
+  catch(err){
+    logError(err);
+  }
+  return review;
+}
+
+//Hands the OT document the review of the chapter now in the editor
+function showChapterReview(otDoc, chap){
+  var review = getReview(chap);
+  reviewKinds.forEach(function(kind){
+    otDoc[kind.name] = review[kind.name];
+    //New ids follow the ones the chapter already has
+    review[kind.name].forEach(function(record){
+      otDoc[kind.counter] = Math.max(otDoc[kind.counter], record[kind.id]);
+    });
+  });
+}
+
+//Word comments and tracked changes imported with the chapter (see docx-import.js) become annotations and
+//pending suggestions. The chapter must be the one in the OT document.
+function addImportedReview(otDoc, imported){
+  imported.comments.forEach(function(comment){
+    otDoc.annotate(comment.author || 'docx', comment.index, comment.length, comment.text, 'comment', { source: 'docx', date: comment.date });
+  });
+  imported.changes.forEach(function(change){
+    otDoc.suggestEdit(change.author || 'docx', change.index, change.length, change.newText, { source: 'docx', type: change.type, date: change.date });
+  });
+}
+
+function getAnnotations(chap){
+  return Array.from(getReview(chap).annotations.values());
+}
+
+function serializeRecords(review){
+  var records = {};
+  var isEmpty = true;
+  reviewKinds.forEach(function(kind){
+    records[kind.name] = Array.from(review[kind.name].values());
+    isEmpty = isEmpty && records[kind.name].length == 0;
+  });
+  return isEmpty ? '' : JSON.stringify(records);
+}
+
+//The writes, renames and removes that keep the chapter's review file with the chapter when it is saved as filename,
+//in the form of chapter.getSaveOperations. contents are the chapter contents being saved, or null when only the
+//review is. Loaded reviews are written with the saved text whenever it or they changed; others follow the filename.
+function getSaveOperations(chap, filename, contents = null){
+  var ops = { writes: [], renames: [], removes: [] };
+  const chapsDir = chap.project.chapsDirectory;
+  var oldFilename = chap.filename;
+  var hasOldFile = oldFilename != null && fs.existsSync(chap.project.directory + chapsDir + getReviewFilename(oldFilename));
+  var isRenamed = oldFilename != null && oldFilename != filename;
+
+  if(!chap.review){
+    if(hasOldFile && isRenamed)
+      ops.renames.push({ from: chapsDir + getReviewFilename(oldFilename), to: chapsDir + getReviewFilename(filename) });
+    return ops;
+  }
+
+  var records = serializeRecords(chap.review);
+  if(hasOldFile && (isRenamed || records == ''))
+    ops.removes.push(chapsDir + getReviewFilename(oldFilename));
+  if(records != '' && (contents != null || isRenamed || records != chap.review.saved || !hasOldFile)){
+    var saved = JSON.parse(records);
+    saved.text = getText(contents != null ? contents : chap.getContentsOrFile());
+    ops.writes.push({ path: chapsDir + getReviewFilename(filename), data: JSON.stringify(saved, null, '\t') });
+  }
+  return ops;
+}
+
+function completeSave(chap){
+  if(chap.review)
+    chap.review.saved = serializeRecords(chap.review);
+}
+
+//Saves the review on its own, for saves that do not go through the save journal
+function saveReviewFile(chap, filename = chap.filename, contents = null){
+  try{
+    var ops = getSaveOperations(chap, filename, contents);
+    const filepathRoot = chap.project.directory;
+    ops.writes.forEach(function(write){
+      fs.writeFileSync(filepathRoot + write.path, write.data, 'utf8');
+    });
+    ops.renames.forEach(function(rename){
+      fs.renameSync(filepathRoot + rename.from, filepathRoot + rename.to);
+    });
+    ops.removes.forEach(function(path){
+      if(fs.existsSync(filepathRoot + path))
+        fs.unlinkSync(filepathRoot + path);
+    });
+    completeSave(chap);
+  }
+  catch(err){
+    logError(err);
+  }
+}
+
+//Embeds count as one character, as they do in the editor
+function getText(delta){
+  var text = '';
+  (delta ? delta.ops : []).forEach(function(op){
+    text += typeof op.insert == 'string' ? op.insert : ' ';
+  });
+  return text;
+}
+
+module.exports = {
+  getReview,
+  getReviewFilename,
+  showChapterReview,
+  addImportedReview,
+  getAnnotations,
+  getSaveOperations,
+  completeSave,
+  saveReviewFile
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+const { sanitizeFilename } = require('./utils');
+const { logError } = require('./error-log');
+
+//The codex is a structured reference of the project's characters, places and objects. Each entry is an MDFC
+//file in the codex folder of the chapters directory, readable on its own:
+//
+//  # Anna Karenina
+//  Id: 1d0b...
+//  Type: character
+//  Aliases: Anna, Anna Arkadyevna
+//  Age: 28
+//
+//  The description, in MarkdownFic.
+//
+//The lines after the heading, up to the first blank line, are Id, Type, Aliases and then the entry's own fields.
+//Entries are read once per project and written in the project's journaled save, like chapters.
+//Mentions are found by scanning every chapter for the entry's name and aliases as whole words, matching case.
+
+const codexFolder = 'codex/';
+const entryTypes = ['character', 'place', 'object'];
+const reservedFields = ['id', 'type', 'aliases'];
+
+function getEntries(project){
+  return getCodex(project).entries;
+}
+
+//Finds an entry by id, name or alias (ignoring case)
+function findEntry(project, ref){
+  var lowerRef = String(ref).toLowerCase();
+  var entries = getEntries(project);
+  return entries.find(function(entry){ return entry.id == ref; }) ||
+    entries.find(function(entry){ return entry.name.toLowerCase() == lowerRef; }) ||
+    entries.find(function(entry){
+      return entry.aliases.some(function(alias){ return alias.toLowerCase() == lowerRef; });
+    }) || null;
+}
+
+function getEntry(project, ref){
+  var entry = findEntry(project, ref);
+  if(!entry)
+    throw new Error('Unknown codex entry: ' + ref);
+  return entry;
+}
+
+function addEntry(project, values){
+  var entry = {
+    id: randomUUID(),
+    name: '',
+    type: 'character',
+    aliases: [],
+    description: '',
+    fields: {},
+    filename: null,
+    hasUnsavedChanges: true
+  };
+  applyValues(project, entry, values);
+  getEntries(project).push(entry);
+  project.hasUnsavedChanges = true;
+  return entry;
+}
+
+//Only the given values change. fields are merged, and a field set to '' or null is removed.
+function updateEntry(project, ref, values){
+  var entry = getEntry(project, ref);
+  applyValues(project, entry, values);
+  entry.hasUnsavedChanges = true;
+  project.hasUnsavedChanges = true;
+  return entry;
+}
+
+function removeEntry(project, ref){
+  var codex = getCodex(project);
+  var entry = getEntry(project, ref);
+  codex.entries.splice(codex.entries.indexOf(entry), 1);
+  if(entry.filename)
+    codex.removed.push(entry.filename);
+  project.hasUnsavedChanges = true;
+  return entry;
+}
+
+function applyValues(project, entry, values){
+  if(values.name !== undefined){
+    var name = String(values.name).trim();
+    if(name == '')
+      throw new Error('A codex entry needs a name');
+    var other = findEntry(project, name);
+    if(other && other != entry)
+      throw new Error('The codex already has ' + other.name);
+    entry.name = name;
+  }
+  else if(entry.name == '')
+    throw new Error('A codex entry needs a name');
+
+  if(values.type !== undefined){
+    var type = String(values.type).trim().toLowerCase();
+    if(!entryTypes.includes(type))
+      throw new Error('Invalid codex type: ' + values.type + ' (use ' + entryTypes.join(', ') + ')');
+    entry.type = type;
+  }
+  if(values.aliases !== undefined)
+    entry.aliases = parseList(values.aliases);
+  if(values.description !== undefined)
+    entry.description = values.description == null ? '' : String(values.description);
+  if(values.fields){
+    Object.keys(values.fields).forEach(function(key){
+      var field = key.trim();
+      if(reservedFields.includes(field.toLowerCase()) || field.includes(':') || field == '')
+        throw new Error('Invalid codex field name: ' + key);
+      var value = values.fields[key];
+      if(value == null || String(value).trim() == '')
+        delete entry.fields[field];
+      else
+        entry.fields[field] = String(value).replace(/\r?\n/g, ' ').trim();
+    });
+  }
+}
+
+//For every entry, the chapters it is mentioned in: { entryId: [{ index, id, title, count, positions }] }
+async function findMentions(project, entries = getEntries(project)){
+  var patterns = entries.map(function(entry){
+    return { entry: entry, pattern: getMentionPattern(entry) };
+  });
+  var mentions = {};
+  entries.forEach(function(entry){
+    mentions[entry.id] = [];
+  });
+
+  for(let i = 0; i < project.chapters.length; i++){
+    var chap = project.chapters[i];
+    var contents = await chap.getContentsOrFileAsync();
+    var text = contents ? getText(contents) : '';
+    patterns.forEach(function(p){
+      var positions = [];
+      p.pattern.lastIndex = 0;
+      var match;
+      while((match = p.pattern.exec(text)) !== null)
+        positions.push(match.index);
+      if(positions.length > 0)
+        mentions[p.entry.id].push({ index: i, id: chap.id, title: chap.title, count: positions.length, positions: positions });
+    });
+  }
+  return mentions;
+}
+
+//Every entry with its mention count and chapters, and whether it is never mentioned
+async function getMentionReport(project, type = null){
+  var entries = getEntries(project).filter(function(entry){
+    return !type || entry.type == type;
+  });
+  var mentions = await findMentions(project, entries);
+  return entries.map(function(entry){
+    var chapters = mentions[entry.id];
+    return {
+      id: entry.id,
+      name: entry.name,
+      type: entry.type,
+      mentions: chapters.reduce(function(total, chap){ return total + chap.count; }, 0),
+      chapters: chapters.map(function(chap){
+        return { index: chap.index, id: chap.id, title: chap.title, count: chap.count };
+      }),
+      unmentioned: chapters.length == 0
+    };
+  });
+}
+
+//Writes for new and changed entries and removes for deleted or renamed ones, relative to the project directory
+function getSaveOperations(project){
+  var ops = { writes: [], renames: [], removes: [] };
+  if(!project.codex)
+    return ops;
+
+  var codexPath = project.chapsDirectory + codexFolder;
+  var reserved = [];
+  project.codex.entries.forEach(function(entry){
+    if(entry.hasUnsavedChanges){
+      entry.newFilename = getNewFilename(project, entry, reserved);
+      reserved.push(entry.newFilename);
+      ops.writes.push({ path: codexPath + entry.newFilename, data: entryToMDF(entry) });
+      if(entry.filename && entry.filename != entry.newFilename)
+        ops.removes.push(codexPath + entry.filename);
+    }
+  });
+  project.codex.removed.forEach(function(filename){
+    ops.removes.push(codexPath + filename);
+  });
+  //Removes run after writes, so never remove a file another entry is taking over
+  ops.removes = ops.removes.filter(function(path){
+    return !reserved.includes(path.slice(codexPath.length));
+  });
+
+  //The journal writes its temp files next to their targets
+  if(ops.writes.length > 0)
+    fs.mkdirSync(project.directory + codexPath, { recursive: true });
+  return ops;
+}
+
+function completeSave(project){
+  if(!project.codex)
+    return;
+  project.codex.entries.forEach(function(entry){
+    if(entry.hasUnsavedChanges){
+      entry.filename = entry.newFilename;
+      delete entry.newFilename;
+      entry.hasUnsavedChanges = false;
+    }
+  });
+  project.codex.removed = [];
+}
+
+//Writes every entry into the project's current location, for Save As. Returns the filename for each entry.
+function writeAllEntries(project, entries){
+  var filenames = [];
+  if(entries.length == 0)
+    return filenames;
+  var codexPath = project.directory + project.chapsDirectory + codexFolder;
+  fs.mkdirSync(codexPath, { recursive: true });
+  entries.forEach(function(entry){
+    var filename = getNewFilename(project, entry, filenames);
+    fs.writeFileSync(codexPath + filename, entryToMDF(entry), 'utf8');
+    filenames.push(filename);
+  });
+  return filenames;
+}
+
+function entryToMDF(entry){
+  var lines = ['# ' + entry.name, 'Id: ' + entry.id, 'Type: ' + entry.type];
+  if(entry.aliases.length > 0)
+    lines.push('Aliases: ' + entry.aliases.join(', '));
+  Object.keys(entry.fields).forEach(function(key){
+    lines.push(key + ': ' + entry.fields[key]);
+  });
+  var text = lines.join('\r\n') + '\r\n\r\n';
+  if(entry.description.trim() != '')
+    text += entry.description.replace(/\r?\n/g, '\r\n').replace(/(\r\n)*$/, '') + '\r\n';
+  return text;
+}
+
+function parseEntry(text, filename){
+  var lines = text.replace(/\r\n/g, '\n').split('\n');
+  var entry = {
+    id: null,
+    name: filename.replace(/\.txt$/, ''),
+    type: 'character',
+    aliases: [],
+    description: '',
+    fields: {},
+    filename: filename,
+    hasUnsavedChanges: false
+  };
+
+  var i = 0;
+  if(lines[0] && lines[0].startsWith('# ')){
+    entry.name = lines[0].slice(2).trim();
+    i = 1;
+  }
+  for(; i < lines.length && lines[i].trim() != ''; i++){
+    var colon = lines[i].indexOf(':');
+    if(colon < 1)
+      break;
+    var key = lines[i].slice(0, colon).trim();
+    var value = lines[i].slice(colon + 1).trim();
+    if(key.toLowerCase() == 'id')
+      entry.id = value;
+    else if(key.toLowerCase() == 'type')
+      entry.type = entryTypes.includes(value.toLowerCase()) ? value.toLowerCase() : 'object';
+    else if(key.toLowerCase() == 'aliases')
+      entry.aliases = parseList(value);
+    else
+      entry.fields[key] = value;
+  }
+
+  entry.description = lines.slice(i).join('\n').trim();
+  //Entries written by hand get an id, saved with their next change
+  if(!entry.id)
+    entry.id = randomUUID();
+  return entry;
+}
+
+//The codex is read from disk the first time it is needed and then kept on the project
+function getCodex(project){
+  if(project.codex)
+    return project.codex;
+
+  var entries = [];
+  var codexPath = project.directory + project.chapsDirectory + codexFolder;
+  try{
+    if(project.directory != '' && fs.existsSync(codexPath)){
+      fs.readdirSync(codexPath).filter(function(filename){
+        return filename.endsWith('.txt');
+      }).sort().forEach(function(filename){
+        entries.push(parseEntry(fs.readFileSync(codexPath + filename, 'utf8'), filename));
+      });
+    }
+  }
+  catch(err){
+    logError(err);
+  }
+  project.codex = { entries: entries, removed: [] };
+  return project.codex;
+}
+
+function getNewFilename(project, entry, reserved){
+  var root = sanitizeFilename(entry.name) || 'untitled';
+  var filename = root + '.txt';
+  var copyNum = 1;
+  var taken = function(name){
+    return reserved.includes(name) || project.codex.entries.some(function(other){
+      return other != entry && other.filename == name && !project.codex.removed.includes(name);
+    });
+  };
+  while(taken(filename)){
+    copyNum++;
+    filename = root + '_' + copyNum + '.txt';
+  }
+  return filename;
+}
+
+function getMentionPattern(entry){
+  var names = [entry.name].concat(entry.aliases).filter(function(name){
+    return name != '';
+  }).sort(function(a, b){
+    return b.length - a.length;
+  }).map(function(name){
+    return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  });
+  return new RegExp('(?<![\\p{L}\\p{N}_])(?:' + names.join('|') + ')(?![\\p{L}\\p{N}_])', 'gu');
+}
+
+function getText(delta){
+  return delta.ops.map(function(op){
+    return typeof op.insert == 'string' ? op.insert : ' ';
+  }).join('');
+}
+
+function parseList(value){
+  var list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(function(item){
+    return String(item).trim();
+  }).filter(function(item){
+    return item != '';
+  });
+}
+
+module.exports = {
+  codexFolder,
+  entryTypes,
+  getEntries,
+  findEntry,
+  getEntry,
+  addEntry,
+  updateEntry,
+  removeEntry,
+  findMentions,
+  getMentionReport,
+  getSaveOperations,
+  completeSave,
+  writeAllEntries,
+  entryToMDF,
+  parseEntry
+};
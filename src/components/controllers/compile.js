@@ -1,23 +1,31 @@
 const fs = require('fs');
 const { convertDeltaToMDF } = require('./markdownFic');
 const Quill = require('quill');
-const { convertDeltaToDocx, saveDocx } = require('./delta-to-docx');
+const { convertDeltaToDocx, saveDocx, markComments } = require('./delta-to-docx');
 const { logError } = require('./error-log');
-const { convertMdfcToHtmlPage, convertMdfcToHtml } = require('./mdfc-to-html');
+const { convertMdfcToHtmlPage } = require('./mdfc-to-html');
 const { convertMdfcToMd } = require('./mdfc-to-md');
 const { htmlChaptersToEpub } = require('./epub');
-
-function compileProject(project, options, filepath){
+const { getPartStarts } = require('./parts');
+const { renderSceneBreaks, getSceneBreakStyle } = require('./scenes');
+const { getTimelineAppendix } = require('./timeline');
+const { renumberFootnotes, getEpubChapters } = require('./footnotes');
+const { getAnnotations } = require('./chapter-review');
+
+//chapterContents, if given, has the contents of each chapter already read (see compile_display.js)
+function compileProject(project, options, filepath, chapterContents = null){
     console.log(options);
     console.log(filepath);
-    var allChaps = compileChapterDeltas(project, options);
+    //Annotations go out as Word comments
+    var comments = [];
+    var allChaps = compileChapterDeltas(project, options, options.type == ".docx" ? comments : null, chapterContents);
 
     switch(options.type){
         case ".txt":
             compilePlainText(filepath, allChaps);
             break;
         case ".docx":
-            compileDocx(filepath, allChaps, options);
+            compileDocx(filepath, allChaps, options, comments);
             break;
         case ".mdfc":
             compileMDF(filepath, allChaps);
@@ -29,25 +37,43 @@ function compileProject(project, options, filepath){
             compileHtml(filepath, allChaps, project.title, project.author, options.generateTitlePage);
             break;
           case ".epub":
-            compileEpub(filepath, project.chapters, project.title, project.author, options.generateTitlePage);
+            compileEpub(filepath, project, options, chapterContents);
             break;
         default:
             console.log("No valid filetype selected for compile.");
     }
 }
 
-function compileEpub(dir, allChaps, title, author, insertTitle){
+function compileEpub(dir, project, options, chapterContents = null){
   try {
-    var htmlChaps = [];
-
-    allChaps.forEach(function(chap){
-      htmlChaps.push({
+    var chaps = [];
+    var partStarts = options.insertPartTitles ? getPartStarts(project) : {};
+
+    project.chapters.forEach(function(chap, i){
+      //Each part title gets its own page in the book
+      if(partStarts[i]){
+        chaps.push({
+          title: partStarts[i].title,
+          delta: { ops: [
+            { insert: partStarts[i].title },
+            { insert: '\n', attributes: { align: 'center', header: 1 } }
+          ] }
+        });
+      }
+
+      chaps.push({
         title: chap.title,
-        html: convertMdfcToHtml(convertDeltaToMDF(chap.getContentsOrFile()))
+        delta: renderSceneBreaks(getChapterContents(project, i, chapterContents), getSceneBreak(options))
       })
     })
 
-    htmlChaptersToEpub(title, author, htmlChaps, dir, insertTitle, function(resp){
+    if(options.timelineAppendix)
+      chaps.push({ title: 'Timeline', delta: getTimelineAppendix(project) });
+
+    //Footnotes become endnotes in a chapter of their own
+    var htmlChaps = getEpubChapters(chaps, options.generateTitlePage);
+
+    htmlChaptersToEpub(project.title, project.author, htmlChaps, dir, options.generateTitlePage, function(resp){
       console.log('Conversion done: ' + resp);
     })
 
@@ -97,19 +123,31 @@ function compilePlainText(dir, allChaps){
   }
 }
 
-function compileChapterDeltas(project, options){
+//With comments, the chapters' annotations are marked for convertDeltaToDocx and added to it
+function compileChapterDeltas(project, options, comments = null, chapterContents = null){
     var divider = options.insertStrng;
     var Delta = Quill.import('delta');
     var compiled = new Delta();
-    if(options.insertHead){
-      compiled.insert(project.chapters[0].title);
-      compiled.insert('\n', { header: 1 } );
-    }
-    compiled = compiled.concat(new Delta(project.chapters[0].getContentsOrFile()));
-
-    for(i=1; i<project.chapters.length; i++){
-        var thisDelta = new Delta(project.chapters[i].getContentsOrFile());
-        compiled.insert(divider + '\n');
+    var partStarts = options.insertPartTitles ? getPartStarts(project) : {};
+    var sceneBreak = getSceneBreak(options);
+    //Footnotes are numbered through the whole book
+    var nextFootnote = 1;
+
+    for(let i=0; i<project.chapters.length; i++){
+        var chapContents = getChapterContents(project, i, chapterContents);
+        if(comments)
+          chapContents = markComments(chapContents, getAnnotations(project.chapters[i]), comments);
+        var numbered = renumberFootnotes(renderSceneBreaks(chapContents, sceneBreak), nextFootnote);
+        nextFootnote += numbered.count;
+        var thisDelta = new Delta(numbered.contents);
+        if(i > 0)
+          compiled.insert(divider + '\n');
+
+        //Part title page: a centered heading of its own, before the part's first chapter
+        if(partStarts[i]){
+          compiled.insert(partStarts[i].title);
+          compiled.insert('\n', { align: 'center', header: 1 } );
+        }
 
         if(options.insertHead){
           compiled.insert(project.chapters[i].title);
@@ -119,12 +157,28 @@ function compileChapterDeltas(project, options){
         compiled = compiled.concat(thisDelta);
     }
 
+    //The timeline in story order, after the last chapter
+    if(options.timelineAppendix){
+        if(project.chapters.length > 0)
+          compiled.insert(divider + '\n');
+        compiled = compiled.concat(new Delta(getTimelineAppendix(project)));
+    }
+
     return compiled;
 }
 
 
-function compileDocx(filepath, delt, options) {
-  var doc = convertDeltaToDocx(delt, options, project, userSettings.addressInfo);
+function getChapterContents(project, i, chapterContents){
+  return chapterContents ? chapterContents[i] : project.chapters[i].getContentsOrFile();
+}
+
+//options.sceneBreak is the text scene breaks become; without it the format's default is used
+function getSceneBreak(options){
+  return typeof options.sceneBreak == 'string' ? options.sceneBreak : getSceneBreakStyle(options.type);
+}
+
+function compileDocx(filepath, delt, options, comments) {
+  var doc = convertDeltaToDocx(delt, options, project, userSettings.addressInfo, comments);
   saveDocx(filepath, doc);
 }
 
@@ -131,4 +131,4 @@ function convertWindowsToLinuxLineEndings(text) {
   return text.replace(/\r\n/g, '\n');
 }
 
-module.exports = { getCardsFromFile, saveCards, getCorkboardForExport };
\ No newline at end of file
+module.exports = { cardsFilename, getCardsFromFile, saveCards, generateCardsString, getCorkboardForExport };
\ No newline at end of file
@@ -22,7 +22,8 @@ function packageDocxBase64(doc, callback){
   });
 }
 
-function convertDeltaToDocx(delt, options, project, addressInfo){
+//comments are the annotations written as Word comments, each on the text marked with its index by markComments
+function convertDeltaToDocx(delt, options, project, addressInfo, comments = []){
   if(options == null){
     options = {
       styleHeadingAsChapter: false
@@ -30,7 +31,8 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
   }
   var parsedQuill = parseDelta(delt);
 
-  var fnoteParRegx = /^\[\^\d+]:/;
+  //Footnotes as in controllers/footnotes.js, numbered once across everything being converted
+  var fnoteParRegx = /^\[\^\d+]: ?/;
 
   var footnoteBodies = [];
   var nonfootnoteParas = [];
@@ -55,7 +57,7 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
         xParaAttributes.children = xRuns;
 
         var matchingBody = footnoteBodies.findIndex(function(fb,i,arr){
-          return fb.marker == thisMarker[0].slice(0,-1);
+          return fb.marker == thisMarker[0].trim().slice(0,-1);
         });
 
         if(matchingBody > -1){
@@ -63,7 +65,7 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
         }
         else {
           footnoteBodies.push({
-            marker: thisMarker[0].slice(0,-1),
+            marker: thisMarker[0].trim().slice(0,-1),
             paras: [ new docx.Paragraph(xParaAttributes) ]
           });
         }
@@ -79,10 +81,15 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
 
   var xParagraphs = [];
   var fnoteMarkerRegx = /\[\^\d+]/gm;
+  var referencedNums = [];
+  var commentMarks = getCommentMarker();
 
-  nonfootnoteParas.forEach(function(para){
+  nonfootnoteParas.forEach(function(para, p){
     var xRuns = [];
     para.textRuns.forEach(function(run){
+      if(run.text != '')
+        xRuns = xRuns.concat(commentMarks.before(run.attributes));
+
       var fnoteMarker = run.text.match(fnoteMarkerRegx);
 
       //If run has a footnote marker, split into 2 runs with marker between.
@@ -96,11 +103,10 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
           var xRun1Attr = convertRunAtttributes(run.attributes);
           xRun1Attr.text = text1;
 
-          var fnoteBodyNum = footnoteBodies.findIndex(function(fn, i, arr){
-            return fn.marker == fnoteMarker[m];
-          }) + 1;
+          var fnoteNum = parseInt(fnoteMarker[m].slice(2, -1));
+          referencedNums.push(fnoteNum);
 
-          var fnMarkerRun = new docx.FootnoteReferenceRun(fnoteBodyNum);
+          var fnMarkerRun = new docx.FootnoteReferenceRun(fnoteNum);
 
 
           xRuns.push(new docx.TextRun(xRun1Attr));
@@ -123,21 +129,26 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
       }
     });
 
+    //Comments that don't go on past the paragraph end with it, and every comment ends with the document
+    xRuns = xRuns.concat(commentMarks.end(p < nonfootnoteParas.length - 1 ? para.attributes : null));
+
     var xParaAttributes = convertParaAttributes(para.attributes);
     xParaAttributes.children = xRuns;
 
     xParagraphs.push(new docx.Paragraph(xParaAttributes));
   });
 
+  //Word footnotes are given by their number; a reference without a footnote gets an empty one
   var footnotes = {};
 
-  for(i=0;i<footnoteBodies.length;i++){
-    footnotes[i + 1] = {
-      children: footnoteBodies[i].paras
-    }
-  }
-
-  console.log(footnotes);
+  referencedNums.forEach(function(num){
+    var body = footnoteBodies.find(function(fb){
+      return fb.marker == '[^' + num + ']';
+    });
+    footnotes[num] = {
+      children: body ? body.paras : [ new docx.Paragraph('') ]
+    };
+  });
 
   var sections = [];
   if(options && options.generateTitlePage == true)
@@ -179,12 +190,120 @@ function convertDeltaToDocx(delt, options, project, addressInfo){
       ]
     },
     footnotes: footnotes,
+    comments: {
+      children: commentMarks.started.map(function(id){
+        return getCommentOptions(id, comments[id]);
+      })
+    },
     sections: sections
   });
 
   return doc;
 }
 
+//Marks the text of each annotation ({ range, text, userId, ... } as in woolf-ot-document.js) with a 'comments'
+//attribute listing its index in comments, and adds it there. The marks keep to the text through the changes
+//made while compiling. An annotation whose text is gone has nothing to mark and is left out.
+function markComments(delta, annotations, comments){
+  var marks = [];
+  annotations.forEach(function(annotation){
+    if(annotation.range.length > 0){
+      marks.push({ id: comments.length, start: annotation.range.index, end: annotation.range.index + annotation.range.length });
+      comments.push(annotation);
+    }
+  });
+  if(marks.length == 0)
+    return delta;
+
+  var ops = [];
+  var opStart = 0;
+  delta.ops.forEach(function(op){
+    var opLength = typeof op.insert == 'string' ? op.insert.length : 1;
+    var cuts = [0, opLength];
+    if(typeof op.insert == 'string'){
+      marks.forEach(function(mark){
+        [mark.start, mark.end].forEach(function(cut){
+          if(cut > opStart && cut < opStart + opLength)
+            cuts.push(cut - opStart);
+        });
+      });
+    }
+    cuts = cuts.filter(function(cut, i){ return cuts.indexOf(cut) == i; }).sort(function(a, b){ return a - b; });
+
+    for(let c=0; c < cuts.length - 1; c++){
+      var ids = marks.filter(function(mark){
+        return mark.start < opStart + cuts[c + 1] && mark.end > opStart + cuts[c];
+      }).map(function(mark){ return mark.id; });
+      if(ids.length == 0 || typeof op.insert != 'string'){
+        var piece = { insert: typeof op.insert == 'string' ? op.insert.slice(cuts[c], cuts[c + 1]) : op.insert };
+        if(op.attributes || ids.length > 0)
+          piece.attributes = Object.assign({}, op.attributes, ids.length > 0 ? { comments: ids } : {});
+        ops.push(piece);
+        continue;
+      }
+
+      //Newlines get ops of their own, so the paragraphs a comment goes on past are marked too (see parseDelta)
+      op.insert.slice(cuts[c], cuts[c + 1]).split(/(\n)/).forEach(function(text){
+        if(text == '\n')
+          ops.push({ insert: text, attributes: Object.assign({}, op.insert == '\n' ? op.attributes : {}, { comments: ids }) });
+        else if(text != '')
+          ops.push({ insert: text, attributes: Object.assign({}, op.attributes, { comments: ids }) });
+      });
+    }
+    opStart += opLength;
+  });
+
+  return { ops: ops };
+}
+
+//Keeps track of the comments open through the runs, giving the Word comment ranges to put between them
+function getCommentMarker(){
+  var open = [];
+  var started = [];
+
+  function close(ids){
+    var marks = [];
+    open.filter(function(id){ return !ids.includes(id); }).forEach(function(id){
+      marks.push(new docx.CommentRangeEnd(id));
+      marks.push(new docx.TextRun({ children: [ new docx.CommentReference(id) ] }));
+    });
+    open = open.filter(function(id){ return ids.includes(id); });
+    return marks;
+  }
+
+  return {
+    started: started,
+    //The marks before a run with these attributes
+    before: function(attributes){
+      var ids = attributes && attributes.comments ? attributes.comments : [];
+      var marks = close(ids);
+      ids.filter(function(id){ return !open.includes(id); }).forEach(function(id){
+        marks.push(new docx.CommentRangeStart(id));
+        open.push(id);
+        if(!started.includes(id))
+          started.push(id);
+      });
+      return marks;
+    },
+    //The marks at the end of a paragraph whose newline has these attributes
+    end: function(attributes){
+      return close(attributes && attributes.comments ? attributes.comments : []);
+    }
+  };
+}
+
+function getCommentOptions(id, annotation){
+  var date = annotation.metadata && annotation.metadata.date ? new Date(annotation.metadata.date) : new Date(annotation.createdAt);
+  var xComment = {
+    id: id,
+    author: annotation.userId,
+    text: annotation.text
+  };
+  if(!isNaN(date.getTime()))
+    xComment.date = date;
+  return xComment;
+}
+
 function convertParaAttributes(attr){
   var xAttr = {};
   if(attr){
@@ -347,5 +466,6 @@ function getChapterHeadingStyle(){
 module.exports = {
   saveDocx,
   packageDocxBase64,
-  convertDeltaToDocx
+  convertDeltaToDocx,
+  markComments
 }
\ No newline at end of file
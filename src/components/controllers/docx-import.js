@@ -8,10 +8,11 @@ function importDocx(filepath, split, cback){
     var docDom = parseDocx(docInText);
 
     var fnDom = getFootnotes(xmlDir);
+    var commentsDom = getComments(xmlDir);
 
-    var deltas = docxToDelta(docDom, fnDom, split);
+    var imported = docxToDelta(docDom, fnDom, split, commentsDom);
 
-    cback(deltas);
+    cback(imported.deltas, imported.reviews);
   })
 }
 
@@ -26,6 +27,15 @@ function getFootnotes(dir){
   return fnDom;
 }
 
+function getComments(dir){
+  var commentsDom = null;
+
+  if(fs.existsSync(dir + '/comments.xml'))
+    commentsDom = parseDocx(fs.readFileSync(dir + '/comments.xml', 'utf8'));
+
+  return commentsDom;
+}
+
 function tempUnzipDocx(filepath, callback){
   var unzipDestination = sysDirectories.temp + '/docxguts';
   fs.createReadStream(filepath)
@@ -35,21 +45,32 @@ function tempUnzipDocx(filepath, callback){
   });
 }
 
-function docxToDelta(docDom, fnDom, split = false){
+//Converts the document to deltas, one for each chapter it is split into. Returns { deltas, reviews }, where
+//reviews has the Word comments and tracked changes of each delta (see getReview).
+function docxToDelta(docDom, fnDom, split = false, commentsDom = null){
   var paras = docDom.getElementsByTagName('w:p');
   var deltas = [];
+  var reviews = [];
   var delta = {
     ops: []
   };
+  var review = newReview(getCommentTexts(commentsDom));
+
+  function startNewDelta(){
+    deltas.push(JSON.parse(JSON.stringify(delta)));
+    reviews.push(getReview(review, delta));
+    delta.ops = [];
+    review = newReview(review.commentTexts);
+  }
 
   for(let i=0;i<paras.length;i++){
-    var runs = paras[i].getElementsByTagName('w:r');
+    var elements = paras[i].getElementsByTagName('*');
     var paraStyles = getParaStyles(paras[i]);
 
     //Split into multiple deltas at headings if requested
     if(paraStyles.header == 1 && split){
       if(delta.ops.length > 0)
-        deltas.push(JSON.parse(JSON.stringify(delta)));
+        startNewDelta();
       delta.ops = [];
     }
 
@@ -60,8 +81,7 @@ function docxToDelta(docDom, fnDom, split = false){
       for(let b=0; b < breaks.length; b++){
         if(breaks[b].getAttribute('w:type') == 'page' && delta.ops.length > 0){
           manualPageBreak = true;
-          deltas.push(JSON.parse(JSON.stringify(delta)));
-          delta.ops = [];
+          startNewDelta();
         }
       }
     }
@@ -70,31 +90,35 @@ function docxToDelta(docDom, fnDom, split = false){
     var breakBefores = paras[i].getElementsByTagName('w:pageBreakBefore');
     if(breakBefores.length > 0){
       if(delta.ops.length > 0)
-        deltas.push(JSON.parse(JSON.stringify(delta)));
+        startNewDelta();
       delta.ops = [];
     }
 
-    for(let r=0;r<runs.length;r++){
-      var plaintext = '';
+    //Runs and the comment ranges between them, in the order they come
+    for(let e=0;e<elements.length;e++){
+      var element = elements[e];
 
-      var tabs = runs[r].getElementsByTagName('w:tab');
-      for(let t=0;t<tabs.length;t++){
-        plaintext = plaintext.concat('\t')
+      if(element.nodeName == 'w:commentRangeStart'){
+        review.openComments[element.getAttribute('w:id')] = getDeltaLength(delta);
+        continue;
       }
-
-      var textNodes = runs[r].getElementsByTagName('w:t');
-      for(let z=0;z<textNodes.length;z++){
-          if(textNodes[z].childNodes.length > 0)
-            plaintext = plaintext.concat(textNodes[z].childNodes[0].nodeValue);
+      if(element.nodeName == 'w:commentRangeEnd'){
+        endComment(review, element.getAttribute('w:id'), getDeltaLength(delta));
+        continue;
       }
+      if(element.nodeName != 'w:r')
+        continue;
 
-      var footnoteRefs = runs[r].getElementsByTagName('w:footnoteReference');
-      for(let f=0;f<footnoteRefs.length;f++){
-        var refNum = footnoteRefs[f].getAttribute('w:id');
-        plaintext = plaintext.concat('[^' + refNum + ']');
-      }
+      var plaintext = getRunText(element);
+      var revision = getRevision(element, paras[i]);
 
-      var attributes = getRunStyles(runs[r]);
+      //Tracked insertions aren't in the text until accepted; tracked deletions stay in it until then
+      if(revision && plaintext != '')
+        addTrackedChange(review, revision, getDeltaLength(delta), plaintext);
+      if(revision && revision.type == 'insertion')
+        continue;
+
+      var attributes = getRunStyles(element);
 
       if(plaintext != '')
         delta.ops.push({
@@ -127,8 +151,143 @@ function docxToDelta(docDom, fnDom, split = false){
 
   }
   deltas.push(delta);
+  reviews.push(getReview(review, delta));
+
+  return { deltas: deltas, reviews: reviews };
+}
+
+//A run's text, with tabs and footnote references
+function getRunText(run){
+  var plaintext = '';
 
-  return deltas;
+  var tabs = run.getElementsByTagName('w:tab');
+  for(let t=0;t<tabs.length;t++){
+    plaintext = plaintext.concat('\t')
+  }
+
+  //Deleted text of a tracked change is in w:delText
+  var textNodes = Array.from(run.getElementsByTagName('w:t')).concat(Array.from(run.getElementsByTagName('w:delText')));
+  for(let z=0;z<textNodes.length;z++){
+      if(textNodes[z].childNodes.length > 0)
+        plaintext = plaintext.concat(textNodes[z].childNodes[0].nodeValue);
+  }
+
+  var footnoteRefs = run.getElementsByTagName('w:footnoteReference');
+  for(let f=0;f<footnoteRefs.length;f++){
+    var refNum = footnoteRefs[f].getAttribute('w:id');
+    plaintext = plaintext.concat('[^' + refNum + ']');
+  }
+
+  return plaintext;
+}
+
+///////////////////////////////////////////////////////////////////
+  //Comments and tracked changes //////////////////////////////////
+
+//The texts of the Word comments by id: { author, date, text }
+function getCommentTexts(commentsDom){
+  var texts = {};
+  if(!commentsDom)
+    return texts;
+
+  var comments = commentsDom.getElementsByTagName('w:comment');
+  for(let c=0;c<comments.length;c++){
+    var paras = comments[c].getElementsByTagName('w:p');
+    var lines = [];
+    for(let p=0;p<paras.length;p++){
+      var runs = paras[p].getElementsByTagName('w:r');
+      var line = '';
+      for(let r=0;r<runs.length;r++)
+        line = line.concat(getRunText(runs[r]));
+      lines.push(line);
+    }
+
+    texts[comments[c].getAttribute('w:id')] = {
+      author: comments[c].getAttribute('w:author') || '',
+      date: comments[c].getAttribute('w:date') || null,
+      text: lines.join('\n')
+    };
+  }
+  return texts;
+}
+
+function newReview(commentTexts){
+  return {
+    commentTexts: commentTexts,
+    openComments: {}, //id -> where the comment starts
+    comments: [],
+    changes: []
+  };
+}
+
+function endComment(review, id, index){
+  if(review.openComments[id] === undefined)
+    return;
+  var comment = review.commentTexts[id] || { author: '', date: null, text: '' };
+  review.comments.push({
+    index: review.openComments[id],
+    length: index - review.openComments[id],
+    text: comment.text,
+    author: comment.author,
+    date: comment.date
+  });
+  delete review.openComments[id];
+}
+
+//The comments and tracked changes of a delta: { comments: [{ index, length, text, author, date }],
+//changes: [{ type, index, length, oldText, newText, author, date }] }, where a change replaces the length
+//characters at index, oldText, with newText. Comments still open at the end of the delta end there.
+function getReview(review, delta){
+  Object.keys(review.openComments).forEach(function(id){
+    endComment(review, id, getDeltaLength(delta));
+  });
+
+  return {
+    comments: review.comments,
+    changes: review.changes.map(function(change){
+      change.type = change.length == 0 ? 'insertion' : (change.newText == '' ? 'deletion' : 'replacement');
+      return change;
+    })
+  };
+}
+
+//The tracked change a run is part of, if any: { type: 'insertion' or 'deletion', author, date }
+function getRevision(run, para){
+  for(let node = run.parentNode; node && node != para; node = node.parentNode){
+    if(node.nodeName == 'w:ins' || node.nodeName == 'w:moveTo' || node.nodeName == 'w:del' || node.nodeName == 'w:moveFrom'){
+      return {
+        type: node.nodeName == 'w:ins' || node.nodeName == 'w:moveTo' ? 'insertion' : 'deletion',
+        author: node.getAttribute('w:author') || '',
+        date: node.getAttribute('w:date') || null
+      };
+    }
+  }
+  return null;
+}
+
+//Adds a tracked run to the changes. Runs by the same author that follow on from a change are part of it,
+//so a deletion followed by an insertion is one replacement.
+function addTrackedChange(review, revision, index, text){
+  var last = review.changes[review.changes.length - 1];
+  if(!last || last.author != revision.author || last.index + last.length != index){
+    last = { index: index, length: 0, oldText: '', newText: '', author: revision.author, date: revision.date };
+    review.changes.push(last);
+  }
+
+  if(revision.type == 'insertion')
+    last.newText = last.newText.concat(text);
+  else {
+    last.length += text.length;
+    last.oldText = last.oldText.concat(text);
+  }
+}
+
+function getDeltaLength(delta){
+  var length = 0;
+  delta.ops.forEach(function(op){
+    length += typeof op.insert == 'string' ? op.insert.length : 1;
+  });
+  return length;
 }
 
 function getFootnoteOps(fnoteBod, refNum){
@@ -271,5 +430,6 @@ function parseDocx(xmlStr){
 }
 
 module.exports = {
-  importDocx
+  importDocx,
+  docxToDelta
 }
\ No newline at end of file
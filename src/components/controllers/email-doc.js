@@ -2,19 +2,25 @@ const os = require('os');
 const nodemailer = require('nodemailer');
 const { archiveProject } = require('./backup-project');
 const { compileChapterDeltas } = require('./compile');
-const { convertDeltaToDocx, packageDocxBase64 } = require('./delta-to-docx');
+const { convertDeltaToDocx, packageDocxBase64, markComments } = require('./delta-to-docx');
 const { convertDeltaToMDF } = require('./markdownFic');
 const { logError } = require('./error-log');
 const { convertMdfcToMd } = require('./mdfc-to-md');
 const { convertMdfcToHtmlPage, convertMdfcToHtml } = require('./mdfc-to-html');
 const { htmlChaptersToEpub } = require('./epub');
+const { renderSceneBreaks, getSceneBreakStyle } = require('./scenes');
+const { getAnnotations } = require('./chapter-review');
 
 function prepareAndEmail(project, userSettings, editorQuill, sender, pass, receiver, filetype, compileOptions, callback){
   var delt;
   var filename;
+  var sceneBreak = getSceneBreakStyle(filetype, userSettings.compileSceneBreaks);
+  //Annotations go out as Word comments
+  var comments = filetype == ".docx" ? [] : null;
 
   if(compileOptions.compile){
-    delt = compileChapterDeltas(project, compileOptions);
+    compileOptions = Object.assign({}, compileOptions, { sceneBreak: sceneBreak });
+    delt = compileChapterDeltas(project, compileOptions, comments);
     let projectTitle = project.filename == "" ? "untitled" : project.filename.split('.')[0];
     if(projectTitle == "untitled" && project.title != "")
       projectTitle = project.title;
@@ -22,12 +28,15 @@ function prepareAndEmail(project, userSettings, editorQuill, sender, pass, recei
   }
   else {
     delt = editorQuill.getContents();
+    if(comments)
+      delt = markComments(delt, getAnnotations(project.chapters[project.activeChapterIndex]), comments);
+    delt = renderSceneBreaks(delt, sceneBreak);
     let chapTitle = project.chapters[project.activeChapterIndex].title;
     filename = chapTitle == "" ? "untitled" : chapTitle;
   }
 
   if(filetype == ".docx"){
-    emailDeltaAsDocx(project, userSettings, filename, delt, compileOptions, sender, pass, receiver, callback);
+    emailDeltaAsDocx(project, userSettings, filename, delt, compileOptions, sender, pass, receiver, callback, comments);
   }
   else if(filetype == ".mdfc"){
     emailDeltaAsMdfc(filename, delt, sender, pass, receiver, callback);
@@ -51,8 +60,8 @@ function prepareAndEmail(project, userSettings, editorQuill, sender, pass, recei
 
 }
 
-function emailDeltaAsDocx(project, userSettings, filename, delt, options, sender, pass, receiver, callback){
-  var doc = convertDeltaToDocx(delt, options, project, userSettings.addressInfo);
+function emailDeltaAsDocx(project, userSettings, filename, delt, options, sender, pass, receiver, callback, comments){
+  var doc = convertDeltaToDocx(delt, options, project, userSettings.addressInfo, comments);
   packageDocxBase64(doc, (docString) => {
     var attachments = [
       {
@@ -140,7 +149,7 @@ function emailAsEpub(filename, project, compileOptions, delt, sender, pass, rece
     project.chapters.forEach(function(chap){
       htmlChapters.push({
         title: chap.title,
-        html: convertMdfcToHtml(convertDeltaToMDF(chap.getContentsOrFile()))
+        html: convertMdfcToHtml(convertDeltaToMDF(renderSceneBreaks(chap.getContentsOrFile(), compileOptions.sceneBreak)))
       })
     });
   }
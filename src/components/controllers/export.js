@@ -1,12 +1,15 @@
 const fs = require('fs');
 const { convertDeltaToMDF, parseMDF } = require('./markdownFic');
 const { logError } = require('./error-log');
-const { convertDeltaToDocx, saveDocx } = require('./delta-to-docx');
+const { convertDeltaToDocx, saveDocx, markComments } = require('./delta-to-docx');
 const { sanitizeFilename } = require('./utils');
-const { convertMdfcToHtmlPage, convertMdfcToHtml } = require('./mdfc-to-html');
+const { convertMdfcToHtmlPage } = require('./mdfc-to-html');
 const { convertMdfcToMd } = require('./mdfc-to-md');
 const { htmlChaptersToEpub } = require('./epub');
 const { getCorkboardForExport } = require('./corkboard');
+const { renderSceneBreaks, getSceneBreakStyle } = require('./scenes');
+const { getEpubChapters } = require('./footnotes');
+const { getAnnotations } = require('./chapter-review');
 const notesNamePrepend = '-notes_';
 
 function exportProject(project, userSettings, options, filepath){
@@ -19,14 +22,19 @@ function exportProject(project, userSettings, options, filepath){
 
     var chapsToExport = options.what == 'project' ? project.chapters.concat(project.reference) : [ project.getActiveChapter() ];
     for(let i=0;i<chapsToExport.length;i++){
-      var chapFile = chapsToExport[i].getContentsOrFile();
+      //Annotations go out as Word comments
+      var comments = [];
+      var chapContents = chapsToExport[i].getContentsOrFile();
+      if(options.type == ".docx")
+        chapContents = markComments(chapContents, getAnnotations(chapsToExport[i]), comments);
+      var chapFile = renderSceneBreaks(chapContents, getSceneBreakStyle(options.type, userSettings.compileSceneBreaks));
       var chapNumber = i < project.chapters.length ? i : i - project.chapters.length;
       var outName = generateChapterFilename(chapNumber, chapsToExport[i].title, options.what);
 
       if(i > project.chapters.length - 1)
         outName = '-ref_' + outName;
 
-      exportChapter(project, chapsToExport[i].title, project.author, chapFile, dir + outName, userSettings, options);
+      exportChapter(project, chapsToExport[i].title, project.author, chapFile, dir + outName, userSettings, options, comments);
 
       var chapNotesDelta = chapsToExport[i].getNotesContentOrFile();
 
@@ -52,13 +60,13 @@ function exportProject(project, userSettings, options, filepath){
   }  
 }
 
-function exportChapter(project, chapterTitle, author, chapDelta, filepathNameNoExt, userSettings, options){
+function exportChapter(project, chapterTitle, author, chapDelta, filepathNameNoExt, userSettings, options, comments = []){
   switch(options.type){
         case ".txt":
             exportChapAsText(project.title, chapterTitle, author, chapDelta, filepathNameNoExt, options.compileGenTitlePage);
             break;
         case ".docx":
-            exportChapAsDocx(project, userSettings.addressInfo, chapDelta, filepathNameNoExt, options);
+            exportChapAsDocx(project, userSettings.addressInfo, chapDelta, filepathNameNoExt, options, comments);
             break;
         case ".mdfc":
             exportChapAsMdf(project.title, chapterTitle, author, chapDelta, filepathNameNoExt, options.compileGenTitlePage);
@@ -81,8 +89,8 @@ function exportChapAsText(projectTitle, chapTitle, author, chapDelta, filepathNa
   fs.writeFileSync(filepathNameNoExt + ".txt", convertToPlainText(chapDelta));
 }
 
-function exportChapAsDocx(project, addressInfo, chapDelta, filepathNameNoExt, options){
-  var doc = convertDeltaToDocx(chapDelta, options, project, addressInfo);
+function exportChapAsDocx(project, addressInfo, chapDelta, filepathNameNoExt, options, comments){
+  var doc = convertDeltaToDocx(chapDelta, options, project, addressInfo, comments);
   saveDocx(filepathNameNoExt + ".docx", doc);
 }
 
@@ -99,12 +107,9 @@ function exportChapAsHtml(projectTitle, chapTitle, author, chapDelta, filepathNa
 }
 
 function exportChapAsEpub(projectTitle, chapTitle, author, chapDelta, filepathNameNoExt, generateTitlePage){
-  var htmlChap = {
-        title: chapTitle,
-        html: convertMdfcToHtml(convertDeltaToMDF(chapDelta))
-      }
+  var htmlChaps = getEpubChapters([{ title: chapTitle, delta: chapDelta }], generateTitlePage);
 
-  htmlChaptersToEpub(projectTitle + ': ' + chapTitle, author, [htmlChap], filepathNameNoExt + '.epub', generateTitlePage, function(resp){
+  htmlChaptersToEpub(projectTitle + ': ' + chapTitle, author, htmlChaps, filepathNameNoExt + '.epub', generateTitlePage, function(resp){
     console.log('epub exported: ' + resp);
   });
 }
@@ -1,4 +1,5 @@
 const { getTempQuill } = require('./quill-utils');
+const { getSearchIndex } = require('./search-index');
 
 function find(editorQuill, project, str, caseSensitive = true, startingIndex, searchAllChapters, displayChapterByIndex){
     var index = -1;
@@ -20,26 +21,13 @@ function find(editorQuill, project, str, caseSensitive = true, startingIndex, se
         else{
             //No more results. Either start again at top of current chapter or move to next chapter.
             if(searchAllChapters){
-                var startingChapIndex = project.activeChapterIndex;
-                var result = -1;
-                while(result < 0){
-                    if(project.activeChapterIndex < project.chapters.length - 1){
-                        displayChapterByIndex(project.activeChapterIndex + 1);
-                        result = find(editorQuill, project, str, caseSensitive, 0);
-                        index = result;
-                    }
-                    else {
-                        //If search did not begin at first chapter, loop back to first chapter for one more go.
-                        if(startingChapIndex != 0){
-                            startingChapIndex = 0;
-                            displayChapterByIndex(0);
-                            result = find(editorQuill, project, str, caseSensitive, 0);
-                            index = result;
-                        }
-                        else {
-                            result = 1;
-                        }
-                    }
+                //Look through the other chapters in the search index rather than loading each one into the editor
+                var next = findInOtherChapters(project, str, caseSensitive);
+                if(next){
+                    if(next.chapterIndex != project.activeChapterIndex)
+                        displayChapterByIndex(next.chapterIndex);
+                    editorQuill.setSelection(next.offset, next.length);
+                    index = next.offset;
                 }
             } else {
                 if(startingIndex != 0){
@@ -52,6 +40,17 @@ function find(editorQuill, project, str, caseSensitive = true, startingIndex, se
     return index;
 }
 
+//The first hit in a chapter after the active one, wrapping around to the top of the project
+function findInOtherChapters(project, str, caseSensitive){
+    var hits = getSearchIndex(project).search(str, { caseSensitive: caseSensitive }).filter(function(hit){
+        return hit.kind == 'chapter';
+    });
+    var next = hits.find(function(hit){
+        return hit.chapterIndex > project.activeChapterIndex;
+    });
+    return next ? next : hits[0];
+}
+
 function findInText(str, text, caseSensitive, startingIndex){
     var index = -1;
 
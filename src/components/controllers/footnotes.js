@@ -0,0 +1,369 @@
+const { sliceOps } = require('./quill-utils');
+const { convertDeltaToMDF } = require('./markdownFic');
+const { convertMdfcToHtml } = require('./mdfc-to-html');
+
+//Footnotes are written as in MarkdownFic: a reference is "[^1]" in the text and the footnote itself is one or more
+//lines starting "[^1]: ", usually kept at the end of the chapter. Footnotes are numbered in the order of their
+//references; a footnote whose reference is gone keeps its lines, numbered after the rest.
+//Changes are returned as { contents, change }: the new chapter contents and the Quill delta that makes them,
+//so the editor can apply the same change. Adding or removing a footnote leaves the numbering to renumberFootnotes,
+//which the editor runs after every change.
+
+const referencePattern = /\[\^(\d+)\]/g;
+const bodyLinePattern = /^\[\^(\d+)\]: ?/;
+
+//The footnotes of a delta by number: { number, references: [index], lines: [{ index, length, markerLength }], text,
+//context } in number order, where context is the text just before the first reference. Positions count embeds as
+//one character.
+function getFootnotes(delta){
+  var footnotes = {};
+  function getFootnote(number){
+    if(!footnotes[number])
+      footnotes[number] = { number: number, references: [], lines: [], text: '', context: '' };
+    return footnotes[number];
+  }
+
+  getLines(delta).forEach(function(line){
+    var body = bodyLinePattern.exec(line.text);
+    if(body){
+      var footnote = getFootnote(parseInt(body[1]));
+      footnote.text += (footnote.lines.length > 0 ? '\n' : '') + line.text.slice(body[0].length);
+      footnote.lines.push({ index: line.index, length: line.text.length, markerLength: body[0].length });
+      return;
+    }
+    Array.from(line.text.matchAll(referencePattern)).forEach(function(match){
+      var referenced = getFootnote(parseInt(match[1]));
+      if(referenced.references.length == 0)
+        referenced.context = line.text.slice(Math.max(0, match.index - 40), match.index).replace(referencePattern, '');
+      referenced.references.push(line.index + match.index);
+    });
+  });
+
+  return Object.keys(footnotes).map(function(n){ return footnotes[n]; }).sort(function(a, b){ return a.number - b.number; });
+}
+
+//Numbers the footnotes from firstNumber in the order of their first references. Every reference to a footnote gets
+//its number. Returns { contents, change, count }, where count is how many numbers were used.
+function renumberFootnotes(delta, firstNumber = 1){
+  var next = firstNumber;
+  var numbers = {};
+  var edits = [];
+  var lines = getLines(delta);
+
+  function renumber(index, oldNumber, newNumber){
+    if(oldNumber != newNumber)
+      edits.push(replaceText(delta, index + 2, String(oldNumber).length, String(newNumber)));
+  }
+
+  lines.forEach(function(line){
+    if(bodyLinePattern.test(line.text))
+      return;
+    Array.from(line.text.matchAll(referencePattern)).forEach(function(match){
+      var oldNumber = parseInt(match[1]);
+      if(numbers[oldNumber] === undefined)
+        numbers[oldNumber] = next++;
+      renumber(line.index + match.index, oldNumber, numbers[oldNumber]);
+    });
+  });
+
+  lines.forEach(function(line){
+    var body = bodyLinePattern.exec(line.text);
+    if(!body)
+      return;
+    var oldNumber = parseInt(body[1]);
+    if(numbers[oldNumber] === undefined)
+      numbers[oldNumber] = next++;
+    renumber(line.index, oldNumber, numbers[oldNumber]);
+  });
+
+  var result = edits.length > 0 ? applyEdits(delta, edits) : { contents: delta, change: { ops: [] } };
+  result.count = next - firstNumber;
+  return result;
+}
+
+//Puts a reference at index and a line for the footnote among the others. Returns { contents, change, number },
+//where number is the footnote's number once the footnotes are numbered again.
+function insertFootnote(delta, index, text = ''){
+  var footnotes = getFootnotes(delta);
+  var length = getLength(delta);
+  index = parseInt(index);
+  if(isNaN(index) || index < 0 || index >= length)
+    throw new Error('The footnote is outside the chapter (0 to ' + (length - 1) + ')');
+
+  //A number no footnote has, until the footnotes are numbered again
+  var number = footnotes.reduce(function(max, footnote){ return Math.max(max, footnote.number); }, 0) + 1;
+  var edits = [{ index: index, delete: 0, insert: [{ insert: '[^' + number + ']' }] }];
+  edits.push(getNewLinesEdit(delta, footnotes, index, getBodyLines(number, text)));
+
+  var inserted = applyEdits(delta, edits);
+  //Footnotes are numbered in the order of their first references
+  inserted.number = getFootnotes(delta).reduce(function(count, footnote){
+    return count + (footnote.references.length > 0 && footnote.references[0] < index ? 1 : 0);
+  }, 1);
+  return inserted;
+}
+
+//Replaces the text of a footnote; a footnote without lines gets them among the others. Returns { contents, change }.
+function setFootnoteText(delta, number, text){
+  var footnotes = getFootnotes(delta);
+  var footnote = findFootnote(footnotes, number);
+  var lines = getBodyLines(footnote.number, text);
+  var edits = [];
+  if(footnote.lines.length == 0){
+    edits.push(getNewLinesEdit(delta, footnotes, footnote.references[0], lines));
+  }
+  else {
+    //The first line keeps its newline and the rest go
+    var first = footnote.lines[0];
+    var text = lines.map(function(op){ return op.insert; }).join('').slice(0, -1);
+    edits.push({ index: first.index, delete: first.length, insert: [{ insert: text }] });
+    edits = edits.concat(getLineDeletes(delta, footnote.lines.slice(1)));
+  }
+  return applyEdits(delta, edits);
+}
+
+//Takes a footnote's references and lines out. Returns { contents, change }.
+function removeFootnote(delta, number){
+  var footnote = findFootnote(getFootnotes(delta), number);
+  var edits = footnote.references.map(function(index){
+    return { index: index, delete: String(footnote.number).length + 3 };
+  });
+  edits = edits.concat(getLineDeletes(delta, footnote.lines));
+
+  return applyEdits(delta, edits);
+}
+
+//Splits the footnotes out of a delta: { contents, footnotes: [{ number, ops }] }, where contents keeps the
+//references and ops are each footnote's lines without their markers
+function extractFootnotes(delta){
+  var footnotes = getFootnotes(delta);
+  var lines = [];
+  var extracted = [];
+  footnotes.forEach(function(footnote){
+    var ops = [];
+    footnote.lines.forEach(function(line){
+      lines.push(line);
+      ops = ops.concat(sliceOps(delta.ops, line.index + line.markerLength, line.index + line.length + 1));
+    });
+    if(footnote.references.length > 0)
+      extracted.push({ number: footnote.number, ops: ops.length > 0 ? ops : [{ insert: '\n' }] });
+  });
+  //Not for the editor, so the last newline can go too
+  var deletes = lines.map(function(line){
+    return { index: line.index, delete: line.length + 1 };
+  });
+  return { contents: applyEdits(delta, deletes).contents, footnotes: extracted };
+}
+
+//Edits deleting whole lines. The chapter's last newline can't be deleted, so the last line goes with the newline
+//before it instead, or only its text goes when it is the only line.
+function getLineDeletes(delta, lines){
+  var length = getLength(delta);
+  var ranges = lines.map(function(line){
+    var end = line.index + line.length + 1;
+    if(end < length)
+      return { start: line.index, end: end };
+    return line.index > 0 ? { start: line.index - 1, end: end - 1 } : { start: 0, end: line.length };
+  }).sort(function(a, b){ return a.start - b.start; });
+
+  var merged = [];
+  ranges.forEach(function(range){
+    var last = merged[merged.length - 1];
+    if(last && range.start <= last.end)
+      last.end = Math.max(last.end, range.end);
+    else
+      merged.push(Object.assign({}, range));
+  });
+  return merged.filter(function(range){ return range.end > range.start; }).map(function(range){
+    return { index: range.start, delete: range.end - range.start };
+  });
+}
+
+//EPUB chapters from [{ title, delta }] with the footnotes moved to a Notes chapter at the end as endnotes, each
+//linked to its reference and back. Footnotes are numbered across the book.
+function getEpubChapters(chapters, insertTitlePage){
+  //Chapter files are numbered from 1, after the title page if there is one (see epub.js)
+  var firstFile = insertTitlePage ? 2 : 1;
+  var notesFile = 'chapter_' + (chapters.length + firstFile) + '.xhtml';
+  var next = 1;
+  var endnotes = [];
+
+  var htmlChapters = chapters.map(function(chap, i){
+    var numbered = renumberFootnotes(chap.delta, next);
+    next += numbered.count;
+    var extracted = extractFootnotes(numbered.contents);
+    extracted.footnotes.forEach(function(footnote){
+      endnotes.push({ number: footnote.number, ops: footnote.ops, file: 'chapter_' + (i + firstFile) + '.xhtml' });
+    });
+    return {
+      title: chap.title,
+      html: convertMdfcToHtml(convertDeltaToMDF(extracted.contents)).replace(/<a href="#fnote_(\d+)" id="fnoteRef_(\d+)">/g,
+        '<a epub:type="noteref" href="' + notesFile + '#fnote_$1" id="fnoteRef_$2">')
+    };
+  });
+
+  if(endnotes.length > 0)
+    htmlChapters.push({ title: 'Notes', html: getEndnotesHtml(endnotes) });
+  return htmlChapters;
+}
+
+function getEndnotesHtml(endnotes){
+  var html = '<h1>Notes</h1>';
+  endnotes.forEach(function(endnote){
+    var backlink = '<a href="' + endnote.file + '#fnoteRef_' + endnote.number + '">' + endnote.number + '</a>. ';
+    var body = convertMdfcToHtml(convertDeltaToMDF({ ops: endnote.ops }));
+    //The number at the start of the footnote's first paragraph leads back to the reference
+    body = /<p[^>]*>/.test(body) ? body.replace(/<p[^>]*>/, function(tag){ return tag + backlink; }) : '<p>' + backlink + '</p>' + body;
+    html += '<div class="footnote" epub:type="endnote" id="fnote_' + endnote.number + '">' + body + '</div>';
+  });
+  return html;
+}
+
+function findFootnote(footnotes, number){
+  var footnote = footnotes.find(function(f){ return f.number == parseInt(number); });
+  if(!footnote)
+    throw new Error('Unknown footnote: ' + number);
+  return footnote;
+}
+
+function getBodyLines(number, text){
+  var ops = [];
+  String(text).replace(/\r\n/g, '\n').split('\n').forEach(function(line){
+    ops.push({ insert: '[^' + number + ']: ' + line + '\n' });
+  });
+  return ops;
+}
+
+//Where new footnote lines go: after the lines of the footnote before the reference at index, or before those of the
+//one after it, or else at the end of the chapter
+function getNewLinesEdit(delta, footnotes, index, lines){
+  var withLines = footnotes.filter(function(footnote){
+    return footnote.lines.length > 0 && footnote.references.length > 0;
+  });
+  var before = withLines.filter(function(footnote){ return footnote.references[0] < index; }).pop();
+  var after = withLines.find(function(footnote){ return footnote.references[0] >= index; });
+  if(before){
+    var last = before.lines[before.lines.length - 1];
+    if(last.index + last.length + 1 < getLength(delta))
+      return { index: last.index + last.length + 1, delete: 0, insert: lines };
+  }
+  else if(after){
+    return { index: after.lines[0].index, delete: 0, insert: lines };
+  }
+  return getAppendEdit(delta, lines);
+}
+
+//The last newline of a chapter carries its last line's format, so new lines at the end go before it with their
+//own plain newline moved to the end
+function getAppendEdit(delta, lines){
+  var length = getLength(delta);
+  var lastNewline = sliceOps(delta.ops, length - 1, length)[0];
+  var text = lines.map(function(op){ return op.insert; }).join('').slice(0, -1);
+  var insert = [lastNewline && lastNewline.attributes ? { insert: '\n', attributes: Object.assign({}, lastNewline.attributes) } : { insert: '\n' }, { insert: text }];
+  var edit = { index: length - 1, delete: 0, insert: insert };
+  if(lastNewline && lastNewline.attributes){
+    edit.format = {};
+    Object.keys(lastNewline.attributes).forEach(function(key){
+      edit.format[key] = null;
+    });
+  }
+  return edit;
+}
+
+//An edit replacing length characters at index with text in the format of the characters it replaces
+function replaceText(delta, index, length, text){
+  var replaced = sliceOps(delta.ops, index, index + 1)[0];
+  return { index: index, delete: length, insert: [replaced && replaced.attributes ? { insert: text, attributes: Object.assign({}, replaced.attributes) } : { insert: text }] };
+}
+
+//Applies edits that don't overlap: { index, delete, insert: [ops], format } where format changes the character just
+//after the deleted text (a newline). Returns { contents, change }.
+function applyEdits(delta, edits){
+  var contents = [];
+  var change = [];
+  var pos = 0;
+  edits.slice().sort(function(a, b){ return a.index - b.index; }).forEach(function(edit){
+    contents = contents.concat(sliceOps(delta.ops, pos, edit.index));
+    if(edit.index > pos)
+      change.push({ retain: edit.index - pos });
+    if(edit.insert){
+      contents = contents.concat(edit.insert);
+      change = change.concat(edit.insert.map(function(op){ return Object.assign({}, op); }));
+    }
+    if(edit.delete > 0)
+      change.push({ delete: edit.delete });
+    pos = edit.index + (edit.delete || 0);
+    if(edit.format){
+      sliceOps(delta.ops, pos, pos + 1).forEach(function(op){
+        var attributes = Object.assign({}, op.attributes);
+        Object.keys(edit.format).forEach(function(key){
+          if(edit.format[key] == null)
+            delete attributes[key];
+          else
+            attributes[key] = edit.format[key];
+        });
+        contents.push(Object.keys(attributes).length > 0 ? { insert: op.insert, attributes: attributes } : { insert: op.insert });
+      });
+      change.push({ retain: 1, attributes: edit.format });
+      pos += 1;
+    }
+  });
+  contents = contents.concat(sliceOps(delta.ops, pos, Infinity));
+  return { contents: { ops: mergeOps(contents) }, change: { ops: change } };
+}
+
+//Joins neighbouring text with the same format
+function mergeOps(ops){
+  var merged = [];
+  ops.forEach(function(op){
+    if(typeof op.insert == 'string' && op.insert == '')
+      return;
+    var last = merged[merged.length - 1];
+    if(last && typeof last.insert == 'string' && typeof op.insert == 'string' &&
+      JSON.stringify(last.attributes || {}) == JSON.stringify(op.attributes || {}))
+      merged[merged.length - 1] = Object.assign({}, last, { insert: last.insert + op.insert });
+    else
+      merged.push(op);
+  });
+  return merged;
+}
+
+//The lines of a delta as { index, text } without their newlines
+function getLines(delta){
+  var lines = [];
+  var text = getText(delta);
+  var index = 0;
+  text.split('\n').forEach(function(line){
+    lines.push({ index: index, text: line });
+    index += line.length + 1;
+  });
+  //Text after the last newline isn't a line
+  lines.pop();
+  return lines;
+}
+
+function getLength(delta){
+  var length = 0;
+  delta.ops.forEach(function(op){
+    length += typeof op.insert == 'string' ? op.insert.length : 1;
+  });
+  return length;
+}
+
+function getText(delta){
+  var text = '';
+  delta.ops.forEach(function(op){
+    text += typeof op.insert == 'string' ? op.insert : ' ';
+  });
+  return text;
+}
+
+module.exports = {
+  getFootnotes,
+  renumberFootnotes,
+  insertFootnote,
+  setFootnoteText,
+  removeFootnote,
+  extractFootnotes,
+  getEpubChapters
+};
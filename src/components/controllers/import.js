@@ -39,11 +39,12 @@ function importFilesAsync(filepaths, options, addImportedChapter, cback, importe
   var path = filepaths.shift();
 
   if(options.fileType.id == 'docxSelect'){
-    importDocx(path, options.docxOptions.splitChapters, function(delts){
+    importDocx(path, options.docxOptions.splitChapters, function(delts, reviews){
         recurse(delts.map(function(delt, i, arr){
           return {
             title: generateChapTitleFromFirstLine(delt),
-            delta: delt
+            delta: delt,
+            review: reviews[i]
           };
         }));
     })
@@ -68,7 +69,7 @@ function importFilesAsync(filepaths, options, addImportedChapter, cback, importe
     }
     else {
       importedDeltas.forEach((delt, i) => {
-        addImportedChapter(delt.delta, delt.title);
+        addImportedChapter(delt.delta, delt.title, delt.review);
       });
       hideWorking();
       cback();
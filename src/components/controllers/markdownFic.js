@@ -14,6 +14,11 @@ function parseMDF(str){
   let rightHeader3 = /^\[>r] ### (.+)/gm
   let rightHeader4 = /^\[>r] #### (.+)/gm
 
+  let sceneBreakWithText = /^\[#scene(?: ([\w-]+))?\] (.+)/gm;
+  let sceneBreak = /^\[#scene(?: ([\w-]+))?\](?=\r?$)/gm;
+  let anchorWithText = /^\[#anchor ([\w-]+@\d+\+\d+)\] (.+)/gm;
+  let anchor = /^\[#anchor ([\w-]+@\d+\+\d+)\](?=\r?$)/gm;
+
   let blockquote = /^>+ {0,1}(.+)/gm;
   let alignLeft = /^\[>l] (.+)/gm;
   let alignRight = /^\[>r] (.+)/gm;
@@ -28,6 +33,16 @@ function parseMDF(str){
   str = str.replaceAll('"','\\"');
   str = str.replaceAll('\t','\\t'); 
 
+  //Scene breaks (see controllers/scenes.js); a break without an id gets one when the chapter is next edited
+  str = str.replace(sceneBreakWithText, function(match, id, text){
+    return '{"insert":"' + text + '"},{"insert":"\\n","attributes":{"scene":' + (id ? '"' + id + '"' : 'true') + '}},';
+  });
+  str = str.replace(sceneBreak, function(match, id){
+    return '{"insert":"\\n","attributes":{"scene":' + (id ? '"' + id + '"' : 'true') + '}},';
+  });
+  //Notes anchored to a passage of their chapter (see controllers/anchored-notes.js)
+  str = str.replace(anchorWithText, '{"insert":"$2"},{"insert":"\\n","attributes":{"anchor":"$1"}},');
+  str = str.replace(anchor, '{"insert":"\\n","attributes":{"anchor":"$1"}},');
   str = str.replace(centeredHeader1, '{"insert":"$1"},{"insert":"\\n","attributes":{"align":"center","header":1}},');
   str = str.replace(centeredHeader2, '{"insert":"$1"},{"insert":"\\n","attributes":{"align":"center","header":2}},');
   str = str.replace(centeredHeader3, '{"insert":"$1"},{"insert":"\\n","attributes":{"align":"center","header":3}},');
@@ -98,7 +113,11 @@ function convertDeltaToMDF(delt){
 
   parsedQuill.paragraphs.forEach((para, i) => {
     
-    if(para.textRuns.length > 0)
+    if(para.attributes && para.attributes.scene)
+      mdf += getSceneBreakMarker(para.attributes.scene, para.textRuns.some(run => run.text != ''));
+    else if(para.attributes && para.attributes.anchor)
+      mdf += '[#anchor ' + para.attributes.anchor + ']' + (para.textRuns.some(run => run.text != '') ? ' ' : '');
+    else if(para.textRuns.length > 0)
       mdf += getLineMarker(para.attributes);
 
     para.textRuns.forEach((run, i) => {
@@ -156,8 +175,13 @@ function getLineMarker(attr){
   return marker;
 };
 
+function getSceneBreakMarker(id, hasText){
+  return '[#scene' + (typeof id == 'string' ? ' ' + id : '') + ']' + (hasText ? ' ' : '');
+}
+
+//Footnote references and lines ("[^1]", "[^1]: ") are left as they are (see controllers/footnotes.js)
 function escapeAnyMarkers(text){
-  var escapedMarkersRegx = /(\*\*|\*|~~|__|#|\[>|>|\[\^)/g;
+  var escapedMarkersRegx = /(\*\*|\*|~~|__|#|\[>|>|\[\^(?!\d+\]))/g;
 
   return text.replace(escapedMarkersRegx, '\\$1');
 }
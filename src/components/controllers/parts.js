@@ -0,0 +1,176 @@
+const { randomUUID } = require('crypto');
+
+//Parts (or Books, Acts...) are named containers for chapters. project.chapters stays a flat list in reading order,
+//and each chapter points at its container with partId. A part's chapters are always kept contiguous, so the
+//list reads as a sequence of runs: chapters with no part, then a part's chapters, then the next part's, and so on.
+
+function newPart(title){
+  return {
+    id: randomUUID(),
+    title: title,
+    collapsed: false
+  };
+}
+
+function getPart(project, partId){
+  if(partId == null || !project.parts)
+    return null;
+  return project.parts.find(function(part){
+    return part.id == partId;
+  }) || null;
+}
+
+function getPartRuns(project){
+  var runs = [];
+  project.chapters.forEach(function(chap, i){
+    var partId = getPart(project, chap.partId) ? chap.partId : null;
+    var lastRun = runs[runs.length - 1];
+    if(lastRun && lastRun.partId == partId)
+      lastRun.end = i + 1;
+    else
+      runs.push({ partId: partId, part: getPart(project, partId), start: i, end: i + 1 });
+  });
+  return runs;
+}
+
+//Map of chapter index -> part for each chapter that opens a part
+function getPartStarts(project){
+  var starts = {};
+  getPartRuns(project).forEach(function(run){
+    if(run.part)
+      starts[run.start] = run.part;
+  });
+  return starts;
+}
+
+//Starts a new part at chapIndex, taking in that chapter and the rest of its current run
+function addPart(project, chapIndex, title){
+  if(!project.parts)
+    project.parts = [];
+
+  var part = newPart(title);
+  var run = getPartRuns(project).find(function(r){
+    return chapIndex >= r.start && chapIndex < r.end;
+  });
+
+  if(run){
+    for(let i = chapIndex; i < run.end; i++)
+      project.chapters[i].partId = part.id;
+  }
+
+  project.parts.push(part);
+  normalizeParts(project);
+  return part;
+}
+
+//Removes the container only. Its chapters stay where they are, outside of any part.
+function removePart(project, partId){
+  project.chapters.forEach(function(chap){
+    if(chap.partId == partId)
+      chap.partId = null;
+  });
+  project.parts = project.parts.filter(function(part){
+    return part.id != partId;
+  });
+}
+
+function togglePartCollapsed(project, partId){
+  var part = getPart(project, partId);
+  if(part)
+    part.collapsed = !part.collapsed;
+  return part;
+}
+
+//When moving a chapter one step up (-1) or down (1) would carry it over the edge of its part, it changes
+//container instead of changing position. Returns true if that happened.
+function moveChapterAcrossPartEdge(project, chapIndex, direction){
+  var chap = project.chapters[chapIndex];
+  var neighbour = project.chapters[chapIndex + direction];
+  var partId = getPart(project, chap.partId) ? chap.partId : null;
+
+  if(neighbour){
+    var neighbourPartId = getPart(project, neighbour.partId) ? neighbour.partId : null;
+    if(neighbourPartId != partId){
+      chap.partId = neighbourPartId;
+      normalizeParts(project);
+      return true;
+    }
+  }
+  else if(partId != null){
+    chap.partId = null;
+    normalizeParts(project);
+    return true;
+  }
+
+  return false;
+}
+
+//Moves a chapter to the end of the previous run (-1) or the start of the next run (1). Returns its new index.
+function moveChapterToAdjacentPart(project, chapIndex, direction){
+  var runs = getPartRuns(project);
+  var runIndex = runs.findIndex(function(r){
+    return chapIndex >= r.start && chapIndex < r.end;
+  });
+  var target = runs[runIndex + direction];
+
+  if(runIndex == -1 || !target)
+    return chapIndex;
+
+  var chap = project.chapters.splice(chapIndex, 1)[0];
+  chap.partId = target.partId;
+
+  var newIndex = direction < 0 ? target.end : target.start - 1;
+  project.chapters.splice(newIndex, 0, chap);
+  normalizeParts(project);
+  return newIndex;
+}
+
+//Keeps the structure consistent however chapters were moved: a chapter that would split a part
+//joins the run before it, empty parts are dropped and parts are ordered as they appear.
+//Returns true if anything changed.
+function normalizeParts(project){
+  if(!project.parts)
+    project.parts = [];
+
+  var changed = false;
+  var seen = [];
+  var previousPartId = null;
+
+  project.chapters.forEach(function(chap){
+    var partId = getPart(project, chap.partId) ? chap.partId : null;
+    if(partId == null && chap.partId != null){
+      chap.partId = null;
+      changed = true;
+    }
+    if(partId != null && partId != previousPartId && seen.includes(partId)){
+      chap.partId = previousPartId;
+      partId = previousPartId;
+      changed = true;
+    }
+    if(partId != null && !seen.includes(partId))
+      seen.push(partId);
+    previousPartId = partId;
+  });
+
+  var ordered = seen.map(function(partId){
+    return getPart(project, partId);
+  });
+  if(ordered.length != project.parts.length || ordered.some(function(part, i){ return part != project.parts[i]; })){
+    project.parts = ordered;
+    changed = true;
+  }
+
+  return changed;
+}
+
+module.exports = {
+  getPart,
+  getPartRuns,
+  getPartStarts,
+  addPart,
+  removePart,
+  togglePartCollapsed,
+  moveChapterAcrossPartEdge,
+  moveChapterToAdjacentPart,
+  normalizeParts
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+
+//A single-file project (.woolfz) is a zip holding exactly what a folder project keeps on disk: the .woolf
+//manifest at the top level and its chapters directory (chapters, notes, project_corkboard.txt...) beside it.
+//While open, a container is unpacked into a working directory and edited there like any folder project;
+//each save is journaled in the working directory as usual and then repacked into the container, which is
+//replaced in a single rename so it is never left half written.
+//Packing and unpacking are asynchronous (archiver and unzipper, as for backups and .docx files). A save writes the
+//working directory at once and packs a snapshot of it afterwards; packs of the same container run one after another,
+//and whenPacked() waits for them before the container is read again or the app exits.
+//Until its pack is written, a working directory is marked as pending; reopening a container whose working
+//directory is pending or holds a save journal loads that directory and packs it, instead of unpacking over it.
+
+const containerExtension = '.woolfz';
+const tempSuffix = '.woolf-tmp';
+const journalSuffix = '.journal';
+const searchIndexFilename = '.woolf-search-index.json'; //A cache that is rebuilt when missing (see search-index.js)
+const pendingPackFilename = '.woolf-pack-pending'; //Beside the manifest, so it is never packed
+
+var packing = {}; //The last pack of each container path, as a promise
+
+function isContainerPath(filepath){
+  return typeof filepath == 'string' && filepath.toLowerCase().endsWith(containerExtension);
+}
+
+//Where a container is unpacked while it is open. Stable per container path, so reopening reuses it.
+function getWorkingDirectory(containerPath){
+  var hash = crypto.createHash('sha1').update(path.resolve(containerPath)).digest('hex').slice(0, 16);
+  return path.join(os.tmpdir(), 'warewoolf-containers', hash).replaceAll('\\', '/') + '/';
+}
+
+//Unpacks a container into destDirectory. Resolves to the manifest's filename.
+function unpackContainer(containerPath, destDirectory){
+  return whenPacked(containerPath).then(function(){
+    return unzipper.Open.file(containerPath);
+  }).then(function(zip){
+    var files = zip.files.filter(function(file){
+      return file.type == 'File';
+    });
+    var manifests = files.filter(function(file){
+      return !file.path.includes('/') && file.path.endsWith('.woolf');
+    });
+    if(manifests.length != 1)
+      throw new Error(containerPath + ' is not a WareWoolf project: expected one .woolf file at the top level, found ' + manifests.length);
+
+    //Checked before anything is written
+    var targets = files.map(function(file){
+      return resolveInside(destDirectory, file.path);
+    });
+    return files.reduce(function(previous, file, i){
+      return previous.then(function(){
+        return file.buffer();
+      }).then(function(data){
+        fs.mkdirSync(path.dirname(targets[i]), { recursive: true });
+        fs.writeFileSync(targets[i], data);
+      });
+    }, Promise.resolve()).then(function(){
+      return manifests[0].path;
+    });
+  });
+}
+
+//Packs the manifest and its chapters directory into containerPath, replacing it atomically. The files are read
+//before this returns, so later saves don't change what is packed. Resolves once the container is written.
+function packContainer(projDirectory, projFilename, containerPath){
+  var manifest = fs.readFileSync(projDirectory + projFilename);
+  var chapsDirectory = JSON.parse(manifest.toString('utf8')).chapsDirectory || '';
+
+  var entries = [{ name: projFilename, data: manifest }];
+  if(chapsDirectory != '' && fs.existsSync(projDirectory + chapsDirectory))
+    entries = entries.concat(listFiles(projDirectory, chapsDirectory.replace(/\/$/, '')));
+
+  //Folder projects converted to a single file are left as they are
+  var pendingToken = isWorkingDirectory(projDirectory, containerPath) ? markPackPending(projDirectory) : null;
+
+  var pack = whenPacked(containerPath).then(function(){
+    return writeContainer(entries, containerPath);
+  }).then(function(written){
+    if(pendingToken)
+      clearPackPending(projDirectory, pendingToken);
+    return written;
+  });
+  packing[containerPath] = pack;
+  return pack;
+}
+
+function writeContainer(entries, containerPath){
+  return new Promise(function(resolve, reject){
+    var tempPath = containerPath + tempSuffix;
+    var fd = fs.openSync(tempPath, 'w');
+    var output = fs.createWriteStream(null, { fd: fd, autoClose: false });
+    var archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    var failed = false;
+    var fail = function(err){
+      if(failed)
+        return;
+      failed = true;
+      fs.closeSync(fd);
+      fs.rmSync(tempPath, { force: true });
+      reject(err);
+    };
+    archive.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', function(){
+      try{
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fs.renameSync(tempPath, containerPath);
+        resolve(containerPath);
+      }
+      catch(err){
+        reject(err);
+      }
+    });
+
+    archive.pipe(output);
+    entries.forEach(function(entry){
+      archive.append(entry.data, { name: entry.name });
+    });
+    archive.finalize();
+  });
+}
+
+function isWorkingDirectory(directory, containerPath){
+  return path.resolve(directory) == path.resolve(getWorkingDirectory(containerPath));
+}
+
+//Each pack writes its own token, so an older pack finishing late doesn't clear the mark of a newer one
+function markPackPending(projDirectory){
+  var token = crypto.randomBytes(8).toString('hex');
+  fs.writeFileSync(projDirectory + pendingPackFilename, token, 'utf8');
+  return token;
+}
+
+function clearPackPending(projDirectory, token){
+  var markPath = projDirectory + pendingPackFilename;
+  if(fs.existsSync(markPath) && fs.readFileSync(markPath, 'utf8') == token)
+    fs.unlinkSync(markPath);
+}
+
+//The manifest filename in containerPath's working directory if that holds work the container may not have:
+//a save that was never packed (the pack failed, or the app quit first) or one that was interrupted (its journal
+//is still there). Otherwise null, and the working directory can be unpacked over.
+function getUnpackedWork(containerPath){
+  var workingDirectory = getWorkingDirectory(containerPath);
+  if(!fs.existsSync(workingDirectory))
+    return null;
+
+  var names = fs.readdirSync(workingDirectory);
+  var journaled = names.filter(function(name){
+    return name.endsWith('.woolf' + journalSuffix);
+  }).map(function(name){
+    return name.slice(0, -journalSuffix.length);
+  });
+  if(journaled.length == 0 && !names.includes(pendingPackFilename))
+    return null;
+
+  var manifests = journaled.concat(names.filter(function(name){
+    return name.endsWith('.woolf');
+  }));
+  return manifests.length > 0 ? manifests[0] : null;
+}
+
+//Resolves when the packs under way (of containerPath, or of every container) are done, whether or not they worked
+function whenPacked(containerPath = null){
+  var packs = containerPath ? [packing[containerPath]] : Object.values(packing);
+  return Promise.all(packs.map(function(pack){
+    return pack ? pack.catch(function(){}) : null;
+  }));
+}
+
+//Lossless conversion from a folder project to a single file. Every file is carried over byte for byte.
+//Resolves to containerPath.
+function convertToContainer(woolfPath, containerPath){
+  woolfPath = woolfPath.replaceAll('\\', '/');
+  var projDirectory = woolfPath.slice(0, woolfPath.lastIndexOf('/') + 1);
+  var projFilename = woolfPath.slice(woolfPath.lastIndexOf('/') + 1);
+  if(fs.existsSync(containerPath))
+    return Promise.reject(new Error(containerPath + ' already exists'));
+  return packContainer(projDirectory, projFilename, containerPath);
+}
+
+//Lossless conversion from a single file to a folder project in destDirectory. Resolves to the new .woolf path.
+//Refuses to overwrite anything that is already there.
+function convertFromContainer(containerPath, destDirectory){
+  destDirectory = destDirectory.replaceAll('\\', '/');
+  if(!destDirectory.endsWith('/'))
+    destDirectory += '/';
+
+  return whenPacked(containerPath).then(function(){
+    return unzipper.Open.file(containerPath);
+  }).then(function(zip){
+    var existing = zip.files.find(function(file){
+      return file.type == 'File' && fs.existsSync(resolveInside(destDirectory, file.path));
+    });
+    if(existing)
+      throw new Error(destDirectory + existing.path + ' already exists');
+    return unpackContainer(containerPath, destDirectory);
+  }).then(function(manifest){
+    return destDirectory + manifest;
+  });
+}
+
+function listFiles(rootDirectory, relDirectory){
+  var files = [];
+  fs.readdirSync(rootDirectory + relDirectory, { withFileTypes: true }).forEach(function(dirent){
+    var relPath = relDirectory + '/' + dirent.name;
+    if(dirent.isDirectory())
+      files = files.concat(listFiles(rootDirectory, relPath));
+    else if(dirent.isFile() && !dirent.name.endsWith(tempSuffix) && !dirent.name.endsWith(journalSuffix) && dirent.name != searchIndexFilename)
+      files.push({ name: relPath, data: fs.readFileSync(rootDirectory + relPath) });
+  });
+  return files;
+}
+
+//Guards against entries like "../../somewhere" escaping the destination
+function resolveInside(directory, name){
+  var root = path.resolve(directory);
+  var target = path.resolve(root, name);
+  if(path.isAbsolute(name) || (target != root && !target.startsWith(root + path.sep)))
+    throw new Error('Refusing to unpack ' + name + ' outside of the project directory');
+  return target;
+}
+
+module.exports = {
+  containerExtension,
+  isContainerPath,
+  getWorkingDirectory,
+  unpackContainer,
+  packContainer,
+  getUnpackedWork,
+  convertToContainer,
+  convertFromContainer,
+  whenPacked
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const newChapter = require('../models/chapter');
+const { parseMDF, convertDeltaToMDF } = require('./markdownFic');
+const { getCardsFromFile } = require('./corkboard');
+const { getNumberedTitle } = require('./renumber-chapters');
+const { sanitizeFilename } = require('./utils');
+const { logError } = require('./error-log');
+
+//Project templates are skeletons for new projects, kept as JSON files in the templates directory under userData:
+//  {
+//    name, description,
+//    chapterNaming: { pattern: 'Chapter [num]', useNumerals: true }, //Titles for new chapters, or null
+//    chapters: [{ title, text, notes }], //Starter chapters (one blank chapter if none)
+//    reference: [{ title, text, notes }], //Reference documents such as a character bible or style sheet
+//    cards: [{ label, descr, color, checked }], //Starter corkboard cards
+//    notes: '' //Project notes
+//  }
+//Texts are MarkdownFic, so templates can be written by hand as well as saved from a project.
+
+const templatesFolder = 'templates';
+const templateExt = '.json';
+
+function getTemplatesDirectory(userDataDirectory){
+  return userDataDirectory + '/' + templatesFolder + '/';
+}
+
+//Name and description of every template, by name
+function listTemplates(templatesDirectory){
+  if(!fs.existsSync(templatesDirectory))
+    return [];
+
+  var templates = [];
+  fs.readdirSync(templatesDirectory).filter(function(filename){
+    return filename.endsWith(templateExt);
+  }).forEach(function(filename){
+    try{
+      var template = readTemplateFile(templatesDirectory + filename);
+      templates.push({ name: template.name, description: template.description || '' });
+    }
+    catch(err){
+      logError(err);
+    }
+  });
+  return templates.sort(function(a, b){
+    return a.name.localeCompare(b.name);
+  });
+}
+
+function loadTemplate(templatesDirectory, name){
+  var filepath = templatesDirectory + sanitizeFilename(name) + templateExt;
+  if(!fs.existsSync(filepath))
+    throw new Error('Unknown template: ' + name);
+  return readTemplateFile(filepath);
+}
+
+function saveTemplate(templatesDirectory, template){
+  if(!template.name || template.name.trim() == '')
+    throw new Error('A template needs a name');
+  fs.mkdirSync(templatesDirectory, { recursive: true });
+  fs.writeFileSync(templatesDirectory + sanitizeFilename(template.name) + templateExt, JSON.stringify(template, null, '\t'), 'utf8');
+}
+
+function deleteTemplate(templatesDirectory, name){
+  var filepath = templatesDirectory + sanitizeFilename(name) + templateExt;
+  if(fs.existsSync(filepath))
+    fs.unlinkSync(filepath);
+}
+
+//Fills a new, empty project from the template. Everything is unsaved until the project is saved.
+function applyTemplate(project, template){
+  project.chapterNaming = template.chapterNaming && template.chapterNaming.pattern ? {
+    pattern: template.chapterNaming.pattern,
+    useNumerals: template.chapterNaming.useNumerals !== false
+  } : null;
+
+  (template.reference || []).forEach(function(doc){
+    project.reference.push(createTemplateChapter(project, doc));
+  });
+
+  var starterChapters = template.chapters && template.chapters.length > 0 ? template.chapters : [{}];
+  starterChapters.forEach(function(doc){
+    var chap = createTemplateChapter(project, doc);
+    if(!doc.title)
+      chap.title = getNewChapterTitle(project, project.chapters.length);
+    project.chapters.push(chap);
+  });
+
+  if(template.cards && template.cards.length > 0){
+    project.pendingCards = template.cards.map(function(card){
+      return { label: card.label || '', descr: card.descr || '', color: card.color || 0, checked: card.checked == true };
+    });
+  }
+
+  if(template.notes){
+    project.notesChap.notes = parseMDF(template.notes);
+    project.notesChap.hasUnsavedChanges = true;
+  }
+
+  project.activeChapterIndex = 0;
+  project.hasUnsavedChanges = true;
+  return project;
+}
+
+//A template with the project's reference documents, corkboard cards, chapter naming and project notes.
+//With includeChapters the chapters come along too.
+function createTemplateFromProject(project, name, description = '', includeChapters = false){
+  var notes = project.notesChap && project.notesChap.getNotesContentOrFile ? project.notesChap.getNotesContentOrFile() : null;
+  var cards = project.pendingCards || (project.directory != '' ? getCardsFromFile(project.directory + project.chapsDirectory) : null);
+
+  return {
+    name: name,
+    description: description,
+    chapterNaming: project.chapterNaming || null,
+    chapters: includeChapters ? project.chapters.map(getTemplateDocument) : [],
+    reference: project.reference.map(getTemplateDocument),
+    cards: cards || [],
+    notes: notes ? convertDeltaToMDF(notes) : ''
+  };
+}
+
+//The title for a chapter added at the given position in project.chapters
+function getNewChapterTitle(project, index){
+  if(!project.chapterNaming)
+    return 'new';
+  return getNumberedTitle(project.chapterNaming.pattern, index + 1, project.chapterNaming.useNumerals);
+}
+
+function createTemplateChapter(project, doc){
+  var chap = newChapter(project);
+  chap.title = doc.title || 'new';
+  chap.contents = parseMDF(doc.text || '');
+  chap.notes = doc.notes ? parseMDF(doc.notes) : null;
+  chap.hasUnsavedChanges = true;
+  return chap;
+}
+
+function getTemplateDocument(chap){
+  var contents = chap.getContentsOrFile();
+  var notes = chap.getNotesContentOrFile();
+  return {
+    title: chap.title,
+    text: contents ? convertDeltaToMDF(contents) : '',
+    notes: notes ? convertDeltaToMDF(notes) : ''
+  };
+}
+
+function readTemplateFile(filepath){
+  var template = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  if(!template.name)
+    template.name = filepath.split('/').pop().slice(0, -templateExt.length);
+  return template;
+}
+
+module.exports = {
+  getTemplatesDirectory,
+  listTemplates,
+  loadTemplate,
+  saveTemplate,
+  deleteTemplate,
+  applyTemplate,
+  createTemplateFromProject,
+  getNewChapterTitle
+};
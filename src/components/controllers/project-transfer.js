@@ -0,0 +1,41 @@
+const newChapter = require('../models/chapter');
+
+//Copying and moving chapters between open projects. The copy is read in full (contents and notes) from the
+//source project's files and held in memory as an unsaved chapter of the target, so it is written into the
+//target's own chapters directory on the target's next save.
+//A move is a copy that keeps the chapter's id, after which the original goes to the source project's trash.
+
+function copyChapterToProject(chap, target, keepId = false){
+  var copy = newChapter(target);
+  var id = copy.id;
+  copy.parseChapter(JSON.parse(JSON.stringify(chap)));
+
+  //A chapter only keeps its id when it moves and the target doesn't already have a chapter with it
+  var idTaken = target.chapters.concat(target.reference, target.trash).some(function(ch){
+    return ch.id == chap.id;
+  });
+  if(!keepId || idTaken)
+    copy.id = id;
+
+  copy.filename = null;
+  copy.partId = null; //Parts belong to the source project
+  copy.contents = clone(chap.getContentsOrFile());
+  copy.notes = clone(chap.getNotesContentOrFile());
+  copy.hasUnsavedChanges = true;
+
+  //Reference material stays reference material
+  if(chap.project && chap.project.reference.includes(chap))
+    target.reference.push(copy);
+  else
+    target.chapters.push(copy);
+  target.hasUnsavedChanges = true;
+  return copy;
+}
+
+function clone(delta){
+  return delta ? JSON.parse(JSON.stringify(delta)) : null;
+}
+
+module.exports = {
+  copyChapterToProject
+};
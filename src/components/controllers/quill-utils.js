@@ -89,10 +89,30 @@ function flattenInserts(ops){
   return flattened;
 }
 
+//The ops covering characters start to end of a delta (embeds count as one character)
+function sliceOps(ops, start, end){
+  var sliced = [];
+  var opStart = 0;
+  ops.forEach(function(op){
+    var opEnd = opStart + (typeof op.insert == 'string' ? op.insert.length : 1);
+    if(opEnd > start && opStart < end){
+      var slicedOp = Object.assign({}, op);
+      if(typeof op.insert == 'string')
+        slicedOp.insert = op.insert.slice(Math.max(0, start - opStart), Math.min(op.insert.length, end - opStart));
+      if(op.attributes)
+        slicedOp.attributes = Object.assign({}, op.attributes);
+      sliced.push(slicedOp);
+    }
+    opStart = opEnd;
+  });
+  return sliced;
+}
+
 module.exports = {
   getTempQuill,
   splitDeltaAtIndices,
   generateChapTitleFromFirstLine,
   parseDelta,
-  flattenInserts
+  flattenInserts,
+  sliceOps
 }
\ No newline at end of file
@@ -6,8 +6,7 @@ function renumberChaps(project, startIndex, endIndex, withinChaps, useNumerals,
 
   for (let i = startIndex; i <= endIndex; i++){
     let chap = project.chapters[i];
-    var numText = useNumerals ? newNum : integerToWord(newNum);
-    chap.title = template.replaceAll('[num]', numText);
+    chap.title = getNumberedTitle(template, newNum, useNumerals);
     newNum++;
 
     if(withinChaps)
@@ -19,6 +18,11 @@ function renumberChaps(project, startIndex, endIndex, withinChaps, useNumerals,
     project.hasUnsavedChanges = true;
 }
 
+//Fills in [num] with the number as numerals or as a word
+function getNumberedTitle(template, num, useNumerals){
+  return template.replaceAll('[num]', useNumerals ? num : integerToWord(num));
+}
+
 function insertChapTitle(chap){
   var delt = chap.contents ? chap.contents : chap.getFile();
 
@@ -153,4 +157,7 @@ function integerToWord(i){
   return words[i];
 }
 
-module.exports = renumberChaps;
\ No newline at end of file
+module.exports = {
+  renumberChaps,
+  getNumberedTitle
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { logError } = require('./error-log');
+const journalExt = '.journal';
+const tempExt = '.woolf-tmp';
+
+//A project save is a list of writes (new file contents), renames and removes. Everything is first written to
+//temp files next to its target, then the journal is marked committed, then the temps are moved into place.
+//If we crash before the commit mark, the save is rolled back; if we crash after it, the save is rolled forward.
+//All paths in the journal are relative to the project directory so a project can be moved before it is recovered.
+
+function commitSave(projDirectory, projFilename, ops){
+  const journalPath = getJournalPath(projDirectory, projFilename);
+  var journal = {
+    state: 'pending',
+    startedAt: new Date().toISOString(),
+    writes: ops.writes.map(function(w){
+      return { target: w.path, temp: w.path + tempExt };
+    }),
+    renames: ops.renames || [],
+    removes: ops.removes || []
+  };
+
+  try{
+    writeFileDurable(journalPath, JSON.stringify(journal, null, '\t'));
+
+    ops.writes.forEach(function(w){
+      writeFileDurable(projDirectory + w.path + tempExt, w.data);
+    });
+
+    //Marking the journal committed is the single atomic step that decides the fate of the save
+    journal.state = 'committed';
+    writeFileDurable(journalPath + tempExt, JSON.stringify(journal, null, '\t'));
+    fs.renameSync(journalPath + tempExt, journalPath);
+
+    applyJournal(projDirectory, journal);
+    fs.unlinkSync(journalPath);
+  }
+  catch(err){
+    //Leave the project in a consistent state before reporting the failure
+    recoverInterruptedSave(projDirectory, projFilename);
+    throw err;
+  }
+}
+
+function recoverInterruptedSave(projDirectory, projFilename){
+  const journalPath = getJournalPath(projDirectory, projFilename);
+  var outcome = null;
+
+  try{
+    if(fs.existsSync(journalPath + tempExt))
+      fs.unlinkSync(journalPath + tempExt);
+
+    if(!fs.existsSync(journalPath))
+      return null;
+
+    var journal;
+    try{
+      journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    }
+    catch(err){
+      //A journal that cannot be read was never committed, as the commit mark is written atomically
+      journal = null;
+    }
+
+    if(journal && journal.state == 'committed'){
+      applyJournal(projDirectory, journal);
+      outcome = 'rolled-forward';
+    }
+    else{
+      if(journal)
+        discardTemps(projDirectory, journal);
+      outcome = 'rolled-back';
+    }
+
+    fs.unlinkSync(journalPath);
+  }
+  catch(err){
+    logError(err);
+  }
+
+  return outcome;
+}
+
+function applyJournal(projDirectory, journal){
+  //Each step checks the disk first so a journal can safely be re-applied after a crash part way through
+  journal.writes.forEach(function(w){
+    if(fs.existsSync(projDirectory + w.temp))
+      fs.renameSync(projDirectory + w.temp, projDirectory + w.target);
+  });
+  journal.renames.forEach(function(r){
+    if(fs.existsSync(projDirectory + r.from) && !fs.existsSync(projDirectory + r.to))
+      fs.renameSync(projDirectory + r.from, projDirectory + r.to);
+  });
+  journal.removes.forEach(function(path){
+    if(fs.existsSync(projDirectory + path))
+      fs.unlinkSync(projDirectory + path);
+  });
+}
+
+function discardTemps(projDirectory, journal){
+  journal.writes.forEach(function(w){
+    if(fs.existsSync(projDirectory + w.temp))
+      fs.unlinkSync(projDirectory + w.temp);
+  });
+}
+
+function writeFileDurable(path, data){
+  var fd = fs.openSync(path, 'w');
+  try{
+    fs.writeSync(fd, data, null, 'utf8');
+    fs.fsyncSync(fd);
+  }
+  finally{
+    fs.closeSync(fd);
+  }
+}
+
+function getJournalPath(projDirectory, projFilename){
+  return projDirectory + projFilename + journalExt;
+}
+
+module.exports = {
+  commitSave,
+  recoverInterruptedSave
+};
@@ -0,0 +1,384 @@
+const { randomUUID } = require('crypto');
+const { sliceOps } = require('./quill-utils');
+const { countWords } = require('./wordcount');
+const chapterMetadata = require('./chapter-metadata');
+const { getTags, setTags } = require('./tags');
+const { shiftAnchorsBetween } = require('./anchored-notes');
+const newChapter = require('../models/chapter');
+
+//Scenes are the parts of a chapter between scene breaks. A scene break is an empty line whose newline carries the
+//'scene' line format with the scene's id as its value (saved in MDFC as a "[#scene <id>]" line). The text before
+//the first break is the chapter's opening scene, which has no break and uses the id 'opening'.
+//Each chapter keeps its scenes' metadata in chap.scenes, keyed by scene id: { title, summary, status }.
+
+const sceneFormat = 'scene';
+const openingSceneId = 'opening';
+
+//What a scene break turns into when compiling or exporting, by format. userSettings.compileSceneBreaks overrides these.
+const defaultSceneBreaks = {
+  '.docx': '#',
+  '.txt': '* * *',
+  '.mdfc': '* * *',
+  '.md': '* * *',
+  '.html': '* * *',
+  '.epub': '* * *'
+};
+
+function newSceneId(){
+  return randomUUID();
+}
+
+function isSceneBreak(op){
+  return typeof op.insert == 'string' && op.attributes != null && op.attributes[sceneFormat] != null && op.attributes[sceneFormat] !== false;
+}
+
+//The op that ends a scene break line
+function createBreakOp(id){
+  return { insert: '\n', attributes: { [sceneFormat]: id } };
+}
+
+//The scenes of a delta in order: { number, id, start, length, breakLength }. A scene runs from the start of its break
+//line to the start of the next one, so it always ends with a newline. An empty opening scene is left out.
+function getScenes(delta){
+  var breaks = [];
+  var pos = 0;
+  var lineStart = 0;
+  var ops = delta && delta.ops ? delta.ops : [];
+
+  ops.forEach(function(op){
+    if(typeof op.insert != 'string'){
+      pos++;
+      return;
+    }
+    for(let i = 0; i < op.insert.length; i++){
+      if(op.insert[i] == '\n'){
+        if(isSceneBreak(op)){
+          var id = op.attributes[sceneFormat];
+          breaks.push({ id: typeof id == 'string' && id != '' ? id : null, start: lineStart, end: pos + i + 1 });
+        }
+        lineStart = pos + i + 1;
+      }
+    }
+    pos += op.insert.length;
+  });
+
+  var scenes = [];
+  var openingEnd = breaks.length > 0 ? breaks[0].start : pos;
+  if(breaks.length == 0 || openingEnd > 0)
+    scenes.push({ id: openingSceneId, start: 0, length: openingEnd, breakLength: 0 });
+
+  breaks.forEach(function(brk, i){
+    var end = i + 1 < breaks.length ? breaks[i + 1].start : pos;
+    scenes.push({ id: brk.id, start: brk.start, length: end - brk.start, breakLength: brk.end - brk.start });
+  });
+
+  scenes.forEach(function(scene, i){
+    scene.number = i + 1;
+  });
+  return scenes;
+}
+
+//The scene containing a position in the delta
+function getSceneAt(delta, index){
+  var scenes = getScenes(delta);
+  var found = scenes[0];
+  scenes.forEach(function(scene){
+    if(scene.start <= index)
+      found = scene;
+  });
+  return found;
+}
+
+//A scene by id or by number (1 is the first)
+function findScene(scenes, sceneRef){
+  var scene = scenes.find(function(s){ return s.id != null && s.id == sceneRef; });
+  if(!scene && /^\d+$/.test(String(sceneRef)))
+    scene = scenes[parseInt(sceneRef) - 1];
+  if(!scene)
+    throw new Error('Unknown scene: ' + sceneRef);
+  return scene;
+}
+
+//Scenes with their metadata and word counts, for the outliner and scripts
+function listScenes(chap, delta){
+  var contents = delta || chap.getContentsOrFile();
+  return getScenes(contents).map(function(scene){
+    var metadata = getSceneMetadata(chap, scene.id);
+    var text = getText({ ops: sliceOps(contents.ops, scene.start + scene.breakLength, scene.start + scene.length) });
+    return {
+      number: scene.number,
+      id: scene.id,
+      title: metadata.title,
+      summary: metadata.summary,
+      status: metadata.status,
+      words: countWords(text),
+      start: scene.start,
+      length: scene.length
+    };
+  });
+}
+
+function getSceneMetadata(chap, sceneId){
+  var metadata = chap.scenes && sceneId != null ? chap.scenes[sceneId] : null;
+  return {
+    title: metadata && metadata.title ? metadata.title : '',
+    summary: metadata && metadata.summary ? metadata.summary : '',
+    status: metadata && metadata.status ? metadata.status : null
+  };
+}
+
+//Changes title, summary and status of a scene, checking them first. Empty values are removed.
+function setSceneMetadata(chap, sceneRef, changes){
+  ensureSceneIds(chap);
+  var scene = findScene(getScenes(chap.getContentsOrFile()), sceneRef);
+  var metadata = getSceneMetadata(chap, scene.id);
+
+  if(changes.status !== undefined){
+    var status = changes.status == null || changes.status === '' ? null : String(changes.status).toLowerCase();
+    if(status != null && !chapterMetadata.statuses.includes(status))
+      throw new Error('Invalid status "' + changes.status + '". Use one of: ' + chapterMetadata.statuses.join(', '));
+    metadata.status = status;
+  }
+  if(changes.title !== undefined)
+    metadata.title = changes.title == null ? '' : String(changes.title).trim();
+  if(changes.summary !== undefined)
+    metadata.summary = changes.summary == null ? '' : String(changes.summary);
+
+  storeSceneMetadata(chap, scene.id, metadata);
+  if(chap.project)
+    chap.project.hasUnsavedChanges = true;
+  return Object.assign({ number: scene.number, id: scene.id }, getSceneMetadata(chap, scene.id));
+}
+
+function storeSceneMetadata(chap, sceneId, metadata){
+  var scenes = Object.assign({}, chap.scenes);
+  var stored = {};
+  ['title', 'summary', 'status'].forEach(function(key){
+    if(metadata && metadata[key])
+      stored[key] = metadata[key];
+  });
+  if(Object.keys(stored).length > 0)
+    scenes[sceneId] = stored;
+  else
+    delete scenes[sceneId];
+  chap.scenes = scenes;
+}
+
+//Gives every scene break an id of its own: breaks written by hand ("[#scene]") have none, and pasting a break
+//copies its id. Returns true when the chapter's contents changed.
+function ensureSceneIds(chap){
+  var contents = chap.getContentsOrFile();
+  if(!contents)
+    return false;
+
+  var seen = new Set();
+  var changed = false;
+  var ops = [];
+  contents.ops.forEach(function(op){
+    if(!isSceneBreak(op)){
+      ops.push(op);
+      return;
+    }
+    //One op per break line, so each can have its own id
+    for(let i = 0; i < op.insert.length; i++){
+      var id = op.attributes[sceneFormat];
+      if(typeof id != 'string' || id == '' || id == openingSceneId || seen.has(id)){
+        id = newSceneId();
+        changed = true;
+      }
+      seen.add(id);
+      ops.push({ insert: '\n', attributes: Object.assign({}, op.attributes, { [sceneFormat]: id }) });
+    }
+    if(op.insert.length > 1)
+      changed = true;
+  });
+
+  if(changed)
+    setContents(chap, { ops: ops });
+  return changed;
+}
+
+//The change that puts a new scene break at index: on an empty line of its own, splitting the line if index is inside one
+function getInsertBreakChange(delta, index, id){
+  var text = getText(delta);
+  var ops = [];
+  if(index > 0)
+    ops.push({ retain: index });
+  if(index > 0 && text[index - 1] != '\n')
+    ops.push({ insert: '\n' });
+  ops.push(createBreakOp(id));
+  return { ops: ops };
+}
+
+//Moves a scene to the end of another chapter (which may be in another open project), with its metadata
+function moveScene(fromChap, sceneRef, toChap){
+  if(fromChap == toChap)
+    throw new Error('The scene is already in this chapter');
+  ensureSceneIds(fromChap);
+  ensureSceneIds(toChap);
+
+  var fromDelta = fromChap.getContentsOrFile();
+  var scene = findScene(getScenes(fromDelta), sceneRef);
+  var metadata = fromChap.scenes ? fromChap.scenes[scene.id] : null;
+  var moved = sliceOps(fromDelta.ops, scene.start, scene.start + scene.length);
+
+  var remaining = sliceOps(fromDelta.ops, 0, scene.start).concat(sliceOps(fromDelta.ops, scene.start + scene.length, Infinity));
+  storeSceneMetadata(fromChap, scene.id, null);
+  setContents(fromChap, { ops: remaining.length > 0 ? remaining : [{ insert: '\n' }] });
+  dropLeadingBreak(fromChap);
+
+  var toDelta = toChap.getContentsOrFile() || { ops: [{ insert: '\n' }] };
+  var id = scene.id;
+  if(getText(toDelta).trim() == ''){
+    //An empty chapter is replaced by the scene, which becomes its opening
+    toDelta = { ops: [] };
+  }
+  else if(id == openingSceneId){
+    id = newSceneId();
+    moved = [createBreakOp(id)].concat(moved);
+  }
+  storeSceneMetadata(toChap, id, metadata);
+  setContents(toChap, { ops: toDelta.ops.concat(moved) });
+  dropLeadingBreak(toChap);
+
+  //The moved scene is now the target's last
+  return getScenes(toChap.getContentsOrFile()).pop();
+}
+
+//Splits a chapter at one of its scene breaks. The new chapter comes right after it, in the same part, and takes
+//that scene and the ones after it with their metadata. The project's active chapter stays the same one.
+function splitChapterAtScene(project, chap, sceneRef){
+  ensureSceneIds(chap);
+  var delta = chap.getContentsOrFile();
+  var scenes = getScenes(delta);
+  var scene = findScene(scenes, sceneRef);
+  if(scene.breakLength == 0)
+    throw new Error('The first scene has no scene break to split the chapter at');
+
+  var newChap = newChapter(project);
+  var sceneTitle = getSceneMetadata(chap, scene.id).title;
+  newChap.title = sceneTitle != '' ? sceneTitle : chap.title;
+  newChap.partId = chap.partId;
+  setTags(newChap, getTags(chap));
+  newChap.status = chap.status || null;
+
+  scenes.slice(scenes.indexOf(scene)).forEach(function(moving){
+    if(chap.scenes && chap.scenes[moving.id]){
+      storeSceneMetadata(newChap, moving.id, chap.scenes[moving.id]);
+      storeSceneMetadata(chap, moving.id, null);
+    }
+  });
+  setContents(newChap, { ops: sliceOps(delta.ops, scene.start, Infinity) });
+  dropLeadingBreak(newChap);
+  setContents(chap, { ops: sliceOps(delta.ops, 0, scene.start) });
+
+  var allChaps = project.chapters.concat(project.reference, project.trash);
+  var globalIndex = allChaps.indexOf(chap);
+  var list = [project.chapters, project.reference, project.trash].find(function(l){ return l.includes(chap); });
+  list.splice(list.indexOf(chap) + 1, 0, newChap);
+  if(project.activeChapterIndex > globalIndex)
+    project.activeChapterIndex++;
+
+  project.hasUnsavedChanges = true;
+  return newChap;
+}
+
+//A chapter starting with a scene break shows the break at its top; the scene after it becomes the opening instead
+function dropLeadingBreak(chap){
+  var contents = chap.getContentsOrFile();
+  var first = getScenes(contents)[0];
+  if(!first || first.start != 0 || first.breakLength == 0)
+    return;
+
+  var metadata = chap.scenes ? chap.scenes[first.id] : null;
+  storeSceneMetadata(chap, first.id, null);
+  storeSceneMetadata(chap, openingSceneId, metadata);
+  var rest = sliceOps(contents.ops, first.breakLength, Infinity);
+  setContents(chap, { ops: rest.length > 0 ? rest : [{ insert: '\n' }] });
+}
+
+//Replaces each scene break with a centered line of breakText ('' leaves an empty line). A break at the very
+//start of a chapter is left out.
+function renderSceneBreaks(delta, breakText){
+  var ops = [];
+  var pos = 0;
+  getScenes(delta).forEach(function(scene){
+    if(scene.breakLength == 0)
+      return;
+    ops = ops.concat(sliceOps(delta.ops, pos, scene.start));
+    if(scene.start > 0){
+      if(breakText)
+        ops.push({ insert: breakText });
+      ops.push(breakText ? { insert: '\n', attributes: { align: 'center' } } : { insert: '\n' });
+    }
+    pos = scene.start + scene.breakLength;
+  });
+  return { ops: ops.concat(sliceOps(delta.ops, pos, Infinity)) };
+}
+
+//The scene break text for a compile or export format, from the user's settings or the default
+function getSceneBreakStyle(type, overrides){
+  if(overrides && typeof overrides[type] == 'string')
+    return overrides[type];
+  return defaultSceneBreaks[type] !== undefined ? defaultSceneBreaks[type] : '* * *';
+}
+
+function setContents(chap, contents){
+  shiftAnchorsBetween(chap, chap.getContentsOrFile(), contents);
+  chap.contents = contents;
+  chap.hasUnsavedChanges = true;
+  chapterMetadata.markEdited(chap);
+  if(chap.project)
+    chap.project.hasUnsavedChanges = true;
+}
+
+function getText(delta){
+  var text = '';
+  delta.ops.forEach(function(op){
+    text += typeof op.insert == 'string' ? op.insert : ' ';
+  });
+  return text;
+}
+
+//Registers the scene break line format with Quill: a paragraph showing a break marker (see the .scene-break style)
+function registerSceneFormat(Quill){
+  const Block = Quill.import('blots/block');
+
+  class SceneBreak extends Block {
+    static create(value){
+      var node = super.create(value);
+      if(typeof value == 'string')
+        node.setAttribute('data-scene', value);
+      return node;
+    }
+
+    static formats(node){
+      return node.getAttribute('data-scene') || true;
+    }
+  }
+  SceneBreak.blotName = sceneFormat;
+  SceneBreak.tagName = 'P';
+  SceneBreak.className = 'scene-break';
+
+  Quill.register(SceneBreak, true);
+}
+
+module.exports = {
+  sceneFormat,
+  openingSceneId,
+  defaultSceneBreaks,
+  newSceneId,
+  getScenes,
+  getSceneAt,
+  findScene,
+  listScenes,
+  getSceneMetadata,
+  setSceneMetadata,
+  ensureSceneIds,
+  getInsertBreakChange,
+  moveScene,
+  splitChapterAtScene,
+  renderSceneBreaks,
+  getSceneBreakStyle,
+  registerSceneFormat
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const { logError } = require('./error-log');
+
+//An in-memory inverted index over the plain text of a project's chapters, reference documents and notes, so
+//project-wide searches never have to load each chapter into the editor.
+//The index maps lowercased words to the documents containing them and only narrows down which documents to
+//scan; every hit is then confirmed against the document's text, which gives exact offsets for any query mode.
+//Documents are refreshed before each search: unsaved chapters from memory, saved ones only when their file
+//changed. Saves update the chapters they wrote (see project.saveFile).
+
+const indexFilename = '.woolf-search-index.json'; //Kept in the chapters directory when persisting is on
+const indexVersion = 1;
+const snippetRadius = 40;
+
+function createSearchIndex(project, persist = false){
+  var docs = new Map(); //key -> { key, chapterId, kind, filename, mtimeMs, text, words }
+  var postings = new Map(); //word -> Set of document keys
+
+  var index = {
+    persist: persist,
+    refresh: refresh,
+    updateChapter: updateChapter,
+    search: search,
+    save: save,
+    getDocumentCount: function(){ return docs.size; }
+  };
+
+  if(persist)
+    load();
+
+  return index;
+
+  //Brings every document up to date with the project, reading only what changed
+  function refresh(){
+    var seen = new Set();
+
+    project.chapters.concat(project.reference).forEach(function(chap){
+      var kind = project.reference.includes(chap) ? 'reference' : 'chapter';
+      syncDocument(chap.id, kind, chap, chap.contents, chap.filename, seen);
+      syncDocument(chap.id + ':notes', 'notes', chap, chap.notes, chap.filename ? '-notes_' + chap.filename : null, seen);
+    });
+
+    var notesChap = project.notesChap;
+    if(notesChap && notesChap.filename)
+      syncDocument('project:notes', 'project-notes', notesChap, notesChap.notes, '-notes_' + notesChap.filename, seen);
+
+    Array.from(docs.keys()).forEach(function(key){
+      if(!seen.has(key))
+        removeDocument(key);
+    });
+  }
+
+  function syncDocument(key, kind, chap, delta, filename, seen){
+    seen.add(key);
+    var doc = docs.get(key);
+
+    //Unsaved text is indexed straight from memory
+    if(delta){
+      var text = getDeltaText(delta);
+      if(!doc || doc.text != text)
+        setDocument(key, kind, chap, text, filename, null);
+      return;
+    }
+
+    var mtimeMs = getMtime(filename);
+    if(mtimeMs == null){
+      removeDocument(key);
+      seen.delete(key);
+      return;
+    }
+    if(doc && doc.filename == filename && doc.mtimeMs == mtimeMs)
+      return;
+
+    var fileDelta = kind == 'notes' || kind == 'project-notes' ? chap.getNotesFile() : chap.getFile();
+    setDocument(key, kind, chap, getDeltaText(fileDelta), filename, mtimeMs);
+  }
+
+  //Called after a chapter is saved, while its saved contents and notes are still in memory
+  function updateChapter(chap){
+    if(chap == project.notesChap){
+      if(chap.notes)
+        setDocument('project:notes', 'project-notes', chap, getDeltaText(chap.notes), '-notes_' + chap.filename, getMtime('-notes_' + chap.filename));
+      return;
+    }
+
+    var contents = chap.getContentsOrFile();
+    setDocument(chap.id, project.reference.includes(chap) ? 'reference' : 'chapter', chap, getDeltaText(contents), chap.filename, getMtime(chap.filename));
+
+    var notes = chap.getNotesContentOrFile();
+    if(notes)
+      setDocument(chap.id + ':notes', 'notes', chap, getDeltaText(notes), '-notes_' + chap.filename, getMtime('-notes_' + chap.filename));
+    else
+      removeDocument(chap.id + ':notes');
+  }
+
+  function setDocument(key, kind, chap, text, filename, mtimeMs){
+    removeDocument(key);
+    var words = getWords(text);
+    docs.set(key, { key: key, chapterId: kind == 'project-notes' ? null : chap.id, kind: kind, filename: filename, mtimeMs: mtimeMs, text: text, words: words });
+    words.forEach(function(word){
+      if(!postings.has(word))
+        postings.set(word, new Set());
+      postings.get(word).add(key);
+    });
+  }
+
+  function removeDocument(key){
+    var doc = docs.get(key);
+    if(!doc)
+      return;
+    doc.words.forEach(function(word){
+      var keys = postings.get(word);
+      keys.delete(key);
+      if(keys.size == 0)
+        postings.delete(word);
+    });
+    docs.delete(key);
+  }
+
+  function getMtime(filename){
+    if(!filename || project.directory == '')
+      return null;
+    try{
+      return fs.statSync(project.directory + project.chapsDirectory + filename).mtimeMs;
+    }
+    catch(err){
+      return null;
+    }
+  }
+
+  //options: caseSensitive, wholeWord, regex, limit
+  //Returns hits in project order: { chapterId, kind, title, chapterIndex, offset, length, match, snippet, snippetOffset }
+  function search(query, options = {}){
+    if(!query)
+      return [];
+    var pattern = buildPattern(query, options);
+    refresh();
+
+    var results = [];
+    var limit = options.limit || Infinity;
+    var candidates = getCandidates(query, options);
+
+    getOrderedKeys().forEach(function(key){
+      if(results.length >= limit || !candidates.has(key))
+        return;
+      var doc = docs.get(key);
+      pattern.lastIndex = 0;
+      var match;
+      while(results.length < limit && (match = pattern.exec(doc.text)) != null){
+        if(match[0].length == 0){
+          pattern.lastIndex++;
+          continue;
+        }
+        if(options.wholeWord && !isWholeWord(doc.text, match.index, match[0].length))
+          continue;
+        results.push(makeResult(doc, match.index, match[0]));
+      }
+    });
+
+    return results;
+  }
+
+  //Documents that could match. Regex queries can match anything, so every document is scanned.
+  function getCandidates(query, options){
+    var all = new Set(docs.keys());
+    if(options.regex)
+      return all;
+    var queryWords = tokenize(query.toLowerCase());
+    if(queryWords.length == 0)
+      return all;
+
+    //Without whole-word matching the first word may be the end of a longer word and the last may be the start of one
+    var candidates = null;
+    queryWords.forEach(function(queryWord, i){
+      var keys = new Set();
+      var first = i == 0;
+      var last = i == queryWords.length - 1;
+      postings.forEach(function(wordKeys, word){
+        var matches;
+        if(options.wholeWord || (!first && !last))
+          matches = word == queryWord;
+        else if(first && last)
+          matches = word.includes(queryWord);
+        else if(first)
+          matches = word.endsWith(queryWord);
+        else
+          matches = word.startsWith(queryWord);
+        if(matches)
+          wordKeys.forEach(function(key){ keys.add(key); });
+      });
+      candidates = candidates == null ? keys : new Set(Array.from(candidates).filter(function(key){ return keys.has(key); }));
+    });
+    return candidates;
+  }
+
+  function getOrderedKeys(){
+    var keys = [];
+    project.chapters.concat(project.reference).forEach(function(chap){
+      keys.push(chap.id, chap.id + ':notes');
+    });
+    keys.push('project:notes');
+    return keys;
+  }
+
+  function makeResult(doc, offset, match){
+    var chapterIndex = -1;
+    var title = 'Project Notes';
+    if(doc.kind != 'project-notes'){
+      chapterIndex = project.getChapterIndexById(doc.chapterId);
+      var chap = project.getChapterById(doc.chapterId);
+      title = chap ? chap.title : '';
+    }
+
+    var snippetStart = Math.max(0, offset - snippetRadius);
+    var snippetEnd = Math.min(doc.text.length, offset + match.length + snippetRadius);
+    var snippet = doc.text.slice(snippetStart, snippetEnd).replace(/\s/g, ' ');
+
+    return {
+      chapterId: doc.chapterId,
+      kind: doc.kind,
+      title: title,
+      chapterIndex: chapterIndex,
+      offset: offset,
+      length: match.length,
+      match: match,
+      snippet: (snippetStart > 0 ? '...' : '') + snippet + (snippetEnd < doc.text.length ? '...' : ''),
+      snippetOffset: offset - snippetStart + (snippetStart > 0 ? 3 : 0)
+    };
+  }
+
+  //Persisting keeps the text of each saved document so reopening a big project only rereads changed files
+  function save(){
+    if(!index.persist || project.directory == '' || project.chapsDirectory == null)
+      return;
+    try{
+      var saved = { version: indexVersion, docs: [] };
+      docs.forEach(function(doc){
+        if(doc.mtimeMs != null)
+          saved.docs.push({ key: doc.key, chapterId: doc.chapterId, kind: doc.kind, filename: doc.filename, mtimeMs: doc.mtimeMs, text: doc.text });
+      });
+      fs.writeFileSync(project.directory + project.chapsDirectory + indexFilename, JSON.stringify(saved), 'utf8');
+    }
+    catch(err){
+      logError(err);
+    }
+  }
+
+  function load(){
+    var filepath = project.directory + project.chapsDirectory + indexFilename;
+    if(project.directory == '' || !fs.existsSync(filepath))
+      return;
+    try{
+      var saved = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      if(saved.version != indexVersion)
+        return;
+      saved.docs.forEach(function(doc){
+        setDocument(doc.key, doc.kind, { id: doc.chapterId }, doc.text, doc.filename, doc.mtimeMs);
+      });
+    }
+    catch(err){
+      logError(err);
+    }
+  }
+}
+
+//The project's index, created on first use. persist (the user setting) is only changed when given.
+function getSearchIndex(project, persist){
+  if(!project.searchIndex)
+    project.searchIndex = createSearchIndex(project, persist == true);
+  else if(persist != undefined)
+    project.searchIndex.persist = persist;
+  return project.searchIndex;
+}
+
+//Plain text with the same offsets the editor uses (embeds count as one character)
+function getDeltaText(delta){
+  if(!delta || !delta.ops)
+    return '';
+  return delta.ops.map(function(op){
+    return typeof op.insert == 'string' ? op.insert : ' ';
+  }).join('');
+}
+
+function tokenize(text){
+  return text.match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function getWords(text){
+  return new Set(tokenize(text.toLowerCase()));
+}
+
+function isWordChar(c){
+  return c != undefined && /[\p{L}\p{N}_]/u.test(c);
+}
+
+function isWholeWord(text, offset, length){
+  return !isWordChar(text[offset - 1]) && !isWordChar(text[offset + length]);
+}
+
+//Plain queries match as a phrase: the words in order, with any run of spaces or line breaks between them
+function buildPattern(query, options){
+  var flags = 'g' + (options.caseSensitive ? '' : 'i');
+  if(options.regex)
+    return new RegExp(query, flags + 'm');
+  var source = query.trim().split(/\s+/).map(function(part){
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('\\s+');
+  return new RegExp(source, flags + 'u');
+}
+
+module.exports = {
+  indexFilename,
+  createSearchIndex,
+  getSearchIndex,
+  getDeltaText
+};
@@ -0,0 +1,180 @@
+const { randomUUID } = require('crypto');
+
+//Tags are free text labels on chapters, e.g. "draft" or "pov:Anna", kept in chap.filter. A "key:value" tag can be
+//matched by its key alone ("pov:" matches any POV). Matching ignores case, but tags keep the case they were typed in.
+//Saved filter views over them live in project.filters and the one narrowing the chapter list is project.activeFilterId.
+//Projects from before tags have a filter of null on every chapter, which is read as no tags.
+
+function normalizeTag(tag){
+  return String(tag == null ? '' : tag).replace(/\s+/g, ' ').trim();
+}
+
+//Accepts "a, b, c" or an array and returns the distinct, non-empty tags
+function parseTagList(tags){
+  if(tags == null)
+    return [];
+  var list = Array.isArray(tags) ? tags : String(tags).split(',');
+  var parsed = [];
+  list.forEach(function(tag){
+    tag = normalizeTag(tag);
+    if(tag != '' && !containsTag(parsed, tag))
+      parsed.push(tag);
+  });
+  return parsed;
+}
+
+function containsTag(tags, tag){
+  return tags.some(function(t){
+    return t.toLowerCase() == tag.toLowerCase();
+  });
+}
+
+function getTags(chap){
+  return Array.isArray(chap.filter) ? chap.filter : [];
+}
+
+function setTags(chap, tags){
+  chap.filter = parseTagList(tags);
+}
+
+function hasTag(chap, term){
+  term = normalizeTag(term).toLowerCase();
+  return getTags(chap).some(function(tag){
+    tag = tag.toLowerCase();
+    if(term.endsWith(':'))
+      return tag.startsWith(term);
+    return tag == term;
+  });
+}
+
+//Returns the tags that were not already on the chapter
+function tagChapter(chap, tags){
+  var added = parseTagList(tags).filter(function(tag){
+    return !containsTag(getTags(chap), tag);
+  });
+  if(added.length > 0)
+    chap.filter = getTags(chap).concat(added);
+  return added;
+}
+
+//Returns the tags that were actually removed
+function untagChapter(chap, tags){
+  var terms = parseTagList(tags);
+  var removed = getTags(chap).filter(function(tag){
+    return containsTag(terms, tag);
+  });
+  if(removed.length > 0)
+    chap.filter = getTags(chap).filter(function(tag){
+      return !containsTag(terms, tag);
+    });
+  return removed;
+}
+
+//query is { tags, match } where match is 'all' (default) or 'any'. A query with no tags matches everything.
+function chapterMatches(chap, query){
+  var terms = parseTagList(query.tags);
+  if(terms.length == 0)
+    return true;
+  if(query.match == 'any')
+    return terms.some(function(term){ return hasTag(chap, term); });
+  return terms.every(function(term){ return hasTag(chap, term); });
+}
+
+//Returns the indexes of the compiling chapters that match
+function queryChapters(project, query){
+  var indexes = [];
+  project.chapters.forEach(function(chap, i){
+    if(chapterMatches(chap, query))
+      indexes.push(i);
+  });
+  return indexes;
+}
+
+//Every tag used in the project with how many chapters carry it, sorted by name
+function getAllTags(project){
+  var counts = {};
+  var names = {};
+  project.chapters.concat(project.reference).forEach(function(chap){
+    getTags(chap).forEach(function(tag){
+      var key = tag.toLowerCase();
+      if(!names[key])
+        names[key] = tag;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return Object.keys(names).sort().map(function(key){
+    return { tag: names[key], count: counts[key] };
+  });
+}
+
+function getFilterView(project, filterId){
+  if(filterId == null || !project.filters)
+    return null;
+  return project.filters.find(function(view){
+    return view.id == filterId;
+  }) || null;
+}
+
+function getFilterViewByName(project, name){
+  if(!project.filters)
+    return null;
+  return project.filters.find(function(view){
+    return view.name.toLowerCase() == normalizeTag(name).toLowerCase();
+  }) || null;
+}
+
+//Saving a view with the name of an existing one updates that view
+function saveFilterView(project, name, tags, match){
+  if(!project.filters)
+    project.filters = [];
+  var view = getFilterViewByName(project, name);
+  if(!view){
+    view = { id: randomUUID(), name: normalizeTag(name) };
+    project.filters.push(view);
+  }
+  view.tags = parseTagList(tags);
+  view.match = match == 'any' ? 'any' : 'all';
+  return view;
+}
+
+function removeFilterView(project, filterId){
+  project.filters = (project.filters || []).filter(function(view){
+    return view.id != filterId;
+  });
+  if(project.activeFilterId == filterId)
+    project.activeFilterId = null;
+}
+
+function getActiveFilterView(project){
+  return getFilterView(project, project.activeFilterId);
+}
+
+function setActiveFilterView(project, filterId){
+  project.activeFilterId = getFilterView(project, filterId) ? filterId : null;
+  return getActiveFilterView(project);
+}
+
+function isChapterInActiveView(project, chap){
+  var view = getActiveFilterView(project);
+  return !view || chapterMatches(chap, view);
+}
+
+module.exports = {
+  normalizeTag,
+  parseTagList,
+  getTags,
+  setTags,
+  hasTag,
+  tagChapter,
+  untagChapter,
+  chapterMatches,
+  queryChapters,
+  getAllTags,
+  getFilterView,
+  getFilterViewByName,
+  saveFilterView,
+  removeFilterView,
+  getActiveFilterView,
+  setActiveFilterView,
+  isChapterInActiveView
+};
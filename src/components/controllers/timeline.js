@@ -0,0 +1,353 @@
+const { randomUUID } = require('crypto');
+const { getScenes, getSceneMetadata, openingSceneId } = require('./scenes');
+const { getTags } = require('./tags');
+const codex = require('./codex');
+
+//The timeline places chapters and scenes in story order, which can differ from the order they are read in.
+//project.timeline is the list of timeline events in story order: { id, chapterId, sceneId, date, end, codex }.
+//sceneId is null for an event covering the whole chapter. date and end are optional in-story dates
+//("1873-05-14" or "1873-05-14 18:00"); an undated event is placed by its position alone. codex holds the ids of
+//the codex entries present in the event, and the codex entries named by its chapter's tags ("pov:Anna") count too.
+//A date without a time covers the whole day, so it overlaps every event on that day.
+
+const datePattern = /^(-?\d{1,6})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/;
+
+function getTimeline(project){
+  if(!Array.isArray(project.timeline))
+    project.timeline = [];
+  return project.timeline;
+}
+
+function getEvent(project, eventId){
+  var event = getTimeline(project).find(function(e){ return e.id == eventId; });
+  if(!event)
+    throw new Error('Unknown timeline event: ' + eventId);
+  return event;
+}
+
+//The event for a chapter (sceneId null) or one of its scenes, or null
+function findEventFor(project, chapterId, sceneId = null){
+  return getTimeline(project).find(function(e){
+    return e.chapterId == chapterId && (e.sceneId || null) == (sceneId || null);
+  }) || null;
+}
+
+//Adds a chapter or scene to the timeline. A dated event goes after the last event that is not later than it,
+//an undated one at the end.
+function addEvent(project, values){
+  var chap = project.chapters.find(function(c){ return c.id == values.chapterId; });
+  if(!chap)
+    throw new Error('Unknown chapter: ' + values.chapterId);
+  var sceneId = values.sceneId && values.sceneId != openingSceneId ? values.sceneId : null;
+  if(findEventFor(project, chap.id, sceneId))
+    throw new Error((sceneId ? 'That scene' : 'That chapter') + ' is already on the timeline');
+
+  var event = { id: randomUUID(), chapterId: chap.id, sceneId: sceneId, date: '', end: '', codex: [] };
+  applyValues(project, event, values);
+  var events = getTimeline(project);
+  events.splice(event.date != '' ? getDatedPosition(events, event) : events.length, 0, event);
+  project.hasUnsavedChanges = true;
+  return event;
+}
+
+//Only the given values change. A new date moves the event to its place among the dated events.
+function updateEvent(project, eventId, values){
+  var event = getEvent(project, eventId);
+  var oldDate = event.date;
+  applyValues(project, event, values);
+  if(event.date != '' && event.date != oldDate){
+    var events = getTimeline(project);
+    events.splice(events.indexOf(event), 1);
+    events.splice(getDatedPosition(events, event), 0, event);
+  }
+  project.hasUnsavedChanges = true;
+  return event;
+}
+
+//Moves an event to a position in story order (0 is the earliest)
+function moveEvent(project, eventId, position){
+  var events = getTimeline(project);
+  var event = getEvent(project, eventId);
+  events.splice(events.indexOf(event), 1);
+  position = Math.max(0, Math.min(events.length, parseInt(position) || 0));
+  events.splice(position, 0, event);
+  project.hasUnsavedChanges = true;
+  return position;
+}
+
+function removeEvent(project, eventId){
+  var events = getTimeline(project);
+  var event = getEvent(project, eventId);
+  events.splice(events.indexOf(event), 1);
+  project.hasUnsavedChanges = true;
+  return event;
+}
+
+function applyValues(project, event, values){
+  var date = values.date !== undefined ? normalizeDate(values.date) : event.date;
+  var end = values.end !== undefined ? normalizeDate(values.end) : event.end;
+  if(end != '' && date == '')
+    throw new Error('An event needs a date before it can have an end');
+  if(end != '' && parseStoryDate(end).end < parseStoryDate(date).start)
+    throw new Error('An event cannot end before it starts');
+  event.date = date;
+  event.end = end;
+
+  if(values.codex !== undefined){
+    var list = Array.isArray(values.codex) ? values.codex : String(values.codex == null ? '' : values.codex).split(',');
+    var ids = [];
+    list.map(function(ref){ return String(ref).trim(); }).filter(function(ref){ return ref != ''; }).forEach(function(ref){
+      var entry = codex.getEntry(project, ref);
+      if(!ids.includes(entry.id))
+        ids.push(entry.id);
+    });
+    event.codex = ids;
+  }
+}
+
+function normalizeDate(value){
+  var date = String(value == null ? '' : value).trim().replace('T', ' ');
+  if(date != '')
+    parseStoryDate(date);
+  return date;
+}
+
+//The span of an in-story date as comparable minute numbers: { start, end }. Years may be negative or far off,
+//so the numbers are counted here rather than with Date.
+function parseStoryDate(date){
+  var match = datePattern.exec(String(date).trim());
+  var month = match ? parseInt(match[2]) : 0;
+  var day = match ? parseInt(match[3]) : 0;
+  var hour = match && match[4] !== undefined ? parseInt(match[4]) : null;
+  var minute = match && match[5] !== undefined ? parseInt(match[5]) : null;
+  if(!match || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59)
+    throw new Error('Invalid story date: ' + date + ' (use YYYY-MM-DD or YYYY-MM-DD HH:MM)');
+
+  var dayStart = ((parseInt(match[1]) * 13 + month) * 32 + day) * 24 * 60;
+  if(hour == null)
+    return { start: dayStart, end: dayStart + 24 * 60 - 1 };
+  return { start: dayStart + hour * 60 + minute, end: dayStart + hour * 60 + minute };
+}
+
+function getSpan(event){
+  if(event.date == '')
+    return null;
+  var span = parseStoryDate(event.date);
+  if(event.end != '')
+    span.end = parseStoryDate(event.end).end;
+  return span;
+}
+
+function getDatedPosition(events, event){
+  var start = getSpan(event).start;
+  var position = 0;
+  events.forEach(function(other, i){
+    if(other != event && other.date != '' && getSpan(other).start <= start)
+      position = i + 1;
+  });
+  return position;
+}
+
+//The codex entries present in an event: its own and those named by its chapter's tags
+function getEventEntries(project, event){
+  var ids = event.codex.slice();
+  var chap = project.chapters.find(function(c){ return c.id == event.chapterId; });
+  if(chap){
+    getTags(chap).forEach(function(tag){
+      var entry = codex.findEntry(project, tag);
+      var colon = tag.indexOf(':');
+      if(!entry && colon > -1)
+        entry = codex.findEntry(project, tag.slice(colon + 1).trim());
+      if(entry && !ids.includes(entry.id))
+        ids.push(entry.id);
+    });
+  }
+  return ids.map(function(id){
+    return codex.getEntries(project).find(function(entry){ return entry.id == id; });
+  }).filter(function(entry){
+    return entry != null;
+  });
+}
+
+//Chronology problems: { type, events, entryId, message }. type is 'order' for a dated event placed after a later
+//one, or 'place' for a character in two places at once.
+function findConflicts(project){
+  var conflicts = [];
+  var events = getTimeline(project).filter(function(event){
+    return project.chapters.some(function(c){ return c.id == event.chapterId; });
+  });
+
+  var latest = null;
+  events.forEach(function(event){
+    if(event.date == '')
+      return;
+    if(latest && getSpan(event).start < getSpan(latest).start){
+      conflicts.push({
+        type: 'order',
+        events: [latest.id, event.id],
+        entryId: null,
+        message: getEventTitle(project, event) + ' (' + event.date + ') comes after ' + getEventTitle(project, latest) + ' (' + latest.date + ')'
+      });
+    }
+    else
+      latest = event;
+  });
+
+  //Each character's dated events that have a place, compared two by two
+  var present = {};
+  events.forEach(function(event){
+    if(event.date == '')
+      return;
+    var entries = getEventEntries(project, event);
+    var places = entries.filter(function(entry){ return entry.type == 'place'; });
+    if(places.length == 0)
+      return;
+    entries.filter(function(entry){ return entry.type == 'character'; }).forEach(function(character){
+      present[character.id] = (present[character.id] || []).concat({ event: event, places: places, span: getSpan(event), character: character });
+    });
+  });
+  Object.keys(present).forEach(function(characterId){
+    var list = present[characterId];
+    for(let i = 0; i < list.length; i++){
+      for(let j = i + 1; j < list.length; j++){
+        var a = list[i], b = list[j];
+        var overlap = a.span.start <= b.span.end && b.span.start <= a.span.end;
+        var samePlace = a.places.some(function(place){ return b.places.includes(place); });
+        if(overlap && !samePlace){
+          conflicts.push({
+            type: 'place',
+            events: [a.event.id, b.event.id],
+            entryId: characterId,
+            message: a.character.name + ' is in ' + a.places[0].name + ' (' + getEventTitle(project, a.event) + ') and ' +
+              b.places[0].name + ' (' + getEventTitle(project, b.event) + ') at once'
+          });
+        }
+      }
+    }
+  });
+  return conflicts;
+}
+
+//Chapters and their scenes in reading order, with the timeline events in story order and their conflicts.
+//Events of chapters in the trash wait there until the chapter comes back. A scene moved to another chapter
+//takes its event along.
+async function getTimelineView(project){
+  var scenesByChapter = {};
+  for(let i = 0; i < project.chapters.length; i++){
+    var contents = await project.chapters[i].getContentsOrFileAsync();
+    scenesByChapter[project.chapters[i].id] = contents ? getScenes(contents) : [];
+  }
+  return buildView(project, scenesByChapter);
+}
+
+function buildView(project, scenesByChapter){
+  followMovedScenes(project, scenesByChapter);
+  var conflicts = findConflicts(project);
+
+  var narrative = [];
+  project.chapters.forEach(function(chap, chapterIndex){
+    var scenes = (scenesByChapter[chap.id] || []).filter(function(scene){ return scene.id != openingSceneId && scene.id != null; });
+    narrative.push(describeItem(project, chap, chapterIndex, null, null, conflicts));
+    scenes.forEach(function(scene){
+      narrative.push(describeItem(project, chap, chapterIndex, scene.id, scene.number, conflicts));
+    });
+  });
+  narrative.forEach(function(item, i){
+    item.narrative = i + 1;
+  });
+
+  var story = [];
+  getTimeline(project).forEach(function(event){
+    var item = narrative.find(function(i){ return i.event && i.event.id == event.id; });
+    if(item)
+      story.push(item);
+  });
+  story.forEach(function(item, i){
+    item.chronology = i + 1;
+  });
+
+  return { narrative: narrative, story: story, conflicts: conflicts };
+}
+
+function describeItem(project, chap, chapterIndex, sceneId, sceneNumber, conflicts){
+  var event = findEventFor(project, chap.id, sceneId);
+  return {
+    chapterIndex: chapterIndex,
+    chapterId: chap.id,
+    sceneId: sceneId,
+    sceneNumber: sceneNumber,
+    title: getItemTitle(chap, sceneId, sceneNumber),
+    event: event,
+    entries: event ? getEventEntries(project, event).map(function(entry){ return { id: entry.id, name: entry.name, type: entry.type }; }) : [],
+    conflicts: event ? conflicts.filter(function(c){ return c.events.includes(event.id); }).map(function(c){ return c.message; }) : [],
+    narrative: 0,
+    chronology: 0
+  };
+}
+
+function followMovedScenes(project, scenesByChapter){
+  getTimeline(project).forEach(function(event){
+    if(!event.sceneId || (scenesByChapter[event.chapterId] || []).some(function(s){ return s.id == event.sceneId; }))
+      return;
+    var newChapterId = Object.keys(scenesByChapter).find(function(chapterId){
+      return scenesByChapter[chapterId].some(function(s){ return s.id == event.sceneId; });
+    });
+    if(newChapterId && !findEventFor(project, newChapterId, event.sceneId)){
+      event.chapterId = newChapterId;
+      project.hasUnsavedChanges = true;
+    }
+  });
+}
+
+function getItemTitle(chap, sceneId, sceneNumber){
+  var title = chap.title != '' ? chap.title : '(untitled)';
+  if(sceneId)
+    title += ' - ' + (getSceneMetadata(chap, sceneId).title || 'Scene ' + sceneNumber);
+  return title;
+}
+
+function getEventTitle(project, event){
+  var chap = project.chapters.find(function(c){ return c.id == event.chapterId; });
+  if(!chap)
+    return '(missing chapter)';
+  if(!event.sceneId)
+    return getItemTitle(chap, null, null);
+  var contents = chap.getContentsOrFile();
+  var scene = contents ? getScenes(contents).find(function(s){ return s.id == event.sceneId; }) : null;
+  return getItemTitle(chap, event.sceneId, scene ? scene.number : '?');
+}
+
+//The timeline in story order as a delta, for the compile appendix
+function getTimelineAppendix(project){
+  //Chapters are only read when there are scene events to find
+  var hasScenes = getTimeline(project).some(function(event){ return event.sceneId; });
+  var scenesByChapter = {};
+  project.chapters.forEach(function(chap){
+    var contents = hasScenes ? chap.getContentsOrFile() : null;
+    scenesByChapter[chap.id] = contents ? getScenes(contents) : [];
+  });
+
+  var ops = [{ insert: 'Timeline' }, { insert: '\n', attributes: { header: 1 } }];
+  buildView(project, scenesByChapter).story.forEach(function(item){
+    var line = (item.event.date != '' ? item.event.date + (item.event.end != '' ? ' to ' + item.event.end : '') + ': ' : '') + item.title;
+    if(item.entries.length > 0)
+      line += ' (' + item.entries.map(function(entry){ return entry.name; }).join(', ') + ')';
+    ops.push({ insert: line + '\n' });
+  });
+  return { ops: ops };
+}
+
+module.exports = {
+  getTimeline,
+  getEvent,
+  findEventFor,
+  addEvent,
+  updateEvent,
+  moveEvent,
+  removeEvent,
+  parseStoryDate,
+  getEventEntries,
+  findConflicts,
+  getTimelineView,
+  getTimelineAppendix
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { randomUUID } = require('crypto');
+const newChapter = require('../models/chapter');
+const { parseMDF, convertDeltaToMDF } = require('./markdownFic');
+const { logError } = require('./error-log');
+const { getReviewFilename } = require('./chapter-review');
+
+//Permanently deleting chapters. A deleted chapter, whether purged from the trash after the retention period or
+//deleted by hand, goes into the project's purge log with its title, word count, dates, metadata and a compressed
+//copy of its contents and notes, so it can be recovered later. The log lives in the chapters directory and is
+//written in the same journaled save that removes the chapter's files (see project.saveFile).
+
+const purgeLogFilename = '.woolf-purge-log.json';
+const dayMs = 24 * 60 * 60 * 1000;
+
+//The log is read once and then kept on the project; project saves write it when it has changed
+function getPurgeLog(project){
+  if(project.purgeLog)
+    return project.purgeLog;
+
+  var log = [];
+  var filepath = project.directory + project.chapsDirectory + purgeLogFilename;
+  try{
+    if(project.directory != '' && fs.existsSync(filepath))
+      log = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  }
+  catch(err){
+    logError(err);
+  }
+  project.purgeLog = log;
+  return log;
+}
+
+//Trashed chapters whose retention period is over. Chapters trashed before retention existed start their
+//period now; the date is saved with the project's next save.
+function getExpiredChapters(project, retentionDays, now = new Date()){
+  if(!(retentionDays > 0))
+    return [];
+  return project.trash.filter(function(chap){
+    if(!chap.trashedAt)
+      chap.trashedAt = now.toISOString();
+    return now.getTime() - new Date(chap.trashedAt).getTime() >= retentionDays * dayMs;
+  });
+}
+
+function purgeExpired(project, retentionDays, now = new Date()){
+  var expired = getExpiredChapters(project, retentionDays, now);
+  return expired.length > 0 ? purgeChapters(project, expired, 'retention', now) : [];
+}
+
+//Removes the chapters from the project (from the trash, or from anywhere with reason 'deleted'), logs them and,
+//for saved projects, saves at once so their files are removed. Returns the new log entries.
+function purgeChapters(project, chaps, reason = 'deleted', now = new Date()){
+  var log = getPurgeLog(project);
+  var allChaps = project.chapters.concat(project.reference, project.trash);
+  var activeChap = allChaps[project.activeChapterIndex];
+  var removes = [];
+
+  var entries = chaps.map(function(chap){
+    var entry = createPurgeEntry(chap, reason, now);
+    [project.chapters, project.reference, project.trash].forEach(function(list){
+      if(list.includes(chap))
+        list.splice(list.indexOf(chap), 1);
+    });
+    if(chap.filename != null)
+      removes.push(project.chapsDirectory + chap.filename, project.chapsDirectory + '-notes_' + chap.filename,
+        project.chapsDirectory + getReviewFilename(chap.filename));
+    log.push(entry);
+    return entry;
+  });
+
+  //Keep the same chapter active, or the one that took the purged chapter's place
+  allChaps = project.chapters.concat(project.reference, project.trash);
+  if(allChaps.includes(activeChap))
+    project.activeChapterIndex = allChaps.indexOf(activeChap);
+  else
+    project.activeChapterIndex = Math.max(0, Math.min(project.activeChapterIndex, allChaps.length - 1));
+
+  project.purgeLogChanged = true;
+  project.hasUnsavedChanges = true;
+  if(project.directory != '')
+    project.saveFile({ writes: [], renames: [], removes: removes });
+  return entries;
+}
+
+//The log without the compressed contents, newest first
+function listPurged(project){
+  return getPurgeLog(project).map(function(entry){
+    return {
+      id: entry.id,
+      chapterId: entry.chapterId,
+      title: entry.title,
+      words: entry.words,
+      trashedAt: entry.trashedAt,
+      deletedAt: entry.deletedAt,
+      reason: entry.reason
+    };
+  }).reverse();
+}
+
+//Puts a purged chapter back at the end of the chapters, unsaved, and takes it out of the log
+function recoverPurged(project, entryId){
+  var log = getPurgeLog(project);
+  var entry = log.find(function(e){
+    return e.id == entryId;
+  });
+  if(!entry)
+    throw new Error('Unknown purged chapter: ' + entryId);
+
+  var saved = JSON.parse(zlib.gunzipSync(Buffer.from(entry.content, 'base64')).toString('utf8'));
+  var chap = newChapter(project);
+  var id = chap.id;
+  chap.parseChapter(entry.chapter);
+  if(project.getChapterById(chap.id))
+    chap.id = id;
+  if(chap.partId && !project.parts.some(function(part){ return part.id == chap.partId; }))
+    chap.partId = null;
+  chap.filename = null;
+  chap.trashedAt = null;
+  chap.contents = saved.contents != null ? parseMDF(saved.contents) : null;
+  chap.notes = saved.notes != null ? parseMDF(saved.notes) : null;
+  chap.hasUnsavedChanges = true;
+
+  //Reference and trash come after the chapters in activeChapterIndex
+  if(project.activeChapterIndex >= project.chapters.length && project.reference.length + project.trash.length > 0)
+    project.activeChapterIndex++;
+  project.chapters.push(chap);
+
+  log.splice(log.indexOf(entry), 1);
+  project.purgeLogChanged = true;
+  project.hasUnsavedChanges = true;
+  return chap;
+}
+
+function createPurgeEntry(chap, reason, now){
+  var contents = chap.getContentsOrFile();
+  var notes = chap.getNotesContentOrFile();
+  var saved = {
+    contents: contents ? convertDeltaToMDF(contents) : null,
+    notes: notes ? convertDeltaToMDF(notes) : null
+  };
+
+  return {
+    id: randomUUID(),
+    chapterId: chap.id,
+    title: chap.title,
+    words: chap.getWordCount(),
+    trashedAt: chap.trashedAt || null,
+    deletedAt: now.toISOString(),
+    reason: reason,
+    chapter: getChapterMetadata(chap),
+    content: zlib.gzipSync(Buffer.from(JSON.stringify(saved), 'utf8')).toString('base64') //Gzipped JSON of the MDFC contents and notes
+  };
+}
+
+//Everything the project file keeps for the chapter
+function getChapterMetadata(chap){
+  return JSON.parse(JSON.stringify(chap, function(k, v){
+    if(k == 'contents' || k == 'notes' || k == 'hasUnsavedChanges' || k == 'filename')
+      return undefined;
+    return v;
+  }));
+}
+
+module.exports = {
+  purgeLogFilename,
+  getPurgeLog,
+  getExpiredChapters,
+  purgeExpired,
+  purgeChapters,
+  listPurged,
+  recoverPurged
+};
@@ -20,28 +20,28 @@ class WoolfWorkerBridgeStream {
    * Register a remote client for event streaming
    * @param {Window} targetWindow - The iframe window to send events to
    * @param {string} origin - The origin for postMessage security
-   * @param {object} filters - Optional filters for events
+   * @param {object} filters - Optional filters for events. documentId picks the chapter whose OT document
+   * the stream follows (the chapter in the editor when registering, if not given).
    * @returns {number} Stream ID for this subscription
    */
   registerEventStream(targetWindow, origin, filters = {}) {
     const streamId = ++this.streamIdCounter;
+    const document = this.getDocument(filters || {});
 
     this.eventStreams.set(streamId, {
       targetWindow,
       origin,
-      filters,
+      filters: filters || {},
+      document,
       active: true
     });
 
     // Subscribe to document changes
-    const subscriptionId = this.addressWoolf.otDoc.subscribeToChanges(
-      `stream-${streamId}`,
-      (change) => {
-        this.sendChangeEvent(streamId, change);
-      }
-    );
+    const subscription = document.subscribe((change) => {
+      this.sendChangeEvent(streamId, change);
+    });
 
-    this.eventStreams.get(streamId).subscriptionId = subscriptionId;
+    this.eventStreams.get(streamId).subscriptionId = subscription.subscriberId;
 
     // Send initial state
     this.sendInitialState(streamId);
@@ -49,6 +49,16 @@ class WoolfWorkerBridgeStream {
     return streamId;
   }
 
+  /**
+   * The OT document a stream follows, from ADDRESS WOOLF (see WoolfRexxHandler.getDocument)
+   */
+  getDocument(filters) {
+    if (typeof this.addressWoolf.getDocument === 'function') {
+      return this.addressWoolf.getDocument({ documentId: filters.documentId });
+    }
+    return this.addressWoolf.otDoc;
+  }
+
   /**
    * Unregister an event stream
    */
@@ -58,7 +68,7 @@ class WoolfWorkerBridgeStream {
 
     // Unsubscribe from changes
     if (stream.subscriptionId) {
-      this.addressWoolf.otDoc.unsubscribeFromChanges(stream.subscriptionId);
+      stream.document.unsubscribe(stream.subscriptionId);
     }
 
     // Mark as inactive
@@ -79,11 +89,11 @@ class WoolfWorkerBridgeStream {
       streamId,
       timestamp: Date.now(),
       state: {
-        version: this.addressWoolf.otDoc.getVersion(),
-        documentId: this.addressWoolf.otDoc.documentId,
-        length: this.addressWoolf.otDoc.quill.getLength(),
-        activeUsers: Array.from(this.addressWoolf.otDoc.activeUsers.values()),
-        metadata: this.addressWoolf.otDoc.getMetadata()
+        version: stream.document.getVersion(),
+        documentId: stream.document.documentId,
+        length: stream.document.quill.getLength(),
+        activeUsers: Array.from(stream.document.activeUsers.values()),
+        metadata: stream.document.getMetadata()
       }
     };
 
@@ -106,6 +116,7 @@ class WoolfWorkerBridgeStream {
       type: 'woolf-change-event',
       serviceId: this.serviceId,
       streamId,
+      documentId: stream.document.documentId,
       timestamp: Date.now(),
       change
     };
@@ -234,7 +245,7 @@ class WoolfDirectorBridgeStream {
 
   /**
    * Register for event stream
-   * @param {object} filters - Optional filters for events
+   * @param {object} filters - Optional filters for events: userId, and documentId for the chapter to follow
    * @returns {Promise<number>} Stream ID
    */
   async registerStream(filters = {}) {
@@ -348,7 +359,8 @@ class WoolfDirectorBridgeStream {
 
     // Change event
     if (data && data.type === 'woolf-change-event') {
-      this.emitEvent('change', data.change);
+      // Which chapter's document changed, for clients following several
+      this.emitEvent('change', { documentId: data.documentId, ...data.change });
       return;
     }
 
@@ -57,6 +57,30 @@ class WoolfWorkerBridge {
       await this.handleInterpretJs(event);
       return;
     }
+
+    // 4. Cursor updates of remote users and agents, shown in the editor
+    if (data && data.type === 'woolf-cursor-event') {
+      await this.handleCursorEvent(event);
+      return;
+    }
+  }
+
+  /**
+   * Move a remote user's cursor or selection: { userId, userName, userType, documentId, cursor: { index, length } }.
+   * A userName announces (or keeps up) their presence; cursor events get no response.
+   */
+  async handleCursorEvent(event) {
+    const { userId, userName, userType, documentId, cursor } = event.data;
+    if (!userId || !cursor) return;
+
+    try {
+      if (userName) {
+        await this.addressWoolf.run('announce-presence', { userId, userName, userType: userType || 'agent', documentId });
+      }
+      await this.addressWoolf.run('set-selection', { userId, index: cursor.index, length: cursor.length || 0, documentId });
+    } catch (error) {
+      console.error('[WoolfWorkerBridge] Cursor event error:', error);
+    }
   }
 
   async handleControlMessage(event) {
@@ -244,6 +268,22 @@ class WoolfDirectorBridge {
     });
   }
 
+  /**
+   * Show this client's cursor or selection in the editor, labelled with its name
+   * @param {object} cursor - index, and length for a selection
+   * @param {object} options - userId (the clientId by default), userName, userType and documentId
+   */
+  sendCursor(cursor, options = {}) {
+    this.targetWindow.postMessage({
+      type: 'woolf-cursor-event',
+      userId: options.userId || this.clientId,
+      userName: options.userName,
+      userType: options.userType,
+      documentId: options.documentId,
+      cursor
+    }, this.targetOrigin);
+  }
+
   handleResponse(event) {
     const { data } = event;
 
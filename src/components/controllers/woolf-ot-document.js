@@ -6,12 +6,23 @@
  */
 
 class WoolfOTDocument {
-  constructor(quillEditor, documentId = 'default') {
+  /**
+   * @param {object} quillEditor - The Quill the document works on
+   * @param {string} documentId - The document's id
+   * @param {object} options - historyArchive: where entries beyond maxLogSize go instead of being dropped, with
+   * append(entries) and read(sinceVersion) (see woolf-ot-history.js); onLocksChange(document), called when range
+   * locks are added, removed or moved; onLockedEdit(document, lock), called when the writer's edit of locked text
+   * was taken back; onCursorsChange(document), called when cursors or selections are set, moved or removed;
+   * onSuggestionsChange(document), called when suggestions are made, resolved, cleared or moved
+   */
+  constructor(quillEditor, documentId = 'default', options = {}) {
     this.quill = quillEditor;
     this.documentId = documentId;
     this.version = 0;
     this.changeLog = [];
     this.maxLogSize = 1000;
+    this.historyArchive = options.historyArchive || null;
+    this.droppedVersion = 0; // The last version whose change was dropped from the log
 
     // Cursors and selections
     this.cursors = new Map(); // userId -> { index, length, timestamp }
@@ -19,6 +30,9 @@ class WoolfOTDocument {
 
     // Active users/agents
     this.activeUsers = new Map(); // userId -> { name, type, lastSeen }
+    this.activeThresholdMs = 60000; // Users not seen for longer are no longer active
+    this.onCursorsChange = options.onCursorsChange || null;
+    this.onSuggestionsChange = options.onSuggestionsChange || null;
 
     // Suggestions (for LLM collaborative editing)
     this.suggestions = new Map(); // suggestionId -> { userId, range, delta, status }
@@ -43,10 +57,30 @@ class WoolfOTDocument {
     // Range locks
     this.rangeLocks = new Map(); // lockId -> { userId, range, timestamp }
     this.lockCounter = 0;
+    this.onLocksChange = options.onLocksChange || null;
+    this.onLockedEdit = options.onLockedEdit || null;
+    this.undoingLockedEdit = false;
 
     // Listen to Quill changes
-    this.quill.on('text-change', this.handleTextChange.bind(this));
-    this.quill.on('selection-change', this.handleSelectionChange.bind(this));
+    this.textChangeHandler = this.handleTextChange.bind(this);
+    this.selectionChangeHandler = this.handleSelectionChange.bind(this);
+    this.quill.on('text-change', this.textChangeHandler);
+    this.quill.on('selection-change', this.selectionChangeHandler);
+  }
+
+  /**
+   * Move the document to another Quill holding the same text, as when its chapter goes into or out of the editor.
+   * Versions, history, cursors, locks and the review stay with the document.
+   * @param {object} quillEditor - The Quill to work on from now on
+   */
+  setQuill(quillEditor) {
+    if (typeof this.quill.off === 'function') {
+      this.quill.off('text-change', this.textChangeHandler);
+      this.quill.off('selection-change', this.selectionChangeHandler);
+    }
+    this.quill = quillEditor;
+    this.quill.on('text-change', this.textChangeHandler);
+    this.quill.on('selection-change', this.selectionChangeHandler);
   }
 
   // ========== Version Control ==========
@@ -65,7 +99,10 @@ class WoolfOTDocument {
   }
 
   getChangesSince(sinceVersion) {
-    return this.changeLog.filter(change => change.version > sinceVersion);
+    const archived = this.historyArchive && this.changeLog.length > 0 && this.changeLog[0].version > sinceVersion + 1 ?
+      this.historyArchive.read(sinceVersion).filter(change => change.version < this.changeLog[0].version) :
+      [];
+    return archived.concat(this.changeLog.filter(change => change.version > sinceVersion));
   }
 
   logChange(change) {
@@ -77,9 +114,23 @@ class WoolfOTDocument {
 
     this.changeLog.push(entry);
 
-    // Trim log if too large
+    // The review, locks and cursors keep to their text through every change (reversions move them change by change)
+    if (entry.delta && entry.type !== 'revert') {
+      this.shiftReview(entry.delta);
+      this.shiftLocks(entry.delta, entry.userId);
+      this.shiftCursors(entry.delta);
+    }
+
+    // Trim log if too large, keeping the older entries in the archive if there is one
     if (this.changeLog.length > this.maxLogSize) {
+      const trimmed = this.changeLog.slice(0, this.changeLog.length - this.maxLogSize);
       this.changeLog = this.changeLog.slice(-this.maxLogSize);
+      if (this.historyArchive) {
+        this.historyArchive.append(trimmed);
+      }
+      else {
+        this.droppedVersion = trimmed[trimmed.length - 1].version;
+      }
     }
 
     // Notify subscribers
@@ -116,18 +167,22 @@ class WoolfOTDocument {
 
   // ========== Operational Transform Operations ==========
 
+  // Each operation may give the version its positions were computed on (baseVersion). It is transformed against
+  // the changes logged since, so it still applies to the text it was meant for however much was typed meanwhile.
+
   /**
    * Insert text at position with OT
    */
-  insertAt(index, text, userId = 'system', attributes = {}) {
-    // Check for range locks
-    if (this.isRangeLocked(index, text.length, userId)) {
+  insertAt(index, text, userId = 'system', attributes = {}, baseVersion = this.version) {
+    // Transform index based on the changes since the base version
+    const transformedIndex = this.transformIndex(index, baseVersion);
+    const delta = { ops: atIndex(transformedIndex, [insertOp(text, attributes)]) };
+
+    // Checked as the writer's edits are: inserts at a lock's edges stay outside it
+    if (this.getLockConflict(delta, userId)) {
       throw new Error('Range is locked by another user');
     }
 
-    // Transform index based on pending operations
-    const transformedIndex = this.transformIndex(index);
-
     this.quill.insertText(transformedIndex, text, attributes);
     this.incrementVersion();
 
@@ -137,7 +192,10 @@ class WoolfOTDocument {
       index: transformedIndex,
       text,
       attributes,
-      length: text.length
+      length: text.length,
+      baseVersion,
+      delta,
+      inverse: { ops: atIndex(transformedIndex, [{ delete: text.length }]) }
     };
 
     return this.logChange(change);
@@ -146,21 +204,37 @@ class WoolfOTDocument {
   /**
    * Delete range with OT
    */
-  deleteRange(index, length, userId = 'system') {
-    if (this.isRangeLocked(index, length, userId)) {
+  deleteRange(index, length, userId = 'system', baseVersion = this.version) {
+    const deletion = this.transformOperation(atIndex(index, length > 0 ? [{ delete: length }] : []), baseVersion);
+    const span = getSpan(deletion);
+    // Text deleted meanwhile by someone else is not deleted again
+    const transformedIndex = span.length > 0 ? span.index : this.transformIndex(index, baseVersion);
+    if (span.length === 0) {
+      // Nothing is left to delete, so no version is made
+      return { type: 'delete', userId, index: transformedIndex, length: 0, baseVersion, version: this.version, noop: true };
+    }
+
+    if (this.getLockConflict(deletion, userId)) {
       throw new Error('Range is locked by another user');
     }
 
-    const transformedIndex = this.transformIndex(index);
+    if (!span.contiguous) {
+      return this.applyTransformed({ type: 'delete', userId, index: transformedIndex, length: span.length, baseVersion }, deletion);
+    }
+
+    const removed = toOps(this.quill.getContents(transformedIndex, span.length));
 
-    this.quill.deleteText(transformedIndex, length);
+    this.quill.deleteText(transformedIndex, span.length);
     this.incrementVersion();
 
     const change = {
       type: 'delete',
       userId,
       index: transformedIndex,
-      length
+      length: span.length,
+      baseVersion,
+      delta: { ops: atIndex(transformedIndex, [{ delete: span.length }]) },
+      inverse: { ops: atIndex(transformedIndex, removed) }
     };
 
     return this.logChange(change);
@@ -169,14 +243,30 @@ class WoolfOTDocument {
   /**
    * Replace range with OT
    */
-  replaceRange(index, length, text, userId = 'system', attributes = {}) {
-    if (this.isRangeLocked(index, length, userId)) {
+  replaceRange(index, length, text, userId = 'system', attributes = {}, baseVersion = this.version) {
+    const replacement = this.transformOperation(
+      atIndex(index, [length > 0 && { delete: length }, text && insertOp(text, attributes)].filter(Boolean)), baseVersion);
+    const span = getSpan(replacement);
+    const transformedIndex = span.length > 0 || text ? span.index : this.transformIndex(index, baseVersion);
+    if (span.length === 0 && !text) {
+      return {
+        type: 'replace', userId, index: transformedIndex, oldLength: 0, newText: text, newLength: 0, attributes, baseVersion, version: this.version, noop: true
+      };
+    }
+
+    if (this.getLockConflict(replacement, userId)) {
       throw new Error('Range is locked by another user');
     }
 
-    const transformedIndex = this.transformIndex(index);
+    if (!span.contiguous) {
+      return this.applyTransformed({
+        type: 'replace', userId, index: transformedIndex, oldLength: span.length, newText: text, newLength: text.length, attributes, baseVersion
+      }, replacement);
+    }
+
+    const removed = toOps(this.quill.getContents(transformedIndex, span.length));
 
-    this.quill.deleteText(transformedIndex, length);
+    this.quill.deleteText(transformedIndex, span.length);
     this.quill.insertText(transformedIndex, text, attributes);
     this.incrementVersion();
 
@@ -184,10 +274,13 @@ class WoolfOTDocument {
       type: 'replace',
       userId,
       index: transformedIndex,
-      oldLength: length,
+      oldLength: span.length,
       newText: text,
       newLength: text.length,
-      attributes
+      attributes,
+      baseVersion,
+      delta: { ops: atIndex(transformedIndex, [{ delete: span.length }, insertOp(text, attributes)]) },
+      inverse: { ops: atIndex(transformedIndex, [{ delete: text.length }].concat(removed)) }
     };
 
     return this.logChange(change);
@@ -196,39 +289,135 @@ class WoolfOTDocument {
   /**
    * Apply Quill delta directly
    */
-  applyDelta(delta, userId = 'system') {
-    this.quill.updateContents(delta);
+  applyDelta(delta, userId = 'system', baseVersion = this.version) {
+    const transformed = baseVersion === this.version ? delta : { ops: this.transformOperation(toOps(delta), baseVersion) };
+    if (this.getLockConflict(transformed, userId)) {
+      throw new Error('Range is locked by another user');
+    }
+
+    const before = toOps(this.quill.getContents());
+    this.quill.updateContents(transformed);
     this.incrementVersion();
 
     const change = {
       type: 'delta',
       userId,
-      delta
+      baseVersion,
+      delta: transformed,
+      inverse: { ops: invertDelta(toOps(transformed), before) }
     };
 
     return this.logChange(change);
   }
 
   /**
-   * Transform index based on concurrent operations
-   * Simple OT: adjust index based on changes since last sync
+   * Take in contents the document's text was given some other way (a batch replace, scenes moved, footnotes
+   * renumbered) as a change of the document, so operations and reversions made on earlier versions still hold
+   * @param {object} contents - The new contents, as a delta
+   * @param {string} userId - Who changed them
+   * @returns {object|null} The change logged, or null when the contents are the same
    */
-  transformIndex(index) {
-    // In a real OT system, this would transform based on pending operations
-    // For now, we use the index as-is since Quill handles concurrent edits
-    return index;
+  applyContents(contents, userId = 'system') {
+    const before = toOps(this.quill.getContents());
+    const ops = getContentsChange(before, toOps(contents));
+    if (ops.length === 0) {
+      return null;
+    }
+
+    this.quill.updateContents({ ops });
+    this.incrementVersion();
+
+    // Already in the chapter, as the writer's edits are
+    return this.logChange({
+      type: 'external',
+      userId,
+      delta: { ops },
+      inverse: { ops: invertDelta(ops, before) },
+      source: 'contents'
+    });
+  }
+
+  /**
+   * Bring an operation made on an earlier version up to date, by transforming it against every change logged
+   * since, oldest first. Where a change inserted at the same place, the operation's insert goes after it; text
+   * a change deleted is not deleted again, and text a change inserted inside a deleted range is kept.
+   * @param {Array} ops - The operation, as delta ops on the base version
+   * @param {number} baseVersion - The version the operation was made on
+   * @returns {Array} The operation on the current version
+   */
+  transformOperation(ops, baseVersion = this.version) {
+    if (baseVersion === this.version) {
+      return ops;
+    }
+    if (typeof baseVersion !== 'number' || isNaN(baseVersion) || baseVersion < 0 || baseVersion > this.version) {
+      throw new Error(`Unknown base version: ${baseVersion} (the document is at version ${this.version})`);
+    }
+    // Operations are transformed against the changes in memory only; older ones take reading the document again
+    const oldest = this.getOldestBaseVersion();
+    if (baseVersion < oldest) {
+      throw new Error(`Base version ${baseVersion} is no longer in the change log (the oldest is ${oldest}), read the document again`);
+    }
+
+    return this.changeLog
+      .filter(change => change.version > baseVersion)
+      .reduce((transformed, change) => transformOps(toOps(change.delta), transformed), ops);
+  }
+
+  /**
+   * The oldest version operations can still be made on
+   * @returns {number}
+   */
+  getOldestBaseVersion() {
+    return this.changeLog.length > 0 ? this.changeLog[0].version - 1 : this.version;
+  }
+
+  /**
+   * Where a position of the base version is now
+   * @param {number} index - Position in the document at the base version
+   * @param {number} baseVersion - The version the position was computed on
+   * @returns {number} The position in the current document
+   */
+  transformIndex(index, baseVersion = this.version) {
+    if (baseVersion === this.version) {
+      return index;
+    }
+    // As an insert there would be moved
+    const ops = this.transformOperation(atIndex(index, [{ insert: ' ' }]), baseVersion);
+    return ops[0].retain !== undefined ? ops[0].retain : 0;
+  }
+
+  // A transformed operation that no longer touches one stretch of text (text was inserted inside the range it
+  // deletes) goes in as a delta
+  applyTransformed(change, ops) {
+    const before = toOps(this.quill.getContents());
+    this.quill.updateContents({ ops });
+    this.incrementVersion();
+
+    return this.logChange({
+      ...change,
+      delta: { ops },
+      inverse: { ops: invertDelta(ops, before) }
+    });
   }
 
   // ========== Cursor and Selection Tracking ==========
 
   setCursor(userId, index) {
+    // A caret replaces the user's selection
+    this.selections.delete(userId);
+    this.placeCursor(userId, index);
+    this.notifyCursorsChange();
+
+    return { userId, index, timestamp: Date.now() };
+  }
+
+  placeCursor(userId, index) {
     this.cursors.set(userId, {
       index,
       length: 0,
       timestamp: Date.now()
     });
-
-    return { userId, index, timestamp: Date.now() };
+    this.updatePresence(userId);
   }
 
   getCursor(userId) {
@@ -251,7 +440,8 @@ class WoolfOTDocument {
     });
 
     // Also update cursor
-    this.setCursor(userId, index);
+    this.placeCursor(userId, index);
+    this.notifyCursorsChange();
 
     return { userId, index, length, timestamp: Date.now() };
   }
@@ -260,6 +450,59 @@ class WoolfOTDocument {
     return this.selections.get(userId) || this.getCursor(userId);
   }
 
+  /**
+   * Where the other users and agents are in the document, to show them in the editor
+   * @param {string} excludeUserId - The user looking (the writer by default)
+   * @returns {Array<object>} userId, name (from their presence, or their userId), type, and the index and length
+   * of their selection (a length of 0 for a caret)
+   */
+  getCollaboratorPositions(excludeUserId = 'system') {
+    const positions = [];
+    this.cursors.forEach((cursor, userId) => {
+      if (userId === excludeUserId) {
+        return;
+      }
+      const user = this.activeUsers.get(userId);
+      const range = this.selections.get(userId) || cursor;
+      positions.push({
+        userId,
+        name: this.getUserName(userId),
+        type: user ? user.type : 'agent',
+        index: range.index,
+        length: range.length
+      });
+    });
+    return positions;
+  }
+
+  // Cursors and selections move with the text around them
+  shiftCursors(delta) {
+    let moved = false;
+    [this.cursors, this.selections].forEach(ranges => {
+      ranges.forEach(range => {
+        const shifted = shiftRange(range, delta);
+        if (shifted.index !== range.index || shifted.length !== range.length) {
+          range.index = shifted.index;
+          range.length = shifted.length;
+          moved = true;
+        }
+      });
+    });
+    if (moved) {
+      this.notifyCursorsChange();
+    }
+  }
+
+  notifyCursorsChange() {
+    if (this.onCursorsChange) {
+      try {
+        this.onCursorsChange(this);
+      } catch (error) {
+        console.error('[OTDocument] Cursors change callback error:', error);
+      }
+    }
+  }
+
   handleSelectionChange(range, oldRange, source) {
     if (source === 'user' && range) {
       // Track system user's selection
@@ -270,17 +513,65 @@ class WoolfOTDocument {
   handleTextChange(delta, oldDelta, source) {
     // This is called by Quill when text changes
     // We already log changes in our methods, so we track external changes here
-    if (source === 'user') {
+    if (source === 'user' && !this.undoingLockedEdit) {
+      // The writer cannot change text someone else has locked: the edit is taken back
+      const lock = this.getLockConflict(delta, 'system');
+      if (lock && oldDelta) {
+        this.undoLockedEdit(delta, oldDelta, lock);
+        return;
+      }
+
       this.incrementVersion();
       this.logChange({
         type: 'external',
         userId: 'system',
         delta,
+        // Quill gives the contents before the change, so it can be undone by revertToVersion
+        inverse: oldDelta ? { ops: invertDelta(toOps(delta), toOps(oldDelta)) } : null,
         source
       });
     }
   }
 
+  // Undone as the writer's own edit, so everything that followed it in the editor follows its undoing too
+  undoLockedEdit(delta, oldDelta, lock) {
+    this.undoingLockedEdit = true;
+    try {
+      this.quill.updateContents({ ops: invertDelta(toOps(delta), toOps(oldDelta)) }, 'user');
+    } finally {
+      this.undoingLockedEdit = false;
+    }
+
+    if (this.onLockedEdit) {
+      try {
+        this.onLockedEdit(this, lock);
+      } catch (error) {
+        console.error('[OTDocument] Locked edit callback error:', error);
+      }
+    }
+  }
+
+  // Annotated passages, the text of pending suggestions and corrections move with the text around them
+  shiftReview(delta) {
+    this.annotations.forEach(annotation => {
+      annotation.range = shiftRange(annotation.range, delta);
+    });
+    let moved = false;
+    this.suggestions.forEach(suggestion => {
+      if (suggestion.status === 'pending') {
+        const range = shiftRange(suggestion.range, delta);
+        moved = moved || range.index !== suggestion.range.index || range.length !== suggestion.range.length;
+        suggestion.range = range;
+      }
+    });
+    this.corrections.forEach(correction => {
+      correction.range = shiftRange(correction.range, delta);
+    });
+    if (moved) {
+      this.notifySuggestionsChange();
+    }
+  }
+
   // ========== Collaborative User Management ==========
 
   announcePresence(userId, userName, userType = 'human') {
@@ -299,6 +590,12 @@ class WoolfOTDocument {
     };
   }
 
+  // The name a user announced, or their userId
+  getUserName(userId) {
+    const user = this.activeUsers.get(userId);
+    return user ? user.name : userId;
+  }
+
   updatePresence(userId) {
     const user = this.activeUsers.get(userId);
     if (user) {
@@ -310,9 +607,40 @@ class WoolfOTDocument {
     this.activeUsers.delete(userId);
     this.cursors.delete(userId);
     this.selections.delete(userId);
+    this.notifyCursorsChange();
   }
 
-  getActiveUsers(activeThresholdMs = 60000) {
+  /**
+   * Remove the users and agents that are no longer active, as getActiveUsers judges it, with their cursors and
+   * selections. Cursors of users who never announced their presence go when they have not moved for as long.
+   * The writer ('system') stays.
+   * @param {number} activeThresholdMs - How long since they were last seen users count as active
+   * @returns {Array<string>} The userIds removed
+   */
+  pruneInactiveUsers(activeThresholdMs = this.activeThresholdMs) {
+    const now = Date.now();
+    const active = new Set(this.getActiveUsers(activeThresholdMs).map(user => user.userId));
+    const removed = [];
+    new Set([...this.activeUsers.keys(), ...this.cursors.keys()]).forEach(userId => {
+      const cursor = this.cursors.get(userId);
+      const isCursorRecent = !this.activeUsers.has(userId) && cursor && now - cursor.timestamp < activeThresholdMs;
+      if (userId !== 'system' && !active.has(userId) && !isCursorRecent) {
+        removed.push(userId);
+      }
+    });
+
+    removed.forEach(userId => {
+      this.activeUsers.delete(userId);
+      this.cursors.delete(userId);
+      this.selections.delete(userId);
+    });
+    if (removed.length > 0) {
+      this.notifyCursorsChange();
+    }
+    return removed;
+  }
+
+  getActiveUsers(activeThresholdMs = this.activeThresholdMs) {
     const now = Date.now();
     const active = [];
 
@@ -351,6 +679,7 @@ class WoolfOTDocument {
     };
 
     this.rangeLocks.set(lockId, lock);
+    this.notifyLocksChange();
 
     // Auto-unlock after duration
     setTimeout(() => {
@@ -372,19 +701,14 @@ class WoolfOTDocument {
     }
 
     this.rangeLocks.delete(lockId);
+    this.notifyLocksChange();
     return { success: true, lockId };
   }
 
   isRangeLocked(index, length, userId) {
-    const now = Date.now();
-
-    for (const [lockId, lock] of this.rangeLocks.entries()) {
-      // Remove expired locks
-      if (now > lock.expiresAt) {
-        this.rangeLocks.delete(lockId);
-        continue;
-      }
+    this.removeExpiredLocks();
 
+    for (const lock of this.rangeLocks.values()) {
       // Check if ranges overlap and locked by different user
       if (lock.userId !== userId &&
           this.rangesOverlap(
@@ -405,6 +729,81 @@ class WoolfOTDocument {
     return range1.index < end2 && range2.index < end1;
   }
 
+  /**
+   * The range locks in force
+   * @returns {Array<object>} lockId, userId, range, timestamp and expiresAt of each
+   */
+  getLocks() {
+    this.removeExpiredLocks();
+    return Array.from(this.rangeLocks.values());
+  }
+
+  /**
+   * The lock held by someone other than userId on text a change alters: text inserted inside a locked range, or
+   * locked text deleted or formatted. Text inserted at a lock's edges stays outside it, so it is allowed.
+   * @param {{ops: Array}|Array} delta - The change, on the document before it
+   * @param {string} userId - Who makes the change
+   * @param {Array} locks - The locks to check, the document's by default
+   * @returns {object|null} The lock, or null when the change alters no locked text
+   */
+  getLockConflict(delta, userId, locks = this.getLocks()) {
+    locks = locks.filter(lock => lock.userId !== userId);
+    let pos = 0;
+    for (const op of toOps(delta)) {
+      if (op.insert !== undefined) {
+        const lock = locks.find(l => l.range.index < pos && pos < l.range.index + l.range.length);
+        if (lock) return lock;
+        continue;
+      }
+      const length = getOpLength(op);
+      if (op.delete !== undefined || op.attributes) {
+        const lock = locks.find(l => this.rangesOverlap({ index: pos, length }, l.range));
+        if (lock) return lock;
+      }
+      pos += length;
+    }
+    return null;
+  }
+
+  // Locks move with their text; what a lock's holder inserts at its edges goes inside it
+  shiftLocks(delta, userId) {
+    let moved = false;
+    this.rangeLocks.forEach(lock => {
+      const range = shiftRange(lock.range, delta, lock.userId === userId);
+      if (range.index !== lock.range.index || range.length !== lock.range.length) {
+        lock.range = range;
+        moved = true;
+      }
+    });
+    if (moved) {
+      this.notifyLocksChange();
+    }
+  }
+
+  removeExpiredLocks() {
+    const now = Date.now();
+    let removed = false;
+    for (const [lockId, lock] of this.rangeLocks.entries()) {
+      if (now > lock.expiresAt) {
+        this.rangeLocks.delete(lockId);
+        removed = true;
+      }
+    }
+    if (removed) {
+      this.notifyLocksChange();
+    }
+  }
+
+  notifyLocksChange() {
+    if (this.onLocksChange) {
+      try {
+        this.onLocksChange(this);
+      } catch (error) {
+        console.error('[OTDocument] Locks change callback error:', error);
+      }
+    }
+  }
+
   // ========== LLM Suggestions ==========
 
   suggestEdit(userId, index, length, newText, metadata = {}) {
@@ -422,6 +821,7 @@ class WoolfOTDocument {
     };
 
     this.suggestions.set(suggestionId, suggestion);
+    this.notifySuggestionsChange();
 
     return suggestion;
   }
@@ -439,12 +839,14 @@ class WoolfOTDocument {
 
     // Apply the suggestion
     const { index, length } = suggestion.range;
-    this.replaceRange(index, length, suggestion.newText, acceptingUserId);
+    const change = this.replaceRange(index, length, suggestion.newText, acceptingUserId);
 
-    // Update status
+    // Update status, the range now covering the accepted text
     suggestion.status = 'accepted';
+    suggestion.range = { index: change.index, length: suggestion.newText.length };
     suggestion.acceptedBy = acceptingUserId;
     suggestion.acceptedAt = Date.now();
+    this.resolveSuggestion(suggestion, acceptingUserId);
 
     return suggestion;
   }
@@ -456,14 +858,59 @@ class WoolfOTDocument {
       throw new Error('Suggestion not found');
     }
 
+    if (suggestion.status !== 'pending') {
+      throw new Error(`Suggestion already ${suggestion.status}`);
+    }
+
     suggestion.status = 'rejected';
     suggestion.rejectedBy = rejectingUserId;
     suggestion.rejectedAt = Date.now();
     suggestion.rejectionReason = reason;
+    this.resolveSuggestion(suggestion, rejectingUserId);
 
     return suggestion;
   }
 
+  /**
+   * Accept every pending suggestion of one user or agent, in the order they come in the document.
+   * Suggestions that cannot be applied (their text is locked by someone else) stay pending.
+   * @param {string} suggestingUserId - Whose suggestions to accept
+   * @param {string} acceptingUserId - Who accepts them
+   * @returns {object} accepted (the suggestions) and failed ({ suggestionId, error })
+   */
+  acceptSuggestionsFrom(suggestingUserId, acceptingUserId = 'system') {
+    const accepted = [];
+    const failed = [];
+    this.getSuggestions('pending')
+      .filter(suggestion => suggestion.userId === suggestingUserId)
+      .sort((a, b) => a.range.index - b.range.index)
+      .forEach(suggestion => {
+        try {
+          accepted.push(this.acceptSuggestion(suggestion.suggestionId, acceptingUserId));
+        } catch (error) {
+          failed.push({ suggestionId: suggestion.suggestionId, error: error.message });
+        }
+      });
+    return { accepted, failed };
+  }
+
+  // Whoever accepted or rejected it, the same way for both
+  resolveSuggestion(suggestion, userId) {
+    suggestion.resolvedBy = userId;
+    suggestion.resolvedAt = Date.now();
+    this.notifySuggestionsChange();
+  }
+
+  notifySuggestionsChange() {
+    if (this.onSuggestionsChange) {
+      try {
+        this.onSuggestionsChange(this);
+      } catch (error) {
+        console.error('[OTDocument] Suggestions change callback error:', error);
+      }
+    }
+  }
+
   getSuggestions(status = null) {
     const suggestions = Array.from(this.suggestions.values());
 
@@ -484,6 +931,7 @@ class WoolfOTDocument {
         }
       }
     }
+    this.notifySuggestionsChange();
   }
 
   // ========== Quick Corrections ==========
@@ -546,8 +994,10 @@ class WoolfOTDocument {
     }
 
     // Replace current text with original
-    this.deleteRange(correction.range.index, correction.range.length, userId);
-    this.insertAt(correction.range.index, correction.original, userId);
+    const { index } = correction.range;
+    this.deleteRange(index, correction.range.length, userId);
+    this.insertAt(index, correction.original, userId);
+    correction.range = { index, length: correction.original.length };
 
     // Update correction status
     correction.reverted = true;
@@ -582,12 +1032,13 @@ class WoolfOTDocument {
     const alternate = correction.alternates[alternateIndex];
 
     // Replace current text with alternate
-    this.deleteRange(correction.range.index, correction.range.length, userId);
-    this.insertAt(correction.range.index, alternate, userId);
+    const { index } = correction.range;
+    this.deleteRange(index, correction.range.length, userId);
+    this.insertAt(index, alternate, userId);
 
     // Update correction record
     correction.applied = alternate;
-    correction.range.length = alternate.length;
+    correction.range = { index, length: alternate.length };
     correction.alternateSelected = alternateIndex;
     correction.switchedBy = userId;
     correction.switchedAt = Date.now();
@@ -656,7 +1107,7 @@ class WoolfOTDocument {
 
   // ========== Annotations ==========
 
-  annotate(userId, index, length, text, type = 'comment') {
+  annotate(userId, index, length, text, type = 'comment', metadata = {}) {
     const annotationId = ++this.annotationCounter;
 
     const annotation = {
@@ -665,6 +1116,7 @@ class WoolfOTDocument {
       range: { index, length },
       text,
       type,
+      metadata,
       createdAt: Date.now()
     };
 
@@ -820,6 +1272,7 @@ class WoolfOTDocument {
       activeUsers: this.getActiveUsers().length,
       pendingSuggestions: this.getSuggestions('pending').length,
       annotations: this.annotations.size,
+      oldestVersion: this.getOldestVersion(),
       lastChange: this.changeLog.length > 0 ?
         this.changeLog[this.changeLog.length - 1] :
         null
@@ -832,15 +1285,585 @@ class WoolfOTDocument {
     return this.changeLog.slice(-limit);
   }
 
-  revertToVersion(targetVersion) {
-    // Simplified reversion - in production would replay operations
-    throw new Error('Version reversion not yet implemented in simplified OT');
+  /**
+   * The oldest version the document can still be taken back to, or shown or compared as of
+   * @returns {number}
+   */
+  getOldestVersion() {
+    return this.droppedVersion;
+  }
+
+  /**
+   * Restore the document to a retained version by undoing every change since, newest first.
+   * The reversion is itself a change, with a version of its own, so it can be reverted in turn.
+   * @param {number} targetVersion - The version to go back to
+   * @param {string} userId - Who reverted
+   * @returns {object} reverted, fromVersion, toVersion and the version the reversion made
+   */
+  revertToVersion(targetVersion, userId = 'system') {
+    const changes = this.getChangesToUndo(targetVersion);
+    const fromVersion = this.version;
+    if (changes.length === 0) {
+      return { reverted: false, fromVersion, toVersion: targetVersion, version: this.version };
+    }
+
+    // Each change is undone on the text as the ones undone before it left it, where the locks will have moved
+    let locks = this.getLocks();
+    for (let i = changes.length - 1; i >= 0; i--) {
+      if (this.getLockConflict(changes[i].inverse, userId, locks)) {
+        throw new Error('Range is locked by another user');
+      }
+      locks = locks.map(lock => ({ ...lock, range: shiftRange(lock.range, changes[i].inverse, lock.userId === changes[i].userId) }));
+    }
+
+    const before = toOps(this.quill.getContents());
+    let delta = [];
+    for (let i = changes.length - 1; i >= 0; i--) {
+      delta = composeOps(delta, toOps(changes[i].inverse));
+      this.quill.updateContents(changes[i].inverse);
+      this.shiftReview(changes[i].inverse);
+      // Undoing a change of a lock's holder inside it keeps the lock around the text put back
+      this.shiftLocks(changes[i].inverse, changes[i].userId);
+      this.shiftCursors(changes[i].inverse);
+    }
+    this.incrementVersion();
+
+    // The undoing of every change as one, so operations made before the reversion are transformed past it
+    const entry = this.logChange({
+      type: 'revert',
+      userId,
+      fromVersion,
+      targetVersion,
+      delta: { ops: delta },
+      inverse: { ops: invertDelta(delta, before) }
+    });
+    return { reverted: true, fromVersion, toVersion: targetVersion, version: entry.version };
+  }
+
+  /**
+   * The document as it was at a retained version, without changing it
+   * @param {number} version - The version to show
+   * @returns {object} documentId, version, contents (a delta), text and readOnly
+   */
+  getVersionView(version) {
+    let contents = toOps(this.quill.getContents());
+    const changes = this.getChangesToUndo(version);
+    for (let i = changes.length - 1; i >= 0; i--) {
+      contents = applyOps(contents, toOps(changes[i].inverse));
+    }
+    return {
+      documentId: this.documentId,
+      version,
+      contents: { ops: contents },
+      text: getOpsText(contents),
+      readOnly: true
+    };
   }
+
+  /**
+   * What changed between two retained versions: the text at both, and where each change removed and added text
+   * @param {number} fromVersion - The earlier version
+   * @param {number} toVersion - The later version (the current one by default)
+   * @returns {object} fromVersion, toVersion, fromText, toText and changes ({ version, userId, type, hunks })
+   */
+  diffVersions(fromVersion, toVersion = this.version) {
+    if (fromVersion > toVersion) {
+      [fromVersion, toVersion] = [toVersion, fromVersion];
+    }
+    const from = this.getVersionView(fromVersion);
+    let contents = from.contents.ops;
+    const changes = this.getChangesToUndo(fromVersion)
+      .filter(change => change.version <= toVersion)
+      .map(change => {
+        const hunks = getHunks(contents, toOps(change.delta));
+        contents = applyOps(contents, toOps(change.delta));
+        return { version: change.version, userId: change.userId, type: change.type, timestamp: change.timestamp, hunks };
+      });
+
+    return {
+      documentId: this.documentId,
+      fromVersion,
+      toVersion,
+      fromText: from.text,
+      toText: getOpsText(contents),
+      changes
+    };
+  }
+
+  // The retained changes after a version, checking each can be undone
+  getChangesToUndo(version) {
+    if (isNaN(version) || version < 0 || version > this.version) {
+      throw new Error(`Unknown version: ${version} (the document is at version ${this.version})`);
+    }
+    if (version < this.droppedVersion) {
+      throw new Error(`Version ${version} is no longer kept (the oldest is ${this.droppedVersion})`);
+    }
+    const changes = this.getChangesSince(version);
+    const unknown = changes.find(change => !change.inverse || !change.delta);
+    if (unknown) {
+      throw new Error(`The change of version ${unknown.version} cannot be undone`);
+    }
+    return changes;
+  }
+}
+
+/**
+ * Shift a range through a change so it keeps covering the same text.
+ * Text inserted at either edge of the range stays outside it, unless inclusive; deleting text inside the range
+ * shrinks it, down to an empty range where the text used to be.
+ * @param {{index: number, length: number}} range - Range in the document before the change
+ * @param {{ops: Array}|Array} delta - The change, as a Quill delta of retains, inserts and deletes
+ * @param {boolean} inclusive - Whether text inserted at the range's edges goes inside it
+ * @returns {{index: number, length: number}} The range in the document after the change
+ */
+function shiftRange(range, delta, inclusive = false) {
+  const start = range.index;
+  const end = range.index + range.length;
+  let newStart = start;
+  let newEnd = end;
+  let pos = 0; // Position in the document before the change
+
+  (Array.isArray(delta) ? delta : delta.ops).forEach(op => {
+    if (op.retain !== undefined) {
+      pos += op.retain;
+    } else if (op.insert !== undefined) {
+      const length = typeof op.insert === 'string' ? op.insert.length : 1;
+      if (pos < start || (pos === start && !inclusive)) {
+        newStart += length;
+        newEnd += length;
+      } else if (pos < end || (pos === end && inclusive)) {
+        newEnd += length;
+      }
+    } else if (op.delete !== undefined) {
+      const deleteEnd = pos + op.delete;
+      newStart -= Math.max(0, Math.min(deleteEnd, start) - pos);
+      newEnd -= Math.max(0, Math.min(deleteEnd, end) - pos);
+      pos = deleteEnd;
+    }
+  });
+
+  return { index: newStart, length: Math.max(0, newEnd - newStart) };
+}
+
+/**
+ * The change from one text to another, for texts changed without a delta (such as a file edited elsewhere).
+ * The change is taken to be the text between what the two texts start and end with.
+ * @param {string} oldText - The text before
+ * @param {string} newText - The text after
+ * @returns {{ops: Array}} The change as a Quill delta, with no ops when the texts are the same
+ */
+function getTextChange(oldText, newText) {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldText.length - start && end < newText.length - start &&
+    oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) {
+    end++;
+  }
+
+  const ops = [];
+  if (oldText.length - start - end > 0 || newText.length - start - end > 0) {
+    if (start > 0) {
+      ops.push({ retain: start });
+    }
+    if (oldText.length - start - end > 0) {
+      ops.push({ delete: oldText.length - start - end });
+    }
+    if (newText.length - start - end > 0) {
+      ops.push({ insert: newText.slice(start, newText.length - end) });
+    }
+  }
+  return { ops };
+}
+
+/**
+ * The change from some contents to others: what lies between the text both start and end with, formatting
+ * included, deleted and inserted again
+ * @param {Array} oldContents - The contents before, as insert ops
+ * @param {Array} newContents - The contents after
+ * @returns {Array} The change, as delta ops (none when the contents are the same)
+ */
+function getContentsChange(oldContents, newContents) {
+  const oldUnits = getContentUnits(oldContents);
+  const newUnits = getContentUnits(newContents);
+  let start = 0;
+  while (start < oldUnits.length && start < newUnits.length && oldUnits[start] === newUnits[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldUnits.length - start && end < newUnits.length - start &&
+    oldUnits[oldUnits.length - 1 - end] === newUnits[newUnits.length - 1 - end]) {
+    end++;
+  }
+
+  const deleted = oldUnits.length - start - end;
+  const inserted = newUnits.length - start - end;
+  if (deleted === 0 && inserted === 0) {
+    return [];
+  }
+  const ops = start > 0 ? [{ retain: start }] : [];
+  if (deleted > 0) {
+    ops.push({ delete: deleted });
+  }
+  const reader = createOpReader(newContents);
+  let skipped = 0;
+  while (skipped < start) {
+    skipped += getOpLength(reader.next(start - skipped));
+  }
+  let taken = 0;
+  while (taken < inserted) {
+    const piece = reader.next(inserted - taken);
+    taken += getOpLength(piece);
+    pushOp(ops, piece);
+  }
+  return ops;
+}
+
+// Each character or embed of the contents with its formatting, to compare them by
+function getContentUnits(contents) {
+  const units = [];
+  contents.forEach(op => {
+    const attributes = op.attributes ? JSON.stringify(op.attributes) : '';
+    if (typeof op.insert === 'string') {
+      for (let i = 0; i < op.insert.length; i++) {
+        units.push(op.insert[i] + attributes);
+      }
+    }
+    else {
+      units.push(JSON.stringify(op.insert) + attributes);
+    }
+  });
+  return units;
+}
+
+// ========== Delta Helpers ==========
+// Deltas here are plain ops arrays, so they work without Quill's Delta class (see quill-delta for the originals)
+
+function toOps(delta) {
+  if (!delta) return [];
+  return Array.isArray(delta) ? delta : (delta.ops || []);
 }
 
+function atIndex(index, ops) {
+  return index > 0 ? [{ retain: index }].concat(ops) : ops;
+}
+
+function insertOp(text, attributes) {
+  return attributes && Object.keys(attributes).length > 0 ? { insert: text, attributes } : { insert: text };
+}
+
+function getOpLength(op) {
+  if (typeof op.delete === 'number') return op.delete;
+  if (typeof op.retain === 'number') return op.retain;
+  return typeof op.insert === 'string' ? op.insert.length : 1;
+}
+
+function getOpsLength(ops) {
+  return ops.reduce((length, op) => length + getOpLength(op), 0);
+}
+
+// Embeds have no text
+function getOpsText(ops) {
+  return ops.map(op => typeof op.insert === 'string' ? op.insert : '').join('');
+}
+
+// Part of an op, from offset for length characters
+function sliceOp(op, offset, length) {
+  if (typeof op.delete === 'number') return { delete: length };
+  if (typeof op.retain === 'number') return op.attributes ? { retain: length, attributes: op.attributes } : { retain: length };
+  if (typeof op.insert !== 'string') return op;
+  return op.attributes ? { insert: op.insert.substr(offset, length), attributes: op.attributes } : { insert: op.insert.substr(offset, length) };
+}
+
+// Reads ops a number of characters at a time, cutting them where needed
+function createOpReader(ops) {
+  let index = 0;
+  let offset = 0;
+  return {
+    hasNext: () => index < ops.length,
+    peek: () => ops[index] || null,
+    peekLength: () => index < ops.length ? getOpLength(ops[index]) - offset : Infinity,
+    next(length = Infinity) {
+      const op = ops[index];
+      const taken = Math.min(length, getOpLength(op) - offset);
+      const piece = sliceOp(op, offset, taken);
+      offset += taken;
+      if (offset >= getOpLength(op)) {
+        index++;
+        offset = 0;
+      }
+      return piece;
+    }
+  };
+}
+
+function pushOp(ops, op) {
+  const last = ops[ops.length - 1];
+  if (last && typeof last.insert === 'string' && typeof op.insert === 'string' &&
+    JSON.stringify(last.attributes || {}) === JSON.stringify(op.attributes || {})) {
+    ops[ops.length - 1] = insertOp(last.insert + op.insert, last.attributes);
+  }
+  else if (last && typeof last.delete === 'number' && typeof op.delete === 'number') {
+    ops[ops.length - 1] = { delete: last.delete + op.delete };
+  }
+  else if (last && typeof last.retain === 'number' && typeof op.retain === 'number' && !last.attributes && !op.attributes) {
+    ops[ops.length - 1] = { retain: last.retain + op.retain };
+  }
+  else {
+    ops.push(op);
+  }
+}
+
+// Attributes set to null by a change are removed
+function formatOp(op, attributes) {
+  const merged = Object.assign({}, op.attributes, attributes);
+  Object.keys(merged).forEach(key => {
+    if (merged[key] === null) delete merged[key];
+  });
+  const formatted = { insert: op.insert };
+  if (Object.keys(merged).length > 0) formatted.attributes = merged;
+  return formatted;
+}
+
+/**
+ * The contents after a change
+ * @param {Array} contents - Document contents, as insert ops
+ * @param {Array} delta - The change
+ * @returns {Array} The new contents
+ */
+function applyOps(contents, delta) {
+  const result = [];
+  const reader = createOpReader(contents);
+  delta.forEach(op => {
+    if (op.insert !== undefined) {
+      pushOp(result, op);
+      return;
+    }
+    let remaining = getOpLength(op);
+    while (remaining > 0 && reader.hasNext()) {
+      const piece = reader.next(remaining);
+      remaining -= getOpLength(piece);
+      if (op.retain !== undefined) {
+        pushOp(result, op.attributes ? formatOp(piece, op.attributes) : piece);
+      }
+    }
+  });
+  while (reader.hasNext()) {
+    pushOp(result, reader.next());
+  }
+  return result;
+}
+
+/**
+ * One change doing what two do one after the other (as quill-delta's compose)
+ * @param {Array} first - The first change
+ * @param {Array} second - The change made after it
+ * @returns {Array} The two as one change
+ */
+function composeOps(first, second) {
+  const result = [];
+  const firstReader = createOpReader(first);
+  const secondReader = createOpReader(second);
+  while (firstReader.hasNext() || secondReader.hasNext()) {
+    const secondOp = secondReader.peek();
+    if (secondOp && secondOp.insert !== undefined) {
+      pushOp(result, secondReader.next());
+      continue;
+    }
+    const firstOp = firstReader.peek();
+    if (!secondOp || (firstOp && firstOp.delete !== undefined)) {
+      pushOp(result, firstReader.next());
+      continue;
+    }
+    if (!firstOp) {
+      // Past the end of the first change, the second works on text it kept
+      pushOp(result, secondReader.next());
+      continue;
+    }
+
+    const length = Math.min(firstReader.peekLength(), secondReader.peekLength());
+    const piece = firstReader.next(length);
+    const op = secondReader.next(length);
+    if (op.delete !== undefined) {
+      // Text the first change inserted and the second deleted is in neither
+      if (piece.retain !== undefined) {
+        pushOp(result, op);
+      }
+    }
+    else if (!op.attributes) {
+      pushOp(result, piece);
+    }
+    else if (piece.insert !== undefined) {
+      pushOp(result, formatOp(piece, op.attributes));
+    }
+    else {
+      pushOp(result, { retain: length, attributes: Object.assign({}, piece.attributes, op.attributes) });
+    }
+  }
+  // A trailing retain changes nothing
+  while (result.length > 0 && result[result.length - 1].retain !== undefined && !result[result.length - 1].attributes) {
+    result.pop();
+  }
+  return result;
+}
+
+/**
+ * The change that undoes a change, given the contents it was made on
+ * @param {Array} delta - The change
+ * @param {Array} base - The contents before it
+ * @returns {Array} The inverse change
+ */
+function invertDelta(delta, base) {
+  const inverted = [];
+  const reader = createOpReader(base);
+  delta.forEach(op => {
+    if (op.insert !== undefined) {
+      inverted.push({ delete: getOpLength(op) });
+      return;
+    }
+    if (op.retain !== undefined && !op.attributes) {
+      inverted.push({ retain: op.retain });
+      let remaining = op.retain;
+      while (remaining > 0 && reader.hasNext()) {
+        remaining -= getOpLength(reader.next(remaining));
+      }
+      return;
+    }
+    let remaining = getOpLength(op);
+    while (remaining > 0 && reader.hasNext()) {
+      const piece = reader.next(remaining);
+      remaining -= getOpLength(piece);
+      if (op.delete !== undefined) {
+        inverted.push(piece);
+      }
+      else {
+        const attributes = {};
+        Object.keys(op.attributes).forEach(key => {
+          const before = piece.attributes ? piece.attributes[key] : undefined;
+          if (before !== op.attributes[key]) attributes[key] = before === undefined ? null : before;
+        });
+        inverted.push(Object.keys(attributes).length > 0 ? { retain: getOpLength(piece), attributes } : { retain: getOpLength(piece) });
+      }
+    }
+  });
+  // A trailing retain changes nothing
+  while (inverted.length > 0 && inverted[inverted.length - 1].retain !== undefined && !inverted[inverted.length - 1].attributes) {
+    inverted.pop();
+  }
+  return inverted;
+}
+
+/**
+ * An operation made on the same contents as a change, rewritten to apply after it (as quill-delta's transform,
+ * with the change first). Where both insert at the same place, the change's insert comes first; formatting both
+ * set keeps the change's.
+ * @param {Array} change - The change already applied
+ * @param {Array} ops - The operation
+ * @returns {Array} The operation, to apply after the change
+ */
+function transformOps(change, ops) {
+  const result = [];
+  const changeReader = createOpReader(change);
+  const opsReader = createOpReader(ops);
+  while (opsReader.hasNext()) {
+    const changeOp = changeReader.peek();
+    if (changeOp && changeOp.insert !== undefined) {
+      pushOp(result, { retain: getOpLength(changeReader.next()) });
+      continue;
+    }
+    if (!changeOp || opsReader.peek().insert !== undefined) {
+      pushOp(result, opsReader.next());
+      continue;
+    }
+
+    const length = Math.min(changeReader.peekLength(), opsReader.peekLength());
+    const changed = changeReader.next(length);
+    const piece = opsReader.next(length);
+    if (changed.delete !== undefined) {
+      // The change already removed this text
+      continue;
+    }
+    if (piece.delete !== undefined || !piece.attributes) {
+      pushOp(result, piece);
+      continue;
+    }
+    const attributes = Object.assign({}, piece.attributes);
+    Object.keys(changed.attributes || {}).forEach(key => delete attributes[key]);
+    pushOp(result, Object.keys(attributes).length > 0 ? { retain: length, attributes } : { retain: length });
+  }
+  // A trailing retain changes nothing
+  while (result.length > 0 && result[result.length - 1].retain !== undefined && !result[result.length - 1].attributes) {
+    result.pop();
+  }
+  return result;
+}
+
+// Where an operation changes the document: from its first change for the length of text it removes or keeps up to
+// its last one, and whether it removes all of that
+function getSpan(ops) {
+  const index = ops.length > 0 && ops[0].retain !== undefined && !ops[0].attributes ? ops[0].retain : 0;
+  const rest = index > 0 ? ops.slice(1) : ops;
+  return {
+    index,
+    length: getOpsLength(rest.filter(op => op.insert === undefined)),
+    contiguous: rest.every(op => op.retain === undefined)
+  };
+}
+
+// Where a change removed and added text, at positions in the document after it
+function getHunks(contents, delta) {
+  const hunks = [];
+  const reader = createOpReader(contents);
+  let index = 0;
+  let hunk = null;
+  delta.forEach(op => {
+    if (op.retain !== undefined && !op.attributes) {
+      let remaining = op.retain;
+      while (remaining > 0 && reader.hasNext()) {
+        remaining -= getOpLength(reader.next(remaining));
+      }
+      index += op.retain;
+      hunk = null;
+      return;
+    }
+    if (!hunk) {
+      hunk = { index, removed: '', added: '' };
+      hunks.push(hunk);
+    }
+    if (op.insert !== undefined) {
+      hunk.added += typeof op.insert === 'string' ? op.insert : '';
+      index += getOpLength(op);
+      return;
+    }
+    let remaining = getOpLength(op);
+    while (remaining > 0 && reader.hasNext()) {
+      const piece = reader.next(remaining);
+      remaining -= getOpLength(piece);
+      if (op.delete !== undefined) {
+        hunk.removed += getOpsText([piece]);
+      }
+    }
+    if (op.retain !== undefined) {
+      // Formatting only
+      hunk.formatted = (hunk.formatted || 0) + op.retain;
+      index += op.retain;
+    }
+  });
+  return hunks;
+}
+
+WoolfOTDocument.shiftRange = shiftRange;
+WoolfOTDocument.getTextChange = getTextChange;
+WoolfOTDocument.applyOps = applyOps;
+WoolfOTDocument.invertDelta = invertDelta;
+WoolfOTDocument.transformOps = transformOps;
+WoolfOTDocument.getContentsChange = getContentsChange;
+
 // Export for both Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { WoolfOTDocument };
+  module.exports = { WoolfOTDocument, shiftRange, getTextChange, getContentsChange, applyOps, invertDelta, transformOps };
 }
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,207 @@
+/**
+ * WoolfOTDocuments - One OT document per chapter
+ *
+ * Each chapter gets its own WoolfOTDocument, whose documentId is the chapter's stable id, so versions, history,
+ * cursors, locks and the review of one chapter never reach another. The chapter in the editor works on the
+ * editor's Quill; the others work on a detached Quill holding their contents, and their edits go back into the
+ * chapter as unsaved changes. A script or agent can so edit one chapter while the writer types in another.
+ */
+
+const { WoolfOTDocument } = require('./woolf-ot-document');
+const { WoolfOTHistoryFile } = require('./woolf-ot-history');
+const { getTempQuill } = require('./quill-utils');
+const chapterMetadata = require('./chapter-metadata');
+const chapterReview = require('./chapter-review');
+
+class WoolfOTDocuments {
+  /**
+   * @param {object} context - editorQuill, project (the active project), and optionally createQuill(), which
+   * makes a detached Quill (a temporary one by default), documentId, for the document used when no chapter
+   * is in the editor, historyDirectory, where change logs grown too long for memory go, and onLocksChange,
+   * onLockedEdit and onCursorsChange, handed to every document (see woolf-ot-document.js)
+   */
+  constructor(context) {
+    this.context = context;
+    this.documents = new Map(); // documentId -> { document, chapter, contents }
+    this.activeChapter = null;
+    this.defaultDocument = null;
+  }
+
+  /**
+   * The document of the chapter in the editor, or one over the editor when there is none
+   * @returns {WoolfOTDocument}
+   */
+  getActiveDocument() {
+    if (this.activeChapter) {
+      return this.getChapterDocument(this.activeChapter);
+    }
+    if (!this.defaultDocument) {
+      this.defaultDocument = new WoolfOTDocument(this.context.editorQuill, this.getDefaultDocumentId(), this.getDocumentOptions(null));
+    }
+    return this.defaultDocument;
+  }
+
+  /**
+   * The document with the given documentId, which is the id of a chapter of the active project
+   * @param {string} documentId - The document (chapter) id
+   * @returns {WoolfOTDocument}
+   */
+  getDocument(documentId) {
+    if (documentId === this.getDefaultDocumentId() && !this.activeChapter) {
+      return this.getActiveDocument();
+    }
+
+    const chapter = this.getChapters().find(chap => chap.id === documentId);
+    if (!chapter) {
+      // The chapter was deleted, or belongs to a project that is no longer open
+      const entry = this.documents.get(documentId);
+      if (entry && entry.document.historyArchive) {
+        entry.document.historyArchive.remove();
+      }
+      this.documents.delete(documentId);
+      throw new Error(`Unknown document: ${documentId}`);
+    }
+    return this.getChapterDocument(chapter);
+  }
+
+  /**
+   * The chapter's document, made when first asked for
+   * @param {object} chapter - A chapter of the project
+   * @returns {WoolfOTDocument}
+   */
+  getChapterDocument(chapter) {
+    let entry = this.documents.get(chapter.id);
+    if (!entry) {
+      entry = { chapter, contents: chapter.contents };
+      const quill = chapter === this.activeChapter ? this.context.editorQuill : this.createDetachedQuill(chapter.getContentsOrFile());
+      entry.document = new WoolfOTDocument(quill, chapter.id, this.getDocumentOptions(chapter.id));
+      chapterReview.showChapterReview(entry.document, chapter);
+      entry.document.subscribe(change => {
+        // Edits of the writer in the editor are already in the chapter
+        if (change.type !== 'external') {
+          this.storeContents(entry);
+        }
+      });
+      this.documents.set(chapter.id, entry);
+    }
+    else if (entry.document.quill !== this.context.editorQuill) {
+      this.syncContents(entry);
+    }
+    return entry.document;
+  }
+
+  /**
+   * Called when a chapter goes into the editor, before the editor shows it: its document moves to the editor's
+   * Quill, and the document of the chapter that was there to a detached one. The contents of both chapters are
+   * taken in by their documents first, as a change when they were changed some other way meanwhile.
+   * @param {object} chapter - The chapter now in the editor
+   */
+  showChapter(chapter) {
+    const previous = this.activeChapter;
+    const previousEntry = previous ? this.documents.get(previous.id) : null;
+    if (previous === (chapter || null)) {
+      // Shown again, as after a batch replace
+      if (previousEntry) {
+        this.syncContents(previousEntry);
+      }
+      return;
+    }
+
+    if (previousEntry) {
+      // The editor still holds the text of the previous chapter's document
+      previousEntry.document.setQuill(this.createDetachedQuill(previousEntry.document.quill.getContents()));
+      this.syncContents(previousEntry);
+    }
+    this.activeChapter = null;
+    // The document of the chapter in the editor follows the writer's edits from the start
+    if (chapter) {
+      const document = this.getChapterDocument(chapter);
+      document.setQuill(this.context.editorQuill);
+    }
+    this.activeChapter = chapter || null;
+  }
+
+  /**
+   * The open documents, with the chapters they belong to
+   * @returns {Array<object>} documentId, title, whether it is in the editor, and its version
+   */
+  listDocuments() {
+    const chapters = this.getChapters();
+    return Array.from(this.documents.values())
+      .filter(entry => chapters.includes(entry.chapter))
+      .map(entry => ({
+        documentId: entry.document.documentId,
+        title: entry.chapter.title,
+        inEditor: entry.chapter === this.activeChapter,
+        version: entry.document.version
+      }));
+  }
+
+  getDocumentOptions(documentId) {
+    const { historyDirectory, onLocksChange, onLockedEdit, onCursorsChange, onSuggestionsChange } = this.context;
+    return {
+      historyArchive: historyDirectory && documentId ? new WoolfOTHistoryFile(historyDirectory + documentId + '.jsonl') : null,
+      onLocksChange,
+      onLockedEdit,
+      onCursorsChange,
+      onSuggestionsChange
+    };
+  }
+
+  /**
+   * Remove the users and agents no longer active from every document, with their cursors
+   * @returns {Array<string>} The userIds removed
+   */
+  pruneInactiveUsers() {
+    const documents = Array.from(this.documents.values()).map(entry => entry.document);
+    if (this.defaultDocument) {
+      documents.push(this.defaultDocument);
+    }
+    return documents.reduce((removed, document) => removed.concat(document.pruneInactiveUsers()), []);
+  }
+
+  getChapters() {
+    const { project } = this.context;
+    if (!project || !Array.isArray(project.chapters)) {
+      return [];
+    }
+    return project.chapters.concat(project.reference || [], project.trash || []);
+  }
+
+  getDefaultDocumentId() {
+    return this.context.documentId || 'default';
+  }
+
+  createDetachedQuill(contents) {
+    const quill = typeof this.context.createQuill === 'function' ? this.context.createQuill() : getTempQuill();
+    quill.setContents(contents || { ops: [{ insert: '\n' }] }, 'silent');
+    return quill;
+  }
+
+  // The chapter's contents changed without its document (batch replace, scene moves and the like): the difference
+  // is logged as a change of the document, so operations made on earlier versions still transform and revert
+  syncContents(entry) {
+    const { chapter } = entry;
+    if (chapter.contents == null) {
+      // Saved, so the file holds what the document's Quill does
+      entry.contents = null;
+    }
+    else if (chapter.contents !== entry.contents) {
+      entry.contents = chapter.contents;
+      entry.document.applyContents(chapter.contents);
+    }
+  }
+
+  storeContents(entry) {
+    const { chapter, document } = entry;
+    chapter.contents = document.quill.getContents();
+    chapter.hasUnsavedChanges = true;
+    chapterMetadata.markEdited(chapter);
+    entry.contents = chapter.contents;
+    if (this.context.project) {
+      this.context.project.hasUnsavedChanges = true;
+    }
+  }
+}
+
+module.exports = { WoolfOTDocuments };
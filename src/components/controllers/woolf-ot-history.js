@@ -0,0 +1,69 @@
+/**
+ * WoolfOTHistoryFile - Change log entries kept on disk
+ *
+ * An OT document keeps its latest changes in memory (see maxLogSize in woolf-ot-document.js) and hands older ones
+ * to its history archive. This archive appends them to a file of JSON lines, so every version of the session can
+ * still be reverted to, shown or compared. Versions start again with each session, so the file does too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logError } = require('./error-log');
+
+class WoolfOTHistoryFile {
+  /**
+   * @param {string} filepath - The file to keep the entries in, made when the first entries come; anything
+   * in it from before is discarded then
+   */
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.started = false;
+  }
+
+  /**
+   * Add entries, oldest first, after those already kept
+   * @param {Array<object>} entries - Change log entries
+   */
+  append(entries) {
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    try {
+      if (this.started) {
+        fs.appendFileSync(this.filepath, lines, 'utf8');
+      }
+      else {
+        fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+        fs.writeFileSync(this.filepath, lines, 'utf8');
+        this.started = true;
+      }
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  /**
+   * The kept entries after a version
+   * @param {number} sinceVersion - Entries with a later version are returned
+   * @returns {Array<object>} Change log entries, oldest first
+   */
+  read(sinceVersion = 0) {
+    if (!this.started || !fs.existsSync(this.filepath)) {
+      return [];
+    }
+    return fs.readFileSync(this.filepath, 'utf8')
+      .split('\n')
+      .filter(line => line !== '')
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.version > sinceVersion);
+  }
+
+  /**
+   * Remove the file, when the document is no longer needed
+   */
+  remove() {
+    if (this.started && fs.existsSync(this.filepath)) {
+      fs.unlinkSync(this.filepath);
+    }
+  }
+}
+
+module.exports = { WoolfOTHistoryFile };
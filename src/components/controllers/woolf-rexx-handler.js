@@ -6,7 +6,19 @@
  * Enhanced with Operational Transform support for collaborative editing
  */
 
-const { WoolfOTDocument } = require('./woolf-ot-document');
+const { WoolfOTDocuments } = require('./woolf-ot-documents');
+const { getContentsChange } = require('./woolf-ot-document');
+const tags = require('./tags');
+const chapterMetadata = require('./chapter-metadata');
+const { getSearchIndex } = require('./search-index');
+const batchReplace = require('./batch-replace');
+const scenes = require('./scenes');
+const trash = require('./trash');
+const projectTemplates = require('./project-templates');
+const codex = require('./codex');
+const timeline = require('./timeline');
+const anchoredNotes = require('./anchored-notes');
+const footnotes = require('./footnotes');
 
 class WoolfRexxHandler {
   constructor(context) {
@@ -14,8 +26,15 @@ class WoolfRexxHandler {
     this.debugLog = [];
     this.maxLogEntries = 100;
 
-    // Initialize OT document wrapper
-    this.otDoc = new WoolfOTDocument(context.editorQuill, context.documentId || 'default');
+    // One OT document per chapter, addressed by its documentId (the chapter's id)
+    this.documents = new WoolfOTDocuments(context);
+  }
+
+  /**
+   * The OT document of the chapter in the editor
+   */
+  get otDoc() {
+    return this.documents.getActiveDocument();
   }
 
   /**
@@ -55,12 +74,94 @@ class WoolfRexxHandler {
           return await this.setChapterTitle(params);
         case 'go-to-chapter':
           return await this.goToChapter(params);
+        case 'get-chapter-metadata':
+          return await this.getChapterMetadata(params);
+        case 'set-chapter-metadata':
+          return await this.setChapterMetadata(params);
+
+        // Tag commands
+        case 'tag-chapter':
+          return await this.tagChapter(params);
+        case 'untag-chapter':
+          return await this.untagChapter(params);
+        case 'query-chapters':
+          return await this.queryChapters(params);
+        case 'list-tags':
+          return await this.listTags(params);
+
+        // Scene commands
+        case 'list-scenes':
+          return await this.listScenes(params);
+        case 'set-scene':
+          return await this.setScene(params);
+        case 'insert-scene-break':
+          return await this.insertSceneBreak(params);
+        case 'move-scene':
+          return await this.moveScene(params);
+        case 'split-chapter':
+          return await this.splitChapter(params);
+
+        // Anchored notes
+        case 'list-anchored-notes':
+          return await this.listAnchoredNotes(params);
+        case 'add-anchored-note':
+          return await this.addAnchoredNote(params);
+        case 'remove-anchored-note':
+          return await this.removeAnchoredNote(params);
+
+        // Footnotes
+        case 'list-footnotes':
+          return await this.listFootnotes(params);
+        case 'insert-footnote':
+          return await this.insertFootnote(params);
+        case 'set-footnote':
+          return await this.setFootnote(params);
+        case 'remove-footnote':
+          return await this.removeFootnote(params);
+
+        // Codex
+        case 'list-codex':
+          return await this.listCodex(params);
+        case 'get-codex-entry':
+          return await this.getCodexEntry(params);
+        case 'add-codex-entry':
+          return await this.addCodexEntry(params);
+        case 'set-codex-entry':
+          return await this.setCodexEntry(params);
+        case 'delete-codex-entry':
+          return await this.deleteCodexEntry(params);
+        case 'codex-mentions':
+          return await this.codexMentions(params);
+        case 'codex-unmentioned':
+          return await this.codexUnmentioned(params);
+
+        // Timeline
+        case 'list-timeline':
+          return await this.listTimeline(params);
+        case 'set-timeline-event':
+          return await this.setTimelineEvent(params);
+        case 'move-timeline-event':
+          return await this.moveTimelineEvent(params);
+        case 'remove-timeline-event':
+          return await this.removeTimelineEvent(params);
+        case 'timeline-conflicts':
+          return await this.timelineConflicts(params);
+
+        // Purged chapters
+        case 'list-purged':
+          return await this.listPurged(params);
+        case 'recover-purged':
+          return await this.recoverPurged(params);
 
         // Search & Replace
         case 'find':
           return await this.find(params);
         case 'replace':
           return await this.replace(params);
+        case 'replace-in-project':
+          return await this.replaceInProject(params);
+        case 'search-project':
+          return await this.searchProject(params);
 
         // Formatting
         case 'format-selection':
@@ -79,6 +180,8 @@ class WoolfRexxHandler {
           return await this.openDocument(params);
         case 'new-document':
           return await this.newDocument(params);
+        case 'list-templates':
+          return await this.listTemplates(params);
 
         // Export
         case 'export-docx':
@@ -98,6 +201,10 @@ class WoolfRexxHandler {
         case 'clear-debug-log':
           return this.clearDebugLog();
 
+        // ========== OT Documents ==========
+        case 'list-documents':
+          return await this.listDocuments(params);
+
         // ========== OT Version Control ==========
         case 'get-version':
           return await this.getVersion(params);
@@ -139,6 +246,8 @@ class WoolfRexxHandler {
           return await this.lockRange(params);
         case 'unlock-range':
           return await this.unlockRange(params);
+        case 'get-locks':
+          return await this.getLocks(params);
 
         // ========== Document Analysis ==========
         case 'get-structure':
@@ -159,6 +268,8 @@ class WoolfRexxHandler {
           return await this.acceptSuggestion(params);
         case 'reject-suggestion':
           return await this.rejectSuggestion(params);
+        case 'accept-all-suggestions':
+          return await this.acceptAllSuggestions(params);
         case 'get-suggestions':
           return await this.getSuggestions(params);
         case 'clear-suggestions':
@@ -185,6 +296,10 @@ class WoolfRexxHandler {
           return await this.getHistory(params);
         case 'revert-to-version':
           return await this.revertToVersion(params);
+        case 'view-version':
+          return await this.viewVersion(params);
+        case 'diff-versions':
+          return await this.diffVersions(params);
 
         // Quick correction commands
         case 'apply-quick-correction':
@@ -219,30 +334,38 @@ class WoolfRexxHandler {
     return delta;
   }
 
+  // The editor's text is changed through the OT document of the chapter in it, so each edit is a version
+
   async setContent(params) {
-    const { editorQuill } = this.context;
+    const userId = params.userId || params.user || 'system';
     const text = params.text || params.content || '';
+    const otDoc = this.otDoc;
 
-    editorQuill.setText(text);
-    return { success: true, length: text.length };
+    // As Quill's setText, which ends the text with a newline
+    const contents = { ops: [{ insert: text.endsWith('\n') ? text : text + '\n' }] };
+    const ops = getContentsChange(otDoc.quill.getContents().ops, contents.ops);
+    const change = ops.length > 0 ? otDoc.applyDelta({ ops }, userId) : null;
+    return { success: true, length: text.length, version: change ? change.version : otDoc.version };
   }
 
   async append(params) {
-    const { editorQuill } = this.context;
+    const userId = params.userId || params.user || 'system';
     const text = params.text || params.content || '';
-    const length = editorQuill.getLength();
+    const otDoc = this.otDoc;
+    // Before the newline that ends the text
+    const position = Math.max(0, otDoc.quill.getLength() - 1);
 
-    editorQuill.insertText(length, text);
-    return { success: true, position: length };
+    const change = otDoc.insertAt(position, text, userId);
+    return { success: true, position, version: change.version };
   }
 
   async insert(params) {
-    const { editorQuill } = this.context;
+    const userId = params.userId || params.user || 'system';
     const text = params.text || params.content || '';
     const position = parseInt(params.position || params.at || 0);
 
-    editorQuill.insertText(position, text);
-    return { success: true, position };
+    const change = this.otDoc.insertAt(position, text, userId);
+    return { success: true, position, version: change.version };
   }
 
   // ========== Chapter Commands ==========
@@ -251,9 +374,12 @@ class WoolfRexxHandler {
     const { project } = this.context;
     return project.chapters.map((chap, idx) => ({
       index: idx,
+      id: chap.id,
       title: chap.title,
       filename: chap.filename,
-      summary: chap.summary
+      summary: chap.summary,
+      status: chap.status || null,
+      tags: tags.getTags(chap)
     }));
   }
 
@@ -268,7 +394,7 @@ class WoolfRexxHandler {
   }
 
   async deleteChapter(params) {
-    const index = parseInt(params.number || params.index || params.id);
+    const index = this.resolveChapterIndex(params);
     if (typeof this.context.onDeleteChapter === 'function') {
       await this.context.onDeleteChapter(index);
       return { success: true, deleted: index };
@@ -278,7 +404,7 @@ class WoolfRexxHandler {
 
   async getChapter(params) {
     const { project, editorQuill } = this.context;
-    const index = parseInt(params.number || params.index || params.id);
+    const index = this.resolveChapterIndex(params);
 
     if (index < 0 || index >= project.chapters.length) {
       throw new Error(`Invalid chapter index: ${index}`);
@@ -289,6 +415,7 @@ class WoolfRexxHandler {
 
     if (params.format === 'text' || params.format === 'plain') {
       return {
+        id: chapter.id,
         title: chapter.title,
         summary: chapter.summary,
         content: this.deltaToText(contents)
@@ -296,6 +423,7 @@ class WoolfRexxHandler {
     }
 
     return {
+      id: chapter.id,
       title: chapter.title,
       summary: chapter.summary,
       content: contents
@@ -304,7 +432,7 @@ class WoolfRexxHandler {
 
   async setChapterTitle(params) {
     const { project } = this.context;
-    const index = parseInt(params.number || params.index || params.id);
+    const index = this.resolveChapterIndex(params);
     const title = params.title || 'Untitled';
 
     if (index < 0 || index >= project.chapters.length) {
@@ -316,11 +444,11 @@ class WoolfRexxHandler {
       this.context.onUpdateChapterList();
     }
 
-    return { success: true, index, title };
+    return { success: true, index, id: project.chapters[index].id, title };
   }
 
   async goToChapter(params) {
-    const index = parseInt(params.number || params.index || params.id);
+    const index = this.resolveChapterIndex(params);
     if (typeof this.context.onGoToChapter === 'function') {
       await this.context.onGoToChapter(index);
       return { success: true, chapter: index };
@@ -328,6 +456,457 @@ class WoolfRexxHandler {
     throw new Error('Go to chapter function not available');
   }
 
+  async getChapterMetadata(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    return {
+      index,
+      id: chapter.id,
+      title: chapter.title,
+      ...chapterMetadata.getMetadata(chapter)
+    };
+  }
+
+  async setChapterMetadata(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    const changes = {};
+    if (params.status !== undefined) changes.status = params.status;
+    if (params['target-words'] !== undefined) changes.targetWords = params['target-words'];
+    if (params['revision-pass'] !== undefined) changes.revisionPass = params['revision-pass'];
+    if (params.field !== undefined) {
+      changes.customFields = { [params.field]: params.value };
+    }
+
+    const metadata = chapterMetadata.setMetadata(chapter, changes);
+    this.context.project.hasUnsavedChanges = true;
+
+    return { success: true, index, id: chapter.id, ...metadata };
+  }
+
+  // ========== Tag Commands ==========
+
+  async tagChapter(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    const added = tags.tagChapter(chapter, params.tags || params.tag);
+    this.markTagsChanged(added);
+
+    return { success: true, index, id: chapter.id, added, tags: tags.getTags(chapter) };
+  }
+
+  async untagChapter(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    const removed = tags.untagChapter(chapter, params.tags || params.tag);
+    this.markTagsChanged(removed);
+
+    return { success: true, index, id: chapter.id, removed, tags: tags.getTags(chapter) };
+  }
+
+  async queryChapters(params) {
+    const { project } = this.context;
+    let query = { tags: params.tags || params.tag, match: params.match };
+
+    // A saved filter view can be used in place of explicit tags
+    if (params.view) {
+      const view = tags.getFilterViewByName(project, params.view) || tags.getFilterView(project, params.view);
+      if (!view) {
+        throw new Error(`Unknown filter view: ${params.view}`);
+      }
+      query = view;
+    }
+
+    return tags.queryChapters(project, query).map(index => {
+      const chap = project.chapters[index];
+      return {
+        index,
+        id: chap.id,
+        title: chap.title,
+        tags: tags.getTags(chap)
+      };
+    });
+  }
+
+  async listTags(params) {
+    return tags.getAllTags(this.context.project);
+  }
+
+  // ========== Scene Commands ==========
+
+  async listScenes(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    return scenes.listScenes(chapter).map(scene => ({
+      number: scene.number,
+      id: scene.id,
+      title: scene.title,
+      summary: scene.summary,
+      status: scene.status,
+      words: scene.words
+    }));
+  }
+
+  async setScene(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+    const contentsBefore = chapter.contents;
+
+    const changes = {};
+    if (params.title !== undefined) changes.title = params.title;
+    if (params.summary !== undefined) changes.summary = params.summary;
+    if (params.status !== undefined) changes.status = params.status;
+
+    const scene = scenes.setSceneMetadata(chapter, params.scene, changes);
+    // Scene breaks that had no id were given one, which changes the chapter text
+    if (chapter.contents !== contentsBefore) {
+      this.notifyChaptersChanged();
+    }
+
+    return { success: true, index, id: chapter.id, scene };
+  }
+
+  async insertSceneBreak(params) {
+    const { editorQuill } = this.context;
+    const selection = editorQuill.getSelection();
+    const atParam = params.at !== undefined ? params.at : params.position;
+    const position = atParam !== undefined ? parseInt(atParam) : (selection ? selection.index : editorQuill.getLength() - 1);
+    const sceneId = scenes.newSceneId();
+
+    editorQuill.updateContents(scenes.getInsertBreakChange(editorQuill.getContents(), position, sceneId), 'user');
+    return { success: true, position, scene: sceneId };
+  }
+
+  /**
+   * Move a scene to the end of another chapter.
+   * The scene is given by number or id (scene=), the target chapter by to=<index> or to-id=<uuid>.
+   */
+  async moveScene(params) {
+    const fromIndex = this.resolveChapterIndex(params);
+    const fromChapter = this.getChapterAt(fromIndex);
+    const toIndex = this.resolveChapterIndex({ index: params.to, id: params['to-id'] });
+    const toChapter = this.getChapterAt(toIndex);
+
+    const moved = scenes.moveScene(fromChapter, params.scene, toChapter);
+    this.notifyChaptersChanged();
+
+    return { success: true, from: fromIndex, to: toIndex, toId: toChapter.id, scene: moved.id, number: moved.number };
+  }
+
+  async splitChapter(params) {
+    const { project } = this.context;
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    const newChapter = scenes.splitChapterAtScene(project, chapter, params.scene);
+    this.notifyChaptersChanged();
+
+    return { success: true, index, id: chapter.id, newIndex: project.chapters.indexOf(newChapter), newId: newChapter.id };
+  }
+
+  // ========== Anchored Notes ==========
+
+  async listAnchoredNotes(params) {
+    const chapter = this.getChapterAt(this.resolveChapterIndex(params));
+    return anchoredNotes.listAnchoredNotes(chapter);
+  }
+
+  /**
+   * Anchors a chapter note to the passage of length characters starting at position at (or position)
+   */
+  async addAnchoredNote(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+    const at = params.at !== undefined ? params.at : params.position;
+    if (at === undefined || params.length === undefined) {
+      throw new Error('add-anchored-note needs at= and length= for the passage');
+    }
+
+    const note = anchoredNotes.addAnchoredNote(chapter, at, params.length, params.text || params.note || '');
+    this.notifyChaptersChanged();
+
+    return { success: true, index, chapterId: chapter.id, note };
+  }
+  async removeAnchoredNote(params) {
+    const index = this.resolveChapterIndex(params);
+    const chapter = this.getChapterAt(index);
+
+    const note = anchoredNotes.removeAnchoredNote(chapter, params.note || params.noteId);
+    this.notifyChaptersChanged();
+
+    return { success: true, index, chapterId: chapter.id, id: note.id };
+  }
+
+  // ========== Footnotes ==========
+
+  async listFootnotes(params) {
+    const { editorQuill } = this.context;
+    return footnotes.getFootnotes(editorQuill.getContents())
+      .map(footnote => ({ number: footnote.number, references: footnote.references.slice(), text: footnote.text }));
+  }
+
+  /**
+   * Insert a footnote reference at position at (or position, else the cursor) with its text at the chapter end.
+   * Footnotes are numbered in the order of their references.
+   */
+  async insertFootnote(params) {
+    const { editorQuill } = this.context;
+    const selection = editorQuill.getSelection();
+    const atParam = params.at !== undefined ? params.at : params.position;
+    const position = atParam !== undefined ? parseInt(atParam) : (selection ? selection.index + selection.length : editorQuill.getLength() - 1);
+
+    const inserted = footnotes.insertFootnote(editorQuill.getContents(), position, params.text || '');
+    editorQuill.updateContents(inserted.change, 'user');
+    this.renumberFootnotes();
+    return { success: true, position, number: inserted.number };
+  }
+
+  // number= is the chapter's, so the footnote is footnote=
+  async setFootnote(params) {
+    const { editorQuill } = this.context;
+    const number = this.getFootnoteNumber(params);
+    editorQuill.updateContents(footnotes.setFootnoteText(editorQuill.getContents(), number, params.text || '').change, 'user');
+    return { success: true, number };
+  }
+
+  async removeFootnote(params) {
+    const { editorQuill } = this.context;
+    const number = this.getFootnoteNumber(params);
+    editorQuill.updateContents(footnotes.removeFootnote(editorQuill.getContents(), number).change, 'user');
+    this.renumberFootnotes();
+    return { success: true, number };
+  }
+
+  getFootnoteNumber(params) {
+    const number = parseInt(params.footnote);
+    if (isNaN(number)) {
+      throw new Error('Footnote number required (footnote=)');
+    }
+    return number;
+  }
+
+  // The app renumbers after each edit, so this only changes anything when nothing else did
+  renumberFootnotes() {
+    const { editorQuill } = this.context;
+    const numbered = footnotes.renumberFootnotes(editorQuill.getContents());
+    if (numbered.change.ops.length > 0) {
+      editorQuill.updateContents(numbered.change, 'user');
+    }
+  }
+
+  // ========== Codex ==========
+
+  async listCodex(params) {
+    const { project } = this.context;
+    return codex.getEntries(project)
+      .filter(entry => !params.type || entry.type === String(params.type).toLowerCase())
+      .map(entry => ({ id: entry.id, name: entry.name, type: entry.type, aliases: entry.aliases.slice() }));
+  }
+
+  async getCodexEntry(params) {
+    return this.describeCodexEntry(codex.getEntry(this.context.project, this.getCodexRef(params)));
+  }
+
+  async addCodexEntry(params) {
+    const entry = codex.addEntry(this.context.project, this.getCodexValues(params));
+    return { success: true, entry: this.describeCodexEntry(entry) };
+  }
+
+  async setCodexEntry(params) {
+    // entry= names the entry to change, so name= can rename it
+    const ref = params.entry || params.id;
+    if (!ref) {
+      throw new Error('Codex entry required (entry= or id=)');
+    }
+    const entry = codex.updateEntry(this.context.project, ref, this.getCodexValues(params));
+    return { success: true, entry: this.describeCodexEntry(entry) };
+  }
+
+  async deleteCodexEntry(params) {
+    const entry = codex.removeEntry(this.context.project, this.getCodexRef(params));
+    return { success: true, id: entry.id, name: entry.name };
+  }
+
+  async codexMentions(params) {
+    const { project } = this.context;
+    const ref = params.entry || params.id || params.name;
+    if (!ref) {
+      return await codex.getMentionReport(project, params.type ? String(params.type).toLowerCase() : null);
+    }
+
+    const entry = codex.getEntry(project, ref);
+    const report = await codex.getMentionReport(project);
+    return report.find(item => item.id === entry.id);
+  }
+
+  async codexUnmentioned(params) {
+    const report = await codex.getMentionReport(this.context.project, params.type ? String(params.type).toLowerCase() : null);
+    return report.filter(item => item.unmentioned).map(item => ({ id: item.id, name: item.name, type: item.type }));
+  }
+
+  getCodexRef(params) {
+    const ref = params.entry || params.id || params.name;
+    if (!ref) {
+      throw new Error('Codex entry required (entry=, id= or name=)');
+    }
+    return ref;
+  }
+
+  getCodexValues(params) {
+    const values = {};
+    ['name', 'type', 'aliases', 'description'].forEach(key => {
+      if (params[key] !== undefined) values[key] = params[key];
+    });
+    if (params.field !== undefined) {
+      values.fields = { [params.field]: params.value };
+    }
+    return values;
+  }
+
+  describeCodexEntry(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      type: entry.type,
+      aliases: entry.aliases.slice(),
+      description: entry.description,
+      fields: Object.assign({}, entry.fields)
+    };
+  }
+
+  // ========== Timeline ==========
+
+  async listTimeline(params) {
+    const view = await timeline.getTimelineView(this.context.project);
+    return view.story.map(item => this.describeTimelineItem(item));
+  }
+
+  /**
+   * Give a chapter or scene its place on the timeline, adding it if it is not there yet.
+   * @param {object} params - Chapter (number/index/id), optional scene, and date, end and codex to set
+   * @returns {object} The event with its position in story order
+   */
+  async setTimelineEvent(params) {
+    const { project } = this.context;
+    const { chapter, sceneId } = this.resolveTimelineTarget(params);
+
+    const values = {};
+    ['date', 'end', 'codex'].forEach(key => {
+      if (params[key] !== undefined) values[key] = params[key];
+    });
+
+    let event = timeline.findEventFor(project, chapter.id, sceneId);
+    if (event) {
+      timeline.updateEvent(project, event.id, values);
+    } else {
+      event = timeline.addEvent(project, Object.assign({ chapterId: chapter.id, sceneId }, values));
+    }
+    return { success: true, event: await this.getTimelineItem(event.id) };
+  }
+
+  async moveTimelineEvent(params) {
+    const { project } = this.context;
+    const event = this.resolveTimelineEvent(params);
+    const position = parseInt(params.to !== undefined ? params.to : params.position);
+    const view = await timeline.getTimelineView(project);
+    if (isNaN(position) || position < 1 || position > view.story.length) {
+      throw new Error(`Invalid timeline position: ${params.to !== undefined ? params.to : params.position} (1 to ${view.story.length})`);
+    }
+
+    // Taking the place of the event there puts it before or after that event, depending on the direction
+    timeline.moveEvent(project, event.id, timeline.getTimeline(project).indexOf(view.story[position - 1].event));
+    return { success: true, event: await this.getTimelineItem(event.id) };
+  }
+
+  async removeTimelineEvent(params) {
+    const event = timeline.removeEvent(this.context.project, this.resolveTimelineEvent(params).id);
+    return { success: true, event: event.id };
+  }
+
+  async timelineConflicts(params) {
+    return timeline.findConflicts(this.context.project).map(conflict => ({
+      type: conflict.type,
+      message: conflict.message,
+      events: conflict.events.slice(),
+      entry: conflict.entryId
+    }));
+  }
+
+  /**
+   * The chapter and scene a timeline command refers to. Scene 1 is the chapter's opening,
+   * which the chapter's own event covers.
+   */
+  resolveTimelineTarget(params) {
+    const chapter = this.getChapterAt(this.resolveChapterIndex(params));
+    if (params.scene === undefined || params.scene === '') {
+      return { chapter, sceneId: null };
+    }
+
+    if (scenes.ensureSceneIds(chapter)) {
+      this.notifyChaptersChanged();
+    }
+    const scene = scenes.findScene(scenes.getScenes(chapter.getContentsOrFile()), params.scene);
+    return { chapter, sceneId: scene.id === scenes.openingSceneId ? null : scene.id };
+  }
+
+  resolveTimelineEvent(params) {
+    const { project } = this.context;
+    if (params.event) {
+      return timeline.getEvent(project, params.event);
+    }
+
+    const { chapter, sceneId } = this.resolveTimelineTarget(params);
+    const event = timeline.findEventFor(project, chapter.id, sceneId);
+    if (!event) {
+      throw new Error(`Not on the timeline: ${chapter.title}${sceneId ? ' scene ' + params.scene : ''}`);
+    }
+    return event;
+  }
+
+  async getTimelineItem(eventId) {
+    const view = await timeline.getTimelineView(this.context.project);
+    return this.describeTimelineItem(view.story.find(item => item.event.id === eventId));
+  }
+
+  describeTimelineItem(item) {
+    return {
+      position: item.chronology,
+      event: item.event.id,
+      index: item.chapterIndex,
+      id: item.chapterId,
+      scene: item.sceneId,
+      title: item.title,
+      date: item.event.date,
+      end: item.event.end,
+      codex: item.entries.map(entry => entry.name),
+      conflicts: item.conflicts.slice()
+    };
+  }
+
+  // ========== Purged Chapters ==========
+
+  async listPurged(params) {
+    return trash.listPurged(this.context.project);
+  }
+
+  async recoverPurged(params) {
+    const { project } = this.context;
+    const entryId = params.id || params.entry;
+    if (!entryId) {
+      throw new Error('recover-purged requires id');
+    }
+
+    const chapter = trash.recoverPurged(project, entryId);
+    this.notifyChaptersChanged();
+
+    return { success: true, index: project.chapters.indexOf(chapter), id: chapter.id, title: chapter.title };
+  }
+
   // ========== Search & Replace ==========
 
   async find(params) {
@@ -353,15 +932,106 @@ class WoolfRexxHandler {
     const { editorQuill } = this.context;
     const search = params.search || params.find || '';
     const replaceWith = params['replace-with'] || params.replace || '';
-    const text = editorQuill.getText();
+    if (!search) {
+      throw new Error('replace needs search=<text>');
+    }
 
-    const newText = text.replaceAll(search, replaceWith);
-    editorQuill.setText(newText);
+    // Replaced through a delta so the formatting around each hit is kept, as one undo step. The hits are found in
+    // the text of that same delta, where an embed (an image, a footnote marker) is one character that matches nothing
+    const contents = editorQuill.getContents();
+    const text = contents.ops.map(op => typeof op.insert === 'string' ? op.insert : '\uFFFC').join('');
+    const edits = [];
+    let index = text.indexOf(search);
+    while (index !== -1) {
+      edits.push({ offset: index, length: search.length, text: replaceWith });
+      index = text.indexOf(search, index + search.length);
+    }
 
-    const count = (text.length - newText.length + replaceWith.length *
-                   (text.split(search).length - 1)) / search.length;
+    if (edits.length > 0) {
+      const { change } = batchReplace.replaceInDelta(contents, edits);
+      editorQuill.updateContents(change, 'user');
+    }
 
-    return { success: true, replacements: count };
+    return { success: true, replacements: edits.length };
+  }
+
+  async replaceInProject(params) {
+    const { project, editorQuill } = this.context;
+    const search = params.search || params.find || '';
+    const replaceWith = params['replace-with'] !== undefined ? params['replace-with'] : (params.replace || '');
+    if (!search) {
+      throw new Error('replace-in-project needs search=<text>');
+    }
+    const isTrue = value => value === 'true' || value === true;
+
+    const hits = batchReplace.findReplacements(project, search, replaceWith, {
+      caseSensitive: isTrue(params.case),
+      wholeWord: isTrue(params['whole-word']),
+      regex: isTrue(params.regex)
+    });
+
+    // hits=1,3,4 accepts only those hit numbers (as listed by a dry run)
+    if (params.hits !== undefined) {
+      const accepted = String(params.hits).split(',').map(n => parseInt(n.trim(), 10));
+      hits.forEach(hit => {
+        hit.accepted = accepted.includes(hit.number);
+      });
+    }
+
+    const preview = hits.map(hit => ({
+      number: hit.number,
+      index: hit.chapterIndex,
+      id: hit.chapterId,
+      title: hit.title,
+      offset: hit.offset,
+      match: hit.match,
+      replacement: hit.replacement,
+      snippet: hit.snippet,
+      accepted: hit.accepted
+    }));
+
+    if (isTrue(params['dry-run'])) {
+      return { dryRun: true, count: hits.length, hits: preview };
+    }
+
+    const result = batchReplace.applyReplacements(project, hits, batchReplace.createEditorApplier(project, editorQuill));
+    if (result.replaced > 0 && this.context.onUpdateChapterList) {
+      this.context.onUpdateChapterList();
+    }
+
+    return {
+      success: true,
+      replacements: result.replaced,
+      skipped: result.skipped,
+      chapters: result.chapters.map(changed => ({ id: changed.chapterId, title: changed.title, replacements: changed.count }))
+    };
+  }
+
+  async searchProject(params) {
+    const { project, userSettings } = this.context;
+    const query = params.query || params.text || params.search || '';
+    if (!query) {
+      throw new Error('search-project needs query=<text>');
+    }
+    const isTrue = value => value === 'true' || value === true;
+    const limit = params.limit !== undefined ? parseInt(params.limit, 10) : undefined;
+
+    const index = getSearchIndex(project, userSettings ? userSettings.persistSearchIndex : undefined);
+    return index.search(query, {
+      caseSensitive: isTrue(params.case),
+      wholeWord: isTrue(params['whole-word']),
+      regex: isTrue(params.regex),
+      limit: limit > 0 ? limit : undefined
+    }).map(result => ({
+      index: result.chapterIndex,
+      id: result.chapterId,
+      title: result.title,
+      kind: result.kind,
+      offset: result.offset,
+      length: result.length,
+      match: result.match,
+      snippet: result.snippet
+    }));
   }
 
   // ========== Formatting ==========
@@ -380,8 +1050,14 @@ class WoolfRexxHandler {
     if (params.underline !== undefined) formats.underline = params.underline === 'true' || params.underline === true;
     if (params.strike !== undefined) formats.strike = params.strike === 'true' || params.strike === true;
 
-    editorQuill.formatText(range.index, range.length, formats);
-    return { success: true, range, formats };
+    // A format turned off is removed, as Quill's formatText does with false
+    const attributes = {};
+    Object.keys(formats).forEach(name => {
+      attributes[name] = formats[name] || null;
+    });
+    const userId = params.userId || params.user || 'system';
+    const change = this.otDoc.applyDelta({ ops: (range.index > 0 ? [{ retain: range.index }] : []).concat({ retain: range.length, attributes }) }, userId);
+    return { success: true, range, formats, version: change.version };
   }
 
   // ========== Statistics ==========
@@ -399,7 +1075,7 @@ class WoolfRexxHandler {
   async getChapterWordCount(params) {
     const { countWords } = require('./wordcount');
     const { project } = this.context;
-    const index = parseInt(params.number || params.index || params.id);
+    const index = this.resolveChapterIndex(params);
 
     if (index < 0 || index >= project.chapters.length) {
       throw new Error(`Invalid chapter index: ${index}`);
@@ -411,6 +1087,7 @@ class WoolfRexxHandler {
 
     return {
       chapter: index,
+      id: chapter.id,
       title: chapter.title,
       words: countWords(text)
     };
@@ -441,13 +1118,25 @@ class WoolfRexxHandler {
 
   async newDocument(params) {
     const title = params.title || 'New Project';
+    const template = params.template || null;
     if (typeof this.context.onNewProject === 'function') {
+      if (template) {
+        await this.context.onNewProject(title, template);
+        return { success: true, title, template };
+      }
       await this.context.onNewProject(title);
       return { success: true, title };
     }
     throw new Error('New project function not available');
   }
 
+  async listTemplates(params) {
+    if (!this.context.templatesDirectory) {
+      throw new Error('Project templates not available');
+    }
+    return projectTemplates.listTemplates(this.context.templatesDirectory);
+  }
+
   // ========== Export ==========
 
   async exportDocx(params) {
@@ -492,15 +1181,41 @@ class WoolfRexxHandler {
     return { success: true };
   }
 
+  // ========== OT Document Methods ==========
+
+  /**
+   * The OT document a command works on: the chapter with the documentId given as document= (the chapter's id),
+   * the chapter at position chapter=, or else the chapter in the editor
+   * @param {object} params - Command parameters
+   * @returns {WoolfOTDocument}
+   */
+  getDocument(params = {}) {
+    const documentId = params.documentId || params.document;
+    if (documentId) {
+      return this.documents.getDocument(documentId);
+    }
+    if (params.chapter !== undefined && params.chapter !== null && params.chapter !== '') {
+      return this.documents.getChapterDocument(this.getChapterAt(parseInt(params.chapter)));
+    }
+    return this.documents.getActiveDocument();
+  }
+
+  async listDocuments(params) {
+    return {
+      active: this.otDoc.documentId,
+      documents: this.documents.listDocuments()
+    };
+  }
+
   // ========== OT Version Control Methods ==========
 
   async getVersion(params) {
-    return this.otDoc.getVersion();
+    return this.getDocument(params).getVersion();
   }
 
   async getChangesSince(params) {
     const sinceVersion = parseInt(params.version || params.since || 0);
-    return this.otDoc.getChangesSince(sinceVersion);
+    return this.getDocument(params).getChangesSince(sinceVersion);
   }
 
   async subscribeChanges(params) {
@@ -508,7 +1223,7 @@ class WoolfRexxHandler {
       console.log('[ChangeSubscription]', change);
     });
 
-    const subscription = this.otDoc.subscribe(callback);
+    const subscription = this.getDocument(params).subscribe(callback);
     return {
       success: true,
       subscriberId: subscription.subscriberId,
@@ -518,7 +1233,7 @@ class WoolfRexxHandler {
 
   async unsubscribeChanges(params) {
     const subscriberId = parseInt(params.subscriberId || params.id);
-    const success = this.otDoc.unsubscribe(subscriberId);
+    const success = this.getDocument(params).unsubscribe(subscriberId);
     return { success };
   }
 
@@ -526,19 +1241,19 @@ class WoolfRexxHandler {
 
   async getCursor(params) {
     const userId = params.userId || params.user || 'system';
-    const cursor = this.otDoc.getCursor(userId);
+    const cursor = this.getDocument(params).getCursor(userId);
     return cursor || { userId, index: 0, length: 0 };
   }
 
   async setCursor(params) {
     const userId = params.userId || params.user || 'system';
     const index = parseInt(params.index || params.position || 0);
-    return this.otDoc.setCursor(userId, index);
+    return this.getDocument(params).setCursor(userId, index);
   }
 
   async getSelection(params) {
     const userId = params.userId || params.user || 'system';
-    const selection = this.otDoc.getSelection(userId);
+    const selection = this.getDocument(params).getSelection(userId);
     return selection || { userId, index: 0, length: 0 };
   }
 
@@ -546,11 +1261,11 @@ class WoolfRexxHandler {
     const userId = params.userId || params.user || 'system';
     const index = parseInt(params.index || params.position || 0);
     const length = parseInt(params.length || 0);
-    return this.otDoc.setSelection(userId, index, length);
+    return this.getDocument(params).setSelection(userId, index, length);
   }
 
   async getAllCursors(params) {
-    return this.otDoc.getAllCursors();
+    return this.getDocument(params).getAllCursors();
   }
 
   // ========== OT Operations Methods ==========
@@ -561,7 +1276,7 @@ class WoolfRexxHandler {
     const text = params.text || params.content || '';
     const attributes = params.attributes || {};
 
-    return this.otDoc.insertAt(index, text, userId, attributes);
+    return this.getDocument(params).insertAt(index, text, userId, attributes, this.getBaseVersion(params));
   }
 
   async deleteRange(params) {
@@ -569,7 +1284,7 @@ class WoolfRexxHandler {
     const index = parseInt(params.index || params.position || params.start || 0);
     const length = parseInt(params.length || 1);
 
-    return this.otDoc.deleteRange(index, length, userId);
+    return this.getDocument(params).deleteRange(index, length, userId, this.getBaseVersion(params));
   }
 
   async replaceRange(params) {
@@ -579,7 +1294,7 @@ class WoolfRexxHandler {
     const text = params.text || params.newText || '';
     const attributes = params.attributes || {};
 
-    return this.otDoc.replaceRange(index, length, text, userId, attributes);
+    return this.getDocument(params).replaceRange(index, length, text, userId, attributes, this.getBaseVersion(params));
   }
 
   async applyDelta(params) {
@@ -590,7 +1305,14 @@ class WoolfRexxHandler {
       throw new Error('Delta parameter required');
     }
 
-    return this.otDoc.applyDelta(delta, userId);
+    return this.getDocument(params).applyDelta(delta, userId, this.getBaseVersion(params));
+  }
+
+  // The version an operation's positions were computed on, to transform it against the changes since.
+  // Without one the operation is taken to be on the current version.
+  getBaseVersion(params) {
+    const baseVersion = params.baseVersion !== undefined ? params.baseVersion : params['base-version'];
+    return baseVersion !== undefined ? parseInt(baseVersion) : undefined;
   }
 
   // ========== Collaboration Methods ==========
@@ -600,12 +1322,12 @@ class WoolfRexxHandler {
     const userName = params.userName || params.name || userId;
     const userType = params.userType || params.type || 'human';
 
-    return this.otDoc.announcePresence(userId, userName, userType);
+    return this.getDocument(params).announcePresence(userId, userName, userType);
   }
 
   async getActiveUsers(params) {
-    const threshold = parseInt(params.threshold || 60000);
-    return this.otDoc.getActiveUsers(threshold);
+    const threshold = params.threshold !== undefined ? parseInt(params.threshold) : undefined;
+    return this.getDocument(params).getActiveUsers(threshold);
   }
 
   async lockRange(params) {
@@ -614,20 +1336,24 @@ class WoolfRexxHandler {
     const length = parseInt(params.length || 1);
     const duration = parseInt(params.duration || 60000);
 
-    return this.otDoc.lockRange(userId, index, length, duration);
+    return this.getDocument(params).lockRange(userId, index, length, duration);
+  }
+
+  async getLocks(params) {
+    return this.getDocument(params).getLocks();
   }
 
   async unlockRange(params) {
     const userId = params.userId || params.user || 'system';
     const lockId = parseInt(params.lockId || params.id);
 
-    return this.otDoc.unlockRange(lockId, userId);
+    return this.getDocument(params).unlockRange(lockId, userId);
   }
 
   // ========== Document Analysis Methods ==========
 
   async getStructure(params) {
-    return this.otDoc.getStructure();
+    return this.getDocument(params).getStructure();
   }
 
   async getRangeText(params) {
@@ -637,7 +1363,7 @@ class WoolfRexxHandler {
     return {
       index,
       length,
-      text: this.otDoc.getRangeText(index, length)
+      text: this.getDocument(params).getRangeText(index, length)
     };
   }
 
@@ -645,7 +1371,7 @@ class WoolfRexxHandler {
     const index = parseInt(params.index || params.position || 0);
     const contextSize = parseInt(params.contextSize || params.size || 100);
 
-    return this.otDoc.getContextAround(index, contextSize);
+    return this.getDocument(params).getContextAround(index, contextSize);
   }
 
   async findPattern(params) {
@@ -657,11 +1383,11 @@ class WoolfRexxHandler {
     }
 
     const options = { flags };
-    return this.otDoc.findPattern(pattern, options);
+    return this.getDocument(params).findPattern(pattern, options);
   }
 
   async getMetadata(params) {
-    return this.otDoc.getMetadata();
+    return this.getDocument(params).getMetadata();
   }
 
   // ========== LLM Suggestion Methods ==========
@@ -673,7 +1399,7 @@ class WoolfRexxHandler {
     const newText = params.newText || params.text || '';
     const metadata = params.metadata || {};
 
-    return this.otDoc.suggestEdit(userId, index, length, newText, metadata);
+    return this.getDocument(params).suggestEdit(userId, index, length, newText, metadata);
   }
 
   async acceptSuggestion(params) {
@@ -684,7 +1410,7 @@ class WoolfRexxHandler {
       throw new Error('Suggestion ID required');
     }
 
-    return this.otDoc.acceptSuggestion(suggestionId, userId);
+    return this.getDocument(params).acceptSuggestion(suggestionId, userId);
   }
 
   async rejectSuggestion(params) {
@@ -696,17 +1422,28 @@ class WoolfRexxHandler {
       throw new Error('Suggestion ID required');
     }
 
-    return this.otDoc.rejectSuggestion(suggestionId, userId, reason);
+    return this.getDocument(params).rejectSuggestion(suggestionId, userId, reason);
+  }
+
+  async acceptAllSuggestions(params) {
+    const from = params.from || params.agent;
+    const userId = params.userId || params.user || 'system';
+
+    if (!from) {
+      throw new Error('Suggesting user required (from=)');
+    }
+
+    return this.getDocument(params).acceptSuggestionsFrom(from, userId);
   }
 
   async getSuggestions(params) {
     const status = params.status || null;
-    return this.otDoc.getSuggestions(status);
+    return this.getDocument(params).getSuggestions(status);
   }
 
   async clearSuggestions(params) {
     const status = params.status || 'all';
-    this.otDoc.clearSuggestions(status);
+    this.getDocument(params).clearSuggestions(status);
     return { success: true, status };
   }
 
@@ -718,13 +1455,14 @@ class WoolfRexxHandler {
     const length = parseInt(params.length || 1);
     const text = params.text || params.comment || '';
     const type = params.type || 'comment';
+    const metadata = params.metadata || {};
 
-    return this.otDoc.annotate(userId, index, length, text, type);
+    return this.getDocument(params).annotate(userId, index, length, text, type, metadata);
   }
 
   async getAnnotations(params) {
     const type = params.type || null;
-    return this.otDoc.getAnnotations(type);
+    return this.getDocument(params).getAnnotations(type);
   }
 
   async deleteAnnotation(params) {
@@ -734,7 +1472,7 @@ class WoolfRexxHandler {
       throw new Error('Annotation ID required');
     }
 
-    const success = this.otDoc.deleteAnnotation(annotationId);
+    const success = this.getDocument(params).deleteAnnotation(annotationId);
     return { success };
   }
 
@@ -742,32 +1480,55 @@ class WoolfRexxHandler {
 
   async beginTransaction(params) {
     const userId = params.userId || params.user || 'system';
-    return this.otDoc.beginTransaction(userId);
+    return this.getDocument(params).beginTransaction(userId);
   }
 
   async commitTransaction(params) {
-    return this.otDoc.commitTransaction();
+    return this.getDocument(params).commitTransaction();
   }
 
   async rollbackTransaction(params) {
-    return this.otDoc.rollbackTransaction();
+    return this.getDocument(params).rollbackTransaction();
   }
 
   // ========== History Methods ==========
 
   async getHistory(params) {
     const limit = parseInt(params.limit || 50);
-    return this.otDoc.getHistory(limit);
+    return this.getDocument(params).getHistory(limit);
   }
 
   async revertToVersion(params) {
     const version = parseInt(params.version);
+    const userId = params.userId || params.user || 'system';
+
+    if (isNaN(version)) {
+      throw new Error('Version parameter required');
+    }
+
+    return this.getDocument(params).revertToVersion(version, userId);
+  }
+
+  async viewVersion(params) {
+    const version = parseInt(params.version);
 
     if (isNaN(version)) {
       throw new Error('Version parameter required');
     }
 
-    return this.otDoc.revertToVersion(version);
+    return this.getDocument(params).getVersionView(version);
+  }
+
+  async diffVersions(params) {
+    const document = this.getDocument(params);
+    const from = parseInt(params.from);
+    const to = params.to !== undefined ? parseInt(params.to) : document.version;
+
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error('Version parameters required (from=, to=)');
+    }
+
+    return document.diffVersions(from, to);
   }
 
   // ========== Quick Correction Commands ==========
@@ -830,7 +1591,7 @@ class WoolfRexxHandler {
       metadata.alternateConfidences = altConfs;
     }
 
-    return this.otDoc.applyQuickCorrection(
+    return this.getDocument(params).applyQuickCorrection(
       userId,
       index,
       length,
@@ -849,7 +1610,7 @@ class WoolfRexxHandler {
       throw new Error('Required parameters: correction-id, user-id');
     }
 
-    return this.otDoc.revertCorrection(correctionId, userId);
+    return this.getDocument(params).revertCorrection(correctionId, userId);
   }
 
   async switchToAlternate(params) {
@@ -861,7 +1622,7 @@ class WoolfRexxHandler {
       throw new Error('Required parameters: correction-id, alternate-index, user-id');
     }
 
-    return this.otDoc.switchToAlternate(correctionId, alternateIndex, userId);
+    return this.getDocument(params).switchToAlternate(correctionId, alternateIndex, userId);
   }
 
   async getCorrections(params) {
@@ -875,7 +1636,7 @@ class WoolfRexxHandler {
       filters.reverted = params.reverted === 'true' || params.reverted === true;
     }
 
-    const corrections = this.otDoc.getCorrections(filters);
+    const corrections = this.getDocument(params).getCorrections(filters);
 
     return {
       corrections,
@@ -890,7 +1651,7 @@ class WoolfRexxHandler {
       throw new Error('Index parameter required');
     }
 
-    const correction = this.otDoc.getCorrectionAt(index);
+    const correction = this.getDocument(params).getCorrectionAt(index);
 
     return {
       correction,
@@ -900,6 +1661,56 @@ class WoolfRexxHandler {
 
   // ========== Utilities ==========
 
+  /**
+   * Resolve the chapter a command refers to.
+   * Chapters can be addressed by position (number/index) or by their stable id=<uuid>,
+   * which keeps working when chapters are reordered or retitled. A numeric id is
+   * treated as an index for compatibility with older scripts.
+   * @param {object} params - Command parameters
+   * @returns {number} Index into project.chapters
+   */
+  resolveChapterIndex(params) {
+    const { project } = this.context;
+    const id = params.id;
+
+    if (id !== undefined && id !== null && id !== '' && isNaN(id)) {
+      const index = project.chapters.findIndex(chap => chap.id === id);
+      if (index === -1) {
+        throw new Error(`Unknown chapter id: ${id}`);
+      }
+      return index;
+    }
+
+    // Chapter 0 is valid, so fall through on missing values only
+    const position = [params.number, params.index, id].find(value => value !== undefined && value !== null && value !== '');
+    return parseInt(position);
+  }
+
+  getChapterAt(index) {
+    const { project } = this.context;
+    if (isNaN(index) || index < 0 || index >= project.chapters.length) {
+      throw new Error(`Invalid chapter index: ${index}`);
+    }
+    return project.chapters[index];
+  }
+
+  markTagsChanged(changedTags) {
+    if (changedTags.length === 0) return;
+    this.context.project.hasUnsavedChanges = true;
+    if (typeof this.context.onUpdateChapterList === 'function') {
+      this.context.onUpdateChapterList();
+    }
+  }
+
+  // Chapter text changed outside the editor, which may need to show it again
+  notifyChaptersChanged() {
+    if (typeof this.context.onChaptersChanged === 'function') {
+      this.context.onChaptersChanged();
+    } else if (typeof this.context.onUpdateChapterList === 'function') {
+      this.context.onUpdateChapterList();
+    }
+  }
+
   log(message, data = null) {
     const entry = data ? `${message} ${JSON.stringify(data)}` : message;
     this.debugLog.push(entry);
@@ -932,7 +1743,8 @@ function setupRexxJSControl(context) {
 
   // Make it globally available for RexxJS
   window.ADDRESS_WOOLF = {
-    run: handler.run.bind(handler)
+    run: handler.run.bind(handler),
+    getDocument: handler.getDocument.bind(handler)
   };
 
   console.log('[WareWoolf] RexxJS control interface initialized');
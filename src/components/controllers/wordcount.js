@@ -1,12 +1,25 @@
+//Word counts of saved chapters are cached until their files change (see controllers/chapter-cache.js)
 function getTotalWordCount(project){
   var total = 0;
   project.chapters.forEach(function(chap){
-      var text = convertToPlainText(chap.contents ? chap.contents : chap.getFile());
-      total += countWords(text);
+      total += chap.getWordCount();
   });
   return total;
 }
 
+//Reads one chapter at a time without blocking, so big projects don't freeze the window.
+//onProgress(done, count) is called after each chapter.
+async function getTotalWordCountAsync(project, onProgress){
+  var chapters = project.chapters.slice();
+  var total = 0;
+  for(let i=0; i<chapters.length; i++){
+    total += await chapters[i].getWordCountAsync();
+    if(onProgress)
+      onProgress(i + 1, chapters.length);
+  }
+  return total;
+}
+
 function countWords(s){
   return s.replaceAll('\n', ' ')
   .replaceAll('\r', ' ')
@@ -16,15 +29,8 @@ function countWords(s){
   .filter(function(n) { return n != '' }).length;
 }
 
-function convertToPlainText(delt){
-  var text = '';
-  delt.ops.forEach(op => {
-    text += op.insert;
-  });
-  return text;
-}
-
 module.exports = {
   getTotalWordCount,
+  getTotalWordCountAsync,
   countWords
 }
\ No newline at end of file
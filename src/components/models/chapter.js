@@ -1,34 +1,61 @@
 const fs = require('fs');
+const { randomUUID } = require('crypto');
 const { logError } = require('../controllers/error-log');
-const { parseMDF, convertDeltaToMDF } = require('../controllers/markdownFic');
+const { convertDeltaToMDF } = require('../controllers/markdownFic');
+const chapterCache = require('../controllers/chapter-cache');
+const { countWords } = require('../controllers/wordcount');
 const { sanitizeFilename } = require('../controllers/utils');
+const { stampAnchors } = require('../controllers/anchored-notes');
+const chapterReview = require('../controllers/chapter-review');
 const notesNamePrepend = '-notes_';
 
-function newChapter(){
-    return {
+function newChapter(owner = null){
+    var chapter = {
+      id: randomUUID(), //Stable identity that survives reordering and retitling (filenames follow titles)
       title: "new",
       filename: null,
-      filter: null,
+      filter: [], //The chapter's tags, free text labels such as "draft" or "pov:Anna" (see controllers/tags.js)
+      partId: null,
       contents: null,
       summary: null,
+      status: null, //idea, draft, revision or final (see controllers/chapter-metadata.js)
+      targetWords: 0,
+      lastEdited: null,
+      revisionPass: 0,
+      customFields: {},
+      scenes: {}, //Scene metadata by scene id, see controllers/scenes.js
+      trashedAt: null, //When the chapter went to the trash, for the trash retention in controllers/trash.js
       hasUnsavedChanges: null,
       notes: null,
       deleteFile: deleteChapterFile,
       parseChapter: parseChapter,
       getFile: getFile,
+      getFileAsync: getFileAsync,
       saveFile: saveFile,
       saveCopy: saveCopy,
+      getSaveOperations: getSaveOperations,
+      completeSave: completeSave,
       getContentsOrFile: getContentsOrFile,
+      getContentsOrFileAsync: getContentsOrFileAsync,
+      getWordCount: getWordCount,
+      getWordCountAsync: getWordCountAsync,
       getNotesFile: getNotesFile,
       getNotesContentOrFile: getNotesContentOrFile,
       saveNotesFile: saveNotesFile
     };
 
+    //The project this chapter belongs to, which says where its files live. Several projects can be open at once,
+    //so chapters never look up a global project. Not enumerable so it stays out of the saved project file.
+    Object.defineProperty(chapter, 'project', { value: owner, writable: true, enumerable: false });
+    return chapter;
+
     function deleteChapterFile(){
       var chap = this;
       try{
-        if(fs.existsSync(project.directory + project.chapsDirectory + chap.filename))
-          fs.unlinkSync(project.directory + project.chapsDirectory + chap.filename);
+        var filepath = chap.project.directory + chap.project.chapsDirectory + chap.filename;
+        if(fs.existsSync(filepath))
+          fs.unlinkSync(filepath);
+        chapterCache.invalidate(filepath);
       }
       catch(err){
         logError(err);
@@ -39,19 +66,22 @@ function newChapter(){
       return Object.assign(this, chap);
     }
 
+    //Parsed files come from the chapter cache, which re-reads them only when they change on disk
     function getFile(){
       try{
         var chap = this;
-        
-        //Temporarily support both old chapter JSON files (.pup) and new markdown (.txt)
-        var chapterObj;
-        var fileText = fs.readFileSync(project.directory + project.chapsDirectory + chap.filename, "utf8");
-        if(chap.filename.includes('.pup'))
-          chapterObj = JSON.parse(fileText);
-        else
-          chapterObj = parseMDF(fileText);
+        return chapterCache.readDelta(chap.project.directory + chap.project.chapsDirectory + chap.filename);
+      }
+      catch(err){
+        logError(err);
+      }
+    }
 
-        return chapterObj;
+    //Reads the file without blocking, for views that go through every chapter of a project
+    async function getFileAsync(){
+      try{
+        var chap = this;
+        return await chapterCache.readDeltaAsync(chap.project.directory + chap.project.chapsDirectory + chap.filename);
       }
       catch(err){
         logError(err);
@@ -68,6 +98,47 @@ function newChapter(){
       return cont;
     }
 
+    async function getContentsOrFileAsync(){
+      var chap = this;
+
+      var cont = chap.contents ? chap.contents : null;
+      if(cont == null && chap.filename != null)
+        cont = await chap.getFileAsync();
+
+      return cont;
+    }
+
+    //Unsaved contents are counted as they are; saved files use the cached count until they change
+    function getWordCount(){
+      var chap = this;
+      if(chap.contents || chap.filename == null)
+        return countContentsWords(chap.contents);
+      try{
+        return chapterCache.getWordCount(chap.project.directory + chap.project.chapsDirectory + chap.filename);
+      }
+      catch(err){
+        logError(err);
+        return 0;
+      }
+    }
+
+    async function getWordCountAsync(){
+      var chap = this;
+      if(chap.contents || chap.filename == null)
+        return countContentsWords(chap.contents);
+      try{
+        return await chapterCache.getWordCountAsync(chap.project.directory + chap.project.chapsDirectory + chap.filename);
+      }
+      catch(err){
+        logError(err);
+        return 0;
+      }
+    }
+
+    function countContentsWords(contents){
+      return contents ? countWords(chapterCache.getPlainText(contents)) : 0;
+    }
+
     function getNotesContentOrFile(){
       var chap = this;
 
@@ -82,9 +153,9 @@ function newChapter(){
     function saveCopy(){
       try{
         var chap = this;
-        chap.filename = getNewFilename(chap.title); 
+        chap.filename = getNewFilename(chap.project, chap.title);
 
-        fs.writeFileSync(project.directory + project.chapsDirectory + chap.filename, convertDeltaToMDF(chap.contents), "utf8")
+        fs.writeFileSync(chap.project.directory + chap.project.chapsDirectory + chap.filename, convertDeltaToMDF(chap.contents), "utf8")
       }
       catch(err){
         logError(err);
@@ -95,7 +166,7 @@ function newChapter(){
       try{
         const oldVersionFlag = 'old_v_temp';
         var chap = this;
-        const filepathRoot = project.directory + project.chapsDirectory;
+        const filepathRoot = chap.project.directory + chap.project.chapsDirectory;
 
         if(chap.contents == null)
           chap.contents = chap.getFile();
@@ -106,9 +177,14 @@ function newChapter(){
         if(oldFilename != undefined && oldFilename != null && fs.existsSync(filepathRoot + oldFilename))
           fs.renameSync(filepathRoot + oldFilename, filepathRoot + oldVersionFlag + oldFilename);
 
-        chap.filename = getNewFilename(chap.title);
+        var newFilename = getNewFilename(chap.project, chap.title);
+        chapterReview.saveReviewFile(chap, newFilename, chap.contents);
+        chap.filename = newFilename;
 
         fs.writeFileSync(filepathRoot + chap.filename, convertDeltaToMDF(chap.contents), "utf8")
+        chapterCache.invalidate(filepathRoot + chap.filename);
+        if(oldFilename != undefined && oldFilename != null)
+          chapterCache.invalidate(filepathRoot + oldFilename);
         
         //If filename has changed and new file successfully created, delete old file
         if(oldFilename != undefined && oldFilename != null && fs.existsSync(filepathRoot + chap.filename) && fs.existsSync(filepathRoot + oldVersionFlag + oldFilename))
@@ -136,18 +212,60 @@ function newChapter(){
       }
     }
 
+    //Works out everything saveFile would write, without touching the disk, so the project can save
+    //all of its chapters as a single journaled transaction. Paths are relative to the project directory.
+    function getSaveOperations(reservedFilenames = []){
+      var chap = this;
+      const chapsDir = chap.project.chapsDirectory;
+      var ops = { writes: [], renames: [], removes: [] };
+
+      var contents = chap.contents == null ? chap.getFile() : chap.contents;
+      var oldFilename = chap.filename;
+      var hasOldFile = oldFilename != undefined && oldFilename != null;
+
+      ops.filename = getNewFilename(chap.project, chap.title, hasOldFile ? oldFilename : null, reservedFilenames);
+      ops.writes.push({ path: chapsDir + ops.filename, data: convertDeltaToMDF(contents) });
+
+      if(hasOldFile && oldFilename != ops.filename){
+        ops.removes.push(chapsDir + oldFilename);
+        if(fs.existsSync(chap.project.directory + chapsDir + notesNamePrepend + oldFilename)){
+          if(chap.notes != null)
+            ops.removes.push(chapsDir + notesNamePrepend + oldFilename);
+          else
+            ops.renames.push({ from: chapsDir + notesNamePrepend + oldFilename, to: chapsDir + notesNamePrepend + ops.filename });
+        }
+      }
+
+      if(chap.notes != null)
+        ops.writes.push({ path: chapsDir + notesNamePrepend + ops.filename, data: convertDeltaToMDF(stampAnchors(chap, chap.notes)) });
+
+      //The review file is saved with the text its ranges refer to, and follows the chapter's filename
+      var reviewOps = chapterReview.getSaveOperations(chap, ops.filename, contents);
+      ops.writes = ops.writes.concat(reviewOps.writes);
+      ops.renames = ops.renames.concat(reviewOps.renames);
+      ops.removes = ops.removes.concat(reviewOps.removes);
+
+      return ops;
+    }
+
+    function completeSave(filename){
+      var chap = this;
+      chap.filename = filename;
+      chap.contents = null;
+      chap.notes = null;
+      chap.hasUnsavedChanges = false;
+      chapterReview.completeSave(chap);
+    }
+
     function getNotesFile(){
       try{
         var chap = this;
-        var fullNotesPath = project.directory + project.chapsDirectory + notesNamePrepend + chap.filename;
+        var fullNotesPath = chap.project.directory + chap.project.chapsDirectory + notesNamePrepend + chap.filename;
 
-        var fileText = null;
-        if(fs.existsSync(fullNotesPath)){
-          fileText = fs.readFileSync(fullNotesPath, "utf8");
-        }
-        
+        if(!fs.existsSync(fullNotesPath) || fs.statSync(fullNotesPath).size == 0)
+          return null;
 
-        return fileText ? parseMDF(fileText) : null;
+        return chapterCache.readDelta(fullNotesPath);
       }
       catch(err){
         logError(err);
@@ -157,13 +275,15 @@ function newChapter(){
     function saveNotesFile(){
       try{
         var chap = this;
-        const filepathRoot = project.directory + project.chapsDirectory;
+        const filepathRoot = chap.project.directory + chap.project.chapsDirectory;
 
         if(chap.notes == null)
           chap.notes = chap.getNotesFile();
 
-        if(chap.notes != null)
-          fs.writeFileSync(filepathRoot + notesNamePrepend + chap.filename, convertDeltaToMDF(chap.notes), "utf8")
+        if(chap.notes != null){
+          fs.writeFileSync(filepathRoot + notesNamePrepend + chap.filename, convertDeltaToMDF(stampAnchors(chap, chap.notes)), "utf8")
+          chapterCache.invalidate(filepathRoot + notesNamePrepend + chap.filename);
+        }
         
         chap.notes = null;
       }
@@ -173,14 +293,17 @@ function newChapter(){
     }
     
 
-  function getNewFilename(title){
+  //ownFilename is the chapter's current file, which it may keep; reservedFilenames are already claimed by
+  //other chapters in the same save but not yet on disk.
+  function getNewFilename(proj, title, ownFilename = null, reservedFilenames = []){
     
     const fileExt = '.txt';    
     var copyNum = 1;
     var filenameRoot = sanitizeFilename(title && title != '' ? title : 'untitled');
     var filename = filenameRoot + fileExt;
 
-    while(fs.existsSync(project.directory + project.chapsDirectory + filename)){
+    while(reservedFilenames.includes(filename) ||
+      (filename != ownFilename && fs.existsSync(proj.directory + proj.chapsDirectory + filename))){
       copyNum++;
       filename = filenameRoot + '_' + copyNum + fileExt;
     }
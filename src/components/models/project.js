@@ -1,7 +1,16 @@
 const fs = require('fs');
 const newChapter = require('./chapter');
 const { logError } = require('../controllers/error-log');
+const { commitSave, recoverInterruptedSave } = require('../controllers/save-journal');
+const { convertDeltaToMDF } = require('../controllers/markdownFic');
+const container = require('../controllers/project-container');
+const chapterCache = require('../controllers/chapter-cache');
+const { purgeLogFilename, getPurgeLog } = require('../controllers/trash');
+const { cardsFilename, generateCardsString } = require('../controllers/corkboard');
+const codex = require('../controllers/codex');
+const chapterReview = require('../controllers/chapter-review');
 const defaultProjectNotesName = 'project_.txt'; //Will have default notes prepend ('-notes_') as well (added by Chapter object's save function)
+const notesNamePrepend = '-notes_';
 
 function newProject(){
     return {
@@ -13,15 +22,29 @@ function newProject(){
         notesChap: {}, //notesChap is a chapter file for which we never use chapter content but only chapter notes (in order to save project-wide notes)
         chapters: [],
         reference: [],
-        filters: [],
+        parts: [], //Named containers (Parts, Books, Acts) that chapters are grouped into via chapter.partId
+        filters: [], //Saved filter views over the chapters' tags (chapter.filter): { id, name, tags, match }
+        activeFilterId: null,
+        timeline: [], //Chapters and scenes in story order with in-story dates: { id, chapterId, sceneId, date, end, codex }
         trash: [],
         activeChapterIndex: 0,
         wordGoal: 0,
         hasUnsavedChanges: false,
         textCursorPosition: 0,
         corkboardColumns: 4,
+        pendingCards: null, //Corkboard cards not yet written to the chapters directory, as in a new project from a template
+        chapterNaming: null, //{ pattern, useNumerals } for new chapter titles, see controllers/project-templates.js
+        saveRecovery: null,
+        containerPath: null, //Set when the project is a single .woolfz file; filename and directory then point into its working directory
+        searchIndex: null, //Full-text index built on the first project-wide search (see controllers/search-index.js)
+        purgeLog: null, //Permanently deleted chapters, read from the chapters directory when needed (see controllers/trash.js)
+        purgeLogChanged: false,
+        codex: null, //Characters, places and objects, read from the chapters directory when needed (see controllers/codex.js)
         getActiveChapter: getActiveChapter,
+        getChapterById: getChapterById,
+        getChapterIndexById: getChapterIndexById,
         loadFile: loadFile,
+        loadContainer: loadContainer,
         saveFile: saveFile,
         saveAs: saveAs,
         testChapsDirectory: testChapsDirectory
@@ -38,81 +61,229 @@ function newProject(){
         return chap;
     }
 
-    function loadFile(projPath){
+    function getChapterById(id){
+      return this.chapters.concat(this.reference, this.trash).find(function(chap){
+        return chap.id == id;
+      });
+    }
+
+    //Returns the index across chapters, reference and trash as used by activeChapterIndex, or -1
+    function getChapterIndexById(id){
+      return this.chapters.concat(this.reference, this.trash).findIndex(function(chap){
+        return chap.id == id;
+      });
+    }
+
+    //A single-file project is unpacked fresh and then loaded from its working directory like any other.
+    //Resolves to what loadFile returns.
+    function loadContainer(containerPath){
+      var proj = this;
+      containerPath = containerPath.replaceAll('\\', '/');
+      var workingDirectory = container.getWorkingDirectory(containerPath);
+      return container.whenPacked(containerPath).then(function(){
+        //Saves the container doesn't have yet are loaded from the working directory (recovering any interrupted
+        //save there) and packed now, rather than lost to a fresh unpack
+        var unpackedWork = container.getUnpackedWork(containerPath);
+        if(unpackedWork)
+          return recoverContainer(proj, workingDirectory, unpackedWork, containerPath);
+
+        fs.rmSync(workingDirectory, { recursive: true, force: true });
+        fs.mkdirSync(workingDirectory, { recursive: true });
+        return container.unpackContainer(containerPath, workingDirectory);
+      }).then(function(manifest){
+        return proj.loadFile(workingDirectory + manifest, containerPath);
+      });
+    }
+
+    function recoverContainer(proj, workingDirectory, manifest, containerPath){
+      var loaded = proj.loadFile(workingDirectory + manifest, containerPath);
+      return container.packContainer(workingDirectory, manifest, containerPath).catch(function(err){
+        //Still pending, so it is tried again on the next save or when the container is reopened
+        logError(err);
+        proj.hasUnsavedChanges = true;
+      }).then(function(){
+        return loaded;
+      });
+    }
+
+    //containerPath is the single file the project was unpacked from (see loadContainer), if it was
+    function loadFile(projPath, containerPath = null){
       try{
         //Convert Windows filepaths to maintain linux/windows compatibility
         projPath = projPath.replaceAll('\\', '/');
 
-        var projectFile = JSON.parse(fs.readFileSync(projPath, "utf8"));
-
-        Object.assign(this, projectFile);
         var projPathParts = projPath.split('/');
+        var projFilename = projPathParts.pop();
+        var projDirectory = projPathParts.join('/').concat("/");
+
+        //Finish or undo a save that was interrupted by a crash before reading anything from disk
+        var saveRecovery = recoverInterruptedSave(projDirectory, projFilename);
 
-        this.filename = projPathParts.pop();
-        this.directory = projPathParts.join('/').concat("/");
+        var projectFile = JSON.parse(fs.readFileSync(projPath, "utf8"));
 
+        Object.assign(this, projectFile);
+        this.parts = projectFile.parts || [];
+        this.filters = projectFile.filters || [];
+        this.activeFilterId = projectFile.activeFilterId || null;
+        this.timeline = projectFile.timeline || [];
+
+        this.filename = projFilename;
+        this.directory = projDirectory;
+        this.containerPath = containerPath;
+        this.searchIndex = null;
+        this.purgeLog = null;
+        this.purgeLogChanged = false;
+        this.codex = null;
+        if(saveRecovery)
+          this.saveRecovery = saveRecovery;
+
+
+        //Projects from before chapter ids existed get them now, and are left modified so the next save keeps them
+        var needsIds = this.chapters.concat(this.reference, this.trash).some(function(chap){
+          return !chap.id;
+        });
 
+        var proj = this;
         var chaps = [];
         this.chapters.forEach(function (chap) {
-          chaps.push(newChapter().parseChapter(chap));
+          chaps.push(newChapter(proj).parseChapter(chap));
         });
         this.chapters = chaps;
 
         var refChaps = [];
         this.reference.forEach(function(rf){
-          refChaps.push(newChapter().parseChapter(rf));
+          refChaps.push(newChapter(proj).parseChapter(rf));
         })
         this.reference = refChaps;
 
         var trashChaps = [];
         this.trash.forEach(function (tr) {
-          trashChaps.push(newChapter().parseChapter(tr));
+          trashChaps.push(newChapter(proj).parseChapter(tr));
         });
         this.trash = trashChaps;
 
-        var notesChap = newChapter();
+        var notesChap = newChapter(proj);
         notesChap.filename = defaultProjectNotesName;
         this.notesChap = notesChap;
 
-        this.hasUnsavedChanges = false;
-        return testChapsDirectory();
+        this.hasUnsavedChanges = needsIds;
+        return this.testChapsDirectory();
       }
       catch(err){
         logError(err);
       }
     }
 
-    function saveFile(){
+    //extraOps are more writes, renames and removes to commit in the same save.
+    //Resolves to whether the save worked, including packing a single-file project; failures are logged.
+    function saveFile(extraOps = null){
       try{
         var proj = this;
+        adoptChapters(proj);
         if(proj.filename != "" && proj.directory != ""){
 
-          proj.chapters.forEach(function(chap){
-            if(chap.hasUnsavedChanges)
-              chap.saveFile();
-          });
-          proj.reference.forEach(function(rf){
-            if(rf.hasUnsavedChanges)
-              rf.saveFile();
+          //Gather every file the save touches so they can be committed together through the save journal
+          var ops = { writes: [], renames: [], removes: [] };
+          var savedChaps = [];
+          var reservedFilenames = [];
+
+          proj.chapters.concat(proj.reference, proj.trash).forEach(function(chap){
+            if(chap.hasUnsavedChanges){
+              var chapOps = chap.getSaveOperations(reservedFilenames);
+              reservedFilenames.push(chapOps.filename);
+              addOperations(ops, chapOps);
+              savedChaps.push({ chap: chap, filename: chapOps.filename });
+            }
+            //Annotations and suggestions change without the chapter text
+            else if(chap.review && chap.filename != null)
+              addOperations(ops, chapterReview.getSaveOperations(chap, chap.filename));
           });
-          proj.trash.forEach(function(tr){
-            if(tr.hasUnsavedChanges)
-              tr.saveFile();
+
+          var notesChap = proj.notesChap;
+          if(notesChap.hasUnsavedChanges && notesChap.notes != null)
+            ops.writes.push({
+              path: proj.chapsDirectory + notesNamePrepend + notesChap.filename,
+              data: convertDeltaToMDF(notesChap.notes)
+            });
+
+          if(proj.pendingCards)
+            ops.writes.push({ path: proj.chapsDirectory + cardsFilename, data: generateCardsString(proj.pendingCards) });
+
+          if(proj.purgeLogChanged && proj.purgeLog)
+            ops.writes.push({
+              path: proj.chapsDirectory + purgeLogFilename,
+              data: JSON.stringify(proj.purgeLog, null, '\t')
+            });
+
+          addOperations(ops, codex.getSaveOperations(proj));
+
+          if(extraOps)
+            addOperations(ops, extraOps);
+
+          //Chapter filenames in the project file must already reflect the new names
+          var oldFilenames = savedChaps.map(function(saved){
+            var oldFilename = saved.chap.filename;
+            saved.chap.filename = saved.filename;
+            return oldFilename;
           });
+          ops.writes.push({ path: proj.filename, data: stringifyProject(proj) });
 
-          if(proj.notesChap.hasUnsavedChanges)
-            proj.notesChap.saveNotesFile();
+          try{
+            commitSave(proj.directory, proj.filename, ops);
+          }
+          catch(err){
+            savedChaps.forEach(function(saved, i){
+              saved.chap.filename = oldFilenames[i];
+            });
+            throw err;
+          }
 
-          var fileString = stringifyProject(proj);
+          //Cached copies of every file the save wrote, renamed or removed are out of date
+          ops.writes.map(function(w){ return w.path; })
+            .concat(ops.removes, ops.renames.map(function(r){ return r.from; }), ops.renames.map(function(r){ return r.to; }))
+            .forEach(function(path){
+              chapterCache.invalidate(proj.directory + path);
+            });
+
+          //The search index picks up the saved text while it is still in memory
+          if(proj.searchIndex){
+            savedChaps.forEach(function(saved){
+              proj.searchIndex.updateChapter(saved.chap);
+            });
+            if(notesChap.hasUnsavedChanges)
+              proj.searchIndex.updateChapter(notesChap);
+            proj.searchIndex.save();
+          }
 
-          fs.writeFileSync(proj.directory + proj.filename, fileString, 'utf8');
+          savedChaps.forEach(function(saved){
+            saved.chap.completeSave(saved.filename);
+          });
+          proj.chapters.concat(proj.reference, proj.trash).forEach(function(chap){
+            chapterReview.completeSave(chap);
+          });
+          proj.purgeLogChanged = false;
+          proj.pendingCards = null;
+          codex.completeSave(proj);
+          if(notesChap.hasUnsavedChanges){
+            notesChap.notes = null;
+            notesChap.hasUnsavedChanges = false;
+          }
 
+          if(proj.containerPath)
+            return container.packContainer(proj.directory, proj.filename, proj.containerPath).then(function(){
+              return true;
+            }, function(err){
+              logError(err);
+              return false;
+            });
+          return Promise.resolve(true);
         }
         else
           throw("Cannot save without filepath. Use Save As.");
       }
       catch(err){
         logError(err);
+        return Promise.resolve(false);
       }
     }
 
@@ -125,16 +296,68 @@ function newProject(){
         else if (k == "wordCountOnLoad") return undefined;
         else if (k == "notes") return undefined;
         else if (k == "notesChap") return undefined;
+        else if (k == "saveRecovery") return undefined;
+        else if (k == "containerPath") return undefined;
+        else if (k == "searchIndex") return undefined;
+        else if (k == "purgeLog") return undefined;
+        else if (k == "purgeLogChanged") return undefined;
+        else if (k == "pendingCards") return undefined;
+        else if (k == "codex" && this === proj) return undefined; //Saved in its own file, unlike the codex ids of timeline events
+        else if (k == "anchors") return undefined; //Kept in the notes files
+        else if (k == "review") return undefined; //Annotations and suggestions of the OT layer
         else return v;
       }, '\t');
     }
 
+    //Chapters created elsewhere and added to the project's lists take it as their owner
+    function adoptChapters(proj){
+      proj.chapters.concat(proj.reference, proj.trash, [proj.notesChap]).forEach(function(chap){
+        if(chap && typeof chap == 'object')
+          chap.project = proj;
+      });
+      //New projects create their notes chapter without a filename
+      if(proj.notesChap && typeof proj.notesChap == 'object' && !proj.notesChap.filename)
+        proj.notesChap.filename = defaultProjectNotesName;
+    }
+
+    function addOperations(ops, chapOps){
+      ops.writes = ops.writes.concat(chapOps.writes);
+      ops.renames = ops.renames.concat(chapOps.renames);
+      ops.removes = ops.removes.concat(chapOps.removes);
+    }
+
+    //Review files are copied as they are, with the chapter files
+    function copyReviewFile(proj, chapFilename, newChapsDirectory){
+      var reviewFilename = chapterReview.getReviewFilename(chapFilename);
+      if(fs.existsSync(proj.directory + proj.chapsDirectory + reviewFilename))
+        fs.copyFileSync(proj.directory + proj.chapsDirectory + reviewFilename,
+          newChapsDirectory + chapterReview.getReviewFilename(chapFilename.split("/").pop()));
+    }
+
     function saveAs(filepath, useSaveCopy = false){
       try{
         //Convert Windows filepaths to maintain linux/windows compatibility
         filepath = filepath.replaceAll('\\', '/');
 
         var proj = this;
+        adoptChapters(proj);
+
+        //Saving a single-file project over itself is just a save
+        if(container.isContainerPath(filepath) && proj.containerPath == filepath){
+          proj.saveFile();
+          return filepath;
+        }
+
+        //A single-file target is written out as a folder project in its working directory, then packed
+        var containerPath = null;
+        if(container.isContainerPath(filepath)){
+          containerPath = filepath;
+          var workingDirectory = container.getWorkingDirectory(containerPath);
+          fs.rmSync(workingDirectory, { recursive: true, force: true });
+          fs.mkdirSync(workingDirectory, { recursive: true });
+          filepath = workingDirectory + filepath.split('/').pop().slice(0, -container.containerExtension.length) + '.woolf';
+        }
+
         var filepathParts = filepath.split('/');
         var newFilename = filepathParts.pop();
         var newDirectory = filepathParts.join('/').concat("/");
@@ -152,6 +375,7 @@ function newProject(){
             var newChapFilename =  chap.filename.split("/").pop();
             fs.copyFileSync(proj.directory + proj.chapsDirectory + chap.filename,
               newDirectory + newSubDir + newChapFilename);
+            copyReviewFile(proj, chap.filename, newDirectory + newSubDir);
             if(useSaveCopy == false)
               chap.filename = newChapFilename;
           }
@@ -161,6 +385,7 @@ function newProject(){
             var newChapFilename =  chap.filename.split("/").pop();
             fs.copyFileSync(proj.directory + proj.chapsDirectory + chap.filename,
               newDirectory + newSubDir + newChapFilename);
+            copyReviewFile(proj, chap.filename, newDirectory + newSubDir);
             if(useSaveCopy == false)
               chap.filename = newChapFilename;
           }
@@ -169,11 +394,16 @@ function newProject(){
           if(chap.filename != null){
             var newChapFilename = chap.filename.split("/").pop();
             fs.copyFileSync(proj.directory + proj.chapsDirectory + chap.filename, newDirectory + newSubDir + newChapFilename);
+            copyReviewFile(proj, chap.filename, newDirectory + newSubDir);
             if(useSaveCopy == false)
               chap.filename = newChapFilename;
           }
         });
 
+        //The purge log and codex go along with the chapters
+        var purgeLog = getPurgeLog(proj);
+        var codexEntries = codex.getEntries(proj);
+
         //Save old values for re-assignment with SaveCopy
         var oldFn = proj.filename;
         var oldDir = proj.directory;
@@ -211,6 +441,12 @@ function newProject(){
               tr.saveFile();
           }
         });
+        //Reviews changed since their chapters were saved
+        if(!useSaveCopy)
+          proj.chapters.concat(proj.reference, proj.trash).forEach(function(chap){
+            if(chap.review && chap.filename != null)
+              chapterReview.saveReviewFile(chap);
+          });
 
 
         //Save new project file
@@ -218,14 +454,41 @@ function newProject(){
 
         fs.writeFileSync(proj.directory + proj.filename, fileString, 'utf8');
 
+        //Project notes and corkboard cards that were never saved, as in a new project from a template
+        var notesChap = proj.notesChap;
+        if(notesChap.hasUnsavedChanges && notesChap.notes != null)
+          fs.writeFileSync(proj.directory + proj.chapsDirectory + notesNamePrepend + notesChap.filename, convertDeltaToMDF(notesChap.notes), 'utf8');
+        if(proj.pendingCards)
+          fs.writeFileSync(proj.directory + proj.chapsDirectory + cardsFilename, generateCardsString(proj.pendingCards), 'utf8');
+        if(purgeLog.length > 0)
+          fs.writeFileSync(proj.directory + proj.chapsDirectory + purgeLogFilename, JSON.stringify(purgeLog, null, '\t'), 'utf8');
+        var codexFilenames = codex.writeAllEntries(proj, codexEntries);
+
+        if(containerPath)
+          container.packContainer(proj.directory, proj.filename, containerPath).catch(logError);
+
         //reset porject details if using saveCopy
         if(useSaveCopy){
           proj.filename = oldFn;
           proj.directory = oldDir;
           proj.chapsDirectory = oldChapsDir;
         }
+        else{
+          proj.containerPath = containerPath;
+          proj.purgeLogChanged = false;
+          proj.pendingCards = null;
+          codexEntries.forEach(function(entry, i){
+            entry.filename = codexFilenames[i];
+            entry.hasUnsavedChanges = false;
+          });
+          proj.codex.removed = [];
+          if(notesChap.hasUnsavedChanges){
+            notesChap.notes = null;
+            notesChap.hasUnsavedChanges = false;
+          }
+        }
 
-        return proj.directory + proj.filename;
+        return containerPath || proj.directory + proj.filename;
       }
       catch(err){
         logError(err);
@@ -233,10 +496,11 @@ function newProject(){
     }
 
     function testChapsDirectory(){
+      var proj = this;
       var missingChaps = [];
-      for(let i=0;i<project.chapters.length;i++){
-        if(!fs.existsSync(project.directory + project.chapsDirectory + project.chapters[i].filename))
-          missingChaps.push(project.chapters[i]);
+      for(let i=0;i<proj.chapters.length;i++){
+        if(!fs.existsSync(proj.directory + proj.chapsDirectory + proj.chapters[i].filename))
+          missingChaps.push(proj.chapters[i]);
       }
       return missingChaps;
     }
@@ -20,10 +20,16 @@ function getUserSettings(userSettingsFilepath){
     compileChapMark: '',
     compileInsertHeaders: false,
     compileGenTitlePage: true,
+    compilePartTitles: true,
+    compileTimelineAppendix: false,
+    compileSceneBreaks: {}, //Scene break text by compile format, overriding the defaults in controllers/scenes.js
     backupDirectory: null,
     autoBackup: true,
     backupsToKeep: 10,
     autosaveIntMinutes: 0,
+    persistSearchIndex: false,
+    chapterCacheMB: 64,
+    trashRetentionDays: 0, //Chapters in the trash longer than this are deleted into the purge log when the project opens (0 keeps them)
     darkMode: 'system',
     showBattery: false,
     displayChapNotes: true,
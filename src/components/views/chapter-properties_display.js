@@ -0,0 +1,174 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+const chapterMetadata = require('../controllers/chapter-metadata');
+
+function showChapterProperties(project, chap, onFinish){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Chapter Properties: ' + (chap.title != '' ? chap.title : '(untitled)');
+  popup.appendChild(popupTitle);
+
+  var metadata = chapterMetadata.getMetadata(chap);
+
+  var propForm = document.createElement("form");
+  var propTable = document.createElement("table");
+
+  var statusLabel = document.createElement("label");
+  statusLabel.innerText = "Status: ";
+  statusLabel.for = "chapter-status-select";
+
+  var statusSelect = document.createElement("select");
+  statusSelect.id = "chapter-status-select";
+  [''].concat(chapterMetadata.statuses).forEach(function(status){
+    var statusOp = document.createElement("option");
+    statusOp.value = status;
+    statusOp.innerText = status == '' ? '(none)' : status;
+    statusSelect.appendChild(statusOp);
+  });
+  statusSelect.value = metadata.status || '';
+
+  propTable.appendChild(generateRow(statusLabel, statusSelect));
+
+  var targetLabel = document.createElement("label");
+  targetLabel.innerText = "Target Word Count: ";
+  targetLabel.for = "chapter-target-input";
+
+  var targetInput = document.createElement("input");
+  targetInput.type = "number";
+  targetInput.min = 0;
+  targetInput.value = metadata.targetWords;
+  targetInput.id = "chapter-target-input";
+
+  propTable.appendChild(generateRow(targetLabel, targetInput));
+
+  var wordsLabel = document.createElement("label");
+  wordsLabel.innerText = "Current Word Count: ";
+
+  var wordsText = document.createElement("span");
+  wordsText.innerText = chap.getWordCount();
+
+  propTable.appendChild(generateRow(wordsLabel, wordsText));
+
+  var passLabel = document.createElement("label");
+  passLabel.innerText = "Revision Pass: ";
+  passLabel.for = "chapter-pass-input";
+
+  var passInput = document.createElement("input");
+  passInput.type = "number";
+  passInput.min = 0;
+  passInput.value = metadata.revisionPass;
+  passInput.id = "chapter-pass-input";
+
+  propTable.appendChild(generateRow(passLabel, passInput));
+
+  var editedLabel = document.createElement("label");
+  editedLabel.innerText = "Last Edited: ";
+
+  var editedText = document.createElement("span");
+  editedText.innerText = metadata.lastEdited ? chapterMetadata.formatLastEdited(metadata.lastEdited) : 'Not since tracking began';
+
+  propTable.appendChild(generateRow(editedLabel, editedText));
+
+  propForm.appendChild(propTable);
+
+  var fieldsSet = document.createElement('fieldset');
+  var fieldsLeg = document.createElement('legend');
+  fieldsLeg.innerText = 'Custom Fields';
+  fieldsSet.appendChild(fieldsLeg);
+
+  var fieldsTable = document.createElement("table");
+  fieldsSet.appendChild(fieldsTable);
+
+  var fieldRows = [];
+  Object.keys(metadata.customFields).forEach(function(name){
+    addFieldRow(name, metadata.customFields[name]);
+  });
+
+  var addFieldBtn = createButton("Add Field");
+  addFieldBtn.onclick = function(){
+    addFieldRow('', '').nameInput.focus();
+  };
+  fieldsSet.appendChild(addFieldBtn);
+
+  propForm.appendChild(fieldsSet);
+
+  var errorText = document.createElement('p');
+  errorText.classList.add('warning-text');
+  propForm.appendChild(errorText);
+
+  var apply = document.createElement("input");
+  apply.type = "submit";
+  apply.value = "Apply";
+  propForm.appendChild(apply);
+
+  var nextPass = createButton("Start Next Revision Pass");
+  nextPass.onclick = function(){
+    passInput.value = (parseInt(passInput.value) || 0) + 1;
+    if(statusSelect.value == '' || statusSelect.value == 'idea' || statusSelect.value == 'draft')
+      statusSelect.value = 'revision';
+  };
+  propForm.appendChild(nextPass);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  propForm.appendChild(cancel);
+
+  propForm.onsubmit = function(e){
+    e.preventDefault();
+
+    //Fields removed from the form are cleared, renamed ones are moved
+    var customFields = {};
+    Object.keys(metadata.customFields).forEach(function(name){
+      customFields[name] = null;
+    });
+    fieldRows.forEach(function(row){
+      if(row.nameInput.value.trim() != '')
+        customFields[row.nameInput.value.trim()] = row.valueInput.value;
+    });
+
+    try{
+      chapterMetadata.setMetadata(chap, {
+        status: statusSelect.value,
+        targetWords: targetInput.value,
+        revisionPass: passInput.value,
+        customFields: customFields
+      });
+    }
+    catch(err){
+      errorText.innerText = err.message;
+      return;
+    }
+
+    project.hasUnsavedChanges = true;
+    closePopups();
+    onFinish();
+  };
+
+  popup.appendChild(propForm);
+
+  document.body.appendChild(popup);
+  statusSelect.focus();
+
+  function addFieldRow(name, value){
+    var nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.placeholder = "Name";
+    nameInput.value = name;
+
+    var valueInput = document.createElement("input");
+    valueInput.type = "text";
+    valueInput.placeholder = "Value";
+    valueInput.value = value;
+
+    var row = { nameInput: nameInput, valueInput: valueInput };
+    fieldRows.push(row);
+    fieldsTable.appendChild(generateRow(nameInput, valueInput));
+    return row;
+  }
+}
+
+module.exports = showChapterProperties;
@@ -0,0 +1,78 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+const tags = require('../controllers/tags');
+
+function showChapterTags(project, chap, onFinish){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Tags: ' + (chap.title != '' ? chap.title : '(untitled)');
+  popup.appendChild(popupTitle);
+
+  var explanation = document.createElement('p');
+  explanation.innerText = 'Separate tags with commas. Use "name:value" for tags like "pov:Anna", "timeline:1818" or "status:draft".';
+  explanation.classList.add('popup-text-small');
+  popup.appendChild(explanation);
+
+  var tagsForm = document.createElement("form");
+
+  var tagsLabel = document.createElement("label");
+  tagsLabel.innerText = "Tags: ";
+  tagsLabel.for = "chapter-tags-input";
+  tagsForm.appendChild(tagsLabel);
+
+  var tagsInput = document.createElement("input");
+  tagsInput.type = "text";
+  tagsInput.value = tags.getTags(chap).join(', ');
+  tagsInput.id = "chapter-tags-input";
+  tagsForm.appendChild(tagsInput);
+
+  tagsForm.appendChild(document.createElement('br'));
+
+  var existingTags = tags.getAllTags(project);
+  if(existingTags.length > 0){
+    var existingLabel = document.createElement('p');
+    existingLabel.innerText = 'Tags in this project (click to add):';
+    tagsForm.appendChild(existingLabel);
+
+    existingTags.forEach(function(entry){
+      var tagBtn = createButton(entry.tag);
+      tagBtn.innerText = entry.tag;
+      tagBtn.classList.add('tag-button');
+      tagBtn.onclick = function(){
+        tagsInput.value = tags.parseTagList(tagsInput.value + ',' + entry.tag).join(', ');
+        tagsInput.focus();
+      };
+      tagsForm.appendChild(tagBtn);
+    });
+
+    tagsForm.appendChild(document.createElement('br'));
+  }
+
+  var apply = document.createElement("input");
+  apply.type = "submit";
+  apply.value = "Apply";
+  tagsForm.appendChild(apply);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  tagsForm.appendChild(cancel);
+
+  tagsForm.onsubmit = function(e){
+    e.preventDefault();
+    tags.setTags(chap, tagsInput.value);
+    project.hasUnsavedChanges = true;
+    closePopups();
+    onFinish();
+  };
+
+  popup.appendChild(tagsForm);
+
+  document.body.appendChild(popup);
+  tagsInput.focus();
+}
+
+module.exports = showChapterTags;
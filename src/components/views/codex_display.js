@@ -0,0 +1,243 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+const codex = require('../controllers/codex');
+
+//Edits the codex and shows where each entry is mentioned. onGoToChapter gets a chapter index.
+function showCodex(project, onGoToChapter){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Codex';
+  popup.appendChild(popupTitle);
+
+  var codexForm = document.createElement("form");
+  var codexTable = document.createElement("table");
+
+  var entryLabel = document.createElement("label");
+  entryLabel.innerText = "Entry: ";
+  entryLabel.for = "codex-entry-select";
+
+  var entrySelect = document.createElement("select");
+  entrySelect.id = "codex-entry-select";
+  codexTable.appendChild(generateRow(entryLabel, entrySelect));
+
+  var nameLabel = document.createElement("label");
+  nameLabel.innerText = "Name: ";
+  nameLabel.for = "codex-name-input";
+
+  var nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.id = "codex-name-input";
+  codexTable.appendChild(generateRow(nameLabel, nameInput));
+
+  var typeLabel = document.createElement("label");
+  typeLabel.innerText = "Type: ";
+  typeLabel.for = "codex-type-select";
+
+  var typeSelect = document.createElement("select");
+  typeSelect.id = "codex-type-select";
+  codex.entryTypes.forEach(function(type){
+    var typeOp = document.createElement("option");
+    typeOp.value = type;
+    typeOp.innerText = type.charAt(0).toUpperCase() + type.slice(1);
+    typeSelect.appendChild(typeOp);
+  });
+  codexTable.appendChild(generateRow(typeLabel, typeSelect));
+
+  var aliasesLabel = document.createElement("label");
+  aliasesLabel.innerText = "Aliases (comma separated): ";
+  aliasesLabel.for = "codex-aliases-input";
+
+  var aliasesInput = document.createElement("input");
+  aliasesInput.type = "text";
+  aliasesInput.id = "codex-aliases-input";
+  codexTable.appendChild(generateRow(aliasesLabel, aliasesInput));
+
+  var fieldsLabel = document.createElement("label");
+  fieldsLabel.innerText = 'Fields (one "Name: value" per line): ';
+  fieldsLabel.for = "codex-fields-input";
+
+  var fieldsInput = document.createElement("textarea");
+  fieldsInput.id = "codex-fields-input";
+  fieldsInput.rows = 3;
+  codexTable.appendChild(generateRow(fieldsLabel, fieldsInput));
+
+  var descrLabel = document.createElement("label");
+  descrLabel.innerText = "Description: ";
+  descrLabel.for = "codex-descr-input";
+
+  var descrInput = document.createElement("textarea");
+  descrInput.id = "codex-descr-input";
+  descrInput.rows = 5;
+  codexTable.appendChild(generateRow(descrLabel, descrInput));
+
+  codexForm.appendChild(codexTable);
+
+  var message = document.createElement('p');
+  message.classList.add('popup-text-small');
+  codexForm.appendChild(message);
+
+  //Chapters mentioning the selected entry, or the entries never mentioned
+  var mentionSelect = document.createElement("select");
+  mentionSelect.classList.add("project-switcher-list");
+  mentionSelect.size = 5;
+  mentionSelect.hidden = true;
+  codexForm.appendChild(mentionSelect);
+  mentionSelect.addEventListener('keydown', function(e){
+    if(e.key === "Enter"){
+      e.preventDefault();
+      openMention();
+    }
+  });
+  mentionSelect.ondblclick = openMention;
+
+  codexForm.appendChild(document.createElement('br'));
+
+  var save = document.createElement("input");
+  save.type = "submit";
+  save.value = "Save Entry";
+  codexForm.appendChild(save);
+
+  var remove = createButton("Delete Entry");
+  remove.onclick = function(){
+    if(entrySelect.value == '')
+      return;
+    codex.removeEntry(project, entrySelect.value);
+    populateEntrySelect('');
+  };
+  codexForm.appendChild(remove);
+
+  var unmentioned = createButton("Never Mentioned");
+  unmentioned.onclick = async function(){
+    var report = await codex.getMentionReport(project);
+    var never = report.filter(function(entry){ return entry.unmentioned; });
+    fillMentionList(never.map(function(entry){
+      return { value: 'entry:' + entry.id, text: entry.name + ' (' + entry.type + ')' };
+    }));
+    message.innerText = never.length == 0 ? 'Every entry is mentioned in the chapters.' :
+      never.length + ' of ' + report.length + ' entries are never mentioned in the chapters.';
+  };
+  codexForm.appendChild(unmentioned);
+
+  var close = createButton("Close");
+  close.onclick = function(){
+    closePopups();
+  };
+  codexForm.appendChild(close);
+
+  codexForm.onsubmit = function(e){
+    e.preventDefault();
+    var values = {
+      name: nameInput.value,
+      type: typeSelect.value,
+      aliases: aliasesInput.value,
+      description: descrInput.value,
+      fields: parseFields(fieldsInput.value)
+    };
+    try{
+      var entry;
+      if(entrySelect.value == '')
+        entry = codex.addEntry(project, values);
+      else{
+        //Fields taken out of the list are removed
+        Object.keys(codex.getEntry(project, entrySelect.value).fields).forEach(function(key){
+          if(!(key in values.fields))
+            values.fields[key] = '';
+        });
+        entry = codex.updateEntry(project, entrySelect.value, values);
+      }
+      populateEntrySelect(entry.id);
+    }
+    catch(err){
+      message.innerText = err.message;
+    }
+  };
+
+  entrySelect.onchange = fillFromSelectedEntry;
+
+  popup.appendChild(codexForm);
+  document.body.appendChild(popup);
+  populateEntrySelect('');
+  entrySelect.focus();
+
+  function populateEntrySelect(selectedId){
+    while(entrySelect.hasChildNodes())
+      entrySelect.removeChild(entrySelect.firstChild);
+
+    var newOp = document.createElement("option");
+    newOp.value = '';
+    newOp.innerText = '(New entry)';
+    entrySelect.appendChild(newOp);
+
+    codex.getEntries(project).slice().sort(function(a, b){
+      return codex.entryTypes.indexOf(a.type) - codex.entryTypes.indexOf(b.type) || a.name.localeCompare(b.name);
+    }).forEach(function(entry){
+      var entryOp = document.createElement("option");
+      entryOp.value = entry.id;
+      entryOp.innerText = entry.name + ' (' + entry.type + ')';
+      entrySelect.appendChild(entryOp);
+    });
+    entrySelect.value = selectedId;
+    fillFromSelectedEntry();
+  }
+
+  async function fillFromSelectedEntry(){
+    var entry = entrySelect.value != '' ? codex.getEntry(project, entrySelect.value) : null;
+    nameInput.value = entry ? entry.name : '';
+    typeSelect.value = entry ? entry.type : codex.entryTypes[0];
+    aliasesInput.value = entry ? entry.aliases.join(', ') : '';
+    fieldsInput.value = entry ? Object.keys(entry.fields).map(function(key){ return key + ': ' + entry.fields[key]; }).join('\n') : '';
+    descrInput.value = entry ? entry.description : '';
+    fillMentionList([]);
+    message.innerText = '';
+    if(!entry)
+      return;
+
+    message.innerText = 'Finding mentions...';
+    var mentions = (await codex.findMentions(project, [entry]))[entry.id];
+    //Another entry may have been chosen while the chapters were read
+    if(entrySelect.value != entry.id)
+      return;
+    var total = mentions.reduce(function(sum, chap){ return sum + chap.count; }, 0);
+    message.innerText = mentions.length == 0 ? 'Never mentioned in the chapters.' :
+      'Mentioned ' + total + (total == 1 ? ' time' : ' times') + ' in ' + mentions.length + (mentions.length == 1 ? ' chapter:' : ' chapters:');
+    fillMentionList(mentions.map(function(chap){
+      return { value: 'chapter:' + chap.index, text: (chap.title != '' ? chap.title : '(untitled)') + ' (' + chap.count + ')' };
+    }));
+  }
+
+  function fillMentionList(items){
+    while(mentionSelect.hasChildNodes())
+      mentionSelect.removeChild(mentionSelect.firstChild);
+    items.forEach(function(item){
+      var itemOp = document.createElement("option");
+      itemOp.value = item.value;
+      itemOp.innerText = item.text;
+      mentionSelect.appendChild(itemOp);
+    });
+    mentionSelect.hidden = items.length == 0;
+  }
+
+  function openMention(){
+    var value = mentionSelect.value;
+    if(value.startsWith('chapter:')){
+      closePopups();
+      onGoToChapter(parseInt(value.slice('chapter:'.length)));
+    }
+    else if(value.startsWith('entry:'))
+      populateEntrySelect(value.slice('entry:'.length));
+  }
+}
+
+function parseFields(text){
+  var fields = {};
+  text.split(/\r?\n/).forEach(function(line){
+    var colon = line.indexOf(':');
+    if(colon > 0)
+      fields[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+  });
+  return fields;
+}
+
+module.exports = showCodex;
@@ -2,6 +2,7 @@ const { closePopups, createButton, removeElementsByClass, generateRow } = requir
 const showFileDialog = require('./file-dialog_display');
 const { showWorking, hideWorking } = require('./working_display');
 const { compileProject } = require('../controllers/compile');
+const { getSceneBreakStyle } = require('../controllers/scenes');
 
 function showCompileOptions(project, sysDirectories, userSettings){
     removeElementsByClass('popup');
@@ -43,6 +44,18 @@ function showCompileOptions(project, sysDirectories, userSettings){
 
     compTbl.appendChild(generateRow(insertStrLabel, insertStrInput));
 
+    //Each file type remembers its own scene break style
+    var sceneBreakLabel = document.createElement("label");
+    sceneBreakLabel.innerText = "Scene breaks become (blank for an empty line): ";
+    sceneBreakLabel.for = "scene-break-input";
+
+    var sceneBreakInput = document.createElement("input");
+    sceneBreakInput.type = "text";
+    sceneBreakInput.value = getSceneBreakStyle(typeSelect.value, userSettings.compileSceneBreaks);
+    sceneBreakInput.id = "scene-break-input";
+
+    compTbl.appendChild(generateRow(sceneBreakLabel, sceneBreakInput));
+
     var insertHeadLabel = document.createElement("label");
     insertHeadLabel.innerText = "Insert chapter titles as headings: ";
     insertHeadLabel.for = "insert-head-check";
@@ -54,6 +67,29 @@ function showCompileOptions(project, sysDirectories, userSettings){
 
     compTbl.appendChild(generateRow(insertHeadLabel, insertHeadCheck));
 
+    var partTitlesLabel = document.createElement("label");
+    partTitlesLabel.innerText = "Insert part title pages: ";
+    partTitlesLabel.for = "part-titles-check";
+
+    var partTitlesCheck = document.createElement("input");
+    partTitlesCheck.type = "checkbox";
+    partTitlesCheck.id = "part-titles-check";
+    partTitlesCheck.checked = userSettings.compilePartTitles;
+
+    compTbl.appendChild(generateRow(partTitlesLabel, partTitlesCheck));
+
+    var timelineLabel = document.createElement("label");
+    timelineLabel.innerText = "Add the timeline as an appendix: ";
+    timelineLabel.for = "timeline-appendix-check";
+
+    var timelineCheck = document.createElement("input");
+    timelineCheck.type = "checkbox";
+    timelineCheck.id = "timeline-appendix-check";
+    timelineCheck.checked = userSettings.compileTimelineAppendix;
+    timelineCheck.disabled = !project.timeline || project.timeline.length == 0;
+
+    compTbl.appendChild(generateRow(timelineLabel, timelineCheck));
+
     var titlePageLabel = document.createElement('label');
     titlePageLabel.innerText = 'Generate Title Page: ';
 
@@ -77,6 +113,7 @@ function showCompileOptions(project, sysDirectories, userSettings){
     compileForm.appendChild(cancelBtn);
 
     typeSelect.onchange = function(){
+      sceneBreakInput.value = getSceneBreakStyle(typeSelect.value, userSettings.compileSceneBreaks);
       if(typeSelect.value != '.docx' && typeSelect.value != '.html' && typeSelect.value != '.epub')
         titlePageCheck.disabled = true;
       else {
@@ -91,12 +128,19 @@ function showCompileOptions(project, sysDirectories, userSettings){
       userSettings.compileInsertHeaders = insertHeadCheck.checked;
       userSettings.compileChapMark = insertStrInput.value;
       userSettings.compileGenTitlePage = titlePageCheck.checked;
+      userSettings.compilePartTitles = partTitlesCheck.checked;
+      if(!timelineCheck.disabled)
+        userSettings.compileTimelineAppendix = timelineCheck.checked;
+      userSettings.compileSceneBreaks = Object.assign({}, userSettings.compileSceneBreaks, { [typeSelect.value]: sceneBreakInput.value });
       userSettings.save();
 
       var options = {
         type: typeSelect.value,
         insertStrng: insertStrInput.value,
         insertHead: insertHeadCheck.checked,
+        insertPartTitles: partTitlesCheck.checked,
+        timelineAppendix: timelineCheck.checked && !timelineCheck.disabled,
+        sceneBreak: sceneBreakInput.value,
         generateTitlePage: titlePageCheck.checked,
         styleHeadingAsChapter: true
       }
@@ -128,11 +172,25 @@ function showCompileOptions(project, sysDirectories, userSettings){
     showFileDialog(dialogOptions, function(filepath){
       if(filepath){
         showWorking();
-        compileProject(project, options, filepath);
-        hideWorking();
-        cback();
+        loadChapters(project).then(function(chapterContents){
+          showWorking();
+          compileProject(project, options, filepath, chapterContents);
+          hideWorking();
+          cback();
+        });
       }
     })
   }
 
+  //Reads every chapter without blocking first, and hands their contents to the compile, so it never waits on the
+  //disk even when the project is larger than the chapter cache can hold
+  async function loadChapters(project){
+    var chapterContents = [];
+    for(let i=0; i<project.chapters.length; i++){
+      showWorking('Reading chapters (' + (i + 1) + '/' + project.chapters.length + ')...');
+      chapterContents.push(await project.chapters[i].getContentsOrFileAsync());
+    }
+    return chapterContents;
+  }
+
   module.exports = showCompileOptions;
\ No newline at end of file
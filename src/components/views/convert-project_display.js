@@ -0,0 +1,79 @@
+const fs = require('fs');
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+const container = require('../controllers/project-container');
+
+//Converts the open project between a folder project (.woolf plus its chapters directory) and a single .woolfz file.
+//The converted copy is written next to the original, which is left untouched, and onConverted gets its path.
+function showConvertProject(project, onConverted){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var toContainer = !project.containerPath;
+  var sourcePath = toContainer ? project.directory + project.filename : project.containerPath;
+  var sourceDirectory = sourcePath.slice(0, sourcePath.lastIndexOf('/') + 1);
+  var targetPath = toContainer ?
+    sourcePath.replace(/\.woolf$/, '') + container.containerExtension :
+    sourceDirectory + project.filename;
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = toContainer ? 'Convert To Single File' : 'Convert To Folder Project';
+  popup.appendChild(popupTitle);
+
+  var explanation = document.createElement('p');
+  if(toContainer)
+    explanation.innerText = 'The project will be saved, then packed with all of its chapters, notes and corkboard into one file that is easy to move or send:';
+  else
+    explanation.innerText = 'The project will be saved, then unpacked into a .woolf file and a chapters folder:';
+  popup.appendChild(explanation);
+
+  var target = document.createElement('p');
+  target.innerText = targetPath;
+  target.classList.add('popup-text-small');
+  popup.appendChild(target);
+
+  var note = document.createElement('p');
+  note.innerText = 'The original is kept as it is. The converted project will be opened.';
+  note.classList.add('popup-text-small');
+  popup.appendChild(note);
+
+  var errorText = document.createElement('p');
+  errorText.classList.add('warning-text');
+  popup.appendChild(errorText);
+
+  if(project.filename == '')
+    errorText.innerText = 'Save the project before converting it.';
+  else if(fs.existsSync(targetPath))
+    errorText.innerText = targetPath + ' already exists. Move or rename it first.';
+
+  var convert = createButton("Convert");
+  convert.disabled = errorText.innerText != '';
+  convert.onclick = function(){
+    convert.disabled = true;
+    project.saveFile();
+    var converted = toContainer ?
+      container.convertToContainer(sourcePath, targetPath) :
+      container.convertFromContainer(sourcePath, sourceDirectory);
+    converted.then(function(){
+      closePopups();
+      onConverted(targetPath);
+    }).catch(function(err){
+      errorText.innerText = 'Could not convert the project: ' + err.message;
+    });
+  };
+  popup.appendChild(convert);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(cancel);
+
+  document.body.appendChild(popup);
+  if(convert.disabled)
+    cancel.focus();
+  else
+    convert.focus();
+}
+
+module.exports = showConvertProject;
@@ -16,7 +16,7 @@ function showCorkboard(project){
 
     document.body.appendChild(popup);
 
-    loadedCards = getCardsFromFile(project.directory + project.chapsDirectory);
+    loadedCards = project.pendingCards || getCardsFromFile(project.directory + project.chapsDirectory);
     if(!loadedCards)
       loadedCards = generateStarterCard();
 
@@ -30,6 +30,18 @@ function showCorkboard(project){
     focusCard(lastChecked > -1 && lastChecked < loadedCards.length - 1 ? lastChecked + 1 : 1);
 }
 
+//Projects that have not been saved yet keep their cards until they are
+function saveBoard(){
+  if(project.directory == ''){
+    project.pendingCards = loadedCards;
+    project.hasUnsavedChanges = true;
+    return;
+  }
+  saveCards(loadedCards, project.directory + project.chapsDirectory);
+  project.pendingCards = null;
+  project.saveFile();
+}
+
 function generateStarterCard(){
   return [{
     label: '',
@@ -279,8 +291,7 @@ function getElementWidthWithMargin(element) {
 function boardCntrlEvents(e){
   if((e.ctrlKey || e.metaKey) && (e.key === "s")){
     stopDefaultPropagation(e);
-    saveCards(loadedCards, project.directory + project.chapsDirectory);
-    project.saveFile();
+    saveBoard();
     unmarkUnsavedChanges();
   }
   else if(e.key === "Escape"){
@@ -426,8 +437,7 @@ function promptToSave(){
 
   var save = createButton("Save");
   save.onclick = function(){
-    saveCards(loadedCards, project.directory + project.chapsDirectory);
-    project.saveFile();
+    saveBoard();
     unsavedChanges = false;
     closePopups();
   };
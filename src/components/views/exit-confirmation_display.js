@@ -15,10 +15,11 @@ function displayExitConfirmation(saveFunc, continueFunc){
   popup.appendChild(subWarning);
 
   var save = createButton("Save");
+  //A saveFunc that returns false calls continueFunc itself, once it has saved
   save.onclick = function(){
-    saveFunc();
     closePopups();
-    continueFunc();
+    if(saveFunc() !== false)
+      continueFunc();
   };
   popup.appendChild(save);
 
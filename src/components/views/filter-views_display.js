@@ -0,0 +1,157 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+const tags = require('../controllers/tags');
+
+function showFilterViews(project, onFinish){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Filter Views';
+  popup.appendChild(popupTitle);
+
+  var explanation = document.createElement('p');
+  explanation.innerText = 'A filter view narrows the chapter list and outliner to chapters with the given tags. "pov:" matches any tag starting with "pov:".';
+  explanation.classList.add('popup-text-small');
+  popup.appendChild(explanation);
+
+  var filterForm = document.createElement("form");
+  var filterTable = document.createElement("table");
+
+  var viewLabel = document.createElement("label");
+  viewLabel.innerText = "Saved Views: ";
+  viewLabel.for = "filter-view-select";
+
+  var viewSelect = document.createElement("select");
+  viewSelect.id = "filter-view-select";
+  populateViewSelect();
+
+  filterTable.appendChild(generateRow(viewLabel, viewSelect));
+
+  var nameLabel = document.createElement("label");
+  nameLabel.innerText = "Name: ";
+  nameLabel.for = "filter-name-input";
+
+  var nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.id = "filter-name-input";
+
+  filterTable.appendChild(generateRow(nameLabel, nameInput));
+
+  var tagsLabel = document.createElement("label");
+  tagsLabel.innerText = "Tags (comma separated): ";
+  tagsLabel.for = "filter-tags-input";
+
+  var tagsInput = document.createElement("input");
+  tagsInput.type = "text";
+  tagsInput.id = "filter-tags-input";
+
+  filterTable.appendChild(generateRow(tagsLabel, tagsInput));
+
+  var matchLabel = document.createElement("label");
+  matchLabel.innerText = "Chapters Must Have: ";
+  matchLabel.for = "filter-match-select";
+
+  var matchSelect = document.createElement("select");
+  matchSelect.id = "filter-match-select";
+  [['all', 'All of the tags'], ['any', 'Any of the tags']].forEach(function(op){
+    var matchOp = document.createElement("option");
+    matchOp.value = op[0];
+    matchOp.innerText = op[1];
+    matchSelect.appendChild(matchOp);
+  });
+
+  filterTable.appendChild(generateRow(matchLabel, matchSelect));
+
+  filterForm.appendChild(filterTable);
+
+  var matchCount = document.createElement('p');
+  matchCount.classList.add('popup-text-small');
+  filterForm.appendChild(matchCount);
+
+  viewSelect.onchange = fillFromSelectedView;
+  tagsInput.oninput = updateMatchCount;
+  matchSelect.onchange = updateMatchCount;
+  fillFromSelectedView();
+
+  var show = document.createElement("input");
+  show.type = "submit";
+  show.value = "Show";
+  filterForm.appendChild(show);
+
+  var save = createButton("Save View");
+  save.onclick = function(){
+    if(nameInput.value.trim() == '' || tags.parseTagList(tagsInput.value).length == 0)
+      return;
+    var view = tags.saveFilterView(project, nameInput.value, tagsInput.value, matchSelect.value);
+    project.hasUnsavedChanges = true;
+    populateViewSelect();
+    viewSelect.value = view.id;
+  };
+  filterForm.appendChild(save);
+
+  var remove = createButton("Delete View");
+  remove.onclick = function(){
+    if(viewSelect.value == '')
+      return;
+    tags.removeFilterView(project, viewSelect.value);
+    project.hasUnsavedChanges = true;
+    populateViewSelect();
+    fillFromSelectedView();
+    onFinish();
+  };
+  filterForm.appendChild(remove);
+
+  var cancel = createButton("Close");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  filterForm.appendChild(cancel);
+
+  //Show the selected saved view, or all chapters
+  filterForm.onsubmit = function(e){
+    e.preventDefault();
+    tags.setActiveFilterView(project, viewSelect.value || null);
+    project.hasUnsavedChanges = true;
+    closePopups();
+    onFinish();
+  };
+
+  popup.appendChild(filterForm);
+
+  document.body.appendChild(popup);
+  viewSelect.focus();
+
+  function populateViewSelect(){
+    while(viewSelect.hasChildNodes())
+      viewSelect.removeChild(viewSelect.firstChild);
+
+    var allOp = document.createElement("option");
+    allOp.value = '';
+    allOp.innerText = '(Show all chapters)';
+    viewSelect.appendChild(allOp);
+
+    project.filters.forEach(function(view){
+      var viewOp = document.createElement("option");
+      viewOp.value = view.id;
+      viewOp.innerText = view.name;
+      viewSelect.appendChild(viewOp);
+    });
+    viewSelect.value = project.activeFilterId || '';
+  }
+
+  function fillFromSelectedView(){
+    var view = tags.getFilterView(project, viewSelect.value);
+    nameInput.value = view ? view.name : '';
+    tagsInput.value = view ? view.tags.join(', ') : '';
+    matchSelect.value = view ? view.match : 'all';
+    updateMatchCount();
+  }
+
+  function updateMatchCount(){
+    var count = tags.queryChapters(project, { tags: tagsInput.value, match: matchSelect.value }).length;
+    matchCount.innerText = count + ' of ' + project.chapters.length + ' chapters match.';
+  }
+}
+
+module.exports = showFilterViews;
@@ -0,0 +1,126 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+const isMac = process.platform === "darwin";
+
+var actions = null;
+
+//Lists the footnotes of the chapter in the editor for editing, starting at focusNumber.
+//actions: getFootnotes() gives the footnotes as in controllers/footnotes.js, setText(number, text), remove(number)
+//and goTo(number), which closes the popup first.
+function showFootnotes(footnoteActions, focusNumber = 1){
+  removeElementsByClass('popup');
+  actions = footnoteActions;
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Footnotes';
+  popup.appendChild(popupTitle);
+
+  var helpReminder = document.createElement('p');
+  helpReminder.classList.add('popup-text-small');
+  helpReminder.innerText = (isMac ? 'Cmd' : 'Ctrl') + ' + Up/Down: next footnote. ' +
+    (isMac ? 'Cmd' : 'Ctrl') + ' + Enter: go to its reference. ' +
+    (isMac ? 'Cmd' : 'Ctrl') + ' + Delete: remove it.';
+  popup.appendChild(helpReminder);
+
+  var list = document.createElement('div');
+  list.id = 'footnotes-list';
+  popup.appendChild(list);
+
+  var closeBtn = createButton("Close");
+  closeBtn.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(closeBtn);
+
+  popup.addEventListener('keydown', function(e){
+    if(e.key === "Escape"){
+      stopDefaultPropagation(e);
+      closePopups();
+    }
+  });
+
+  document.body.appendChild(popup);
+  resetFootnotes(focusNumber);
+}
+
+function resetFootnotes(focusNumber){
+  var list = document.getElementById('footnotes-list');
+  if(!list)
+    return;
+  list.innerHTML = '';
+
+  var footnotes = actions.getFootnotes();
+  if(footnotes.length == 0){
+    var none = document.createElement('p');
+    none.innerText = 'This chapter has no footnotes. Press ' + (isMac ? 'Cmd' : 'Ctrl') + ' + Alt + 6 in the editor to add one.';
+    list.appendChild(none);
+  }
+
+  footnotes.forEach(function(footnote){
+    list.appendChild(createFootnoteField(footnote));
+  });
+  focusFootnote(focusNumber);
+}
+
+function createFootnoteField(footnote){
+  var label = document.createElement('label');
+  label.classList.add('footnote-field');
+  label.innerText = footnote.number + (footnote.references.length > 0 ? ' - ...' + footnote.context : ' (its reference is gone)') + '\n';
+
+  var text = document.createElement('textarea');
+  text.id = 'footnote-' + footnote.number;
+  text.dataset.number = footnote.number;
+  text.rows = Math.max(2, footnote.text.split('\n').length);
+  text.value = footnote.text;
+  text.onchange = function(){
+    if(text.value != footnote.text){
+      actions.setText(footnote.number, text.value);
+      footnote.text = text.value;
+    }
+  };
+  text.addEventListener('keydown', footnoteCntrlEvents);
+
+  label.appendChild(text);
+  return label;
+}
+
+function focusFootnote(number){
+  var fields = document.querySelectorAll('#footnotes-list textarea');
+  if(fields.length == 0)
+    return;
+  var field = document.getElementById('footnote-' + number) || fields[Math.min(Math.max(number - 1, 0), fields.length - 1)];
+  field.focus();
+  field.scrollIntoView({ block: 'nearest' });
+}
+
+function footnoteCntrlEvents(e){
+  var number = parseInt(this.dataset.number);
+  if((e.ctrlKey || e.metaKey) && e.key === "ArrowUp"){
+    stopDefaultPropagation(e);
+    focusFootnote(number - 1);
+  }
+  else if((e.ctrlKey || e.metaKey) && e.key === "ArrowDown"){
+    stopDefaultPropagation(e);
+    focusFootnote(number + 1);
+  }
+  else if((e.ctrlKey || e.metaKey) && e.key === "Enter"){
+    stopDefaultPropagation(e);
+    //Keep what was typed before leaving
+    this.onchange();
+    closePopups();
+    actions.goTo(number);
+  }
+  else if((e.ctrlKey || e.metaKey) && (e.key === "Delete" || e.key === "Backspace")){
+    stopDefaultPropagation(e);
+    actions.remove(number);
+    resetFootnotes(number);
+  }
+}
+
+function stopDefaultPropagation(keyEvent) {
+  keyEvent.preventDefault();
+  keyEvent.stopPropagation();
+}
+
+module.exports = showFootnotes;
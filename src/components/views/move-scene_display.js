@@ -0,0 +1,59 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+
+//Picks the chapter to move a scene to. onTarget gets the chosen chapter.
+function showMoveScene(sceneLabel, targets, onTarget){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Move ' + sceneLabel + ' To Chapter';
+  popup.appendChild(popupTitle);
+
+  var moveForm = document.createElement("form");
+  var moveTable = document.createElement("table");
+
+  var targetLabel = document.createElement("label");
+  targetLabel.innerText = "Chapter: ";
+  targetLabel.for = "move-scene-select";
+
+  var targetSelect = document.createElement("select");
+  targetSelect.id = "move-scene-select";
+  targets.forEach(function(chap, i){
+    var targetOp = document.createElement("option");
+    targetOp.value = i;
+    targetOp.innerText = chap.title != '' ? chap.title : '(untitled)';
+    targetSelect.appendChild(targetOp);
+  });
+
+  moveTable.appendChild(generateRow(targetLabel, targetSelect));
+  moveForm.appendChild(moveTable);
+
+  var explanation = document.createElement('p');
+  explanation.innerText = 'The scene, with its title and summary, is added to the end of the chapter after a scene break.';
+  explanation.classList.add('popup-text-small');
+  moveForm.appendChild(explanation);
+
+  var submit = document.createElement("input");
+  submit.type = "submit";
+  submit.value = "Move";
+  moveForm.appendChild(submit);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  moveForm.appendChild(cancel);
+
+  moveForm.onsubmit = function(e){
+    e.preventDefault();
+    closePopups();
+    onTarget(targets[parseInt(targetSelect.value)]);
+  };
+
+  popup.appendChild(moveForm);
+  document.body.appendChild(popup);
+  targetSelect.focus();
+}
+
+module.exports = showMoveScene;
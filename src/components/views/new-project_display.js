@@ -1,4 +1,6 @@
-function requestProjectTitle(callback){
+//templates are { name, description } from controllers/project-templates.js; callback gets the title and
+//the chosen template's name, or null for a blank project
+function requestProjectTitle(callback, templates = []){
   var popup = document.createElement("div");
   popup.classList.add("popup");
 
@@ -21,6 +23,29 @@ function requestProjectTitle(callback){
   titleInput.id = "title-input";
   titleForm.appendChild(titleInput);
 
+  var templateSelect = document.createElement("select");
+  templateSelect.id = "template-select";
+  if(templates.length > 0){
+    titleForm.appendChild(document.createElement('br'));
+
+    var templateLabel = document.createElement("label");
+    templateLabel.innerText = "Template: ";
+    templateLabel.for = "template-select";
+    titleForm.appendChild(templateLabel);
+
+    var blankOp = document.createElement("option");
+    blankOp.value = '';
+    blankOp.innerText = '(blank project)';
+    templateSelect.appendChild(blankOp);
+    templates.forEach(function(template){
+      var templateOp = document.createElement("option");
+      templateOp.value = template.name;
+      templateOp.innerText = template.name + (template.description != '' ? ' - ' + template.description : '');
+      templateSelect.appendChild(templateOp);
+    });
+    titleForm.appendChild(templateSelect);
+  }
+
   var createButton = document.createElement("input");
   createButton.type = "submit";
   createButton.value = "Create"
@@ -33,7 +58,7 @@ function requestProjectTitle(callback){
     else
       title = "New Project";
     popup.remove();
-    callback(title);
+    callback(title, templateSelect.value != '' ? templateSelect.value : null);
   }
 
   titleForm.appendChild(createButton);
@@ -1,16 +1,26 @@
 const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
-const { countWords } = require('../controllers/wordcount');
+const tags = require('../controllers/tags');
+const chapterMetadata = require('../controllers/chapter-metadata');
+const scenes = require('../controllers/scenes');
 
-function showOutliner(project){
+function showOutliner(project, onFinish){
   removeElementsByClass('popup');
   var popup = document.createElement("div");
   popup.classList.add("popup", "popup-outliner");
 
+  var filterView = tags.getActiveFilterView(project);
+  if(filterView){
+    var filterNote = document.createElement('p');
+    filterNote.innerText = 'Filter: ' + filterView.name + ' (' + filterView.tags.join(', ') + ')';
+    filterNote.classList.add('popup-text-small');
+    popup.appendChild(filterNote);
+  }
+
   var chapTable = document.createElement('table');
   chapTable.id = "outliner-table";
 
   var headerRow = document.createElement('tr');
-  var headers = ["","Title", "Words", "Summary"];
+  var headers = ["","Title", "Status", "Words", "Target", "Pass", "Last Edited", "Tags", "Summary"];
 
   headers.forEach(function(h){
     var head = document.createElement('th');
@@ -20,27 +30,106 @@ function showOutliner(project){
 
   chapTable.appendChild(headerRow);
 
-  var outlineIndex = 1;
+  //Word counts are filled in as each chapter is read, so big projects open straight away
+  var wordCountUpdates = [];
+
+  project.chapters.forEach(function(chap, chapIndex){
+    if(!tags.isChapterInActiveView(project, chap))
+      return;
 
-  project.chapters.forEach(function(chap){
     var row = document.createElement('tr');
 
     var indexCell = document.createElement('td');
-    indexCell.innerText = outlineIndex;
+    var expandBtn = createButton("+");
+    expandBtn.classList.add('outliner-expand');
+    expandBtn.title = "Show scenes";
+    expandBtn.onclick = function(){
+      toggleScenes(chap, row, expandBtn);
+    };
+    indexCell.appendChild(expandBtn);
+    indexCell.appendChild(document.createTextNode(chapIndex + 1));
     row.appendChild(indexCell);
-    outlineIndex++;
 
     var titleCell = document.createElement('td');
     titleCell.innerText = chap.title;
     titleCell.classList.add('outliner-title');
     row.appendChild(titleCell);
 
+    var statusCell = document.createElement('td');
+    var statusSelect = createStatusSelect(chap.status);
+    statusSelect.onchange = function(){
+      chapterMetadata.setMetadata(chap, { status: statusSelect.value });
+      project.hasUnsavedChanges = true;
+    }
+    statusCell.appendChild(statusSelect);
+    row.appendChild(statusCell);
+
     var wordCountCell = document.createElement('td');
-    var text = convertToPlainText(chap.contents ? chap.contents : chap.getFile());
-    wordCountCell.innerText = countWords(text);
+    var words = null;
+    wordCountCell.innerText = '...';
+    wordCountUpdates.push(async function(){
+      words = await chap.getWordCountAsync();
+      wordCountCell.innerText = words;
+      updateTargetReached();
+    });
     wordCountCell.classList.add('outliner-word-count');
     row.appendChild(wordCountCell);
 
+    var targetCell = document.createElement('td');
+    targetCell.classList.add('outliner-number');
+    var targetInput = document.createElement('input');
+    targetInput.type = "number";
+    targetInput.min = 0;
+    targetInput.value = chap.targetWords || '';
+    targetInput.onchange = function(){
+      try{
+        chapterMetadata.setMetadata(chap, { targetWords: targetInput.value });
+        project.hasUnsavedChanges = true;
+      }
+      catch(err){
+        targetInput.value = chap.targetWords || '';
+      }
+      updateTargetReached();
+    }
+    targetCell.appendChild(targetInput);
+    row.appendChild(targetCell);
+    updateTargetReached();
+
+    var passCell = document.createElement('td');
+    passCell.classList.add('outliner-number');
+    var passInput = document.createElement('input');
+    passInput.type = "number";
+    passInput.min = 0;
+    passInput.value = chap.revisionPass || 0;
+    passInput.onchange = function(){
+      try{
+        chapterMetadata.setMetadata(chap, { revisionPass: passInput.value });
+        project.hasUnsavedChanges = true;
+      }
+      catch(err){
+        passInput.value = chap.revisionPass || 0;
+      }
+    }
+    passCell.appendChild(passInput);
+    row.appendChild(passCell);
+
+    var editedCell = document.createElement('td');
+    editedCell.innerText = chapterMetadata.formatLastEdited(chap.lastEdited);
+    editedCell.classList.add('outliner-last-edited');
+    row.appendChild(editedCell);
+
+    var tagsCell = document.createElement('td');
+    tagsCell.classList.add('outliner-tags');
+    var tagsInput = document.createElement('input');
+    tagsInput.type = "text";
+    tagsInput.value = tags.getTags(chap).join(', ');
+    tagsInput.onchange = function(){
+      tags.setTags(chap, tagsInput.value);
+      project.hasUnsavedChanges = true;
+    }
+    tagsCell.appendChild(tagsInput);
+    row.appendChild(tagsCell);
+
     var summaryCell = document.createElement('td');
     summaryCell.classList.add('outliner-summary');
     var summaryInput = document.createElement('input');
@@ -54,6 +143,13 @@ function showOutliner(project){
 
     chapTable.appendChild(row);
 
+    function updateTargetReached(){
+      if(chap.targetWords > 0 && words != null && words >= chap.targetWords)
+        wordCountCell.classList.add('outliner-target-reached');
+      else
+        wordCountCell.classList.remove('outliner-target-reached');
+    }
+
   });
 
   popup.appendChild(chapTable);
@@ -61,19 +157,122 @@ function showOutliner(project){
   var closeBtn = createButton("Close");
   closeBtn.onclick = function(){
     closePopups();
+    if(onFinish)
+      onFinish();
   };
   popup.appendChild(closeBtn);
 
   document.body.appendChild(popup);
-  document.querySelector('#outliner-table input').focus();
+  var firstInput = document.querySelector('#outliner-table input');
+  if(firstInput)
+    firstInput.focus();
+
+  fillWordCounts(popup, wordCountUpdates);
 }
 
-function convertToPlainText(delt){
-  var text = '';
-  delt.ops.forEach(op => {
-    text += op.insert;
+//Lists a chapter's scenes under it, with their own title, status and summary
+async function toggleScenes(chap, chapterRow, expandBtn){
+  if(chapterRow.sceneRows){
+    chapterRow.sceneRows.forEach(function(sceneRow){
+      sceneRow.remove();
+    });
+    chapterRow.sceneRows = null;
+    expandBtn.innerText = "+";
+    expandBtn.title = "Show scenes";
+    return;
+  }
+
+  var contents = await chap.getContentsOrFileAsync();
+  if(!contents || chapterRow.sceneRows)
+    return;
+
+  chapterRow.sceneRows = scenes.listScenes(chap, contents).map(function(scene){
+    return createSceneRow(chap, scene);
   });
-  return text;
+  var after = chapterRow;
+  chapterRow.sceneRows.forEach(function(sceneRow){
+    after.after(sceneRow);
+    after = sceneRow;
+  });
+  expandBtn.innerText = "-";
+  expandBtn.title = "Hide scenes";
+}
+
+function createSceneRow(chap, scene){
+  var row = document.createElement('tr');
+  row.classList.add('outliner-scene-row');
+  var sceneRef = scene.id != null ? scene.id : scene.number;
+
+  row.appendChild(document.createElement('td'));
+
+  var titleCell = document.createElement('td');
+  titleCell.classList.add('outliner-title');
+  titleCell.appendChild(document.createTextNode('Scene ' + scene.number + ' '));
+  var titleInput = document.createElement('input');
+  titleInput.type = "text";
+  titleInput.placeholder = "Scene title";
+  titleInput.value = scene.title;
+  titleInput.onchange = function(){
+    setScene({ title: titleInput.value });
+  };
+  titleCell.appendChild(titleInput);
+  row.appendChild(titleCell);
+
+  var statusCell = document.createElement('td');
+  var statusSelect = createStatusSelect(scene.status);
+  statusSelect.onchange = function(){
+    setScene({ status: statusSelect.value });
+  };
+  statusCell.appendChild(statusSelect);
+  row.appendChild(statusCell);
+
+  var wordCountCell = document.createElement('td');
+  wordCountCell.innerText = scene.words;
+  wordCountCell.classList.add('outliner-word-count');
+  row.appendChild(wordCountCell);
+
+  //Target, pass, last edited and tags belong to the chapter
+  for(let i = 0; i < 4; i++)
+    row.appendChild(document.createElement('td'));
+
+  var summaryCell = document.createElement('td');
+  summaryCell.classList.add('outliner-summary');
+  var summaryInput = document.createElement('input');
+  summaryInput.type = "text";
+  summaryInput.value = scene.summary;
+  summaryInput.onchange = function(){
+    setScene({ summary: summaryInput.value });
+  };
+  summaryCell.appendChild(summaryInput);
+  row.appendChild(summaryCell);
+
+  return row;
+
+  function setScene(changes){
+    //Scene breaks without an id get one here, so later changes find the scene by it
+    sceneRef = scenes.setSceneMetadata(chap, sceneRef, changes).id;
+  }
+}
+
+function createStatusSelect(value){
+  var statusSelect = document.createElement('select');
+  [''].concat(chapterMetadata.statuses).forEach(function(status){
+    var statusOp = document.createElement('option');
+    statusOp.value = status;
+    statusOp.innerText = status;
+    statusSelect.appendChild(statusOp);
+  });
+  statusSelect.value = value || '';
+  return statusSelect;
+}
+
+//Stops early if the outliner is closed before every count is in
+async function fillWordCounts(popup, updates){
+  for(let i=0; i<updates.length; i++){
+    if(!popup.isConnected)
+      return;
+    await updates[i]();
+  }
 }
 
 module.exports = showOutliner;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+//Lists the open projects. Arrow keys pick one, Enter switches to it and Delete closes it.
+function showProjectSwitcher(openProjects, activeProject, getProjectName, actions){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Open Projects';
+  popup.appendChild(popupTitle);
+
+  var projectSelect = document.createElement("select");
+  projectSelect.classList.add("project-switcher-list");
+  projectSelect.size = Math.max(openProjects.length, 2);
+  openProjects.forEach(function(proj, i){
+    var projectOp = document.createElement("option");
+    projectOp.value = i;
+    projectOp.innerText = (i + 1) + '. ' + getProjectName(proj) + (proj.hasUnsavedChanges ? ' *' : '');
+    projectSelect.appendChild(projectOp);
+  });
+  projectSelect.value = openProjects.indexOf(activeProject);
+  popup.appendChild(projectSelect);
+
+  projectSelect.addEventListener('keydown', function(e){
+    if(e.key === "Enter"){
+      e.preventDefault();
+      switchTo.click();
+    }
+    else if(e.key === "Delete"){
+      e.preventDefault();
+      closeProject.click();
+    }
+  });
+  projectSelect.ondblclick = function(){
+    switchTo.click();
+  };
+
+  popup.appendChild(document.createElement('br'));
+
+  var switchTo = createButton("Switch To");
+  switchTo.onclick = function(){
+    var proj = getSelectedProject();
+    closePopups();
+    if(proj)
+      actions.onSwitch(proj);
+  };
+  popup.appendChild(switchTo);
+
+  var openAnother = createButton("Open Another Project");
+  openAnother.onclick = function(){
+    closePopups();
+    actions.onOpen();
+  };
+  popup.appendChild(openAnother);
+
+  var closeProject = createButton("Close Project");
+  closeProject.disabled = openProjects.length < 2;
+  closeProject.onclick = function(){
+    var proj = getSelectedProject();
+    if(proj && openProjects.length > 1){
+      closePopups();
+      actions.onClose(proj);
+    }
+  };
+  popup.appendChild(closeProject);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(cancel);
+
+  document.body.appendChild(popup);
+  projectSelect.focus();
+
+  function getSelectedProject(){
+    return openProjects[parseInt(projectSelect.value)];
+  }
+}
+
+module.exports = showProjectSwitcher;
@@ -0,0 +1,70 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+//Lists permanently deleted chapters from the purge log, newest first. Recover puts the chosen one back
+//at the end of the chapters; onRecover gets its log entry id.
+function showPurgedChapters(entries, onRecover){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Permanently Deleted Chapters';
+  popup.appendChild(popupTitle);
+
+  if(entries.length == 0){
+    var none = document.createElement('p');
+    none.innerText = 'No chapters have been permanently deleted from this project.';
+    popup.appendChild(none);
+  }
+
+  var entrySelect = document.createElement("select");
+  entrySelect.classList.add("project-switcher-list");
+  entrySelect.size = Math.min(Math.max(entries.length, 2), 12);
+  entries.forEach(function(entry, i){
+    var entryOp = document.createElement("option");
+    entryOp.value = i;
+    entryOp.innerText = (entry.title != '' ? entry.title : '(untitled)') + ' - ' + entry.words + ' words - ' +
+      (entry.reason == 'retention' ? 'purged from the trash ' : 'deleted ') + new Date(entry.deletedAt).toLocaleString();
+    entrySelect.appendChild(entryOp);
+  });
+  if(entries.length > 0){
+    entrySelect.value = 0;
+    popup.appendChild(entrySelect);
+  }
+
+  entrySelect.addEventListener('keydown', function(e){
+    if(e.key === "Enter"){
+      e.preventDefault();
+      recover.click();
+    }
+  });
+  entrySelect.ondblclick = function(){
+    recover.click();
+  };
+
+  popup.appendChild(document.createElement('br'));
+
+  var recover = createButton("Recover");
+  recover.disabled = entries.length == 0;
+  recover.onclick = function(){
+    var entry = entries[parseInt(entrySelect.value)];
+    closePopups();
+    if(entry)
+      onRecover(entry.id);
+  };
+  popup.appendChild(recover);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(cancel);
+
+  document.body.appendChild(popup);
+  if(entries.length > 0)
+    entrySelect.focus();
+  else
+    cancel.focus();
+}
+
+module.exports = showPurgedChapters;
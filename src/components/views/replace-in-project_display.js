@@ -0,0 +1,189 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+const batchReplace = require('../controllers/batch-replace');
+
+//Replace across every chapter and reference document: Preview lists each hit in its context with a checkbox
+//to accept or reject it, then Replace Accepted changes them all. The last replace can be undone from here
+//(and in the open chapter with the usual undo).
+function showReplaceInProject(project, applyToEditor, onReplaced){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Replace In Project';
+  popup.appendChild(popupTitle);
+
+  var replaceForm = document.createElement("form");
+
+  var findIn = document.createElement("input");
+  findIn.type = "text";
+  findIn.placeholder = "Find...";
+  replaceForm.appendChild(findIn);
+
+  replaceForm.appendChild(document.createElement('br'));
+
+  var replaceIn = document.createElement("input");
+  replaceIn.type = "text";
+  replaceIn.placeholder = "Replace with...";
+  replaceForm.appendChild(replaceIn);
+
+  replaceForm.appendChild(document.createElement('br'));
+
+  var caseSensitive = addCheckbox("Case Sensitive");
+  var wholeWord = addCheckbox("Whole Words");
+  var regex = addCheckbox("Regular Expression ($1 etc. in the replacement)");
+
+  var preview = document.createElement("input");
+  preview.type = "submit";
+  preview.value = "Preview";
+  replaceForm.appendChild(preview);
+
+  popup.appendChild(replaceForm);
+
+  var status = document.createElement('p');
+  status.classList.add('popup-text-small');
+  popup.appendChild(status);
+
+  var hitsContainer = document.createElement('div');
+  hitsContainer.classList.add('replace-preview');
+  popup.appendChild(hitsContainer);
+
+  var acceptAll = createButton("Accept All");
+  acceptAll.onclick = function(){
+    setAllAccepted(true);
+  };
+  popup.appendChild(acceptAll);
+
+  var rejectAll = createButton("Reject All");
+  rejectAll.onclick = function(){
+    setAllAccepted(false);
+  };
+  popup.appendChild(rejectAll);
+
+  var replaceAccepted = createButton("Replace Accepted");
+  replaceAccepted.onclick = function(){
+    lastResult = batchReplace.applyReplacements(project, hits, applyToEditor);
+    status.innerText = lastResult.replaced + ' replaced in ' + lastResult.chapters.length + ' chapter(s)' +
+      (lastResult.skipped > 0 ? ', ' + lastResult.skipped + ' skipped because the text had changed.' : '.');
+    hits = [];
+    hitsContainer.innerHTML = '';
+    updateButtons();
+    onReplaced();
+  };
+  popup.appendChild(replaceAccepted);
+
+  var undo = createButton("Undo Replace");
+  undo.onclick = function(){
+    var restored = batchReplace.undoReplacements(project, lastResult, applyToEditor);
+    status.innerText = 'Restored ' + restored + ' of ' + lastResult.chapters.length + ' chapter(s).' +
+      (restored < lastResult.chapters.length ? ' Chapters edited since were left as they are.' : '');
+    lastResult = null;
+    updateButtons();
+    onReplaced();
+  };
+  popup.appendChild(undo);
+
+  var close = createButton("Close");
+  close.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(close);
+
+  var hits = [];
+  var lastResult = null;
+  updateButtons();
+
+  replaceForm.onsubmit = function(e){
+    e.preventDefault();
+    hitsContainer.innerHTML = '';
+    try{
+      hits = batchReplace.findReplacements(project, findIn.value, replaceIn.value, {
+        caseSensitive: caseSensitive.checked,
+        wholeWord: wholeWord.checked,
+        regex: regex.checked
+      });
+    }
+    catch(err){
+      hits = [];
+      status.innerText = 'Invalid search: ' + err.message;
+      updateButtons();
+      return;
+    }
+
+    status.innerText = hits.length == 1 ? '1 hit' : hits.length + ' hits';
+    hits.forEach(function(hit){
+      hitsContainer.appendChild(createHitRow(hit));
+    });
+    updateButtons();
+    var firstCheck = hitsContainer.querySelector('input');
+    if(firstCheck)
+      firstCheck.focus();
+  };
+
+  document.body.appendChild(popup);
+  findIn.focus();
+
+  function createHitRow(hit){
+    var row = document.createElement('label');
+    row.classList.add('replace-preview-hit');
+
+    var check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = hit.accepted;
+    check.onchange = function(){
+      hit.accepted = check.checked;
+      updateButtons();
+    };
+    row.appendChild(check);
+
+    var title = document.createElement('span');
+    title.classList.add('replace-preview-title');
+    title.innerText = (hit.title != '' ? hit.title : '(untitled)') + ': ';
+    row.appendChild(title);
+
+    row.appendChild(document.createTextNode(hit.snippet.slice(0, hit.snippetOffset)));
+    var removed = document.createElement('del');
+    removed.innerText = hit.snippet.substr(hit.snippetOffset, hit.length);
+    row.appendChild(removed);
+    var added = document.createElement('ins');
+    added.innerText = hit.replacement;
+    row.appendChild(added);
+    row.appendChild(document.createTextNode(hit.snippet.slice(hit.snippetOffset + hit.length)));
+
+    return row;
+  }
+
+  function setAllAccepted(accepted){
+    hits.forEach(function(hit){
+      hit.accepted = accepted;
+    });
+    hitsContainer.querySelectorAll('input').forEach(function(check){
+      check.checked = accepted;
+    });
+    updateButtons();
+  }
+
+  function updateButtons(){
+    var acceptedCount = hits.filter(function(hit){ return hit.accepted; }).length;
+    acceptAll.disabled = hits.length == 0;
+    rejectAll.disabled = hits.length == 0;
+    replaceAccepted.disabled = acceptedCount == 0;
+    replaceAccepted.innerText = acceptedCount > 0 ? 'Replace ' + acceptedCount + ' Accepted' : 'Replace Accepted';
+    undo.disabled = lastResult == null || lastResult.chapters.length == 0;
+  }
+
+  function addCheckbox(labelText){
+    var check = document.createElement("input");
+    check.type = "checkbox";
+    replaceForm.appendChild(check);
+
+    var checkLabel = document.createElement("label");
+    checkLabel.innerText = labelText;
+    replaceForm.appendChild(checkLabel);
+
+    replaceForm.appendChild(document.createElement('br'));
+    return check;
+  }
+}
+
+module.exports = showReplaceInProject;
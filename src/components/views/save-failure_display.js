@@ -0,0 +1,27 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+function showSaveFailure(projectName){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var title = document.createElement('h1');
+  title.innerText = 'Save Failed';
+  popup.appendChild(title);
+
+  var message = document.createElement('p');
+  message.classList.add('warning-text');
+  message.innerText = projectName + ' could not be saved, so it is still marked as having unsaved changes. Your changes are still open; try saving again, or use Save As to save them somewhere else. The cause is in the error log (Help > View Error Log).';
+  popup.appendChild(message);
+
+  var ok = createButton("OK");
+  ok.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(ok);
+
+  document.body.appendChild(popup);
+  ok.focus();
+}
+
+module.exports = showSaveFailure;
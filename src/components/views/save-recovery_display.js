@@ -0,0 +1,30 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+function showSaveRecovery(outcome){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var title = document.createElement('h1');
+  title.innerText = 'Interrupted Save Recovered';
+  popup.appendChild(title);
+
+  var message = document.createElement('p');
+  message.classList.add('warning-text');
+  if(outcome == 'rolled-forward')
+    message.innerText = 'The last save of this project was interrupted after it was ready to commit, so it has been completed. Your most recently saved changes are intact.';
+  else
+    message.innerText = 'The last save of this project was interrupted before it could finish, so it has been undone. The project is as it was at the save before that; any changes from the interrupted save are lost.';
+  popup.appendChild(message);
+
+  var ok = createButton("OK");
+  ok.onclick = function(){
+    closePopups();
+  };
+  popup.appendChild(ok);
+
+  document.body.appendChild(popup);
+  ok.focus();
+}
+
+module.exports = showSaveRecovery;
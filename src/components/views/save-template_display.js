@@ -0,0 +1,101 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+
+//Asks for a template name, description and chapter naming. onSave gets them and whether to include the chapters.
+function showSaveTemplate(defaultName, chapterNaming, onSave){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Save Project As Template';
+  popup.appendChild(popupTitle);
+
+  var templateForm = document.createElement("form");
+  var templateTable = document.createElement("table");
+
+  var nameLabel = document.createElement("label");
+  nameLabel.innerText = "Template name: ";
+  nameLabel.for = "template-name-input";
+
+  var nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.id = "template-name-input";
+  nameInput.value = defaultName || '';
+  templateTable.appendChild(generateRow(nameLabel, nameInput));
+
+  var descrLabel = document.createElement("label");
+  descrLabel.innerText = "Description: ";
+  descrLabel.for = "template-descr-input";
+
+  var descrInput = document.createElement("input");
+  descrInput.type = "text";
+  descrInput.id = "template-descr-input";
+  templateTable.appendChild(generateRow(descrLabel, descrInput));
+
+  var namingLabel = document.createElement("label");
+  namingLabel.innerText = 'New chapter titles ("[num]" for the number, blank for none): ';
+  namingLabel.for = "template-naming-input";
+
+  var namingInput = document.createElement("input");
+  namingInput.type = "text";
+  namingInput.id = "template-naming-input";
+  namingInput.placeholder = "Chapter [num]";
+  namingInput.value = chapterNaming ? chapterNaming.pattern : '';
+  templateTable.appendChild(generateRow(namingLabel, namingInput));
+
+  var numeralsLabel = document.createElement("label");
+  numeralsLabel.innerText = "Use numerals (1, 2, 3) rather than words: ";
+  numeralsLabel.for = "template-numerals-check";
+
+  var numeralsCheck = document.createElement("input");
+  numeralsCheck.type = "checkbox";
+  numeralsCheck.id = "template-numerals-check";
+  numeralsCheck.checked = chapterNaming ? chapterNaming.useNumerals : true;
+  templateTable.appendChild(generateRow(numeralsLabel, numeralsCheck));
+
+  var chaptersLabel = document.createElement("label");
+  chaptersLabel.innerText = "Include the chapters: ";
+  chaptersLabel.for = "template-chapters-check";
+
+  var chaptersCheck = document.createElement("input");
+  chaptersCheck.type = "checkbox";
+  chaptersCheck.id = "template-chapters-check";
+  templateTable.appendChild(generateRow(chaptersLabel, chaptersCheck));
+
+  templateForm.appendChild(templateTable);
+
+  var explanation = document.createElement('p');
+  explanation.innerText = 'The template keeps the reference documents, corkboard cards, chapter naming and project notes. ' +
+    'Choose it under Template when you start a new project. A template with the same name is replaced.';
+  explanation.classList.add('popup-text-small');
+  templateForm.appendChild(explanation);
+
+  var submit = document.createElement("input");
+  submit.type = "submit";
+  submit.value = "Save";
+  templateForm.appendChild(submit);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  templateForm.appendChild(cancel);
+
+  templateForm.onsubmit = function(e){
+    e.preventDefault();
+    if(nameInput.value.trim() == ''){
+      nameInput.focus();
+      return;
+    }
+    closePopups();
+    var naming = namingInput.value.trim() != '' ? { pattern: namingInput.value.trim(), useNumerals: numeralsCheck.checked } : null;
+    onSave(nameInput.value.trim(), descrInput.value.trim(), chaptersCheck.checked, naming);
+  };
+
+  popup.appendChild(templateForm);
+  document.body.appendChild(popup);
+  nameInput.focus();
+  nameInput.select();
+}
+
+module.exports = showSaveTemplate;
@@ -0,0 +1,125 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+//Searches every chapter, reference document and notes file through the project's search index.
+//Arrow keys move through the results and Enter jumps to one (onJump gets the result).
+function showSearchProject(searchIndex, onJump){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Search Project';
+  popup.appendChild(popupTitle);
+
+  var searchForm = document.createElement("form");
+
+  var queryIn = document.createElement("input");
+  queryIn.type = "text";
+  queryIn.placeholder = "Search for words or a phrase...";
+  queryIn.id = "search-project-input";
+  searchForm.appendChild(queryIn);
+
+  searchForm.appendChild(document.createElement('br'));
+
+  var caseSensitive = addCheckbox("Case Sensitive");
+  var wholeWord = addCheckbox("Whole Words");
+  var regex = addCheckbox("Regular Expression");
+
+  var search = document.createElement("input");
+  search.type = "submit";
+  search.value = "Search";
+  searchForm.appendChild(search);
+
+  var close = createButton("Close");
+  close.onclick = function(){
+    closePopups();
+  };
+  searchForm.appendChild(close);
+
+  var resultCount = document.createElement('p');
+  resultCount.classList.add('popup-text-small');
+  searchForm.appendChild(resultCount);
+
+  var resultList = document.createElement("select");
+  resultList.classList.add("search-results-list");
+  resultList.size = 12;
+  resultList.style.display = "none";
+  searchForm.appendChild(resultList);
+
+  var results = [];
+
+  searchForm.onsubmit = function(e){
+    e.preventDefault();
+    resultList.innerHTML = '';
+    try{
+      results = searchIndex.search(queryIn.value, {
+        caseSensitive: caseSensitive.checked,
+        wholeWord: wholeWord.checked,
+        regex: regex.checked
+      });
+    }
+    catch(err){
+      results = [];
+      resultCount.innerText = 'Invalid search: ' + err.message;
+      resultList.style.display = "none";
+      return;
+    }
+
+    results.forEach(function(result, i){
+      var resultOp = document.createElement("option");
+      resultOp.value = i;
+      resultOp.innerText = getResultLabel(result) + ': ' + result.snippet;
+      resultList.appendChild(resultOp);
+    });
+    resultCount.innerText = results.length == 1 ? '1 result' : results.length + ' results';
+    resultList.style.display = results.length > 0 ? "" : "none";
+    if(results.length > 0){
+      resultList.value = 0;
+      resultList.focus();
+    }
+  };
+
+  resultList.addEventListener('keydown', function(e){
+    if(e.key === "Enter"){
+      e.preventDefault();
+      jumpToSelected();
+    }
+  });
+  resultList.ondblclick = jumpToSelected;
+
+  popup.appendChild(searchForm);
+  document.body.appendChild(popup);
+  queryIn.focus();
+
+  function jumpToSelected(){
+    var result = results[parseInt(resultList.value)];
+    if(result){
+      closePopups();
+      onJump(result);
+    }
+  }
+
+  function addCheckbox(labelText){
+    var check = document.createElement("input");
+    check.type = "checkbox";
+    searchForm.appendChild(check);
+
+    var checkLabel = document.createElement("label");
+    checkLabel.innerText = labelText;
+    searchForm.appendChild(checkLabel);
+
+    searchForm.appendChild(document.createElement('br'));
+    return check;
+  }
+}
+
+function getResultLabel(result){
+  var title = result.title != '' ? result.title : '(untitled)';
+  if(result.kind == 'notes')
+    return title + ' (notes)';
+  if(result.kind == 'reference')
+    return title + ' (reference)';
+  return title;
+}
+
+module.exports = showSearchProject;
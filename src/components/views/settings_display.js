@@ -103,6 +103,37 @@ function showSettings(userSettings, autosaver, sysDirectories, callback){
 
   backupTbl.appendChild(generateRow(autosaveLabel, autosaveIntervalInput));
 
+  var persistIndexLabel = document.createElement('label');
+  persistIndexLabel.innerText = 'Keep search index on disk (faster first search in big projects): ';
+
+  var persistIndexCheck = document.createElement('input');
+  persistIndexCheck.type = 'checkbox';
+  persistIndexCheck.checked = userSettings.persistSearchIndex;
+
+  backupTbl.appendChild(generateRow(persistIndexLabel, persistIndexCheck));
+
+  var cacheLabel = document.createElement('label');
+  cacheLabel.innerText = 'Memory for cached chapters in MB (0=no cache): ';
+
+  var cacheInput = document.createElement('input');
+  cacheInput.type = 'number';
+  cacheInput.min = 0;
+  cacheInput.value = userSettings.chapterCacheMB;
+  cacheInput.classList.add('number-ticker');
+
+  backupTbl.appendChild(generateRow(cacheLabel, cacheInput));
+
+  var retentionLabel = document.createElement('label');
+  retentionLabel.innerText = 'Delete chapters in the trash after this many days (0=never): ';
+
+  var retentionInput = document.createElement('input');
+  retentionInput.type = 'number';
+  retentionInput.min = 0;
+  retentionInput.value = userSettings.trashRetentionDays;
+  retentionInput.classList.add('number-ticker');
+
+  backupTbl.appendChild(generateRow(retentionLabel, retentionInput));
+
   saveSet.appendChild(backupTbl);
   settingsForm.appendChild(saveSet);
 
@@ -196,6 +227,9 @@ function showSettings(userSettings, autosaver, sysDirectories, callback){
     userSettings.autoBackup = autoBackupCheck.checked;
     userSettings.backupsToKeep = backupLimitInput.value;
     userSettings.autosaveIntMinutes = autosaveIntervalInput.value;
+    userSettings.persistSearchIndex = persistIndexCheck.checked;
+    userSettings.chapterCacheMB = Math.max(0, Number(cacheInput.value) || 0);
+    userSettings.trashRetentionDays = Math.max(0, Number(retentionInput.value) || 0);
     userSettings.darkMode = document.querySelector('input[type=radio][name=dark-mode]:checked').value;
     userSettings.defaultAuthor = defAuthIn.value;
     userSettings.addressInfo = addressIn.value;
@@ -211,7 +245,7 @@ function showSettings(userSettings, autosaver, sysDirectories, callback){
     }
 
     userSettings.save();
-    autosaver.updateAutosave(userSettings.autosaveIntMinutes, saveProject);
+    autosaver.updateAutosave(userSettings.autosaveIntMinutes, saveAllProjects);
     callback();
     closePopups();
   }
@@ -15,7 +15,11 @@ function showShortcutsHelp(isMac){
           ['View Previous Chapter', cmdOrCtrl + ' + Up'],
           ['View Next Chapter', cmdOrCtrl + ' + Down'],
           ['Shift Focus To Editor', cmdOrCtrl + ' + Left'],
-          ['Shift Focus To Notes', cmdOrCtrl + ' + Right']
+          ['Shift Focus To Notes', cmdOrCtrl + ' + Right'],
+          ['Filter Views', cmdOrCtrl + ' + Shift + L'],
+          ['Switch Project', cmdOrCtrl + ' + Shift + J'],
+          ['Search Project', cmdOrCtrl + ' + Alt + F'],
+          ['Replace In Project', cmdOrCtrl + ' + Alt + R']
         ]
       },
       {
@@ -23,7 +27,15 @@ function showShortcutsHelp(isMac){
         shortcuts: [
           ['Move Chapter Up', cmdOrCtrl + ' + Shift + Up'],
           ['Move Chapter Down', cmdOrCtrl + ' + Shift + Down'],
-          ['Change Chapter Label', cmdOrCtrl + ' + Shift + Left']
+          ['Change Chapter Label', cmdOrCtrl + ' + Shift + Left'],
+          ['Start New Part Here', cmdOrCtrl + ' + Alt + N'],
+          ['Move Chapter To Previous Part', cmdOrCtrl + ' + Alt + Up'],
+          ['Move Chapter To Next Part', cmdOrCtrl + ' + Alt + Down'],
+          ['Collapse/Expand Part', cmdOrCtrl + ' + Shift + Right'],
+          ['Edit Chapter Tags', cmdOrCtrl + ' + Shift + T'],
+          ['Chapter Properties', cmdOrCtrl + ' + Shift + P'],
+          ['Insert Scene Break', cmdOrCtrl + ' + Shift + Enter'],
+          ['Split Chapter At Scene', cmdOrCtrl + ' + Alt + \\']
         ]
       },
       {
@@ -0,0 +1,216 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+
+var actions = null;
+var suggestions = [];
+var current = 0;
+
+//Steps through the pending suggestions of agents for the chapter in the editor, to accept or reject each one.
+//actions: getSuggestions() gives the pending suggestions in the order they come in the chapter, each with the name
+//of its agent and the text before and after it; accept(suggestionId), reject(suggestionId) and acceptAllFrom(userId),
+//which throw when the text is locked; show(suggestion) marks it in the editor, and show(null) when the popup closes.
+function showSuggestions(suggestionActions){
+  removeElementsByClass('popup');
+  actions = suggestionActions;
+  current = 0;
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+  popup.tabIndex = -1;
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = 'Suggestions';
+  popup.appendChild(popupTitle);
+
+  var helpReminder = document.createElement('p');
+  helpReminder.classList.add('popup-text-small');
+  helpReminder.innerText = 'Up/Down: next suggestion. A or Enter: accept it. R: reject it. ' +
+    'Shift + A: accept all from its agent.';
+  popup.appendChild(helpReminder);
+
+  var list = document.createElement('div');
+  list.id = 'suggestions-list';
+  list.classList.add('suggestions-list');
+  popup.appendChild(list);
+
+  var message = document.createElement('p');
+  message.id = 'suggestions-message';
+  message.classList.add('popup-text-small');
+  popup.appendChild(message);
+
+  var accept = createButton("Accept");
+  accept.id = 'suggestions-accept';
+  accept.onclick = acceptCurrent;
+  popup.appendChild(accept);
+
+  var reject = createButton("Reject");
+  reject.id = 'suggestions-reject';
+  reject.onclick = rejectCurrent;
+  popup.appendChild(reject);
+
+  var acceptAll = createButton("Accept All From Agent");
+  acceptAll.id = 'suggestions-accept-all';
+  acceptAll.onclick = acceptAllFromCurrent;
+  popup.appendChild(acceptAll);
+
+  var closeBtn = createButton("Close");
+  closeBtn.onclick = closeSuggestions;
+  popup.appendChild(closeBtn);
+
+  popup.addEventListener('keydown', suggestionKeyEvents);
+
+  document.body.appendChild(popup);
+  resetSuggestions();
+  popup.focus();
+}
+
+function resetSuggestions(){
+  var list = document.getElementById('suggestions-list');
+  if(!list)
+    return;
+  list.innerHTML = '';
+
+  suggestions = actions.getSuggestions();
+  current = Math.min(current, Math.max(suggestions.length - 1, 0));
+  if(suggestions.length == 0){
+    var none = document.createElement('p');
+    none.innerText = 'There are no suggestions waiting in this chapter.';
+    list.appendChild(none);
+  }
+
+  suggestions.forEach(function(suggestion, i){
+    list.appendChild(createSuggestionRow(suggestion, i));
+  });
+
+  document.getElementById('suggestions-accept').disabled = suggestions.length == 0;
+  document.getElementById('suggestions-reject').disabled = suggestions.length == 0;
+  var acceptAll = document.getElementById('suggestions-accept-all');
+  acceptAll.disabled = suggestions.length == 0;
+  if(suggestions.length > 0)
+    acceptAll.innerText = 'Accept All From ' + suggestions[current].name;
+  selectSuggestion(current);
+}
+
+function createSuggestionRow(suggestion, i){
+  var row = document.createElement('div');
+  row.classList.add('suggestion-row');
+  row.dataset.index = i;
+  row.onclick = function(){
+    selectSuggestion(i);
+  };
+
+  var agent = document.createElement('span');
+  agent.classList.add('suggestion-agent');
+  agent.innerText = suggestion.name + ': ';
+  row.appendChild(agent);
+
+  row.appendChild(document.createTextNode('...' + suggestion.before));
+  var removed = document.createElement('del');
+  removed.innerText = suggestion.oldText;
+  row.appendChild(removed);
+  var added = document.createElement('ins');
+  added.innerText = suggestion.newText;
+  row.appendChild(added);
+  row.appendChild(document.createTextNode(suggestion.after + '...'));
+
+  var reasoning = suggestion.metadata && suggestion.metadata.reasoning;
+  if(reasoning){
+    var why = document.createElement('span');
+    why.classList.add('suggestion-reasoning');
+    why.innerText = reasoning;
+    row.appendChild(why);
+  }
+  return row;
+}
+
+function selectSuggestion(i){
+  var rows = document.querySelectorAll('#suggestions-list .suggestion-row');
+  if(rows.length == 0){
+    actions.show(null);
+    return;
+  }
+  current = Math.min(Math.max(i, 0), rows.length - 1);
+  rows.forEach(function(row){
+    row.classList.toggle('current', parseInt(row.dataset.index) == current);
+  });
+  rows[current].scrollIntoView({ block: 'nearest' });
+  document.getElementById('suggestions-accept-all').innerText = 'Accept All From ' + suggestions[current].name;
+  actions.show(suggestions[current]);
+}
+
+//Runs an action on the chosen suggestion, showing why it could not be done
+function resolveCurrent(action){
+  var suggestion = suggestions[current];
+  if(!suggestion)
+    return;
+  var message = document.getElementById('suggestions-message');
+  message.innerText = '';
+  try {
+    var result = action(suggestion);
+    if(result && result.failed && result.failed.length > 0)
+      message.innerText = result.failed.length + ' of them could not be accepted: ' + result.failed[0].error;
+  }
+  catch(error){
+    message.innerText = 'Could not do that: ' + error.message;
+  }
+  resetSuggestions();
+}
+
+function acceptCurrent(){
+  resolveCurrent(function(suggestion){
+    return actions.accept(suggestion.suggestionId);
+  });
+}
+
+function rejectCurrent(){
+  resolveCurrent(function(suggestion){
+    return actions.reject(suggestion.suggestionId);
+  });
+}
+
+function acceptAllFromCurrent(){
+  resolveCurrent(function(suggestion){
+    return actions.acceptAllFrom(suggestion.userId);
+  });
+}
+
+function closeSuggestions(){
+  closePopups();
+  actions.show(null);
+}
+
+function suggestionKeyEvents(e){
+  //Buttons take their own Enter
+  if(e.target.tagName === 'BUTTON' && e.key === "Enter")
+    return;
+  if(e.key === "Escape"){
+    stopDefaultPropagation(e);
+    closeSuggestions();
+  }
+  else if(e.key === "ArrowUp"){
+    stopDefaultPropagation(e);
+    selectSuggestion(current - 1);
+  }
+  else if(e.key === "ArrowDown"){
+    stopDefaultPropagation(e);
+    selectSuggestion(current + 1);
+  }
+  else if(e.key === "A" || (e.shiftKey && e.key === "a")){
+    stopDefaultPropagation(e);
+    acceptAllFromCurrent();
+  }
+  else if(e.key === "a" || e.key === "Enter"){
+    stopDefaultPropagation(e);
+    acceptCurrent();
+  }
+  //Rejecting takes a key of its own, so a stray Backspace or Delete doesn't throw a suggestion away
+  else if(e.key === "r" || e.key === "R"){
+    stopDefaultPropagation(e);
+    rejectCurrent();
+  }
+}
+
+function stopDefaultPropagation(keyEvent) {
+  keyEvent.preventDefault();
+  keyEvent.stopPropagation();
+}
+
+module.exports = showSuggestions;
@@ -0,0 +1,333 @@
+const { closePopups, createButton, removeElementsByClass } = require('../controllers/utils');
+const timeline = require('../controllers/timeline');
+const isMac = process.platform === "darwin";
+
+var shownProject = null;
+var goToChapter = null;
+var view = null;
+
+//Shows the chapters and scenes in reading order beside the timeline events in story order.
+//onGoToChapter gets a chapter index.
+function showTimeline(project, onGoToChapter){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup", "popup-corkboard");
+
+  var board = document.createElement('div');
+  board.id = 'timeline';
+  popup.appendChild(board);
+
+  document.body.appendChild(popup);
+
+  shownProject = project;
+  goToChapter = onGoToChapter;
+  popup.addEventListener('keydown', boardCntrlEvents);
+
+  resetTimeline('narrative', 0);
+}
+
+//Rebuilds both columns and focuses the card at index in a column, or the card of an event that may have moved
+async function resetTimeline(column, index, eventId = null){
+  view = await timeline.getTimelineView(shownProject);
+  if(eventId){
+    index = (column == 'story' ? view.story : view.narrative).findIndex(function(item){
+      return item.event && item.event.id == eventId;
+    });
+  }
+
+  var board = document.getElementById('timeline');
+  if(!board)
+    return;
+  board.innerHTML = "";
+  board.appendChild(getTitleBar());
+
+  var conflicts = document.createElement('ul');
+  conflicts.classList.add('timeline-conflicts');
+  view.conflicts.forEach(function(conflict){
+    var item = document.createElement('li');
+    item.innerText = conflict.message;
+    conflicts.appendChild(item);
+  });
+  board.appendChild(conflicts);
+
+  board.appendChild(createColumn('narrative', 'Reading Order', view.narrative));
+  board.appendChild(createColumn('story', 'Story Order', view.story));
+
+  focusCard(column, index);
+}
+
+function getTitleBar(){
+  var titleBar = document.createElement('div');
+  titleBar.id = 'corkboard-title-bar';
+  var boardTitle = document.createElement('h2');
+  boardTitle.innerText = 'Timeline';
+  titleBar.appendChild(boardTitle);
+
+  var helpReminder = document.createElement('p');
+  helpReminder.innerText = "For Help Press " + (isMac ? "Cmd + Shift + H" : "Ctrl + H") +
+    (view.conflicts.length > 0 ? '. ' + view.conflicts.length + (view.conflicts.length == 1 ? ' conflict:' : ' conflicts:') : '');
+  titleBar.appendChild(helpReminder);
+
+  return titleBar;
+}
+
+function createColumn(column, title, items){
+  var col = document.createElement("div");
+  col.classList.add("timeline-column");
+
+  var colTitle = document.createElement('h2');
+  colTitle.innerText = title;
+  col.appendChild(colTitle);
+
+  if(items.length == 0){
+    var empty = document.createElement('p');
+    empty.innerText = 'Give a chapter or scene a date, or press ' + (isMac ? 'Cmd' : 'Ctrl') + ' + I on it, to put it on the timeline.';
+    empty.classList.add('popup-text-small');
+    col.appendChild(empty);
+  }
+
+  items.forEach(function(item, i){
+    col.appendChild(createCard(column, item, i));
+  });
+  return col;
+}
+
+function createCard(column, item, index){
+  var card = document.createElement("div");
+  card.id = column + "-card" + index;
+  card.classList.add("corkboard-card", "timeline-card");
+  if(item.sceneId)
+    card.classList.add("timeline-scene");
+  if(!item.event)
+    card.classList.add('corkboard-card-unused');
+  if(item.conflicts.length > 0){
+    card.classList.add('timeline-card-conflict');
+    card.title = item.conflicts.join('\n');
+  }
+  card.dataset.column = column;
+  card.dataset.index = index;
+  card.addEventListener('keydown', cardCntrlEvents);
+
+  var numLabel = document.createElement("h2");
+  numLabel.innerText = column == 'story' ? item.chronology + ' (read ' + item.narrative + ')' :
+    item.narrative + (item.event ? ' (story ' + item.chronology + ')' : '');
+  numLabel.classList.add("card-num-label");
+  card.appendChild(numLabel);
+
+  var title = document.createElement("p");
+  title.innerText = item.title;
+  card.appendChild(title);
+
+  card.appendChild(createField(item, 'date', 'Date', 'YYYY-MM-DD HH:MM', item.event ? item.event.date : ''));
+  card.appendChild(createField(item, 'end', 'Until', 'optional', item.event ? item.event.end : ''));
+  var own = item.event ? item.event.codex : [];
+  card.appendChild(createField(item, 'codex', 'Codex', 'names from the codex',
+    item.entries.filter(function(entry){ return own.includes(entry.id); }).map(function(entry){ return entry.name; }).join(', ')));
+
+  //Entries that come from the chapter's tags
+  var tagged = item.entries.filter(function(entry){ return !own.includes(entry.id); });
+  if(tagged.length > 0){
+    var fromTags = document.createElement('p');
+    fromTags.innerText = 'From tags: ' + tagged.map(function(entry){ return entry.name; }).join(', ');
+    card.appendChild(fromTags);
+  }
+  return card;
+}
+
+function createField(item, key, labelText, placeholder, value){
+  var label = document.createElement("label");
+  label.innerText = labelText + ": ";
+
+  var input = document.createElement("input");
+  input.type = "text";
+  input.classList.add("card-label");
+  input.placeholder = placeholder;
+  input.value = value;
+  input.onchange = function(){
+    var card = input.closest('.timeline-card');
+    var column = card.dataset.column;
+    try{
+      var event = item.event || timeline.addEvent(shownProject, { chapterId: item.chapterId, sceneId: item.sceneId });
+      timeline.updateEvent(shownProject, event.id, { [key]: input.value });
+    }
+    catch(err){
+      input.value = value;
+      input.title = err.message;
+      input.classList.add('bad-check');
+      return;
+    }
+    //A new date can move the event in story order, so keep to it
+    resetTimeline(column, parseInt(card.dataset.index), event.id);
+  };
+
+  label.appendChild(input);
+  return label;
+}
+
+function focusCard(column, index){
+  var card = document.getElementById(column + "-card" + index);
+  if(card)
+    card.querySelector('input').focus();
+}
+
+//The same chapter or scene in the other column
+function switchColumn(card){
+  var items = card.dataset.column == 'story' ? view.story : view.narrative;
+  var item = items[parseInt(card.dataset.index)];
+  if(card.dataset.column == 'story')
+    focusCard('narrative', view.narrative.indexOf(item));
+  else if(item.event)
+    focusCard('story', view.story.indexOf(item));
+}
+
+function boardCntrlEvents(e){
+  if((e.ctrlKey || e.metaKey) && (e.key === "s")){
+    stopDefaultPropagation(e);
+    if(shownProject.directory != '')
+      shownProject.saveFile();
+  }
+  else if(e.key === "Escape"){
+    stopDefaultPropagation(e);
+    closePopups();
+  }
+  else if(((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === "h") || (e.ctrlKey && e.key == "h")){
+    stopDefaultPropagation(e);
+    showHelp();
+  }
+}
+
+function cardCntrlEvents(e){
+  var column = this.dataset.column;
+  var index = parseInt(this.dataset.index);
+  var item = (column == 'story' ? view.story : view.narrative)[index];
+
+  if((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key === "ArrowUp" || e.key === "ArrowDown")){
+    stopDefaultPropagation(e);
+    if(column != 'story')
+      return;
+    //Takes the place of the card above or below, skipping events whose chapter is in the trash
+    var next = view.story[e.key === "ArrowUp" ? index - 1 : index + 1];
+    if(next){
+      timeline.moveEvent(shownProject, item.event.id, timeline.getTimeline(shownProject).indexOf(next.event));
+      resetTimeline('story', index, item.event.id);
+    }
+  }
+  else if((e.ctrlKey || e.metaKey) && e.key === "ArrowUp"){
+    stopDefaultPropagation(e);
+    focusCard(column, Math.max(0, index - 1));
+  }
+  else if((e.ctrlKey || e.metaKey) && e.key === "ArrowDown"){
+    stopDefaultPropagation(e);
+    focusCard(column, index + 1);
+  }
+  else if((e.ctrlKey || e.metaKey) && (e.key === "ArrowLeft" || e.key === "ArrowRight")){
+    stopDefaultPropagation(e);
+    switchColumn(this);
+  }
+  else if((e.ctrlKey || e.metaKey) && (e.key === "i" || e.key === "n")){
+    stopDefaultPropagation(e);
+    if(!item.event){
+      timeline.addEvent(shownProject, { chapterId: item.chapterId, sceneId: item.sceneId });
+      resetTimeline(column, index);
+    }
+  }
+  else if((e.ctrlKey || e.metaKey) && (e.key === "Delete" || e.key === "Backspace")){
+    stopDefaultPropagation(e);
+    if(item.event){
+      timeline.removeEvent(shownProject, item.event.id);
+      resetTimeline(column, column == 'story' ? Math.max(0, Math.min(index, view.story.length - 2)) : index);
+    }
+  }
+  else if((e.ctrlKey || e.metaKey) && (e.key === "Enter")){
+    stopDefaultPropagation(e);
+    closePopups();
+    goToChapter(item.chapterIndex);
+  }
+}
+
+function stopDefaultPropagation(keyEvent) {
+  keyEvent.preventDefault();
+  keyEvent.stopPropagation();
+}
+
+function showHelp(){
+    var popup = document.createElement("div");
+    popup.classList.add("popup-dialog", "popup-shortcuts");
+
+    const cmdOrCtrl = isMac ? 'Cmd' : 'Ctrl';
+
+    var shortcuts = [
+      {
+        title: "Navigation",
+        shortcuts: [
+          ['Move Between Cards', cmdOrCtrl + ' + Up/Down'],
+          ['Same Card In The Other Order', cmdOrCtrl + ' + Left/Right'],
+          ['Move Between Fields', 'Tab'],
+          ['Go To Chapter', cmdOrCtrl + ' + Enter']
+        ]
+      },
+      {
+        title: "Alteration",
+        shortcuts: [
+          ['Move Earlier/Later In Story Order', cmdOrCtrl + ' + Shift + Up/Down'],
+          ['Put On The Timeline', cmdOrCtrl + ' + I'],
+          ['Take Off The Timeline', cmdOrCtrl + ' + Delete/Backspace']
+        ]
+      },
+      {
+        title: "Most Important",
+        shortcuts: [
+          ['Save Project', cmdOrCtrl + ' + S'],
+          ['Close Timeline', "Escape"]
+        ]
+      }
+    ];
+
+    shortcuts.forEach(function(short){
+      var title = document.createElement('h2');
+      title.innerText = short.title;
+      popup.appendChild(title);
+
+      var shortcutsTable = document.createElement('table');
+      shortcutsTable.classList.add('shortcuts-table');
+
+      short.shortcuts.forEach(function(cut){
+        var row = document.createElement('tr');
+
+        var shortLabel = document.createElement('td');
+        shortLabel.innerText = cut[0];
+        row.appendChild(shortLabel);
+
+        var shortKeys = document.createElement('td');
+        shortKeys.innerText = cut[1];
+        row.appendChild(shortKeys);
+
+        shortcutsTable.appendChild(row);
+      });
+
+      popup.appendChild(shortcutsTable);
+    });
+
+    popup.appendChild(document.createElement('br'));
+
+    var closeBtn = createButton("Close");
+    closeBtn.onclick = function(){
+      removeElementsByClass('popup-dialog');
+      focusCard('narrative', 0);
+    };
+    popup.appendChild(closeBtn);
+
+    popup.addEventListener('keydown', function(e){
+      if(e.key == "Escape"){
+        stopDefaultPropagation(e);
+        removeElementsByClass('popup-dialog');
+        focusCard('narrative', 0);
+      }
+    });
+
+    document.body.appendChild(popup);
+    closeBtn.focus();
+    popup.scrollTop = 0;
+}
+
+module.exports = showTimeline;
@@ -0,0 +1,76 @@
+const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
+
+//Picks which open project to copy (or move) a chapter to. onTarget gets the chosen project.
+function showTransferChapter(chap, targets, getProjectName, move, onTarget){
+  removeElementsByClass('popup');
+  var popup = document.createElement("div");
+  popup.classList.add("popup");
+
+  var popupTitle = document.createElement('h1');
+  popupTitle.innerText = (move ? 'Move ' : 'Copy ') + (chap.title != '' ? chap.title : '(untitled)') + ' To Project';
+  popup.appendChild(popupTitle);
+
+  if(targets.length == 0){
+    var noTargets = document.createElement('p');
+    noTargets.innerText = 'Only one project is open. Open another project first (File > Open, or the project switcher).';
+    popup.appendChild(noTargets);
+
+    var ok = createButton("OK");
+    ok.onclick = function(){
+      closePopups();
+    };
+    popup.appendChild(ok);
+    document.body.appendChild(popup);
+    ok.focus();
+    return;
+  }
+
+  var transferForm = document.createElement("form");
+  var transferTable = document.createElement("table");
+
+  var targetLabel = document.createElement("label");
+  targetLabel.innerText = "Project: ";
+  targetLabel.for = "transfer-target-select";
+
+  var targetSelect = document.createElement("select");
+  targetSelect.id = "transfer-target-select";
+  targets.forEach(function(proj, i){
+    var targetOp = document.createElement("option");
+    targetOp.value = i;
+    targetOp.innerText = getProjectName(proj);
+    targetSelect.appendChild(targetOp);
+  });
+
+  transferTable.appendChild(generateRow(targetLabel, targetSelect));
+  transferForm.appendChild(transferTable);
+
+  var explanation = document.createElement('p');
+  explanation.innerText = move ?
+    'The chapter and its notes are added to the end of the other project, and this copy goes to the trash.' :
+    'A copy of the chapter and its notes is added to the end of the other project.';
+  explanation.classList.add('popup-text-small');
+  transferForm.appendChild(explanation);
+
+  var submit = document.createElement("input");
+  submit.type = "submit";
+  submit.value = move ? "Move" : "Copy";
+  transferForm.appendChild(submit);
+
+  var cancel = createButton("Cancel");
+  cancel.onclick = function(){
+    closePopups();
+  };
+  transferForm.appendChild(cancel);
+
+  transferForm.onsubmit = function(e){
+    e.preventDefault();
+    closePopups();
+    onTarget(targets[parseInt(targetSelect.value)]);
+  };
+
+  popup.appendChild(transferForm);
+  document.body.appendChild(popup);
+  targetSelect.focus();
+}
+
+module.exports = showTransferChapter;
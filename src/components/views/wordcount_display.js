@@ -1,5 +1,5 @@
 const { closePopups, createButton, removeElementsByClass, generateRow } = require('../controllers/utils');
-const { countWords, getTotalWordCount } = require('../controllers/wordcount');
+const { countWords, getTotalWordCountAsync } = require('../controllers/wordcount');
 
 function showWordCount(project, editorQuill){
     removeElementsByClass('popup');
@@ -69,8 +69,7 @@ function showWordCount(project, editorQuill){
     document.body.appendChild(popup);
 
     var activeTotal = countWords(editorQuill.getText());
-    var total = getTotalWordCount(project);
-    updateProgressBar();
+    var total = null;
 
     goalInput.onkeyup = function(){
       project.wordGoal = goalInput.value;
@@ -78,11 +77,22 @@ function showWordCount(project, editorQuill){
     };
 
     chapTotalDisplay.innerText = activeTotal;
-    totalDisplay.innerText = total;
-    sessionTotalDisplay.innerText = total - project.wordCountOnLoad;
     closeBtn.focus();
 
+    //The project total reads chapters without blocking, so the popup shows first
+    getTotalWordCountAsync(project, function(done, count){
+      totalDisplay.innerText = "Calculating... (" + done + "/" + count + ")";
+    }).then(function(projectTotal){
+      total = projectTotal;
+      totalDisplay.innerText = total;
+      //The count taken on load may still be running in a big project
+      sessionTotalDisplay.innerText = project.wordCountOnLoad != null ? total - project.wordCountOnLoad : "Calculating...";
+      updateProgressBar();
+    });
+
     function updateProgressBar(){
+      if(total == null)
+        return;
       var percentOfGoal = project.wordGoal > 0 ? (total / project.wordGoal) * 100 : 100;
       progressBarFill.style.width = (percentOfGoal <= 100 ? percentOfGoal : 100) + "%";
       progressBarFill.style.backgroundColor = getColor(percentOfGoal/100 <= 1 ? percentOfGoal/100 : 1);
@@ -85,6 +85,19 @@ const createWindow = () => {
             mainWindow.webContents.send("open-clicked");
           }
         },
+        {
+          label: 'Switch Project',
+          accelerator: 'CmdOrCtrl+Shift+J',
+          click(item, focusWindow){
+            mainWindow.webContents.send('switch-project-clicked');
+          }
+        },
+        {
+          label: 'Close Project',
+          click(item, focusWindow){
+            mainWindow.webContents.send('close-project-clicked');
+          }
+        },
         {type: 'separator'},
         {
           label: 'Save',
@@ -106,6 +119,18 @@ const createWindow = () => {
             mainWindow.webContents.send('save-copy-clicked');
           }
         },
+        {
+          label: 'Save As Template...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('save-as-template-clicked');
+          }
+        },
+        {
+          label: 'Convert Single File/Folder Project',
+          click(item, focusWindow){
+            mainWindow.webContents.send('convert-project-clicked');
+          }
+        },
         {
           label: 'Backup',
           accelerator: 'CmdOrCtrl+Shift+B',
@@ -232,12 +257,112 @@ const createWindow = () => {
           },
           accelerator: 'CommandOrControl+Shift+R',
         },
+        {
+          label: 'Recover Permanently Deleted Chapter...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('purged-chapters-clicked');
+          }
+        },
         {
           label: 'Split Chapter',
           click(item, focusWindow){
             mainWindow.webContents.send('split-chapter-clicked');
           },
           accelerator: 'CommandOrControl+\\',
+        },
+        {
+          label: 'Insert Scene Break',
+          click(item, focusWindow){
+            mainWindow.webContents.send('insert-scene-break-clicked');
+          },
+          accelerator: 'CommandOrControl+Shift+Enter',
+        },
+        {
+          label: 'Split Chapter At Scene',
+          click(item, focusWindow){
+            mainWindow.webContents.send('split-chapter-at-scene-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+\\',
+        },
+        {
+          label: 'Move Scene To Chapter...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('move-scene-clicked');
+          }
+        },
+        {
+          label: 'Insert Footnote',
+          click(item, focusWindow){
+            mainWindow.webContents.send('insert-footnote-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+6',
+        },
+        {
+          label: 'Footnotes...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('footnotes-clicked');
+          },
+          accelerator: 'CommandOrControl+Shift+6',
+        },
+        {
+          label: 'Review Suggestions...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('review-suggestions-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+S',
+        },
+        {
+          label: 'Add Note To Selection',
+          click(item, focusWindow){
+            mainWindow.webContents.send('add-anchored-note-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+Enter',
+        },
+        {
+          label: 'Edit Chapter Tags',
+          click(item, focusWindow){
+            mainWindow.webContents.send('chapter-tags-clicked');
+          },
+          accelerator: 'CommandOrControl+Shift+T',
+        },
+        {
+          label: 'Chapter Properties',
+          click(item, focusWindow){
+            mainWindow.webContents.send('chapter-properties-clicked');
+          },
+          accelerator: 'CommandOrControl+Shift+P',
+        },
+        {
+          label: 'Copy Chapter To Project...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('copy-chapter-to-project-clicked');
+          }
+        },
+        {
+          label: 'Move Chapter To Project...',
+          click(item, focusWindow){
+            mainWindow.webContents.send('move-chapter-to-project-clicked');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Start New Part Here',
+          click(item, focusWindow){
+            mainWindow.webContents.send('add-part-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+N',
+        },
+        {
+          label: 'Rename Part',
+          click(item, focusWindow){
+            mainWindow.webContents.send('rename-part-clicked');
+          }
+        },
+        {
+          label: 'Remove Part (Keep Chapters)',
+          click(item, focusWindow){
+            mainWindow.webContents.send('remove-part-clicked');
+          }
         }
       ]
     },
@@ -258,6 +383,20 @@ const createWindow = () => {
             mainWindow.webContents.send('find-replace-clicked');
           }
         },
+        {
+          label: 'Search Project',
+          accelerator: 'CommandOrControl+Alt+F',
+          click(item, focusWindow){
+            mainWindow.webContents.send('search-project-clicked');
+          }
+        },
+        {
+          label: 'Replace In Project',
+          accelerator: 'CommandOrControl+Alt+R',
+          click(item, focusWindow){
+            mainWindow.webContents.send('replace-in-project-clicked');
+          }
+        },
         {
           label: 'Spell Check',
           accelerator: 'CommandOrControl+7',
@@ -273,12 +412,33 @@ const createWindow = () => {
           },
           accelerator: 'CommandOrControl+O',
         },
+        {
+          label: 'Filter Views',
+          click(item, focusWindow){
+            mainWindow.webContents.send('filter-views-clicked');
+          },
+          accelerator: 'CommandOrControl+Shift+L',
+        },
         {
           label: 'Corkboard',
           click(item, focusWindow){
             mainWindow.webContents.send('corkboard-clicked');
           }
         },
+        {
+          label: 'Codex',
+          click(item, focusWindow){
+            mainWindow.webContents.send('codex-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+K',
+        },
+        {
+          label: 'Timeline',
+          click(item, focusWindow){
+            mainWindow.webContents.send('timeline-clicked');
+          },
+          accelerator: 'CommandOrControl+Alt+T',
+        },
         { type: 'separator' },
         {
           label: 'Renumber Chapters',
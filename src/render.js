@@ -6,6 +6,7 @@ const getUserSettings = require('./components/models/user-settings');
 const newChapter = require('./components/models/chapter');
 const newProject = require('./components/models/project');
 const autosaver = require('./components/controllers/autosave');
+const { logError } = require('./components/controllers/error-log');
 const {
   removeElementsByClass,
   createButton,
@@ -15,30 +16,87 @@ const fileRequestedOnOpen = ipcRenderer.sendSync('get-file-requested-on-open');
 const { showBattery } = require('./components/views/battery_display');
 const { setupRexxJSControl } = require('./components/controllers/woolf-rexx-handler');
 const { setupControlBus } = require('./components/controllers/woolf-controlbus');
+const parts = require('./components/controllers/parts');
+const tags = require('./components/controllers/tags');
+const chapterMetadata = require('./components/controllers/chapter-metadata');
+const { getSearchIndex } = require('./components/controllers/search-index');
+const scenes = require('./components/controllers/scenes');
+const anchoredNotes = require('./components/controllers/anchored-notes');
+const footnotes = require('./components/controllers/footnotes');
+const chapterReview = require('./components/controllers/chapter-review');
+const trash = require('./components/controllers/trash');
+const projectTemplates = require('./components/controllers/project-templates');
+const container = require('./components/controllers/project-container');
+const templatesDirectory = projectTemplates.getTemplatesDirectory(sysDirectories.userData);
+
+scenes.registerSceneFormat(Quill);
+anchoredNotes.registerAnchorFormat(Quill);
 
 var editorQuill = new Quill('#editor-container', {
   modules: {
     history: {
       userOnly: true
+    },
+    keyboard: {
+      bindings: {
+        //Enter on a scene break starts an ordinary line after it rather than another break
+        'scene break enter': {
+          key: 13,
+          format: [scenes.sceneFormat],
+          handler: function(range){
+            var line = editorQuill.getLine(range.index)[0];
+            var lineEnd = editorQuill.getIndex(line) + line.length() - 1;
+            editorQuill.insertText(lineEnd, '\n', 'user');
+            editorQuill.formatLine(lineEnd + 1, 1, scenes.sceneFormat, false, 'user');
+            editorQuill.setSelection(lineEnd + 1, 0, 'silent');
+          }
+        }
+      }
     }
   },
   placeholder: '',
-  formats: ['bold', 'italic', 'strike', 'underline', 'blockquote', 'header', 'align']
+  formats: ['bold', 'italic', 'strike', 'underline', 'blockquote', 'header', 'align', scenes.sceneFormat]
 });
 
 var notesQuill = new Quill('#notes-editor', {
   modules: {
     history: {
       userOnly: true
+    },
+    keyboard: {
+      bindings: {
+        //Enter on an empty line of an anchored note ends the note
+        'anchored note enter': {
+          key: 13,
+          empty: true,
+          format: [anchoredNotes.anchorFormat],
+          handler: function(range){
+            notesQuill.formatLine(range.index, 1, anchoredNotes.anchorFormat, false, 'user');
+          }
+        },
+        'anchored note jump': {
+          key: 13,
+          shortKey: true,
+          format: [anchoredNotes.anchorFormat],
+          handler: function(range){
+            goToAnchoredPassage(range.index);
+          }
+        }
+      }
     }
   },
   placeholder: 'Notes...',
-  formats: ['bold', 'italic', 'strike', 'underline', 'blockquote', 'header', 'align']
+  formats: ['bold', 'italic', 'strike', 'underline', 'blockquote', 'header', 'align', anchoredNotes.anchorFormat]
 });
 
+//Every open project, and the one being edited. Chapters know their own project, so the others keep their
+//unsaved changes in memory until they are switched back to or saved.
 var project = newProject();
+var openProjects = [project];
 
 var userSettings = getUserSettings(sysDirectories.userData + "/user-settings.json").load();
+//ADDRESS WOOLF, with an OT document for each chapter
+var rexxHandler = null;
 
 initialize();
 
@@ -54,8 +112,29 @@ function setupRexxJS(){
   const context = {
     editorQuill,
     notesQuill,
-    project,
+    get project(){ return project; }, //The active project changes when switching, opening or creating projects
     userSettings,
+    templatesDirectory,
+    historyDirectory: sysDirectories.temp + '/warewoolf-ot-history-' + process.pid + '/', //Change logs too long for memory
+
+    // Range locks of the chapter in the editor are shown, and flash when the writer's edit of one is taken back
+    onLocksChange: (otDoc) => {
+      if (otDoc.quill === editorQuill)
+        highlightLockedRanges();
+    },
+    onLockedEdit: (otDoc, lock) => {
+      flashLockedRange(lock);
+    },
+    // So are the cursors and selections of the other users and agents
+    onCursorsChange: (otDoc) => {
+      if (otDoc.quill === editorQuill)
+        highlightCollaborators();
+    },
+    // And the suggestions of agents, waiting for the writer to accept or reject them
+    onSuggestionsChange: (otDoc) => {
+      if (otDoc.quill === editorQuill)
+        highlightSuggestions();
+    },
 
     // Chapter operations
     onAddChapter: (title) => {
@@ -77,20 +156,20 @@ function setupRexxJS(){
     onUpdateChapterList: () => {
       updateFileList();
     },
+    onChaptersChanged: () => {
+      refreshActiveChapter();
+    },
 
     // File operations
     onSave: () => {
       saveProject();
     },
     onOpen: (path) => {
-      if (fs.existsSync(path)) {
-        setProject(path);
-        userSettings.lastProject = path;
-        userSettings.save();
-      }
+      if (fs.existsSync(path))
+        openProject(path);
     },
-    onNewProject: (title) => {
-      createNewProject();
+    onNewProject: (title, templateName) => {
+      startNewProject(title, templateName);
     },
 
     // Export operations
@@ -104,8 +183,16 @@ function setupRexxJS(){
     }
   };
 
-  const handler = setupRexxJSControl(context);
+  rexxHandler = setupRexxJSControl(context);
   setupControlBus(window.ADDRESS_WOOLF);
+  rexxHandler.documents.showChapter(project.getActiveChapter());
+  highlightLockedRanges();
+  highlightCollaborators();
+  highlightSuggestions();
+  //Users and agents not seen for a while go, with their cursors
+  setInterval(function(){
+    rexxHandler.documents.pruneInactiveUsers();
+  }, 10000);
 
   console.log('[WareWoolf] RexxJS integration ready');
 }
@@ -145,16 +232,22 @@ function disableTabbingToEditors(){
 
 function applyUserSettings(){
   updateFontSize();
+  updateChapterCacheBudget();
   if(userSettings.typewriterMode)
     enableTypewriterMode()
   updateEditorWidth();
   updatePanelDisplays();
-  autosaver.initiateAutosave(userSettings.autosaveIntMinutes, saveProject);
+  autosaver.initiateAutosave(userSettings.autosaveIntMinutes, saveAllProjects);
   setDarkMode();
   if(userSettings.showBattery && process.platform == 'linux')
     showBattery();
 }
 
+function updateChapterCacheBudget(){
+  const chapterCache = require('./components/controllers/chapter-cache');
+  chapterCache.setBudget(userSettings.chapterCacheMB * 1024 * 1024);
+}
+
 function updateFontSize(){
   document.documentElement.style.setProperty('--main-font-size', userSettings.fontSize + 'pt');
   document.documentElement.style.setProperty('--dialog-font-size', userSettings.fontSize + 'pt');
@@ -174,21 +267,34 @@ function setDarkMode(){
 
 function setProject(filepath){
   if(filepath && filepath != null){
-    var missingChaps = project.loadFile(filepath);
-    if(missingChaps.length > 0){
-      console.log('could not find all chapters.');
-      const promptForMissingPups = require('./components/views/missing-pups_display');
-      promptForMissingPups(project, function(resp){
-        if(resp == 'save')
-          setProject(filepath);
-        else
-          createNewProject();
-      });
-    }
-    else{
-      convertLegacyProject();
-      displayProject();
+    //Single-file projects are unpacked first, which takes a moment
+    if(container.isContainerPath(filepath)){
+      var proj = project;
+      proj.loadContainer(filepath).then(function(missingChaps){
+        if(proj == project)
+          showLoadedProject(filepath, missingChaps);
+      }).catch(logError);
     }
+    else
+      showLoadedProject(filepath, project.loadFile(filepath));
+  }
+}
+
+function showLoadedProject(filepath, missingChaps){
+  if(missingChaps.length > 0){
+    console.log('could not find all chapters.');
+    const promptForMissingPups = require('./components/views/missing-pups_display');
+    promptForMissingPups(project, function(resp){
+      if(resp == 'save')
+        setProject(filepath);
+      else
+        createNewProject();
+    });
+  }
+  else{
+    convertLegacyProject();
+    purgeExpiredTrash();
+    displayProject();
   }
 }
 
@@ -211,20 +317,214 @@ function convertLegacyProject(){
   project.saveFile();
 }
 
+//Chapters that have been in the trash longer than the retention setting are deleted, into the purge log
+function purgeExpiredTrash(){
+  trash.purgeExpired(project, Number(userSettings.trashRetentionDays));
+}
+
 function displayProject(){
+  showActiveProject();
+  setWordCountOnLoad();
+  alertSaveRecovery();
+}
+
+function showActiveProject(){
   updateFileList();
   updateTitleBar();
   refreshNotesDisplay();
   displayInitialChapter();
-  setWordCountOnLoad();
   editorQuill.focus();
   editorQuill.setSelection(project.textCursorPosition);
   scrollChapterListToActiveChapter();
 }
 
+function getProjectPath(proj){
+  if(proj.containerPath)
+    return proj.containerPath;
+  return proj.filename != '' ? proj.directory + proj.filename : '';
+}
+
+function getProjectName(proj){
+  if(proj.title && proj.title != '')
+    return proj.title;
+  var path = getProjectPath(proj);
+  return path != '' ? path.split('/').pop() : 'unsaved project';
+}
+
+function switchToProject(proj){
+  if(proj == project)
+    return;
+  clearCurrentChapterIfUnchanged();
+  project = proj;
+  showActiveProject();
+  if(project.filename != ''){
+    userSettings.lastProject = getProjectPath(project);
+    userSettings.save();
+  }
+}
+
+//Opens a project alongside the ones already open, or switches to it if it is open already.
+//An untouched new project is replaced rather than kept around.
+function openProject(filepath){
+  filepath = filepath.replaceAll('\\', '/');
+  var alreadyOpen = openProjects.find(function(proj){
+    return getProjectPath(proj) == filepath;
+  });
+  if(alreadyOpen){
+    switchToProject(alreadyOpen);
+    return;
+  }
+
+  clearCurrentChapterIfUnchanged();
+  if(project.filename != '' || project.hasUnsavedChanges){
+    project = newProject();
+    openProjects.push(project);
+  }
+  setProject(filepath);
+  userSettings.lastProject = filepath;
+  userSettings.save();
+}
+
+//Closes a project, asking to save it first if needed. The last open project can't be closed.
+function closeProject(proj, onClosed){
+  if(openProjects.length < 2)
+    return;
+
+  var close = function(){
+    openProjects.splice(openProjects.indexOf(proj), 1);
+    if(proj == project){
+      project = openProjects[openProjects.length - 1];
+      showActiveProject();
+    }
+    if(onClosed)
+      onClosed();
+  };
+
+  if(proj.hasUnsavedChanges){
+    const displayExitConfirmation = require('./components/views/exit-confirmation_display');
+    //Closes once saved, and not at all if the save fails or Save As is cancelled
+    displayExitConfirmation(function(){
+      saveOpenProject(proj, close);
+      return false;
+    }, close);
+  }
+  else
+    close();
+}
+
+//onSaved is called once proj is saved; not if the save fails or, for an untitled project, Save As is cancelled
+function saveOpenProject(proj, onSaved = null){
+  if(proj.filename == ''){
+    saveProjectAs(proj, onSaved);
+    return;
+  }
+  if(proj == project)
+    clearCurrentChapterIfUnchanged();
+  var saving = proj.saveFile();
+  proj.hasUnsavedChanges = false;
+  if(proj == project)
+    updateFileList();
+  alertSaveFailure(proj, saving).then(function(saved){
+    if(saved && onSaved)
+      onSaved();
+  });
+}
+
+//A save that failed, or whose single file couldn't be written, leaves the project unsaved and says so
+function alertSaveFailure(proj, saving){
+  return saving.then(function(saved){
+    if(!saved){
+      proj.hasUnsavedChanges = true;
+      const showSaveFailure = require('./components/views/save-failure_display');
+      showSaveFailure(getProjectName(proj));
+    }
+    return saved;
+  });
+}
+
+//Saves the active project and any other open project with unsaved changes. Given onSaved, as on exit, untitled
+//projects are saved too, asking where one after another, and onSaved is called once every project is saved.
+function saveAllProjects(onSaved = null){
+  var toSave = openProjects.filter(function(proj){
+    return proj == project || (proj.hasUnsavedChanges && (proj.filename != '' || onSaved));
+  });
+  var titled = toSave.filter(function(proj){
+    return proj.filename != '';
+  });
+  var untitled = toSave.filter(function(proj){
+    return proj.filename == '';
+  });
+
+  var saveUntitled = function(i){
+    if(i < untitled.length)
+      saveOpenProject(untitled[i], function(){
+        saveUntitled(i + 1);
+      });
+    else if(onSaved)
+      onSaved();
+  };
+  var unsavedCount = titled.length;
+  titled.forEach(function(proj){
+    saveOpenProject(proj, function(){
+      unsavedCount--;
+      if(unsavedCount == 0)
+        saveUntitled(0);
+    });
+  });
+  if(titled.length == 0)
+    saveUntitled(0);
+}
+
+function showProjectSwitcher(){
+  const showProjectSwitcher = require('./components/views/project-switcher_display');
+  showProjectSwitcher(openProjects, project, getProjectName, {
+    onSwitch: switchToProject,
+    onOpen: openAProject,
+    onClose: function(proj){
+      closeProject(proj, showProjectSwitcher);
+    }
+  });
+}
+
+//Copies the active chapter into another open project, or moves it there and puts the original in the trash
+function transferActiveChapter(move){
+  var ind = project.activeChapterIndex;
+  if(chapIndexIs(ind).trash)
+    return;
+  var chap = project.getActiveChapter();
+  if(!chap)
+    return;
+
+  var targets = openProjects.filter(function(proj){
+    return proj != project;
+  });
+  const showTransferChapter = require('./components/views/transfer-chapter_display');
+  showTransferChapter(chap, targets, getProjectName, move, function(target){
+    const { copyChapterToProject } = require('./components/controllers/project-transfer');
+    copyChapterToProject(chap, target, move);
+    if(move)
+      moveToTrash(ind);
+    else
+      updateFileList();
+  });
+}
+
+function alertSaveRecovery(){
+  if(project.saveRecovery){
+    const showSaveRecovery = require('./components/views/save-recovery_display');
+    showSaveRecovery(project.saveRecovery);
+    project.saveRecovery = null;
+  }
+}
+
+//Counted in the background so big projects open straight away
 function setWordCountOnLoad(){
-  const { getTotalWordCount } = require('./components/controllers/wordcount');
-  project.wordCountOnLoad = getTotalWordCount(project);
+  const { getTotalWordCountAsync } = require('./components/controllers/wordcount');
+  var loadedProject = project;
+  loadedProject.wordCountOnLoad = null;
+  getTotalWordCountAsync(loadedProject).then(function(total){
+    loadedProject.wordCountOnLoad = total;
+  });
 }
 
 function updateFileList(){
@@ -247,27 +547,79 @@ function updateFileList(){
   }
 
   function generateChapterList() {
-    project.chapters.forEach(function (chap, chapIndex) {
-      var listChap = document.createElement("li");
-      listChap.innerText = chap.title != '' ? chap.title : '(untitled)';
-      listChap.dataset.chapIndex = chapIndex;
-      listChap.onclick = function () {
-        displayChapterByIndex(this.dataset.chapIndex);
-      };
-      listChap.ondblclick = function () {
-        changeChapterTitle(this.dataset.chapIndex);
-      };
-      if (chap.hasUnsavedChanges == true)
-        listChap.innerHTML += "*";
-      list.appendChild(listChap);
-      if(chapIndex == project.activeChapterIndex){
-        listChap.classList.add("activeChapter");
-        document.getElementById('chapter-list-sidebar').scrollTop = listChap.offsetTop;
+    if(parts.normalizeParts(project))
+      project.hasUnsavedChanges = true;
+
+    var filterView = tags.getActiveFilterView(project);
+    if(filterView)
+      list.appendChild(generateFilterHeader(filterView));
+
+    parts.getPartRuns(project).forEach(function(run){
+      //Chapters outside the active filter view are hidden, except the one being edited
+      var shownIndexes = [];
+      for(let chapIndex = run.start; chapIndex < run.end; chapIndex++){
+        if(chapIndex == project.activeChapterIndex || tags.isChapterInActiveView(project, project.chapters[chapIndex]))
+          shownIndexes.push(chapIndex);
       }
 
+      if(run.part && (shownIndexes.length > 0 || !filterView))
+        list.appendChild(generatePartHeader(run));
+
+      shownIndexes.forEach(function(chapIndex){
+        //A collapsed part still shows the chapter being edited so the writer never loses their place
+        if(run.part && run.part.collapsed && chapIndex != project.activeChapterIndex)
+          return;
+
+        var chap = project.chapters[chapIndex];
+        var listChap = document.createElement("li");
+        listChap.innerText = chap.title != '' ? chap.title : '(untitled)';
+        listChap.dataset.chapIndex = chapIndex;
+        listChap.onclick = function () {
+          displayChapterByIndex(this.dataset.chapIndex);
+        };
+        listChap.ondblclick = function () {
+          changeChapterTitle(this.dataset.chapIndex);
+        };
+        if (chap.hasUnsavedChanges == true)
+          listChap.innerHTML += "*";
+        if(run.part)
+          listChap.classList.add("part-chapter");
+        list.appendChild(listChap);
+        if(chapIndex == project.activeChapterIndex){
+          listChap.classList.add("activeChapter");
+          document.getElementById('chapter-list-sidebar').scrollTop = listChap.offsetTop;
+        }
+      });
     });
   }
 
+  function generateFilterHeader(filterView){
+    var filterHeader = document.createElement("li");
+    filterHeader.classList.add("filter-header");
+    var shownCount = tags.queryChapters(project, filterView).length;
+    filterHeader.innerText = 'Filter: ' + filterView.name + ' (' + shownCount + ' of ' + project.chapters.length + ')';
+    filterHeader.onclick = function(){
+      showFilterViews();
+    };
+    return filterHeader;
+  }
+
+  function generatePartHeader(run){
+    var partHeader = document.createElement("li");
+    partHeader.classList.add("part-header");
+    partHeader.dataset.partId = run.part.id;
+    partHeader.innerText = (run.part.collapsed ? '\u25B8 ' : '\u25BE ') + run.part.title;
+    if(run.part.collapsed)
+      partHeader.innerText += ' (' + (run.end - run.start) + ')';
+    partHeader.onclick = function(){
+      togglePartCollapsed(this.dataset.partId);
+    };
+    partHeader.ondblclick = function(){
+      changePartTitle(this.dataset.partId);
+    };
+    return partHeader;
+  }
+
   function generateReferenceList(){
     var referenceList = document.getElementById('reference-list');
     while(referenceList.hasChildNodes()){
@@ -358,6 +710,9 @@ function displayChapterByIndex(ind){
     chap = project.trash[ind - project.reference.length - project.chapters.length];
   }
 
+  //Every scene break shown in the editor has an id of its own, so its scene keeps its metadata
+  scenes.ensureSceneIds(chap);
+
   var contents;
   if(chap.contents != undefined && chap.contents != null){
     contents = chap.contents;
@@ -376,13 +731,21 @@ function displayChapterByIndex(ind){
     notes = savedNotes ? savedNotes : getEmptyDelta();
   }
 
+  //The chapter's OT document, with its versions, cursors and review, works on the editor now. It goes there before
+  //the editor shows the chapter, taking in as a change what was done to the chapter without it (batch replace...)
+  if(rexxHandler)
+    rexxHandler.documents.showChapter(chap);
   editorQuill.setContents(contents, 'api');
   notesQuill.setContents(notes, 'api');
+  highlightLockedRanges();
+  highlightCollaborators();
+  highlightSuggestions();
   updateFileList();
 }
 
 function updateTitleBar(){
-  document.title = "Warewoolf - " + (project.filename != "" ? project.filename : "unsaved project");
+  var name = project.containerPath ? project.containerPath.split('/').pop() : project.filename;
+  document.title = "Warewoolf - " + (name != "" ? name : "unsaved project");
 }
 
 function refreshNotesDisplay(){
@@ -508,7 +871,10 @@ function displayNextChapter(){
 
 function moveChapUp(chapInd){
   var indexIs = chapIndexIs(chapInd);
-  if(indexIs.chapter && !indexIs.firstChapter){
+  if(indexIs.chapter && parts.moveChapterAcrossPartEdge(project, chapInd, -1)){
+    project.hasUnsavedChanges = true;
+  }
+  else if(indexIs.chapter && !indexIs.firstChapter){
     project.hasUnsavedChanges = true;
     var chap = project.chapters.splice(chapInd, 1)[0];
     project.chapters.splice(chapInd - 1, 0, chap);
@@ -538,7 +904,10 @@ function moveChapUp(chapInd){
 function moveChapDown(chapInd){
   var indexIs = chapIndexIs(chapInd);
 
-  if(indexIs.chapter && !indexIs.lastChapter){
+  if(indexIs.chapter && parts.moveChapterAcrossPartEdge(project, chapInd, 1)){
+    project.hasUnsavedChanges = true;
+  }
+  else if(indexIs.chapter && !indexIs.lastChapter){
     project.hasUnsavedChanges = true;
     var chap = project.chapters.splice(chapInd, 1)[0];
     project.chapters.splice(chapInd + 1, 0, chap);
@@ -566,27 +935,113 @@ function moveChapDown(chapInd){
 }
 
 
+function moveChapToAdjacentPart(chapInd, direction){
+  if(chapIndexIs(chapInd).chapter && project.chapters.length > 0){
+    project.activeChapterIndex = parts.moveChapterToAdjacentPart(project, chapInd, direction);
+    project.hasUnsavedChanges = true;
+    updateFileList();
+  }
+}
+
+function addPartAtActiveChapter(){
+  if(chapIndexIs(project.activeChapterIndex).chapter && project.chapters.length > 0){
+    var part = parts.addPart(project, project.activeChapterIndex, 'New Part');
+    project.hasUnsavedChanges = true;
+    updateFileList();
+    changePartTitle(part.id);
+  }
+}
+
+function removeActivePart(){
+  var chap = project.chapters[project.activeChapterIndex];
+  if(chapIndexIs(project.activeChapterIndex).chapter && chap && parts.getPart(project, chap.partId)){
+    parts.removePart(project, chap.partId);
+    project.hasUnsavedChanges = true;
+    updateFileList();
+  }
+}
+
+function toggleActivePartCollapsed(){
+  var chap = project.chapters[project.activeChapterIndex];
+  if(chapIndexIs(project.activeChapterIndex).chapter && chap)
+    togglePartCollapsed(chap.partId);
+}
+
+function togglePartCollapsed(partId){
+  if(parts.togglePartCollapsed(project, partId)){
+    project.hasUnsavedChanges = true;
+    updateFileList();
+  }
+}
+
 function createNewProject(){
   const requestProjectTitle = require('./components/views/new-project_display');
-  requestProjectTitle(function(title){
+  requestProjectTitle(function(title, templateName){
     if(title && title != ""){
-      project = newProject();
-      project.title = title;
-      project.author = userSettings.defaultAuthor;
-      project.notesChap = newChapter();
-      addNewChapter();
-      displayProject();
+      try{
+        startNewProject(title, templateName);
+      }
+      catch(err){
+        logError(err);
+      }
+    }
+  }, projectTemplates.listTemplates(templatesDirectory));
+}
+
+//A blank project has one new chapter; a template brings its reference documents, cards, chapter naming and notes
+function startNewProject(title, templateName = null){
+  //Load the template first so a missing one doesn't leave an empty project behind
+  var template = templateName ? projectTemplates.loadTemplate(templatesDirectory, templateName) : null;
+
+  clearCurrentChapterIfUnchanged();
+  var isDisposable = project.filename == '' && !project.hasUnsavedChanges;
+  project = newProject();
+  if(isDisposable)
+    openProjects[openProjects.length - 1] = project;
+  else
+    openProjects.push(project);
+  project.title = title;
+  project.author = userSettings.defaultAuthor;
+  project.notesChap = newChapter(project);
+  if(template){
+    projectTemplates.applyTemplate(project, template);
+    displayProject();
+    editorQuill.enable();
+  }
+  else{
+    addNewChapter();
+    displayProject();
+  }
+}
+
+//Saves the project's reference documents, corkboard cards, chapter naming and notes as a template for new projects
+function saveProjectAsTemplate(){
+  const showSaveTemplate = require('./components/views/save-template_display');
+  showSaveTemplate(project.title, project.chapterNaming, function(name, description, includeChapters, chapterNaming){
+    try{
+      clearCurrentChapterIfUnchanged();
+      var template = projectTemplates.createTemplateFromProject(project, name, description, includeChapters);
+      template.chapterNaming = chapterNaming;
+      projectTemplates.saveTemplate(templatesDirectory, template);
+    }
+    catch(err){
+      logError(err);
     }
+    editorQuill.focus();
   });
 }
 
 function addNewChapter(){
   var currentIndexIs = chapIndexIs(project.activeChapterIndex);
-  var newChap = newChapter();
+  var newChap = newChapter(project);
   newChap.hasUnsavedChanges = true;
   newChap.contents = getEmptyDelta();
-  if(currentIndexIs.chapter || currentIndexIs.trash)
+  if(currentIndexIs.chapter && project.chapters[project.activeChapterIndex])
+    newChap.partId = project.chapters[project.activeChapterIndex].partId;
+  if(currentIndexIs.chapter || currentIndexIs.trash){
     project.chapters.splice(project.activeChapterIndex + 1, 0, newChap);
+    newChap.title = projectTemplates.getNewChapterTitle(project, project.chapters.indexOf(newChap));
+  }
   else
     project.reference.splice(project.activeChapterIndex - project.chapters.length + 1, 0, newChap);
   
@@ -599,22 +1054,17 @@ function addNewChapter(){
 }
 
 function saveProject(){
-  if(project.filename != ""){
-    clearCurrentChapterIfUnchanged();
-    project.saveFile();
-    project.hasUnsavedChanges = false;
-    updateFileList();
-  }
-  else
-    saveProjectAs();
+  saveOpenProject(project);
 }
 
-function saveProjectAs() {
+//proj may be an open project other than the active one, as when it is saved before closing
+function saveProjectAs(proj = project, onSaved = null) {
   const options = {
     title: 'Save project as...',
     defaultPath: sysDirectories.docs,
     filters: [
-      { name: 'WareWoolf Projects', extensions: ['woolf'] }
+      { name: 'WareWoolf Projects', extensions: ['woolf'] },
+      { name: 'WareWoolf Single-File Projects', extensions: ['woolfz'] }
     ],
     bookmarkedPaths: [sysDirectories.docs, sysDirectories.home],
     dialogType: 'save'
@@ -623,12 +1073,16 @@ function saveProjectAs() {
   const showFileDialog = require('./components/views/file-dialog_display');
   showFileDialog(options, function(filepath){
     if (filepath){
-      filepath = project.saveAs(filepath);
-      userSettings.lastProject = filepath;
-      userSettings.save();
-      project.hasUnsavedChanges = false;
-      updateFileList();
-      updateTitleBar();
+      filepath = proj.saveAs(filepath);
+      proj.hasUnsavedChanges = false;
+      if(proj == project){
+        userSettings.lastProject = filepath;
+        userSettings.save();
+        updateFileList();
+        updateTitleBar();
+      }
+      if(onSaved)
+        onSaved();
     }
   });
 }
@@ -638,7 +1092,8 @@ function saveProjectCopy() {
     title: 'Save a copy of project as...',
     defaultPath: sysDirectories.docs,
     filters: [
-      { name: 'WareWoolf Projects', extensions: ['woolf'] }
+      { name: 'WareWoolf Projects', extensions: ['woolf'] },
+      { name: 'WareWoolf Single-File Projects', extensions: ['woolfz'] }
     ],
     bookmarkedPaths: [sysDirectories.docs, sysDirectories.home],
     dialogType: 'save'
@@ -660,7 +1115,7 @@ function openAProject() {
     title: 'Open project...',
     defaultPath: sysDirectories.docs,
     filters: [
-      { name: 'WareWoolf Projects', extensions: ['woolf'] }
+      { name: 'WareWoolf Projects', extensions: ['woolf', 'woolfz'] }
     ],
     bookmarkedPaths: [sysDirectories.docs, sysDirectories.home],
     dialogType: 'open'
@@ -668,18 +1123,8 @@ function openAProject() {
 
   const showFileDialog = require('./components/views/file-dialog_display');
   showFileDialog(options, function(filepath){
-    if (filepath) {
-      var missingChaps = project.loadFile(filepath[0]);
-      if(missingChaps.length > 0){
-        const promptForMissingPups = require('./components/views/missing-pups_display');
-        promptForMissingPups(project, missingChaps);
-      }
-      else{
-        displayProject();
-      }
-      userSettings.lastProject = filepath[0];
-      userSettings.save();
-    }
+    if (filepath)
+      openProject(filepath[0]);
   });
 }
 
@@ -700,10 +1145,12 @@ function moveToTrash(ind){
 
     if(chapIs.reference){
       let toTrash = project.reference.splice(ind - project.chapters.length, 1)[0];
+      toTrash.trashedAt = new Date().toISOString();
       project.trash.push(toTrash);
     }
     else{
       let toTrash = project.chapters.splice(ind, 1)[0];
+      toTrash.trashedAt = new Date().toISOString();
       project.trash.push(toTrash);
     }
     
@@ -734,29 +1181,29 @@ function moveToTrash(ind){
 }
 
 function deleteChapter(ind){
-  var deletedChap = project.trash.splice(ind - project.chapters.length, 1)[0];
-
-  //Always save project file after deleting a chapter
-  //so if user closes without saving it won't expect
-  //the deleted chapter at next load...
-  deletedChap.deleteFile();
-
-  if(ind == project.activeChapterIndex){
-    if(project.trash.length > 0){
-      var newInd = ind < project.trash.length + project.chapters.length || ind - project.chapters.length == 0 ? ind : ind - 1;
-      displayChapterByIndex(newInd);
-    }
+  var deletedChap = project.chapters.concat(project.reference, project.trash)[ind];
+  if(!deletedChap)
+    return;
+  var wasActive = ind == project.activeChapterIndex;
+  var wasTrash = chapIndexIs(ind).trash;
+
+  //The chapter goes into the purge log, where it can be recovered, and its files are removed
+  //in the same save, so if user closes without saving it won't expect the deleted chapter at next load.
+  //This also moves activeChapterIndex to the chapter that took its place.
+  trash.purgeChapters(project, [deletedChap], 'deleted');
+
+  if(wasActive){
+    if(wasTrash && project.trash.length == 0 && project.chapters.length > 0)
+      displayChapterByIndex(project.chapters.length - 1);
+    else if(project.chapters.length + project.reference.length + project.trash.length > 0)
+      displayChapterByIndex(project.activeChapterIndex);
     else{
-      if(project.chapters.length > 0)
-        displayChapterByIndex(project.chapters.length - 1);
-      else{
-        editorQuill.disable();
-        editorQuill.setText("");
-      }
+      editorQuill.disable();
+      editorQuill.setText("");
     }
   }
 
-  //But save it *after* reassigning the activeChapterIndex
+  //Save again *after* reassigning the activeChapterIndex
   //in case it is the last chapter that was deleted.
   //And only if it is not a new project that has not yet been saved.
   if(project.directory != '')
@@ -815,6 +1262,7 @@ function chapIndexIs(ind){
 function restoreFromTrash(ind){
   if(chapIndexIs(ind).trash){
     var fromTrash = project.trash.splice(ind - project.chapters.length - project.reference.length, 1)[0];
+    fromTrash.trashedAt = null;
     project.chapters.push(fromTrash);
     updateFileList();
   }
@@ -863,6 +1311,106 @@ function changeChapterTitle(ind){
 
 }
 
+function editActiveChapterTags(){
+  var chap = project.getActiveChapter();
+  if(!chap || chapIndexIs(project.activeChapterIndex).trash)
+    return;
+  const showChapterTags = require('./components/views/chapter-tags_display');
+  showChapterTags(project, chap, function(){
+    updateFileList();
+  });
+}
+
+function editActiveChapterProperties(){
+  var chap = project.getActiveChapter();
+  if(!chap || chapIndexIs(project.activeChapterIndex).trash)
+    return;
+  const showChapterProperties = require('./components/views/chapter-properties_display');
+  showChapterProperties(project, chap, function(){
+    updateFileList();
+  });
+}
+
+function showFilterViews(){
+  const showFilterViewsPopup = require('./components/views/filter-views_display');
+  showFilterViewsPopup(project, function(){
+    updateFileList();
+  });
+}
+
+function searchProject(){
+  const showSearchProject = require('./components/views/search-project_display');
+  showSearchProject(getSearchIndex(project, userSettings.persistSearchIndex), jumpToSearchResult);
+}
+
+function replaceInProject(){
+  const showReplaceInProject = require('./components/views/replace-in-project_display');
+  const { createEditorApplier } = require('./components/controllers/batch-replace');
+  showReplaceInProject(project, createEditorApplier(project, editorQuill), updateFileList);
+}
+
+//Shows a search hit, switching the notes panel between chapter and project notes if the hit is in notes
+function jumpToSearchResult(result){
+  var inNotes = result.kind == 'notes' || result.kind == 'project-notes';
+  if(result.kind != 'project-notes'){
+    var ind = project.getChapterIndexById(result.chapterId);
+    if(ind < 0)
+      return;
+    displayChapterByIndex(ind);
+  }
+
+  if(inNotes){
+    if(userSettings.displayChapNotes != (result.kind == 'notes'))
+      toggleChapterNotes();
+    if(!userSettings.displayNotes)
+      togglePanelDisplay(3);
+    notesQuill.focus();
+    notesQuill.setSelection(result.offset, result.length);
+  }
+  else{
+    editorQuill.focus();
+    editorQuill.setSelection(result.offset, result.length);
+  }
+}
+
+function changePartTitle(partId){
+  var part = parts.getPart(project, partId);
+  var partHeader = document.querySelector("[data-part-id='" + partId + "']");
+  if(!part || !partHeader)
+    return;
+
+  removeElementsByClass('name-box');
+  var nameBox = document.createElement("input");
+  nameBox.type = "text";
+  nameBox.value = part.title;
+  nameBox.classList.add("name-box");
+  nameBox.addEventListener("keydown", function(e){
+    if(e.key === "Enter" || e.key === "Tab"){
+      stopDefaultPropagation(e);
+      part.title = nameBox.value;
+      project.hasUnsavedChanges = true;
+      removeElementsByClass('name-box');
+      updateFileList();
+      editorQuill.focus();
+    }
+    else if (e.key === "Escape"){
+      removeElementsByClass('name-box');
+      updateFileList();
+      editorQuill.focus();
+    }
+  });
+
+  nameBox.onblur = function(){
+      removeElementsByClass('name-box');
+      updateFileList();
+  }
+
+  partHeader.firstChild.remove();
+  partHeader.appendChild(nameBox);
+  nameBox.focus();
+  nameBox.select();
+}
+
 function splitChapter(){
   var selection = editorQuill.getSelection(true);
   if(selection){
@@ -874,6 +1422,342 @@ function splitChapter(){
   }
 }
 
+function insertSceneBreak(){
+  var selection = editorQuill.getSelection(true);
+  if(selection){
+    var change = scenes.getInsertBreakChange(editorQuill.getContents(), selection.index, scenes.newSceneId());
+    var inserted = change.ops.filter(function(op){ return op.insert; }).length;
+    editorQuill.updateContents(change, 'user');
+    editorQuill.setSelection(selection.index + inserted, 0, 'user');
+  }
+}
+
+//Moves the scene the cursor is in to the end of another chapter
+function moveActiveScene(){
+  var chap = project.getActiveChapter();
+  var selection = editorQuill.getSelection(true);
+  if(!chap || !selection || chapIndexIs(project.activeChapterIndex).trash)
+    return;
+
+  var scene = scenes.getSceneAt(editorQuill.getContents(), selection.index);
+  var sceneTitle = scenes.getSceneMetadata(chap, scene.id).title;
+  var targets = project.chapters.concat(project.reference).filter(function(ch){
+    return ch != chap;
+  });
+  const showMoveScene = require('./components/views/move-scene_display');
+  showMoveScene(sceneTitle != '' ? sceneTitle : 'Scene ' + scene.number, targets, function(target){
+    scenes.moveScene(chap, scene.id == null ? scene.number : scene.id, target);
+    refreshActiveChapter();
+  });
+}
+
+//Splits the active chapter at the scene break the cursor is in (or the one before it)
+function splitChapterAtActiveScene(){
+  var chap = project.getActiveChapter();
+  var selection = editorQuill.getSelection(true);
+  if(!chap || !selection)
+    return;
+
+  var scene = scenes.getSceneAt(editorQuill.getContents(), selection.index);
+  if(scene.breakLength == 0)
+    return;
+  var newChap = scenes.splitChapterAtScene(project, chap, scene.id == null ? scene.number : scene.id);
+  updateFileList();
+  displayChapterByIndex(project.chapters.concat(project.reference, project.trash).indexOf(newChap));
+}
+
+//Adds a chapter note anchored to the passage selected in the editor and puts the notes cursor on it
+function addNoteToSelection(){
+  var chap = project.getActiveChapter();
+  var selection = editorQuill.getSelection(true);
+  if(!chap || !selection || selection.length == 0)
+    return;
+
+  anchoredNotes.addAnchoredNote(chap, selection.index, selection.length);
+  if(!userSettings.displayChapNotes)
+    toggleChapterNotes();
+  else
+    refreshNotesDisplay();
+  if(!userSettings.displayNotes)
+    togglePanelDisplay(3);
+  notesQuill.setSelection(notesQuill.getLength() - 1, 0, 'user');
+}
+
+//Footnotes are numbered again after every change to the chapter, outside the undo history. The renumbering is a
+//change of the chapter's OT document, made once the writer's edit is in it, so its versions keep to the text.
+function renumberEditorFootnotes(){
+  var contents = editorQuill.getContents();
+  if(!contents.ops.some(function(op){ return typeof op.insert == 'string' && op.insert.includes('[^'); }))
+    return;
+  var numbered = footnotes.renumberFootnotes(contents);
+  if(numbered.change.ops.length == 0)
+    return;
+
+  if(rexxHandler){
+    //References in text someone else has locked keep their numbers until it is unlocked
+    if(rexxHandler.otDoc.getLockConflict(numbered.change, 'system'))
+      return;
+    rexxHandler.otDoc.applyDelta(numbered.change, 'system');
+  }
+  else
+    editorQuill.updateContents(numbered.change, 'api');
+  var chap = project.getActiveChapter();
+  chap.contents = editorQuill.getContents();
+  anchoredNotes.shiftAnchors(chap, numbered.change);
+}
+
+//Puts a footnote reference after the selection and opens the footnotes to write it
+function insertFootnoteAtCursor(){
+  var selection = editorQuill.getSelection(true);
+  if(!project.getActiveChapter() || !selection)
+    return;
+  var inserted = footnotes.insertFootnote(editorQuill.getContents(), selection.index + selection.length);
+  editorQuill.updateContents(inserted.change, 'user');
+  editorQuill.setSelection(selection.index + selection.length + String(inserted.number).length + 3, 0, 'silent');
+  showEditorFootnotes(inserted.number);
+}
+
+//The footnotes of the chapter in the editor, starting at the one given or the first after the cursor
+function showEditorFootnotes(focusNumber){
+  if(!project.getActiveChapter())
+    return;
+  if(focusNumber === undefined){
+    var cursor = project.textCursorPosition || 0;
+    var after = footnotes.getFootnotes(editorQuill.getContents()).find(function(footnote){
+      return footnote.references.some(function(index){ return index >= cursor; });
+    });
+    focusNumber = after ? after.number : 1;
+  }
+
+  const showFootnotes = require('./components/views/footnotes_display');
+  showFootnotes({
+    getFootnotes: function(){
+      return footnotes.getFootnotes(editorQuill.getContents());
+    },
+    setText: function(number, text){
+      editorQuill.updateContents(footnotes.setFootnoteText(editorQuill.getContents(), number, text).change, 'user');
+    },
+    remove: function(number){
+      editorQuill.updateContents(footnotes.removeFootnote(editorQuill.getContents(), number).change, 'user');
+    },
+    goTo: function(number){
+      var footnote = footnotes.getFootnotes(editorQuill.getContents()).find(function(f){ return f.number == number; });
+      var index = footnote && footnote.references.length > 0 ? footnote.references[0] : (footnote ? footnote.lines[0].index : 0);
+      editorQuill.setSelection(index, String(number).length + 3, 'user');
+    }
+  }, focusNumber);
+}
+
+var highlightedPassage = null;
+
+//The passage in the active chapter of the anchored note on the notes line at index, if there is one
+function getAnchoredPassage(index){
+  var chap = project.getActiveChapter();
+  if(!userSettings.displayChapNotes || !chap)
+    return null;
+  var line = notesQuill.getLine(index)[0];
+  var value = line ? line.formats()[anchoredNotes.anchorFormat] : null;
+  return value ? anchoredNotes.getAnchorRange(chap, value) : null;
+}
+
+function goToAnchoredPassage(index){
+  var passage = getAnchoredPassage(index);
+  if(passage)
+    editorQuill.setSelection(passage.index, passage.length, 'user');
+}
+
+function highlightAnchoredPassage(passage){
+  clearAnchoredPassage();
+  highlightedPassage = passage;
+  markEditorRange(passage, 'anchored-passage');
+}
+
+function clearAnchoredPassage(){
+  highlightedPassage = null;
+  removeElementsByClass('anchored-passage');
+}
+
+var blockedLock = null;
+
+//Marks the ranges of the chapter in the editor that agents and scripts have locked (lock-range), which the writer
+//cannot change
+function highlightLockedRanges(){
+  removeElementsByClass('locked-range');
+  if(!rexxHandler)
+    return;
+  rexxHandler.otDoc.getLocks().forEach(function(lock){
+    markEditorRange(lock.range, lock === blockedLock ? 'locked-range blocked' : 'locked-range');
+  });
+}
+
+//Shows for a moment which lock kept the writer's edit from being made
+function flashLockedRange(lock){
+  blockedLock = lock;
+  highlightLockedRanges();
+  setTimeout(function(){
+    if(blockedLock == lock){
+      blockedLock = null;
+      highlightLockedRanges();
+    }
+  }, 600);
+}
+
+//Shows where the other users and agents are in the chapter in the editor: their caret, and their selection, in a
+//colour of their own and labelled with their name
+function highlightCollaborators(){
+  removeElementsByClass('collaborator');
+  if(!rexxHandler)
+    return;
+  rexxHandler.otDoc.getCollaboratorPositions().forEach(function(position){
+    var hue = getCollaboratorHue(position.userId);
+    markEditorRange(position, 'collaborator collaborator-selection').forEach(function(mark){
+      mark.style.backgroundColor = 'hsla(' + hue + ', 70%, 50%, 0.25)';
+    });
+
+    var bounds = editorQuill.getBounds(position.index + position.length, 0);
+    var caret = document.createElement('div');
+    caret.className = 'collaborator collaborator-caret';
+    caret.style.top = bounds.top + 'px';
+    caret.style.left = bounds.left + 'px';
+    caret.style.height = bounds.height + 'px';
+    caret.style.borderColor = 'hsl(' + hue + ', 70%, 45%)';
+    var label = document.createElement('div');
+    label.className = 'collaborator-label';
+    label.textContent = position.name;
+    label.style.backgroundColor = 'hsl(' + hue + ', 70%, 45%)';
+    caret.appendChild(label);
+    editorQuill.container.appendChild(caret);
+  });
+}
+
+var reviewedSuggestion = null;
+
+//Steps through the suggestions of agents for the chapter in the editor, for the writer to accept or reject
+function showSuggestionReview(){
+  if(!rexxHandler || !project.getActiveChapter())
+    return;
+  const showSuggestions = require('./components/views/suggestions_display');
+  showSuggestions({
+    getSuggestions: function(){
+      var otDoc = rexxHandler.otDoc;
+      return otDoc.getSuggestions('pending').sort(function(a, b){
+        return a.range.index - b.range.index;
+      }).map(function(suggestion){
+        var start = Math.max(0, suggestion.range.index - 40);
+        var end = suggestion.range.index + suggestion.range.length;
+        return Object.assign({}, suggestion, {
+          name: otDoc.getUserName(suggestion.userId),
+          before: otDoc.getRangeText(start, suggestion.range.index - start),
+          oldText: otDoc.getRangeText(suggestion.range.index, suggestion.range.length),
+          after: otDoc.getRangeText(end, 40).split('\n')[0]
+        });
+      });
+    },
+    //The writer is 'system' to the OT documents
+    accept: function(suggestionId){
+      return rexxHandler.otDoc.acceptSuggestion(suggestionId, 'system');
+    },
+    reject: function(suggestionId){
+      return rexxHandler.otDoc.rejectSuggestion(suggestionId, 'system');
+    },
+    acceptAllFrom: function(userId){
+      return rexxHandler.otDoc.acceptSuggestionsFrom(userId, 'system');
+    },
+    show: function(suggestion){
+      reviewedSuggestion = suggestion ? suggestion.suggestionId : null;
+      if(suggestion)
+        scrollEditorTo(suggestion.range.index);
+      highlightSuggestions();
+    }
+  });
+}
+
+//Marks the text agents suggest replacing like a tracked change, with what they would put there after the one
+//being reviewed
+function highlightSuggestions(){
+  removeElementsByClass('suggestion-mark');
+  if(!rexxHandler)
+    return;
+  rexxHandler.otDoc.getSuggestions('pending').forEach(function(suggestion){
+    var reviewed = suggestion.suggestionId === reviewedSuggestion;
+    var className = reviewed ? 'suggestion-mark reviewed' : 'suggestion-mark';
+    var marks = markEditorRange(suggestion.range, className);
+    if(marks.length == 0){
+      //Only an insert, shown as a caret
+      var caret = editorQuill.getBounds(suggestion.range.index, 0);
+      var insertCaret = document.createElement('div');
+      insertCaret.className = className + ' suggestion-caret';
+      insertCaret.style.top = caret.top + 'px';
+      insertCaret.style.left = caret.left + 'px';
+      insertCaret.style.height = caret.height + 'px';
+      editorQuill.container.appendChild(insertCaret);
+    }
+    if(reviewed && suggestion.newText){
+      var bounds = editorQuill.getBounds(suggestion.range.index, 0);
+      var insertion = document.createElement('div');
+      insertion.className = 'suggestion-mark suggestion-insertion';
+      insertion.textContent = suggestion.newText;
+      insertion.style.top = (bounds.top + bounds.height) + 'px';
+      insertion.style.left = bounds.left + 'px';
+      editorQuill.container.appendChild(insertion);
+    }
+  });
+}
+
+//Scrolls the editor so the text at index is in view, without moving the writer's cursor
+function scrollEditorTo(index){
+  var bounds = editorQuill.getBounds(index, 0);
+  if(bounds.top < 0 || bounds.top + bounds.height > editorQuill.root.clientHeight)
+    editorQuill.root.scrollTop += bounds.top - editorQuill.root.clientHeight / 3;
+}
+
+//The same colour for a user every time
+function getCollaboratorHue(userId){
+  var hash = 0;
+  for(var i = 0; i < userId.length; i++)
+    hash = (hash * 31 + userId.charCodeAt(i)) % 360;
+  return hash;
+}
+
+//Marks a range in the editor line by line with elements of the class(es), without touching the editor's selection
+//or contents. Returns the marks.
+function markEditorRange(range, className){
+  var marks = [];
+  editorQuill.getLines(range.index, range.length).forEach(function(line){
+    var lineStart = editorQuill.getIndex(line);
+    var start = Math.max(range.index, lineStart);
+    var end = Math.min(range.index + range.length, lineStart + line.length() - 1);
+    if(end <= start)
+      return;
+    var bounds = editorQuill.getBounds(start, end - start);
+    var mark = document.createElement('div');
+    mark.className = className;
+    mark.style.top = bounds.top + 'px';
+    mark.style.left = bounds.left + 'px';
+    mark.style.width = bounds.width + 'px';
+    mark.style.height = bounds.height + 'px';
+    editorQuill.container.appendChild(mark);
+    marks.push(mark);
+  });
+  return marks;
+}
+
+//Lists permanently deleted chapters so one can be put back
+function showPurgedChapters(){
+  const showPurged = require('./components/views/purged-chapters_display');
+  showPurged(trash.listPurged(project), function(entryId){
+    var chap = trash.recoverPurged(project, entryId);
+    displayChapterByIndex(project.chapters.indexOf(chap));
+    editorQuill.focus();
+  });
+}
+
+//Shows the active chapter again after its contents were changed outside the editor
+function refreshActiveChapter(){
+  updateFileList();
+  displayChapterByIndex(project.activeChapterIndex);
+}
+
 function increaseEditorWidthSetting(){
   userSettings.editorWidth++;
   updateEditorWidth();
@@ -908,11 +1792,15 @@ function scrollChapterListToActiveChapter(){
 
 function openHelpDoc(){
   const helpDocPath = sysDirectories.app + "/examples/HelpDoc/HelpDoc.woolf";
-  project.loadFile(helpDocPath);
-  displayProject();
+  openProject(helpDocPath);
 }
 
 function exitApp(){
+  //Single-file projects still being packed are finished first
+  container.whenPacked().then(exitAfterBackup);
+}
+
+function exitAfterBackup(){
   if(userSettings.autoBackup == true && project.filename != ''){
     alertBackupResult('Loading backup tools...');
     const { backupProject } = require('./components/controllers/backup-project');
@@ -947,8 +1835,9 @@ function alertBackupResult(msg){
     backupAlert.remove();
 }
 
-function addImportedChapter(chapDelta, title){
-  var newChap = newChapter();
+//review is what a .docx brought with it (see docx-import.js)
+function addImportedChapter(chapDelta, title, review){
+  var newChap = newChapter(project);
   newChap.hasUnsavedChanges = true;
   newChap.contents = chapDelta;
   newChap.title = title;
@@ -957,11 +1846,16 @@ function addImportedChapter(chapDelta, title){
     project.reference.splice(project.activeChapterIndex - project.chapters.length + 1, 0, newChap);
   }
   else{
+    if(project.chapters[project.activeChapterIndex])
+      newChap.partId = project.chapters[project.activeChapterIndex].partId;
     project.chapters.splice(project.activeChapterIndex + 1, 0, newChap);
   }
   
   updateFileList();
   displayChapterByIndex(project.activeChapterIndex + 1);
+
+  if(review && rexxHandler)
+    chapterReview.addImportedReview(rexxHandler.otDoc, review);
 }
 
 ///////////////////////////////////////////////////////////////////
@@ -972,8 +1866,16 @@ editorQuill.on('text-change', function(delta, oldDelta, source) {
     var chap = project.getActiveChapter();
     chap.contents = editorQuill.getContents();
     chap.hasUnsavedChanges = true;
+    chapterMetadata.markEdited(chap);
+    anchoredNotes.shiftAnchors(chap, delta);
     project.hasUnsavedChanges = true;
+    //After the other text-change handlers, the chapter's OT document among them
+    setTimeout(renumberEditorFootnotes);
   }
+  clearAnchoredPassage();
+  highlightLockedRanges();
+  highlightCollaborators();
+  highlightSuggestions();
 });
 
 editorQuill.on('selection-change', function(range, oldRange, source){
@@ -982,6 +1884,23 @@ editorQuill.on('selection-change', function(range, oldRange, source){
   }
 })
 
+editorQuill.root.addEventListener('scroll', function(){
+  if(highlightedPassage)
+    highlightAnchoredPassage(highlightedPassage);
+  highlightLockedRanges();
+  highlightCollaborators();
+  highlightSuggestions();
+});
+
+//Shows the passage of the anchored note the notes cursor is on
+notesQuill.on('selection-change', function(range, oldRange, source){
+  var passage = range ? getAnchoredPassage(range.index) : null;
+  if(passage)
+    highlightAnchoredPassage(passage);
+  else
+    clearAnchoredPassage();
+});
+
 notesQuill.on('text-change', function(delta, oldDelta, source){
   if(source == 'user'){
     if(userSettings.displayChapNotes){
@@ -1159,6 +2078,18 @@ function editorControlEvents(e){
     if(document.getElementById('chapter-list-sidebar').classList.contains('visible'))
       changeChapterTitle(project.activeChapterIndex);
   }
+  else if((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === "ArrowRight"){
+    stopDefaultPropagation(e);
+    toggleActivePartCollapsed();
+  }
+  else if((e.ctrlKey || e.metaKey) && e.altKey && e.key === "ArrowUp"){
+    stopDefaultPropagation(e);
+    moveChapToAdjacentPart(project.activeChapterIndex, -1);
+  }
+  else if((e.ctrlKey || e.metaKey) && e.altKey && e.key === "ArrowDown"){
+    stopDefaultPropagation(e);
+    moveChapToAdjacentPart(project.activeChapterIndex, 1);
+  }
   else if((e.ctrlKey || e.metaKey) && e.key === "ArrowUp"){
     stopDefaultPropagation(e);
     displayPreviousChapter();
@@ -1227,13 +2158,23 @@ ipcRenderer.on("save-as-clicked", function(e){
 });
 
 ipcRenderer.on("open-clicked", function(e){
-  const displayExitConfirmation = require('./components/views/exit-confirmation_display');
-  if(project.hasUnsavedChanges){
-    displayExitConfirmation(saveProject, openAProject);
-  }
-  else{
-    openAProject();
-  }
+  openAProject();
+});
+
+ipcRenderer.on('switch-project-clicked', function(e){
+  showProjectSwitcher();
+});
+
+ipcRenderer.on('close-project-clicked', function(e){
+  closeProject(project);
+});
+
+ipcRenderer.on('copy-chapter-to-project-clicked', function(e){
+  transferActiveChapter(false);
+});
+
+ipcRenderer.on('move-chapter-to-project-clicked', function(e){
+  transferActiveChapter(true);
 });
 
 ipcRenderer.on('new-project-clicked', function(e){
@@ -1271,11 +2212,20 @@ ipcRenderer.on('word-count-clicked', function(e){
 
 ipcRenderer.on('find-replace-clicked', function(e){
   if(editorHasFocus()){
+    getSearchIndex(project, userSettings.persistSearchIndex);
     const showFindReplace = require('./components/views/findreplace_display');
     showFindReplace(project, editorQuill, displayChapterByIndex);
   }
 });
 
+ipcRenderer.on('search-project-clicked', function(e){
+  searchProject();
+});
+
+ipcRenderer.on('replace-in-project-clicked', function(e){
+  replaceInProject();
+});
+
 ipcRenderer.on('spellcheck-clicked', function(e){
   if(editorHasFocus()){
     const showSpellcheck = require('./components/views/spellcheck_display');
@@ -1317,6 +2267,41 @@ ipcRenderer.on('split-chapter-clicked', function(e){
     splitChapter();
 });
 
+ipcRenderer.on('insert-scene-break-clicked', function(e){
+  if(editorHasFocus())
+    insertSceneBreak();
+});
+
+ipcRenderer.on('move-scene-clicked', function(e){
+  if(editorHasFocus())
+    moveActiveScene();
+});
+
+ipcRenderer.on('split-chapter-at-scene-clicked', function(e){
+  if(editorHasFocus())
+    splitChapterAtActiveScene();
+});
+
+ipcRenderer.on('insert-footnote-clicked', function(e){
+  if(editorHasFocus())
+    insertFootnoteAtCursor();
+});
+
+ipcRenderer.on('footnotes-clicked', function(e){
+  if(editorIsVisible())
+    showEditorFootnotes();
+});
+
+ipcRenderer.on('review-suggestions-clicked', function(e){
+  if(editorIsVisible())
+    showSuggestionReview();
+});
+
+ipcRenderer.on('add-anchored-note-clicked', function(e){
+  if(editorHasFocus())
+    addNoteToSelection();
+});
+
 ipcRenderer.on('add-chapter-clicked', function(e){
   if(editorHasFocus())
     addNewChapter();
@@ -1327,11 +2312,35 @@ ipcRenderer.on('delete-chapter-clicked', function(e){
     moveToTrash(project.activeChapterIndex);
 });
 
+ipcRenderer.on('add-part-clicked', function(e){
+  if(editorHasFocus())
+    addPartAtActiveChapter();
+});
+
+ipcRenderer.on('rename-part-clicked', function(e){
+  var chap = project.chapters[project.activeChapterIndex];
+  if(chap && chapIndexIs(project.activeChapterIndex).chapter)
+    changePartTitle(chap.partId);
+});
+
+ipcRenderer.on('remove-part-clicked', function(e){
+  if(editorHasFocus())
+    removeActivePart();
+});
+
 ipcRenderer.on('restore-chapter-clicked', function(e){
   if(editorHasFocus())
     restoreFromTrash(project.activeChapterIndex);
 });
 
+ipcRenderer.on('save-as-template-clicked', function(e){
+  saveProjectAsTemplate();
+});
+
+ipcRenderer.on('purged-chapters-clicked', function(e){
+  showPurgedChapters();
+});
+
 ipcRenderer.on('shortcuts-clicked', function(e, isMac){
   const showShortcutsHelp = require('./components/views/shortcuts-help_display');
   showShortcutsHelp(isMac);
@@ -1339,7 +2348,27 @@ ipcRenderer.on('shortcuts-clicked', function(e, isMac){
 
 ipcRenderer.on('outliner-clicked', function(e){
   const showOutliner = require('./components/views/outliner_display');
-  showOutliner(project);
+  var activeChap = project.getActiveChapter();
+  var shownContents = activeChap ? activeChap.contents : null;
+  showOutliner(project, function(){
+    //Editing scene metadata can give the open chapter's scene breaks new ids
+    if(activeChap && activeChap.contents !== shownContents)
+      refreshActiveChapter();
+    else
+      updateFileList();
+  });
+});
+
+ipcRenderer.on('chapter-tags-clicked', function(e){
+  editActiveChapterTags();
+});
+
+ipcRenderer.on('chapter-properties-clicked', function(e){
+  editActiveChapterProperties();
+});
+
+ipcRenderer.on('filter-views-clicked', function(e){
+  showFilterViews();
 });
 
 ipcRenderer.on('convert-tabs-clicked', function(e){
@@ -1355,10 +2384,16 @@ ipcRenderer.on('about-clicked', function(e, appVersion){
 });
 
 ipcRenderer.on('exit-app-clicked', function(e){
-  if(project.hasUnsavedChanges){
+  var hasUnsavedChanges = openProjects.some(function(proj){
+    return proj.hasUnsavedChanges;
+  });
+  if(hasUnsavedChanges){
     const displayExitConfirmation = require('./components/views/exit-confirmation_display');
     updateFileList();
-    displayExitConfirmation(saveProject, exitApp);
+    displayExitConfirmation(function(){
+      saveAllProjects(exitApp);
+      return false;
+    }, exitApp);
   }
   else{
     exitApp();
@@ -1401,6 +2436,16 @@ ipcRenderer.on('wifi-manager-clicked', function(e){
   showWifiManager();
 });
 
+ipcRenderer.on('convert-project-clicked', function(e){
+  const showConvertProject = require('./components/views/convert-project_display');
+  var original = project;
+  showConvertProject(project, function(convertedPath){
+    //The original was saved before converting, so it can be closed without asking
+    openProject(convertedPath);
+    closeProject(original);
+  });
+});
+
 ipcRenderer.on('save-backup-clicked', function(e){
   const { backupProject } = require('./components/controllers/backup-project');
   backupProject(project, userSettings, sysDirectories.docs, alertBackupResult);
@@ -1410,6 +2455,7 @@ ipcRenderer.on('settings-clicked', function(e){
   const showSettings = require('./components/views/settings_display');
   showSettings(userSettings, autosaver, sysDirectories, function(){
     setDarkMode();
+    updateChapterCacheBudget();
   });
 });
 
@@ -1418,20 +2464,25 @@ ipcRenderer.on('corkboard-clicked', function(e){
   showCorkboard(project);
 });
 
-ipcRenderer.on('file-opened-from-outside-warewoolf', function(event, fPath){
-  if (fPath) {
-    var missingChaps = project.loadFile(fPath);
-    if(missingChaps.length > 0){
-      const promptForMissingPups = require('./components/views/missing-pups_display');
-      promptForMissingPups(project, missingChaps);
-    }
-    else{
-      displayProject();
-    }
-    userSettings.lastProject = fPath;
-    userSettings.save();
-  }
+ipcRenderer.on('codex-clicked', function(e){
+  const showCodex = require('./components/views/codex_display');
+  showCodex(project, function(index){
+    displayChapterByIndex(index);
+    editorQuill.focus();
+  });
+});
+
+ipcRenderer.on('timeline-clicked', function(e){
+  const showTimeline = require('./components/views/timeline_display');
+  showTimeline(project, function(index){
+    displayChapterByIndex(index);
+    editorQuill.focus();
+  });
+});
 
+ipcRenderer.on('file-opened-from-outside-warewoolf', function(event, fPath){
+  if (fPath)
+    openProject(fPath);
 });
 
 //**** utils ***/
@@ -32,6 +32,48 @@ function createMockQuill(initialContent = 'Test content\n') {
   };
 }
 
+/**
+ * Create a Quill editor over a delta, with enough of Quill's API for the OT documents: edits change its contents
+ * and fire text-change with their source, as Quill does
+ */
+function createDeltaQuill(initialContents = { ops: [{ insert: '\n' }] }) {
+  const Delta = require('quill-delta');
+  const handlers = { 'text-change': [], 'selection-change': [] };
+  let contents = new Delta(initialContents.ops);
+
+  const quill = {
+    on: (event, handler) => { handlers[event].push(handler); },
+    off: (event, handler) => { handlers[event] = handlers[event].filter(h => h !== handler); },
+    getContents: (index = 0, length = contents.length() - index) => contents.slice(index, index + length),
+    getLength: () => contents.length(),
+    getText: (index = 0, length = contents.length() - index) =>
+      contents.slice(index, index + length).ops.map(op => typeof op.insert == 'string' ? op.insert : '').join(''),
+    setContents: (delta, source = 'api') => {
+      const oldContents = contents;
+      contents = new Delta(delta.ops);
+      if (source !== 'silent') emit(new Delta(delta.ops), oldContents, source);
+    },
+    updateContents: (delta, source = 'api') => {
+      const change = new Delta(delta.ops || delta);
+      const oldContents = contents;
+      contents = contents.compose(change);
+      emit(change, oldContents, source);
+    },
+    insertText: (index, text, attributes = {}, source = 'api') => {
+      quill.updateContents(new Delta().retain(index).insert(text, attributes), source);
+    },
+    deleteText: (index, length, source = 'api') => {
+      quill.updateContents(new Delta().retain(index).delete(length), source);
+    }
+  };
+
+  function emit(delta, oldContents, source) {
+    handlers['text-change'].forEach(handler => handler(delta, oldContents, source));
+  }
+
+  return quill;
+}
+
 /**
  * Create a mock project with chapters
  */
@@ -241,6 +283,7 @@ async function assertCommandFails(handler, command, params = {}, expectedError)
 
 module.exports = {
   createMockQuill,
+  createDeltaQuill,
   createMockProject,
   createMockContext,
   createMockMessageEvent,
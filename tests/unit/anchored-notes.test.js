@@ -0,0 +1,102 @@
+/**
+ * Unit tests for anchored notes
+ * Tests range shifting through edits, adding and removing notes on passages, and anchors saved in the notes files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const anchoredNotes = require('../../src/components/controllers/anchored-notes');
+const { shiftRange } = require('../../src/components/controllers/woolf-ot-document');
+const scenes = require('../../src/components/controllers/scenes');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Anchored notes', () => {
+  let proj;
+  let chap;
+
+  beforeEach(() => {
+    proj = newProject();
+    chap = newChapter(proj);
+    chap.title = 'Arrival';
+    chap.contents = { ops: [{ insert: 'The train came in late.\n' }] };
+    proj.chapters.push(chap);
+  });
+
+  test('ranges follow inserts and deletes around and inside them', () => {
+    const range = { index: 4, length: 5 };
+    expect(shiftRange(range, { ops: [{ insert: 'Old ' }] })).toEqual({ index: 8, length: 5 });
+    expect(shiftRange(range, [{ retain: 9 }, { insert: 's' }])).toEqual({ index: 4, length: 5 });
+    expect(shiftRange(range, [{ retain: 6 }, { insert: 'aaa' }])).toEqual({ index: 4, length: 8 });
+    expect(shiftRange(range, [{ retain: 2 }, { delete: 4 }])).toEqual({ index: 2, length: 3 });
+    expect(shiftRange(range, [{ retain: 3 }, { delete: 10 }])).toEqual({ index: 3, length: 0 });
+  });
+
+  test('notes keep to their passage as the chapter is edited', () => {
+    const note = anchoredNotes.addAnchoredNote(chap, 4, 5, 'Which train?\nCheck the timetable.');
+    expect(note).toMatchObject({ index: 4, length: 5, passage: 'train', note: 'Which train?\nCheck the timetable.', detached: false });
+    expect(chap.hasUnsavedChanges).toBe(true);
+    expect(() => anchoredNotes.addAnchoredNote(chap, 20, 10)).toThrow('The passage is outside the chapter (0 to 24)');
+
+    chap.contents = { ops: [{ insert: 'At last the train came in late.\n' }] };
+    anchoredNotes.shiftAnchors(chap, { ops: [{ insert: 'At last t' }, { delete: 1 }] });
+    expect(anchoredNotes.listAnchoredNotes(chap)[0]).toMatchObject({ index: 12, passage: 'train' });
+
+    //The notes are saved with the passage as it is now
+    const saved = anchoredNotes.stampAnchors(chap, chap.notes);
+    expect(saved.ops.filter(op => op.attributes).map(op => op.attributes.anchor)).toEqual([note.id + '@12+5', note.id + '@12+5']);
+
+    chap.contents = { ops: [{ insert: 'At last the came in late.\n' }] };
+    anchoredNotes.shiftAnchors(chap, { ops: [{ retain: 12 }, { delete: 6 }] });
+    expect(anchoredNotes.listAnchoredNotes(chap)[0]).toMatchObject({ index: 12, length: 0, passage: '', detached: true });
+
+    anchoredNotes.removeAnchoredNote(chap, note.id);
+    expect(anchoredNotes.listAnchoredNotes(chap)).toEqual([]);
+    expect(() => anchoredNotes.removeAnchoredNote(chap, note.id)).toThrow('Unknown anchored note');
+  });
+
+  test('notes keep to their passage when a scene moves out from before it', () => {
+    chap.contents = { ops: [
+      { insert: 'The train.\n' },
+      { insert: '\n', attributes: { scene: 's-ball' } },
+      { insert: 'The ball.\n' }
+    ] };
+    const other = newChapter(proj);
+    other.contents = { ops: [{ insert: 'Later.\n' }] };
+    proj.chapters.push(other);
+
+    const train = anchoredNotes.addAnchoredNote(chap, 4, 5, 'Which train?');
+    const ball = anchoredNotes.addAnchoredNote(chap, 16, 4, 'A waltz');
+    expect(ball.passage).toBe('ball');
+
+    scenes.moveScene(chap, 'opening', other);
+    expect(anchoredNotes.listAnchoredNotes(chap).map(n => [n.id, n.passage, n.detached])).toEqual([
+      [train.id, '', true],
+      [ball.id, 'ball', false]
+    ]);
+  });
+
+  test('anchors are saved in the notes file and read back', () => {
+    chap.notes = { ops: [{ insert: 'General notes.\n' }] };
+    const note = anchoredNotes.addAnchoredNote(chap, 4, 5, 'Which *train*?');
+    chap.contents = { ops: [{ insert: 'Finally the train came in late.\n' }] };
+    anchoredNotes.shiftAnchors(chap, { ops: [{ insert: 'Finally t' }, { delete: 1 }] });
+
+    const projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-anchors-')) + '/';
+    try {
+      proj.saveAs(projDir + 'Novel.woolf');
+      const notesFile = fs.readdirSync(projDir + proj.chapsDirectory).find(name => name.startsWith('-notes_'));
+      expect(fs.readFileSync(projDir + proj.chapsDirectory + notesFile, 'utf8')).toContain('[#anchor ' + note.id + '@12+5] Which \\*train\\*?');
+
+      const saved = newProject();
+      saved.loadFile(projDir + 'Novel.woolf');
+      expect(anchoredNotes.listAnchoredNotes(saved.chapters[0])).toEqual([
+        { id: note.id, index: 12, length: 5, passage: 'train', note: 'Which *train*?', detached: false }
+      ]);
+    }
+    finally {
+      fs.rmSync(projDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for project-wide find and replace
+ * Tests that replacements keep formatting, respect accepted hits and can be undone
+ */
+
+const batchReplace = require('../../src/components/controllers/batch-replace');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Batch replace', () => {
+  let proj;
+
+  function addChapter(id, title, ops) {
+    const chap = newChapter(proj);
+    chap.id = id;
+    chap.title = title;
+    chap.contents = { ops: ops };
+    proj.chapters.push(chap);
+    return chap;
+  }
+
+  beforeEach(() => {
+    proj = newProject();
+    addChapter('c1', 'One', [
+      { insert: 'Victor ran. ' },
+      { insert: 'Victor', attributes: { bold: true } },
+      { insert: ' fell.\n' }
+    ]);
+    addChapter('c2', 'Two', [
+      { insert: 'Chapter Two', attributes: { bold: true } },
+      { insert: '\n', attributes: { header: 1 } },
+      { insert: 'Where was Victor?\n' }
+    ]);
+  });
+
+  test('replaceInDelta keeps the formatting of replaced text and returns a change and its inverse', () => {
+    const delta = { ops: [{ insert: 'A ' }, { insert: 'dark', attributes: { italic: true } }, { insert: ' night\n' }] };
+    const result = batchReplace.replaceInDelta(delta, [
+      { offset: 2, length: 4, text: 'stormy' },
+      { offset: 7, length: 5, text: 'day' }
+    ]);
+
+    expect(result.contents.ops).toEqual([
+      { insert: 'A ' },
+      { insert: 'stormy', attributes: { italic: true } },
+      { insert: ' day\n' }
+    ]);
+    expect(result.change.ops).toEqual([
+      { retain: 2 },
+      { insert: 'stormy', attributes: { italic: true } },
+      { delete: 4 },
+      { retain: 1 },
+      { insert: 'day' },
+      { delete: 5 }
+    ]);
+    expect(result.inverse.ops).toEqual([
+      { retain: 2 },
+      { insert: 'dark', attributes: { italic: true } },
+      { delete: 6 },
+      { retain: 1 },
+      { insert: 'night' },
+      { delete: 3 }
+    ]);
+  });
+
+  test('findReplacements lists every hit with its replacement, accepted by default', () => {
+    const hits = batchReplace.findReplacements(proj, 'Victor', 'Henry');
+
+    expect(hits.map(h => [h.number, h.title, h.offset, h.replacement, h.accepted])).toEqual([
+      [1, 'One', 0, 'Henry', true],
+      [2, 'One', 12, 'Henry', true],
+      [3, 'Two', 22, 'Henry', true]
+    ]);
+    expect(hits[2].snippet).toContain('Where was Victor?');
+  });
+
+  test('only accepted hits are replaced, once per chapter, keeping formatting', () => {
+    const hits = batchReplace.findReplacements(proj, 'Victor', 'Henry');
+    hits[0].accepted = false;
+
+    const result = batchReplace.applyReplacements(proj, hits);
+
+    expect(result.replaced).toBe(2);
+    expect(result.chapters.map(c => [c.title, c.count])).toEqual([['One', 1], ['Two', 1]]);
+    expect(proj.chapters[0].contents.ops).toEqual([
+      { insert: 'Victor ran. ' },
+      { insert: 'Henry', attributes: { bold: true } },
+      { insert: ' fell.\n' }
+    ]);
+    expect(proj.chapters[1].contents.ops[1]).toEqual({ insert: '\n', attributes: { header: 1 } });
+    expect(proj.chapters[1].hasUnsavedChanges).toBe(true);
+    expect(proj.hasUnsavedChanges).toBe(true);
+  });
+
+  test('the chapter in the editor is changed through the editor', () => {
+    const applied = [];
+    const applyToEditor = (chap, change) => {
+      if (chap.id !== 'c2') return false;
+      applied.push(change);
+      return true;
+    };
+
+    batchReplace.applyReplacements(proj, batchReplace.findReplacements(proj, 'Victor', 'Henry'), applyToEditor);
+
+    expect(applied).toEqual([{ ops: [{ retain: 22 }, { insert: 'Henry' }, { delete: 6 }] }]);
+    expect(proj.chapters[1].contents.ops[2].insert).toBe('Where was Victor?\n');
+    expect(proj.chapters[0].contents.ops[0].insert).toBe('Henry ran. ');
+  });
+
+  test('regex replacements can use groups and stale hits are skipped', () => {
+    const hits = batchReplace.findReplacements(proj, '(\\w+) (fell|ran)', '$2 $1', { regex: true });
+    expect(hits.map(h => h.replacement)).toEqual(['ran Victor', 'fell Victor']);
+
+    proj.chapters[0].contents = { ops: [{ insert: 'Victor ran. Someone fell.\n' }] };
+    const result = batchReplace.applyReplacements(proj, hits);
+    expect(result.replaced).toBe(1);
+    expect(result.skipped).toBe(1);
+  });
+
+  test('undoReplacements restores chapters not edited since', () => {
+    const result = batchReplace.applyReplacements(proj, batchReplace.findReplacements(proj, 'Victor', 'Henry'));
+    proj.chapters[1].contents = { ops: [{ insert: 'Rewritten.\n' }] };
+
+    expect(batchReplace.undoReplacements(proj, result)).toBe(1);
+    expect(proj.chapters[0].contents.ops[1]).toEqual({ insert: 'Victor', attributes: { bold: true } });
+    expect(proj.chapters[1].contents.ops[0].insert).toBe('Rewritten.\n');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the chapter cache
+ * Tests cached parsing and word counts, invalidation on save and on outside changes, and the memory budget
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chapterCache = require('../../src/components/controllers/chapter-cache');
+const { getTotalWordCount, getTotalWordCountAsync } = require('../../src/components/controllers/wordcount');
+const newProject = require('../../src/components/models/project');
+
+//Quill needs a page; compiling only uses its Delta
+jest.mock('quill', () => ({ import: () => require('quill-delta') }));
+const { compileChapterDeltas } = require('../../src/components/controllers/compile');
+
+describe('Chapter cache', () => {
+  let projDir;
+  let proj;
+
+  beforeEach(() => {
+    chapterCache.clear();
+    chapterCache.setBudget(chapterCache.defaultBudgetMB * 1024 * 1024);
+
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-cache-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+    fs.writeFileSync(projDir + 'Novel.woolf', JSON.stringify({
+      title: 'Novel',
+      chapsDirectory: 'Novel_chapters/',
+      chapters: [
+        { id: 'c1', title: 'One', filename: 'One.txt' },
+        { id: 'c2', title: 'Two', filename: 'Two.txt' }
+      ],
+      reference: [],
+      trash: []
+    }, null, '\t'));
+    fs.writeFileSync(projDir + 'Novel_chapters/One.txt', 'Three words here.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Two.txt', 'Four words are here.\r\n');
+
+    proj = newProject();
+    proj.loadFile(projDir + 'Novel.woolf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+    chapterCache.clear();
+  });
+
+  test('files are parsed once and callers get their own copy', () => {
+    const first = proj.chapters[0].getFile();
+    first.ops[0].insert = 'Changed';
+    const second = proj.chapters[0].getFile();
+
+    expect(second.ops[0].insert).toContain('Three words here.');
+    expect(chapterCache.getStats().hits).toBe(1);
+    expect(chapterCache.getStats().chapters).toBe(1);
+  });
+
+  test('word counts are cached and unsaved contents are counted from memory', async () => {
+    expect(getTotalWordCount(proj)).toBe(7);
+    expect(await getTotalWordCountAsync(proj)).toBe(7);
+
+    proj.chapters[1].contents = { ops: [{ insert: 'Just two.\n' }] };
+    proj.chapters[1].hasUnsavedChanges = true;
+    expect(getTotalWordCount(proj)).toBe(5);
+  });
+
+  test('saving invalidates the saved chapter', async () => {
+    expect(await proj.chapters[0].getWordCountAsync()).toBe(3);
+
+    proj.chapters[0].contents = { ops: [{ insert: 'Now there are five words.\n' }] };
+    proj.chapters[0].hasUnsavedChanges = true;
+    proj.saveFile();
+
+    expect(proj.chapters[0].contents).toBeNull();
+    expect(proj.chapters[0].getWordCount()).toBe(5);
+    expect(proj.chapters[0].getFile().ops[0].insert).toContain('five words');
+  });
+
+  test('files changed outside WareWoolf are read again', async () => {
+    expect(proj.chapters[1].getWordCount()).toBe(4);
+
+    const file = projDir + 'Novel_chapters/Two.txt';
+    fs.writeFileSync(file, 'Only three now.\r\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+
+    expect(proj.chapters[1].getWordCount()).toBe(3);
+    expect((await proj.chapters[1].getFileAsync()).ops[0].insert).toContain('Only three now.');
+  });
+
+  test('the least recently used chapters are dropped to stay within the budget', () => {
+    const oneSize = fs.readFileSync(projDir + 'Novel_chapters/One.txt', 'utf8').length * 4;
+    chapterCache.setBudget(oneSize + 10);
+
+    proj.chapters[0].getFile();
+    proj.chapters[1].getFile();
+    expect(chapterCache.getStats().chapters).toBe(1);
+    expect(chapterCache.getStats().usedBytes).toBeLessThanOrEqual(oneSize + 10);
+
+    chapterCache.setBudget(0);
+    expect(chapterCache.getStats().chapters).toBe(0);
+    expect(proj.chapters[0].getFile().ops[0].insert).toContain('Three words here.');
+  });
+
+  test('a compile uses the chapters read beforehand, even when they do not fit in the cache', async () => {
+    chapterCache.setBudget(0);
+    const contents = await Promise.all(proj.chapters.map(chap => chap.getContentsOrFileAsync()));
+    const reads = chapterCache.getStats().misses;
+
+    const compiled = compileChapterDeltas(proj, { insertStrng: '#', type: '.txt' }, null, contents);
+    expect(compiled.ops.map(op => op.insert).join('')).toBe('Three words here.\n#\nFour words are here.\n');
+    expect(chapterCache.getStats().misses).toBe(reads);
+  });
+});
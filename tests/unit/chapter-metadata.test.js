@@ -0,0 +1,119 @@
+/**
+ * Unit tests for chapter workflow metadata
+ * Tests validation, custom fields and persistence through the project file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chapterMetadata = require('../../src/components/controllers/chapter-metadata');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Chapter metadata', () => {
+  let chap;
+
+  beforeEach(() => {
+    chap = newChapter();
+  });
+
+  test('new chapters start without a status or target', () => {
+    expect(chapterMetadata.getMetadata(chap)).toEqual({
+      status: null,
+      targetWords: 0,
+      lastEdited: null,
+      revisionPass: 0,
+      customFields: {}
+    });
+  });
+
+  test('setMetadata applies the given changes only', () => {
+    chapterMetadata.setMetadata(chap, { status: 'Draft', targetWords: '3000' });
+    chapterMetadata.setMetadata(chap, { revisionPass: 2 });
+
+    expect(chap.status).toBe('draft');
+    expect(chap.targetWords).toBe(3000);
+    expect(chap.revisionPass).toBe(2);
+  });
+
+  test('invalid values are rejected without changing anything', () => {
+    chapterMetadata.setMetadata(chap, { status: 'draft' });
+
+    expect(() => chapterMetadata.setMetadata(chap, { status: 'final', targetWords: -5 })).toThrow('Invalid target word count');
+    expect(() => chapterMetadata.setMetadata(chap, { status: 'done' })).toThrow('Invalid status');
+    expect(() => chapterMetadata.setMetadata(chap, { revisionPass: 1.5 })).toThrow('Invalid revision pass');
+    expect(chap.status).toBe('draft');
+    expect(chap.targetWords).toBe(0);
+  });
+
+  test('custom fields are set, and removed when emptied', () => {
+    chapterMetadata.setMetadata(chap, { customFields: { 'Beta reader': 'Sam', Season: 'Winter' } });
+    chapterMetadata.setMetadata(chap, { customFields: { Season: '' } });
+
+    expect(chap.customFields).toEqual({ 'Beta reader': 'Sam' });
+    expect(() => chapterMetadata.setMetadata(chap, { customFields: { ' ': 'x' } })).toThrow('Custom fields need a name');
+  });
+
+  test('markEdited records an ISO timestamp and formatLastEdited shortens it', () => {
+    const date = new Date(2024, 2, 5, 14, 7);
+    chapterMetadata.markEdited(chap, date);
+
+    expect(chap.lastEdited).toBe(date.toISOString());
+    expect(chapterMetadata.formatLastEdited(chap.lastEdited)).toBe('2024-03-05 14:07');
+    expect(chapterMetadata.formatLastEdited(null)).toBe('');
+  });
+
+  test('edits made through ADDRESS WOOLF mark their chapter edited, in the editor or not', async () => {
+    global.window = {};
+    try {
+      const proj = newProject();
+      ['The train came in late.\n', 'She waited alone.\n'].forEach(text => {
+        const chapter = newChapter(proj);
+        chapter.contents = { ops: [{ insert: text }] };
+        proj.chapters.push(chapter);
+      });
+      const [first, second] = proj.chapters;
+      const editorQuill = createDeltaQuill(first.contents);
+      const handler = setupRexxJSControl({ editorQuill, project: proj, createQuill: () => createDeltaQuill() });
+      handler.documents.showChapter(first);
+
+      await handler.run('insert-at', { document: second.id, index: 0, text: 'Still ', userId: 'agent' });
+      expect(second.lastEdited).toEqual(expect.any(String));
+      expect(first.lastEdited).toBeNull();
+
+      await handler.run('append', { text: 'The end.' });
+      expect(first.lastEdited).toEqual(expect.any(String));
+    } finally {
+      delete global.window;
+    }
+  });
+
+  test('metadata is saved in the project file and loaded back', () => {
+    const projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-meta-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+    try {
+      const proj = newProject();
+      proj.filename = 'Novel.woolf';
+      proj.directory = projDir;
+      proj.chapsDirectory = 'Novel_chapters/';
+      proj.notesChap = newChapter();
+
+      chap.title = 'One';
+      chap.contents = { ops: [{ insert: 'Text\n' }] };
+      chap.hasUnsavedChanges = true;
+      chapterMetadata.setMetadata(chap, { status: 'revision', targetWords: 2500, revisionPass: 1, customFields: { Season: 'Winter' } });
+      proj.chapters.push(chap);
+      proj.saveFile();
+
+      const loaded = newProject();
+      loaded.loadFile(projDir + 'Novel.woolf');
+
+      expect(chapterMetadata.getMetadata(loaded.chapters[0])).toEqual(chapterMetadata.getMetadata(chap));
+    }
+    finally {
+      fs.rmSync(projDir, { recursive: true, force: true });
+    }
+  });
+});
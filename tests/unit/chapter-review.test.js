@@ -0,0 +1,106 @@
+/**
+ * Unit tests for chapter reviews
+ * Tests saving annotations, suggestions and corrections next to their chapter, reading them back and moving
+ * their ranges when the chapter was edited without them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const chapterReview = require('../../src/components/controllers/chapter-review');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+function createOTDocument(text) {
+  const mockQuill = {
+    getText: jest.fn((index, length) => text.substr(index, length)),
+    on: jest.fn()
+  };
+  return new WoolfOTDocument(mockQuill, 'chapter');
+}
+
+describe('Chapter reviews', () => {
+  let projDir;
+  let proj;
+  let chap;
+
+  beforeEach(() => {
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-review-')) + '/';
+    proj = newProject();
+    chap = newChapter(proj);
+    chap.title = 'Arrival';
+    chap.contents = { ops: [{ insert: 'The train came in late.\n' }] };
+    chap.hasUnsavedChanges = true;
+    proj.chapters.push(chap);
+    proj.saveAs(projDir + 'Novel.woolf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+  });
+
+  function loadSaved() {
+    const saved = newProject();
+    saved.loadFile(projDir + 'Novel.woolf');
+    return saved;
+  }
+
+  test('reviews are saved next to the chapter and read back when it is shown', () => {
+    const otDoc = createOTDocument('The train came in late.\n');
+    chapterReview.showChapterReview(otDoc, chap);
+    otDoc.annotate('Ed', 4, 5, 'Which train?');
+    otDoc.suggestEdit('agent', 18, 4, 'early');
+    expect(fs.existsSync(projDir + proj.chapsDirectory + '-review_Arrival.json')).toBe(false);
+
+    //The review is saved even though the chapter text did not change
+    proj.saveFile();
+    const file = JSON.parse(fs.readFileSync(projDir + proj.chapsDirectory + '-review_Arrival.json', 'utf8'));
+    expect(file.text).toBe('The train came in late.\n');
+    expect(fs.readFileSync(projDir + 'Novel.woolf', 'utf8')).not.toContain('Which train?');
+
+    const saved = loadSaved();
+    const savedDoc = createOTDocument('The train came in late.\n');
+    chapterReview.showChapterReview(savedDoc, saved.chapters[0]);
+    expect(savedDoc.getAnnotations()).toMatchObject([{ annotationId: 1, userId: 'Ed', range: { index: 4, length: 5 }, text: 'Which train?' }]);
+    expect(savedDoc.getSuggestions('pending')).toMatchObject([{ suggestionId: 1, range: { index: 18, length: 4 }, newText: 'early' }]);
+    //New ids follow the saved ones
+    expect(savedDoc.annotate('Jo', 0, 3, 'Cut?').annotationId).toBe(2);
+
+    //The review follows the chapter to a new filename, and goes when its last annotation does
+    saved.chapters[0].title = 'Departure';
+    saved.chapters[0].hasUnsavedChanges = true;
+    saved.saveFile();
+    expect(fs.readdirSync(projDir + saved.chapsDirectory).filter(name => name.startsWith('-review_'))).toEqual(['-review_Departure.json']);
+    savedDoc.annotations.clear();
+    savedDoc.suggestions.clear();
+    saved.saveFile();
+    expect(fs.readdirSync(projDir + saved.chapsDirectory).filter(name => name.startsWith('-review_'))).toEqual([]);
+  });
+
+  test('ranges move when the chapter was edited without its review', () => {
+    const otDoc = createOTDocument('The train came in late.\n');
+    chapterReview.showChapterReview(otDoc, chap);
+    otDoc.annotate('Ed', 4, 5, 'Which train?');
+    otDoc.suggestEdit('agent', 18, 4, 'early');
+    otDoc.suggestEdit('agent', 0, 3, 'A');
+    otDoc.suggestions.get(2).status = 'rejected';
+    proj.saveFile();
+
+    //As in another editor
+    fs.writeFileSync(projDir + proj.chapsDirectory + 'Arrival.txt', 'At last the train came in late.\n', 'utf8');
+
+    const saved = loadSaved();
+    const review = chapterReview.getReview(saved.chapters[0]);
+    expect(review.annotations.get(1).range).toEqual({ index: 12, length: 5 });
+    expect(review.suggestions.get(1).range).toEqual({ index: 26, length: 4 });
+    //Resolved suggestions keep their range
+    expect(review.suggestions.get(2).range).toEqual({ index: 0, length: 3 });
+
+    //The moved ranges are saved with the new text
+    saved.saveFile();
+    const file = JSON.parse(fs.readFileSync(projDir + saved.chapsDirectory + '-review_Arrival.json', 'utf8'));
+    expect(file.text).toBe('At last the train came in late.\n');
+    expect(file.annotations[0].range).toEqual({ index: 12, length: 5 });
+  });
+});
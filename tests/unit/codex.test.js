@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the codex
+ * Tests entries saved as MDFC files, validation, mention tracking and never-mentioned entries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const codex = require('../../src/components/controllers/codex');
+const chapterCache = require('../../src/components/controllers/chapter-cache');
+const newProject = require('../../src/components/models/project');
+
+describe('Codex', () => {
+  let projDir;
+  let proj;
+
+  beforeEach(() => {
+    chapterCache.clear();
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-codex-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+    fs.writeFileSync(projDir + 'Novel.woolf', JSON.stringify({
+      title: 'Novel',
+      chapsDirectory: 'Novel_chapters/',
+      chapters: [
+        { id: 'c1', title: 'Arrival', filename: 'Arrival.txt' },
+        { id: 'c2', title: 'The Ball', filename: 'The Ball.txt' }
+      ],
+      reference: [],
+      trash: []
+    }, null, '\t'));
+    fs.writeFileSync(projDir + 'Novel_chapters/Arrival.txt', 'Anna stepped off the train in Moscow. Annabel waved. Anna smiled.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/The Ball.txt', 'Anna\r\nArkadyevna danced with *Vronsky*.\r\n');
+
+    proj = newProject();
+    proj.loadFile(projDir + 'Novel.woolf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+    chapterCache.clear();
+  });
+
+  function loadAgain() {
+    const again = newProject();
+    again.loadFile(projDir + 'Novel.woolf');
+    return again;
+  }
+
+  test('entries are saved as MDFC files in the codex folder and read back', () => {
+    const anna = codex.addEntry(proj, {
+      name: 'Anna Karenina',
+      aliases: 'Anna, Anna Arkadyevna',
+      description: 'Married to *Karenin*.',
+      fields: { Age: '28' }
+    });
+    codex.addEntry(proj, { name: 'Moscow', type: 'Place' });
+    proj.saveFile();
+
+    expect(fs.readFileSync(projDir + 'Novel_chapters/codex/Anna Karenina.txt', 'utf8')).toBe(
+      '# Anna Karenina\r\nId: ' + anna.id + '\r\nType: character\r\nAliases: Anna, Anna Arkadyevna\r\nAge: 28\r\n\r\nMarried to *Karenin*.\r\n');
+
+    const saved = loadAgain();
+    expect(codex.getEntries(saved).map(e => [e.name, e.type, e.aliases, e.fields, e.description])).toEqual([
+      ['Anna Karenina', 'character', ['Anna', 'Anna Arkadyevna'], { Age: '28' }, 'Married to *Karenin*.'],
+      ['Moscow', 'place', [], {}, '']
+    ]);
+    expect(codex.findEntry(saved, 'anna arkadyevna').id).toBe(anna.id);
+  });
+
+  test('renaming and deleting entries renames and removes their files', () => {
+    codex.addEntry(proj, { name: 'Levin' });
+    codex.addEntry(proj, { name: 'Moscow', type: 'place' });
+    proj.saveFile();
+
+    const saved = loadAgain();
+    codex.updateEntry(saved, 'Levin', { name: 'Konstantin Levin', fields: { Estate: 'Pokrovskoe' } });
+    codex.removeEntry(saved, 'Moscow');
+    saved.saveFile();
+
+    expect(fs.readdirSync(projDir + 'Novel_chapters/codex')).toEqual(['Konstantin Levin.txt']);
+    expect(codex.getEntries(loadAgain())[0].fields).toEqual({ Estate: 'Pokrovskoe' });
+  });
+
+  test('invalid entries are rejected', () => {
+    codex.addEntry(proj, { name: 'Anna', aliases: 'Annushka' });
+
+    expect(() => codex.addEntry(proj, { name: ' ' })).toThrow('needs a name');
+    expect(() => codex.addEntry(proj, { name: 'annushka' })).toThrow('already has Anna');
+    expect(() => codex.addEntry(proj, { name: 'Tula', type: 'city' })).toThrow('Invalid codex type');
+    expect(() => codex.updateEntry(proj, 'Anna', { fields: { Type: 'x' } })).toThrow('Invalid codex field name');
+    expect(() => codex.getEntry(proj, 'Kitty')).toThrow('Unknown codex entry: Kitty');
+  });
+
+  test('mentions are counted per chapter by name and aliases as whole words', async () => {
+    const anna = codex.addEntry(proj, { name: 'Anna Karenina', aliases: 'Anna, Anna Arkadyevna' });
+    codex.addEntry(proj, { name: 'Moscow', type: 'place' });
+    codex.addEntry(proj, { name: 'Vronsky' });
+    codex.addEntry(proj, { name: 'Levin' });
+
+    const mentions = await codex.findMentions(proj);
+    expect(mentions[anna.id]).toEqual([
+      { index: 0, id: 'c1', title: 'Arrival', count: 2, positions: [0, 53] },
+      { index: 1, id: 'c2', title: 'The Ball', count: 1, positions: [0] }
+    ]);
+
+    const report = await codex.getMentionReport(proj);
+    expect(report.map(e => [e.name, e.mentions, e.chapters.map(c => c.title), e.unmentioned])).toEqual([
+      ['Anna Karenina', 3, ['Arrival', 'The Ball'], false],
+      ['Moscow', 1, ['Arrival'], false],
+      ['Vronsky', 1, ['The Ball'], false],
+      ['Levin', 0, [], true]
+    ]);
+    expect((await codex.getMentionReport(proj, 'place')).map(e => e.name)).toEqual(['Moscow']);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for Word review round trips
+ * Tests importing Word comments and tracked changes into the OT layer and exporting annotations as Word comments
+ */
+
+const docx = require('docx');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { docxToDelta } = require('../../src/components/controllers/docx-import');
+const { convertDeltaToDocx, markComments } = require('../../src/components/controllers/delta-to-docx');
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const chapterReview = require('../../src/components/controllers/chapter-review');
+
+const ns = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function parse(xml) {
+  return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+function getText(delta) {
+  return delta.ops.map(op => op.insert).join('');
+}
+
+describe('Word review round trip', () => {
+  test('comments and tracked changes are read with their ranges in the imported text', () => {
+    const documentXml = '<w:document ' + ns + '><w:body>' +
+      '<w:p><w:r><w:t xml:space="preserve">The </w:t></w:r><w:commentRangeStart w:id="3"/><w:r><w:t>train</w:t></w:r>' +
+      '<w:commentRangeEnd w:id="3"/><w:r><w:t xml:space="preserve"> came in </w:t></w:r>' +
+      '<w:del w:id="7" w:author="Ed" w:date="2026-02-01T10:00:00Z"><w:r><w:delText>late</w:delText></w:r></w:del>' +
+      '<w:ins w:id="8" w:author="Ed" w:date="2026-02-01T10:00:00Z"><w:r><w:t>early</w:t></w:r></w:ins>' +
+      '<w:r><w:t>.</w:t></w:r></w:p>' +
+      '<w:p><w:commentRangeStart w:id="4"/><w:r><w:t xml:space="preserve">She waited</w:t></w:r>' +
+      '<w:ins w:id="9" w:author="Jo"><w:r><w:t xml:space="preserve"> alone</w:t></w:r></w:ins>' +
+      '<w:del w:id="10" w:author="Jo"><w:r><w:delText xml:space="preserve"> still</w:delText></w:r></w:del><w:r><w:t>.</w:t></w:r></w:p>' +
+      '</w:body></w:document>';
+    const commentsXml = '<w:comments ' + ns + '>' +
+      '<w:comment w:id="3" w:author="Ed" w:date="2026-02-01T09:00:00Z"><w:p><w:r><w:t>Which train?</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>The 4:15?</w:t></w:r></w:p></w:comment>' +
+      '</w:comments>';
+
+    const imported = docxToDelta(parse(documentXml), null, false, parse(commentsXml));
+    //Deleted text stays until the change is accepted; inserted text waits for it
+    expect(getText(imported.deltas[0])).toBe('The train came in late.\nShe waited still.\n');
+
+    const review = imported.reviews[0];
+    expect(review.comments).toEqual([
+      { index: 4, length: 5, text: 'Which train?\nThe 4:15?', author: 'Ed', date: '2026-02-01T09:00:00Z' },
+      //A comment without an end or text of its own runs to the end of the chapter
+      { index: 24, length: 18, text: '', author: '', date: null }
+    ]);
+    expect(review.changes).toEqual([
+      { type: 'replacement', index: 18, length: 4, oldText: 'late', newText: 'early', author: 'Ed', date: '2026-02-01T10:00:00Z' },
+      { type: 'replacement', index: 34, length: 6, oldText: ' still', newText: ' alone', author: 'Jo', date: null }
+    ]);
+  });
+
+  test('imported reviews become annotations and pending suggestions of the chapter in the OT document', () => {
+    const mockQuill = {
+      getText: jest.fn((index, length) => 'The train came in late.\n'.substr(index, length)),
+      on: jest.fn()
+    };
+    const otDoc = new WoolfOTDocument(mockQuill, 'chapter');
+    const chap = {};
+    const other = {};
+
+    chapterReview.showChapterReview(otDoc, chap);
+    chapterReview.addImportedReview(otDoc, {
+      comments: [{ index: 4, length: 5, text: 'Which train?', author: 'Ed', date: '2026-02-01T09:00:00Z' }],
+      changes: [{ type: 'replacement', index: 18, length: 4, oldText: 'late', newText: 'early', author: 'Ed', date: null }]
+    });
+    expect(otDoc.getAnnotations()).toMatchObject([{ userId: 'Ed', range: { index: 4, length: 5 }, text: 'Which train?', metadata: { source: 'docx' } }]);
+    expect(otDoc.getSuggestions('pending')).toMatchObject([{ userId: 'Ed', range: { index: 18, length: 4 }, oldText: 'late', newText: 'early' }]);
+
+    //Both keep to their text as the writer types
+    const textChange = mockQuill.on.mock.calls.find(call => call[0] === 'text-change')[1];
+    textChange({ ops: [{ insert: 'At last ' }] }, null, 'user');
+    expect(chapterReview.getAnnotations(chap)[0].range).toEqual({ index: 12, length: 5 });
+    expect(otDoc.getSuggestions('pending')[0].range).toEqual({ index: 26, length: 4 });
+
+    //They stay with the chapter when another one is in the editor
+    chapterReview.showChapterReview(otDoc, other);
+    expect(otDoc.getAnnotations()).toEqual([]);
+    chapterReview.showChapterReview(otDoc, chap);
+    expect(otDoc.getAnnotations()).toHaveLength(1);
+  });
+
+  test('annotations are exported as Word comments and read back on import', async () => {
+    const comments = [];
+    const delta = markComments({ ops: [{ insert: 'The train came in late.\nShe ' }, { insert: 'waited', attributes: { italic: true } }, { insert: '.\n' }] }, [
+      { userId: 'Ed', range: { index: 4, length: 5 }, text: 'Which train?', metadata: { date: '2026-02-01T09:00:00Z' }, createdAt: 0 },
+      { userId: 'Jo', range: { index: 10, length: 20 }, text: 'Too slow', metadata: {}, createdAt: Date.parse('2026-03-01T00:00:00Z') },
+      { userId: 'Jo', range: { index: 2, length: 0 }, text: 'Its text was deleted', metadata: {}, createdAt: 0 }
+    ], comments);
+    expect(comments).toHaveLength(2);
+
+    const doc = convertDeltaToDocx(delta, null, { author: 'Mary', title: 'Arrivals' }, '', comments);
+    const zip = await JSZip.loadAsync(await docx.Packer.toBuffer(doc));
+    const documentXml = await zip.file('word/document.xml').async('string');
+    const commentsXml = await zip.file('word/comments.xml').async('string');
+
+    const imported = docxToDelta(parse(documentXml), null, false, parse(commentsXml));
+    expect(getText(imported.deltas[0])).toBe('The train came in late.\nShe waited.\n');
+    expect(imported.deltas[0].ops.find(op => op.insert === 'wa').attributes).toEqual({ italic: true });
+    expect(imported.reviews[0].comments).toEqual([
+      { index: 4, length: 5, text: 'Which train?', author: 'Ed', date: '2026-02-01T09:00:00.000Z' },
+      { index: 10, length: 20, text: 'Too slow', author: 'Jo', date: '2026-03-01T00:00:00.000Z' }
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for footnotes
+ * Tests inserting, renumbering, editing and removing footnotes, their MDFC form and the EPUB endnotes
+ */
+
+const Delta = require('quill-delta');
+const footnotes = require('../../src/components/controllers/footnotes');
+const { convertDeltaToMDF, parseMDF } = require('../../src/components/controllers/markdownFic');
+
+function getText(delta) {
+  return delta.ops.map(op => typeof op.insert == 'string' ? op.insert : ' ').join('');
+}
+
+describe('Footnotes', () => {
+  const chapter = { ops: [{ insert: 'The train came in late.\nShe waited.\n' }] };
+
+  test('inserted footnotes get a reference and lines at the chapter end, numbered in reading order', () => {
+    const first = footnotes.insertFootnote(chapter, 9, 'A sleeper.');
+    expect(first.number).toBe(1);
+    expect(getText(first.contents)).toBe('The train[^1] came in late.\nShe waited.\n[^1]: A sleeper.\n');
+    //The change makes the same contents in the editor
+    expect(new Delta(chapter.ops).compose(new Delta(first.change.ops))).toEqual(new Delta(first.contents.ops));
+
+    //A footnote before the first one takes its number once renumbered
+    const second = footnotes.insertFootnote(first.contents, 3, 'Or a bus.');
+    expect(second.number).toBe(1);
+    const numbered = footnotes.renumberFootnotes(second.contents);
+    expect(getText(numbered.contents)).toBe('The[^1] train[^2] came in late.\nShe waited.\n[^1]: Or a bus.\n[^2]: A sleeper.\n');
+    expect(numbered.count).toBe(2);
+    expect(new Delta(second.contents.ops).compose(new Delta(numbered.change.ops))).toEqual(new Delta(numbered.contents.ops));
+    expect(footnotes.renumberFootnotes(numbered.contents).change.ops).toEqual([]);
+
+    expect(() => footnotes.insertFootnote(chapter, 100)).toThrow('The footnote is outside the chapter (0 to 35)');
+  });
+
+  test('footnotes are listed, edited and removed by number', () => {
+    const contents = { ops: [{ insert: 'One[^1] two[^2].\n[^1]: First.\n[^2]: Second\n[^2]: over two lines.\n' }] };
+    expect(footnotes.getFootnotes(contents)).toEqual([
+      expect.objectContaining({ number: 1, references: [3], text: 'First.', context: 'One' }),
+      expect.objectContaining({ number: 2, references: [11], text: 'Second\nover two lines.' })
+    ]);
+
+    const edited = footnotes.setFootnoteText(contents, 2, 'Just one line.');
+    expect(getText(edited.contents)).toBe('One[^1] two[^2].\n[^1]: First.\n[^2]: Just one line.\n');
+
+    const removed = footnotes.removeFootnote(edited.contents, 1);
+    expect(getText(footnotes.renumberFootnotes(removed.contents).contents)).toBe('One two[^1].\n[^1]: Just one line.\n');
+    expect(() => footnotes.removeFootnote(contents, 3)).toThrow('Unknown footnote: 3');
+  });
+
+  test('a footnote whose reference is gone is numbered after the rest', () => {
+    const contents = { ops: [{ insert: 'Only[^2] this.\n[^1]: Lost.\n[^2]: Kept.\n' }] };
+    const numbered = footnotes.renumberFootnotes(contents);
+    expect(getText(numbered.contents)).toBe('Only[^1] this.\n[^2]: Lost.\n[^1]: Kept.\n');
+    expect(footnotes.getFootnotes(numbered.contents)[1]).toMatchObject({ number: 2, references: [], text: 'Lost.' });
+  });
+
+  test('every reference to a footnote gets its number', () => {
+    const contents = { ops: [{ insert: 'First[^2]. A claim[^1] and again[^1].\n[^2]: Earlier.\n[^1]: Source.\n' }] };
+    const numbered = footnotes.renumberFootnotes(contents);
+    expect(getText(numbered.contents)).toBe('First[^1]. A claim[^2] and again[^2].\n[^1]: Earlier.\n[^2]: Source.\n');
+    expect(numbered.count).toBe(2);
+    expect(footnotes.renumberFootnotes({ ops: [{ insert: 'A claim[^1] and again[^1].\n[^1]: Source.\n' }] }).change.ops).toEqual([]);
+
+    //A new footnote after them comes after the footnote referenced twice
+    expect(footnotes.insertFootnote(numbered.contents, 37, 'Last.').number).toBe(3);
+  });
+
+  test('footnotes are saved in MDFC as they are', () => {
+    const contents = { ops: [{ insert: 'The train' }, { insert: '[^1]', attributes: { bold: true } }, { insert: ' came.\n[^1]: A *sleeper*.\n' }] };
+    const mdfc = convertDeltaToMDF(contents);
+    expect(mdfc).toContain('[^1]: A \\*sleeper\\*.');
+    expect(footnotes.getFootnotes(parseMDF(mdfc))).toEqual([
+      expect.objectContaining({ number: 1, references: [9], text: 'A *sleeper*.' })
+    ]);
+  });
+
+  test('EPUB chapters link their references to endnotes in a notes chapter and back', () => {
+    const chapters = footnotes.getEpubChapters([
+      { title: 'One', delta: { ops: [{ insert: 'First[^1].\n[^1]: A note.\n' }] } },
+      { title: 'Two', delta: { ops: [{ insert: 'Second[^1].\n[^1]: Another.\n' }] } }
+    ], true);
+
+    expect(chapters.map(chap => chap.title)).toEqual(['One', 'Two', 'Notes']);
+    expect(chapters[0].html).toContain('epub:type="noteref" href="chapter_4.xhtml#fnote_1"');
+    expect(chapters[1].html).toContain('href="chapter_4.xhtml#fnote_2"');
+    expect(chapters[1].html).not.toContain('Another');
+    expect(chapters[2].html).toContain('<div class="footnote" epub:type="endnote" id="fnote_2">');
+    expect(chapters[2].html).toContain('<a href="chapter_3.xhtml#fnoteRef_2">2</a>. Another.');
+  });
+});
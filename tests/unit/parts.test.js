@@ -0,0 +1,107 @@
+/**
+ * Unit tests for chapter parts (Parts, Books, Acts)
+ * Tests grouping, moving chapters between parts and keeping parts contiguous
+ */
+
+const parts = require('../../src/components/controllers/parts');
+
+describe('Parts', () => {
+  let project;
+
+  function chapter(title, partId = null) {
+    return { title, partId };
+  }
+
+  function partIds() {
+    return project.chapters.map(chap => {
+      const part = parts.getPart(project, chap.partId);
+      return part ? part.title : null;
+    });
+  }
+
+  beforeEach(() => {
+    project = {
+      chapters: ['Prologue', 'One', 'Two', 'Three', 'Four'].map(title => chapter(title)),
+      parts: []
+    };
+  });
+
+  test('addPart takes in the chapter and the rest of its run', () => {
+    parts.addPart(project, 1, 'Part One');
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part One', 'Part One']);
+
+    parts.addPart(project, 3, 'Part Two');
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part Two', 'Part Two']);
+    expect(project.parts.map(p => p.title)).toEqual(['Part One', 'Part Two']);
+  });
+
+  test('getPartRuns and getPartStarts describe the grouping', () => {
+    const one = parts.addPart(project, 1, 'Part One');
+    const two = parts.addPart(project, 3, 'Part Two');
+
+    expect(parts.getPartRuns(project).map(r => [r.partId, r.start, r.end])).toEqual([
+      [null, 0, 1],
+      [one.id, 1, 3],
+      [two.id, 3, 5]
+    ]);
+    expect(parts.getPartStarts(project)).toEqual({ 1: one, 3: two });
+  });
+
+  test('moving a chapter over the edge of its part changes its part, not its position', () => {
+    parts.addPart(project, 1, 'Part One');
+    parts.addPart(project, 3, 'Part Two');
+
+    expect(parts.moveChapterAcrossPartEdge(project, 3, -1)).toBe(true);
+    expect(project.chapters[3].title).toBe('Three');
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part One', 'Part Two']);
+
+    expect(parts.moveChapterAcrossPartEdge(project, 1, 1)).toBe(false);
+  });
+
+  test('the last chapter of the last part can leave it', () => {
+    parts.addPart(project, 1, 'Part One');
+
+    expect(parts.moveChapterAcrossPartEdge(project, 4, 1)).toBe(true);
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part One', null]);
+  });
+
+  test('moveChapterToAdjacentPart jumps a chapter into the neighbouring part', () => {
+    parts.addPart(project, 1, 'Part One');
+    parts.addPart(project, 3, 'Part Two');
+
+    const newIndex = parts.moveChapterToAdjacentPart(project, 4, -1);
+    expect(newIndex).toBe(3);
+    expect(project.chapters.map(c => c.title)).toEqual(['Prologue', 'One', 'Two', 'Four', 'Three']);
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part One', 'Part Two']);
+
+    expect(parts.moveChapterToAdjacentPart(project, 1, 1)).toBe(3);
+    expect(project.chapters.map(c => c.title)).toEqual(['Prologue', 'Two', 'Four', 'One', 'Three']);
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part Two', 'Part Two']);
+  });
+
+  test('removing a part leaves its chapters in place', () => {
+    const one = parts.addPart(project, 1, 'Part One');
+    parts.removePart(project, one.id);
+
+    expect(partIds()).toEqual([null, null, null, null, null]);
+    expect(project.parts).toHaveLength(0);
+  });
+
+  test('normalizeParts keeps parts contiguous and drops empty ones', () => {
+    const one = parts.addPart(project, 1, 'Part One');
+    const two = parts.addPart(project, 3, 'Part Two');
+    project.chapters[4].partId = one.id;
+    project.chapters[3].partId = one.id;
+
+    expect(parts.normalizeParts(project)).toBe(true);
+    expect(partIds()).toEqual([null, 'Part One', 'Part One', 'Part One', 'Part One']);
+    expect(project.parts).toEqual([one]);
+    expect(parts.getPart(project, two.id)).toBeNull();
+  });
+
+  test('togglePartCollapsed flips the collapsed flag', () => {
+    const one = parts.addPart(project, 1, 'Part One');
+    parts.togglePartCollapsed(project, one.id);
+    expect(one.collapsed).toBe(true);
+  });
+});
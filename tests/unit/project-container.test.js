@@ -0,0 +1,212 @@
+/**
+ * Unit tests for single-file (.woolfz) projects
+ * Tests the zip container, lossless conversion and transparent load/save through the project model
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const container = require('../../src/components/controllers/project-container');
+const newProject = require('../../src/components/models/project');
+
+describe('Project container', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-container-')) + '/';
+  });
+
+  afterEach(() => {
+    ['Novel.woolfz', 'Moved.woolfz'].forEach(name => {
+      fs.rmSync(container.getWorkingDirectory(baseDir + name), { recursive: true, force: true });
+    });
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  function writeFolderProject(dir) {
+    fs.mkdirSync(dir + 'Novel_chapters', { recursive: true });
+    fs.writeFileSync(dir + 'Novel.woolf', JSON.stringify({
+      title: 'Novel',
+      chapsDirectory: 'Novel_chapters/',
+      chapters: [{ id: 'a1', title: 'One', filename: 'One.txt' }],
+      reference: [],
+      trash: []
+    }, null, '\t'));
+    fs.writeFileSync(dir + 'Novel_chapters/One.txt', 'It was a *dark* night.\r\n');
+    fs.writeFileSync(dir + 'Novel_chapters/-notes_One.txt', 'Notes\r\n');
+    fs.writeFileSync(dir + 'Novel_chapters/project_corkboard.txt', '# Cards\n');
+    fs.writeFileSync(dir + 'Novel_chapters/cover.bin', Buffer.from([0, 255, 1, 254, 2]));
+  }
+
+  function readTree(dir, rel = '') {
+    const files = {};
+    fs.readdirSync(dir + rel, { withFileTypes: true }).forEach(d => {
+      if (d.isDirectory()) Object.assign(files, readTree(dir, rel + d.name + '/'));
+      else files[rel + d.name] = fs.readFileSync(dir + rel + d.name).toString('base64');
+    });
+    return files;
+  }
+
+  //Zips as other tools write them: streamed entries with data descriptors, and zip64 records
+  function writeZip(zipPath, entries, options = {}) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(zipPath);
+      const archive = archiver('zip', options);
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+      entries.forEach(entry => archive.append(Readable.from([entry.data]), { name: entry.name }));
+      archive.finalize();
+    });
+  }
+
+  test('converting to a single file and back is lossless', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const containerPath = baseDir + 'Novel.woolfz';
+
+    await container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath);
+    const woolfPath = await container.convertFromContainer(containerPath, baseDir + 'unpacked');
+
+    expect(woolfPath).toBe(baseDir + 'unpacked/Novel.woolf');
+    expect(readTree(baseDir + 'unpacked/')).toEqual(readTree(baseDir + 'folder/'));
+  });
+
+  test('conversion refuses to overwrite existing files', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const containerPath = baseDir + 'Novel.woolfz';
+    await container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath);
+
+    await expect(container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath)).rejects.toThrow('already exists');
+    await expect(container.convertFromContainer(containerPath, baseDir + 'folder')).rejects.toThrow('already exists');
+  });
+
+  test('containers zipped again by other tools still open', async () => {
+    const zipPath = baseDir + 'Rezipped.woolfz';
+    await writeZip(zipPath, [
+      { name: 'Rezipped.woolf', data: Buffer.from('{"chapsDirectory":"Rezipped_chapters/"}') },
+      { name: 'Rezipped_chapters/One.txt', data: Buffer.from('It was a *dark* night.\r\n') }
+    ], { forceZip64: true });
+
+    expect(await container.unpackContainer(zipPath, baseDir + 'dest/')).toBe('Rezipped.woolf');
+    expect(fs.readFileSync(baseDir + 'dest/Rezipped_chapters/One.txt', 'utf8')).toBe('It was a *dark* night.\r\n');
+  });
+
+  test('entries that would escape the project directory are rejected', async () => {
+    const zipPath = baseDir + 'Evil.woolfz';
+    await writeZip(zipPath, [
+      { name: 'Evil.woolf', data: Buffer.from('{}') },
+      { name: 'xx/outside.txt', data: Buffer.from('x') }
+    ]);
+    //archiver cleans up such names, so the zip is changed afterwards
+    fs.writeFileSync(zipPath, Buffer.from(fs.readFileSync(zipPath).toString('latin1').replaceAll('xx/outside.txt', '../outside.txt'), 'latin1'));
+    await expect(container.unpackContainer(zipPath, baseDir + 'dest/')).rejects.toThrow('outside of the project directory');
+    expect(fs.existsSync(baseDir + 'outside.txt')).toBe(false);
+  });
+
+  test('a zip without a project manifest is not opened', async () => {
+    const zipPath = baseDir + 'Other.woolfz';
+    await writeZip(zipPath, [{ name: 'readme.txt', data: Buffer.from('x') }]);
+    await expect(container.unpackContainer(zipPath, baseDir + 'dest/')).rejects.toThrow('not a WareWoolf project');
+  });
+
+  test('loadContainer and saveFile work on a single-file project', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const containerPath = baseDir + 'Novel.woolfz';
+    await container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath);
+
+    const proj = newProject();
+    await proj.loadContainer(containerPath);
+
+    expect(proj.containerPath).toBe(containerPath);
+    expect(proj.directory).toBe(container.getWorkingDirectory(containerPath));
+    expect(proj.chapters[0].getFile().ops[0].insert).toContain('It was a ');
+
+    proj.chapters[0].title = 'First';
+    proj.chapters[0].contents = { ops: [{ insert: 'Rewritten.\n' }] };
+    proj.chapters[0].hasUnsavedChanges = true;
+    proj.saveFile();
+    await container.whenPacked(containerPath);
+
+    const names = (await unzipper.Open.file(containerPath)).files.map(e => e.path).sort();
+    expect(names).toEqual([
+      'Novel.woolf',
+      'Novel_chapters/-notes_First.txt',
+      'Novel_chapters/First.txt',
+      'Novel_chapters/cover.bin',
+      'Novel_chapters/project_corkboard.txt'
+    ]);
+    expect(fs.existsSync(containerPath + '.woolf-tmp')).toBe(false);
+
+    const reopened = newProject();
+    await reopened.loadContainer(containerPath);
+    expect(reopened.chapters[0].title).toBe('First');
+    expect(JSON.parse(fs.readFileSync(reopened.directory + reopened.filename, 'utf8')).containerPath).toBeUndefined();
+  });
+
+  test('a save that was never packed is packed when the container is reopened', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const containerPath = baseDir + 'Novel.woolfz';
+    await container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath);
+    const proj = newProject();
+    await proj.loadContainer(containerPath);
+
+    //The temp file can't be opened, so the pack fails
+    fs.mkdirSync(containerPath + '.woolf-tmp');
+    proj.chapters[0].contents = { ops: [{ insert: 'Rewritten.\n' }] };
+    proj.chapters[0].hasUnsavedChanges = true;
+    expect(await proj.saveFile()).toBe(false);
+    fs.rmdirSync(containerPath + '.woolf-tmp');
+
+    const reopened = newProject();
+    await reopened.loadContainer(containerPath);
+    expect(reopened.chapters[0].getFile().ops[0].insert).toContain('Rewritten.');
+    expect(reopened.hasUnsavedChanges).toBe(false);
+    const zip = await unzipper.Open.file(containerPath);
+    const chapter = zip.files.find(e => e.path == 'Novel_chapters/One.txt');
+    expect((await chapter.buffer()).toString('utf8')).toContain('Rewritten.');
+    expect(container.getUnpackedWork(containerPath)).toBeNull();
+  });
+
+  test('an interrupted save in the working directory is recovered, not unpacked over', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const containerPath = baseDir + 'Novel.woolfz';
+    await container.convertToContainer(baseDir + 'folder/Novel.woolf', containerPath);
+    const proj = newProject();
+    await proj.loadContainer(containerPath);
+
+    //As left by a crash after the save was committed
+    fs.writeFileSync(proj.directory + 'Novel_chapters/One.txt.woolf-tmp', 'Saved before the crash.\r\n');
+    fs.writeFileSync(proj.directory + 'Novel.woolf.journal', JSON.stringify({
+      state: 'committed',
+      writes: [{ target: 'Novel_chapters/One.txt', temp: 'Novel_chapters/One.txt.woolf-tmp' }],
+      renames: [],
+      removes: []
+    }));
+
+    const reopened = newProject();
+    await reopened.loadContainer(containerPath);
+    expect(reopened.saveRecovery).toBe('rolled-forward');
+    expect(reopened.chapters[0].getFile().ops[0].insert).toContain('Saved before the crash.');
+    const zip = await unzipper.Open.file(containerPath);
+    const chapter = zip.files.find(e => e.path == 'Novel_chapters/One.txt');
+    expect((await chapter.buffer()).toString('utf8')).toBe('Saved before the crash.\r\n');
+  });
+
+  test('saveAs can turn a folder project into a single file', async () => {
+    writeFolderProject(baseDir + 'folder/');
+    const proj = newProject();
+    proj.loadFile(baseDir + 'folder/Novel.woolf');
+
+    const saved = proj.saveAs(baseDir + 'Moved.woolfz');
+    await container.whenPacked();
+
+    expect(saved).toBe(baseDir + 'Moved.woolfz');
+    expect(proj.containerPath).toBe(baseDir + 'Moved.woolfz');
+    const names = (await unzipper.Open.file(saved)).files.map(e => e.path);
+    expect(names).toContain('Moved.woolf');
+    expect(names).toContain('Moved_chapters/One.txt');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for project templates
+ * Tests saving and listing templates, starting a project from one and saving it, and chapter naming
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const templates = require('../../src/components/controllers/project-templates');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+const { getCardsFromFile } = require('../../src/components/controllers/corkboard');
+
+describe('Project templates', () => {
+  let userData;
+  let templatesDir;
+
+  const novelTemplate = {
+    name: 'Novel',
+    description: 'Three acts',
+    chapterNaming: { pattern: 'Chapter [num]', useNumerals: false },
+    reference: [
+      { title: 'Character Bible', text: '# Characters\r\n*Anna*, the lead.\r\n' },
+      { title: 'Style Sheet', text: 'Serial comma.\r\n', notes: 'Ask the editor.\r\n' }
+    ],
+    cards: [{ label: 'Act One', descr: 'Setup' }, { label: 'Act Two', descr: 'Trouble', color: 2 }],
+    notes: 'Due in June.\r\n'
+  };
+
+  function startProject() {
+    const proj = newProject();
+    proj.title = 'Book';
+    proj.notesChap = newChapter(proj);
+    return templates.applyTemplate(proj, templates.loadTemplate(templatesDir, 'Novel'));
+  }
+
+  beforeEach(() => {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-templates-'));
+    templatesDir = templates.getTemplatesDirectory(userData);
+  });
+
+  afterEach(() => {
+    fs.rmSync(userData, { recursive: true, force: true });
+  });
+
+  test('templates are saved in the templates directory and listed by name', () => {
+    expect(templates.listTemplates(templatesDir)).toEqual([]);
+
+    templates.saveTemplate(templatesDir, novelTemplate);
+    templates.saveTemplate(templatesDir, { name: 'Article' });
+    fs.writeFileSync(templatesDir + 'Broken.json', '{ not json');
+
+    expect(templates.listTemplates(templatesDir)).toEqual([
+      { name: 'Article', description: '' },
+      { name: 'Novel', description: 'Three acts' }
+    ]);
+    expect(() => templates.loadTemplate(templatesDir, 'Memoir')).toThrow('Unknown template: Memoir');
+    expect(() => templates.saveTemplate(templatesDir, { name: ' ' })).toThrow('needs a name');
+  });
+
+  test('a new project gets the reference documents, first chapter, cards and notes', () => {
+    templates.saveTemplate(templatesDir, novelTemplate);
+    const proj = startProject();
+
+    expect(proj.reference.map(c => c.title)).toEqual(['Character Bible', 'Style Sheet']);
+    expect(proj.reference[0].contents.ops[0].insert).toBe('Characters');
+    expect(proj.reference[1].notes.ops[0].insert).toContain('Ask the editor.');
+    expect(proj.chapters.map(c => c.title)).toEqual(['Chapter One']);
+    expect(proj.pendingCards).toEqual([
+      { label: 'Act One', descr: 'Setup', color: 0, checked: false },
+      { label: 'Act Two', descr: 'Trouble', color: 2, checked: false }
+    ]);
+    expect(proj.hasUnsavedChanges).toBe(true);
+    expect(templates.getNewChapterTitle(proj, 1)).toBe('Chapter Two');
+  });
+
+  test('the project saves everything from the template and can be saved as a template again', () => {
+    templates.saveTemplate(templatesDir, novelTemplate);
+    const proj = startProject();
+    const projDir = userData + '/projects/';
+
+    proj.saveAs(projDir + 'Book.woolf');
+
+    const saved = newProject();
+    saved.loadFile(projDir + 'Book.woolf');
+    expect(saved.chapterNaming).toEqual({ pattern: 'Chapter [num]', useNumerals: false });
+    expect(saved.reference[1].getFile().ops[0].insert).toContain('Serial comma.');
+    expect(getCardsFromFile(projDir + saved.chapsDirectory).map(c => c.label)).toEqual(['Act One', 'Act Two']);
+    expect(saved.notesChap.getNotesContentOrFile().ops[0].insert).toContain('Due in June.');
+
+    const again = templates.createTemplateFromProject(saved, 'Novel 2');
+    expect(again).toMatchObject({ name: 'Novel 2', chapterNaming: novelTemplate.chapterNaming, chapters: [] });
+    expect(again.reference.map(doc => doc.title)).toEqual(['Character Bible', 'Style Sheet']);
+    expect(again.reference[0].text).toContain('*Anna*');
+    expect(again.cards.length).toBe(2);
+    expect(again.notes).toContain('Due in June.');
+  });
+});
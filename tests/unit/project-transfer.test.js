@@ -0,0 +1,107 @@
+/**
+ * Unit tests for copying and moving chapters between open projects
+ * Tests that chapters use their own project's directory and carry their contents, notes and metadata across
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { copyChapterToProject } = require('../../src/components/controllers/project-transfer');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Project transfer', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-transfer-')) + '/';
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  function writeProject(name, chapters) {
+    const dir = baseDir + name + '/';
+    fs.mkdirSync(dir + name + '_chapters', { recursive: true });
+    fs.writeFileSync(dir + name + '.woolf', JSON.stringify({
+      title: name,
+      chapsDirectory: name + '_chapters/',
+      chapters: chapters.map(c => ({ id: c.id, title: c.title, filename: c.title + '.txt', filter: c.filter || [], status: c.status || null })),
+      reference: [],
+      trash: []
+    }, null, '\t'));
+    chapters.forEach(c => {
+      fs.writeFileSync(dir + name + '_chapters/' + c.title + '.txt', c.text + '\r\n');
+      if (c.notes)
+        fs.writeFileSync(dir + name + '_chapters/-notes_' + c.title + '.txt', c.notes + '\r\n');
+    });
+    const proj = newProject();
+    proj.loadFile(dir + name + '.woolf');
+    return proj;
+  }
+
+  test('chapters of two open projects read and save in their own directories', () => {
+    const novel = writeProject('Novel', [{ id: 'n1', title: 'One', text: 'Novel text.' }]);
+    const stories = writeProject('Stories', [{ id: 's1', title: 'One', text: 'Story text.' }]);
+
+    expect(novel.chapters[0].project).toBe(novel);
+    expect(novel.chapters[0].getFile().ops[0].insert).toContain('Novel text.');
+    expect(stories.chapters[0].getFile().ops[0].insert).toContain('Story text.');
+
+    stories.chapters[0].contents = { ops: [{ insert: 'Revised story.\n' }] };
+    stories.chapters[0].hasUnsavedChanges = true;
+    stories.saveFile();
+
+    expect(fs.readFileSync(baseDir + 'Stories/Stories_chapters/One.txt', 'utf8')).toContain('Revised story.');
+    expect(fs.readFileSync(baseDir + 'Novel/Novel_chapters/One.txt', 'utf8')).toContain('Novel text.');
+  });
+
+  test('the owning project is not written to the project file', () => {
+    const novel = writeProject('Novel', [{ id: 'n1', title: 'One', text: 'Text.' }]);
+    novel.saveFile();
+    const saved = JSON.parse(fs.readFileSync(baseDir + 'Novel/Novel.woolf', 'utf8'));
+    expect(saved.chapters[0].project).toBeUndefined();
+  });
+
+  test('copying brings contents, notes and metadata into the target project', () => {
+    const novel = writeProject('Novel', [{ id: 'n1', title: 'Storm', text: 'It *rained*.', notes: 'Check weather', filter: ['pov:anna'], status: 'draft' }]);
+    const stories = writeProject('Stories', [{ id: 's1', title: 'Opening', text: 'Story text.' }]);
+
+    const copy = copyChapterToProject(novel.chapters[0], stories);
+
+    expect(stories.chapters).toHaveLength(2);
+    expect(copy.project).toBe(stories);
+    expect(copy.id).not.toBe('n1');
+    expect(copy.title).toBe('Storm');
+    expect(copy.filter).toEqual(['pov:anna']);
+    expect(copy.status).toBe('draft');
+    expect(copy.filename).toBeNull();
+    expect(stories.hasUnsavedChanges).toBe(true);
+
+    stories.saveFile();
+    expect(fs.readFileSync(baseDir + 'Stories/Stories_chapters/Storm.txt', 'utf8')).toContain('It *rained*.');
+    expect(fs.readFileSync(baseDir + 'Stories/Stories_chapters/-notes_Storm.txt', 'utf8')).toContain('Check weather');
+    expect(novel.chapters[0].filename).toBe('Storm.txt');
+    expect(fs.existsSync(baseDir + 'Novel/Novel_chapters/Storm.txt')).toBe(true);
+  });
+
+  test('editing a copy leaves the original alone', () => {
+    const novel = writeProject('Novel', [{ id: 'n1', title: 'One', text: 'Original.' }]);
+    const stories = writeProject('Stories', []);
+    stories.notesChap = newChapter(stories);
+
+    const copy = copyChapterToProject(novel.chapters[0], stories);
+    copy.contents.ops[0].insert = 'Changed.\n';
+
+    expect(novel.chapters[0].getContentsOrFile().ops[0].insert).toContain('Original.');
+  });
+
+  test('a moved chapter keeps its id unless the target already uses it', () => {
+    const novel = writeProject('Novel', [{ id: 'n1', title: 'One', text: 'Text.' }, { id: 'shared', title: 'Two', text: 'More.' }]);
+    const stories = writeProject('Stories', [{ id: 'shared', title: 'Other', text: 'Story.' }]);
+
+    expect(copyChapterToProject(novel.chapters[0], stories, true).id).toBe('n1');
+    expect(copyChapterToProject(novel.chapters[1], stories, true).id).not.toBe('shared');
+  });
+});
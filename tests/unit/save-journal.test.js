@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the journaled project save
+ * Tests that saves commit atomically and that interrupted saves are recovered on load
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { commitSave, recoverInterruptedSave } = require('../../src/components/controllers/save-journal');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Save journal', () => {
+  let projDir;
+
+  beforeEach(() => {
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-journal-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+  });
+
+  function read(relPath) {
+    return fs.readFileSync(projDir + relPath, 'utf8');
+  }
+
+  test('commitSave writes, renames and removes files and clears the journal', () => {
+    fs.writeFileSync(projDir + 'Novel_chapters/old.txt', 'old');
+    fs.writeFileSync(projDir + 'Novel_chapters/-notes_old.txt', 'notes');
+
+    commitSave(projDir, 'Novel.woolf', {
+      writes: [
+        { path: 'Novel_chapters/new.txt', data: 'new' },
+        { path: 'Novel.woolf', data: '{}' }
+      ],
+      renames: [{ from: 'Novel_chapters/-notes_old.txt', to: 'Novel_chapters/-notes_new.txt' }],
+      removes: ['Novel_chapters/old.txt']
+    });
+
+    expect(read('Novel_chapters/new.txt')).toBe('new');
+    expect(read('Novel_chapters/-notes_new.txt')).toBe('notes');
+    expect(read('Novel.woolf')).toBe('{}');
+    expect(fs.existsSync(projDir + 'Novel_chapters/old.txt')).toBe(false);
+    expect(fs.existsSync(projDir + 'Novel.woolf.journal')).toBe(false);
+    expect(fs.readdirSync(projDir + 'Novel_chapters').filter(f => f.endsWith('.woolf-tmp'))).toHaveLength(0);
+  });
+
+  test('recoverInterruptedSave returns null when there is no journal', () => {
+    expect(recoverInterruptedSave(projDir, 'Novel.woolf')).toBeNull();
+  });
+
+  test('a committed journal is rolled forward', () => {
+    fs.writeFileSync(projDir + 'Novel.woolf', 'old project');
+    fs.writeFileSync(projDir + 'Novel.woolf.woolf-tmp', 'new project');
+    fs.writeFileSync(projDir + 'Novel_chapters/a.txt', 'stale');
+    fs.writeFileSync(projDir + 'Novel.woolf.journal', JSON.stringify({
+      state: 'committed',
+      writes: [{ target: 'Novel.woolf', temp: 'Novel.woolf.woolf-tmp' }],
+      renames: [],
+      removes: ['Novel_chapters/a.txt']
+    }));
+
+    expect(recoverInterruptedSave(projDir, 'Novel.woolf')).toBe('rolled-forward');
+    expect(read('Novel.woolf')).toBe('new project');
+    expect(fs.existsSync(projDir + 'Novel_chapters/a.txt')).toBe(false);
+    expect(fs.existsSync(projDir + 'Novel.woolf.journal')).toBe(false);
+  });
+
+  test('a pending journal is rolled back', () => {
+    fs.writeFileSync(projDir + 'Novel.woolf', 'old project');
+    fs.writeFileSync(projDir + 'Novel.woolf.woolf-tmp', 'half written');
+    fs.writeFileSync(projDir + 'Novel.woolf.journal', JSON.stringify({
+      state: 'pending',
+      writes: [{ target: 'Novel.woolf', temp: 'Novel.woolf.woolf-tmp' }],
+      renames: [],
+      removes: []
+    }));
+
+    expect(recoverInterruptedSave(projDir, 'Novel.woolf')).toBe('rolled-back');
+    expect(read('Novel.woolf')).toBe('old project');
+    expect(fs.existsSync(projDir + 'Novel.woolf.woolf-tmp')).toBe(false);
+    expect(fs.existsSync(projDir + 'Novel.woolf.journal')).toBe(false);
+  });
+
+  test('an unreadable journal is rolled back', () => {
+    fs.writeFileSync(projDir + 'Novel.woolf', 'old project');
+    fs.writeFileSync(projDir + 'Novel.woolf.journal', '{"state":"pend');
+
+    expect(recoverInterruptedSave(projDir, 'Novel.woolf')).toBe('rolled-back');
+    expect(read('Novel.woolf')).toBe('old project');
+  });
+
+  describe('project saveFile', () => {
+    let proj;
+
+    beforeEach(() => {
+      proj = newProject();
+      proj.filename = 'Novel.woolf';
+      proj.directory = projDir;
+      proj.chapsDirectory = 'Novel_chapters/';
+      proj.notesChap = newChapter();
+    });
+
+    test('saves retitled chapters and the project file together', () => {
+      fs.writeFileSync(projDir + 'Novel_chapters/One.txt', 'Old text\r\n');
+      const chap = newChapter();
+      chap.title = 'First';
+      chap.filename = 'One.txt';
+      chap.contents = { ops: [{ insert: 'New text\n' }] };
+      chap.hasUnsavedChanges = true;
+      proj.chapters.push(chap);
+
+      proj.saveFile();
+
+      expect(chap.filename).toBe('First.txt');
+      expect(chap.hasUnsavedChanges).toBe(false);
+      expect(read('Novel_chapters/First.txt')).toBe('New text\r\n');
+      expect(fs.existsSync(projDir + 'Novel_chapters/One.txt')).toBe(false);
+      expect(JSON.parse(read('Novel.woolf')).chapters[0].filename).toBe('First.txt');
+    });
+
+    test('gives chapters with the same title distinct files', () => {
+      ['A', 'B'].forEach(() => {
+        const chap = newChapter();
+        chap.title = 'Same';
+        chap.contents = { ops: [{ insert: 'x\n' }] };
+        chap.hasUnsavedChanges = true;
+        proj.chapters.push(chap);
+      });
+
+      proj.saveFile();
+
+      expect(proj.chapters.map(c => c.filename)).toEqual(['Same.txt', 'Same_2.txt']);
+    });
+
+    test('chapter tags are saved in the chapter\'s filter', () => {
+      const chap = newChapter();
+      chap.title = 'One';
+      chap.filter = ['pov:Anna', 'draft'];
+      chap.contents = { ops: [{ insert: 'x\n' }] };
+      chap.hasUnsavedChanges = true;
+      proj.chapters.push(chap);
+
+      proj.saveFile();
+
+      expect(JSON.parse(read('Novel.woolf')).chapters[0].filter).toEqual(['pov:Anna', 'draft']);
+    });
+
+    test('loadFile reports a recovered save', () => {
+      fs.writeFileSync(projDir + 'Novel.woolf', JSON.stringify({ chapters: [], reference: [], trash: [], chapsDirectory: 'Novel_chapters/' }));
+      fs.writeFileSync(projDir + 'Novel.woolf.journal', JSON.stringify({ state: 'pending', writes: [], renames: [], removes: [] }));
+
+      proj.loadFile(projDir + 'Novel.woolf');
+
+      expect(proj.saveRecovery).toBe('rolled-back');
+    });
+
+    test('loadFile gives chapters from before ids one without saving', () => {
+      const projectFile = JSON.stringify({ chapters: [{ title: 'One', filename: 'One.txt' }], reference: [], trash: [], chapsDirectory: 'Novel_chapters/' });
+      fs.writeFileSync(projDir + 'Novel.woolf', projectFile);
+      fs.writeFileSync(projDir + 'Novel_chapters/One.txt', 'Text\r\n');
+
+      proj.loadFile(projDir + 'Novel.woolf');
+
+      expect(proj.chapters[0].id).toEqual(expect.any(String));
+      expect(proj.hasUnsavedChanges).toBe(true);
+      expect(read('Novel.woolf')).toBe(projectFile);
+
+      proj.saveFile();
+      expect(JSON.parse(read('Novel.woolf')).chapters[0].id).toBe(proj.chapters[0].id);
+    });
+  });
+});
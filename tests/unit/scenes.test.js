@@ -0,0 +1,129 @@
+/**
+ * Unit tests for scenes inside chapters
+ * Tests scene breaks in MDFC, scene metadata, moving scenes, splitting chapters at a scene and compiled breaks
+ */
+
+const scenes = require('../../src/components/controllers/scenes');
+const { parseMDF, convertDeltaToMDF } = require('../../src/components/controllers/markdownFic');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Scenes', () => {
+  let proj;
+
+  function addChapter(title, ops) {
+    const chap = newChapter(proj);
+    chap.title = title;
+    chap.contents = { ops: ops };
+    proj.chapters.push(chap);
+    return chap;
+  }
+
+  function text(chap) {
+    return chap.contents.ops.map(op => op.insert).join('');
+  }
+
+  beforeEach(() => {
+    proj = newProject();
+    addChapter('One', [
+      { insert: 'Morning at the farm.\n' },
+      { insert: '\n', attributes: { scene: 's-noon' } },
+      { insert: 'Noon in town.\n' },
+      { insert: '\n', attributes: { scene: 's-night' } },
+      { insert: 'Night', attributes: { italic: true } },
+      { insert: ' by the river.\n' }
+    ]);
+    addChapter('Two', [{ insert: 'The next day.\n' }]);
+  });
+
+  test('scene breaks are saved as marker lines in MDFC and read back', () => {
+    const mdfc = convertDeltaToMDF(proj.chapters[0].contents);
+
+    expect(mdfc).toBe('Morning at the farm.\r\n[#scene s-noon]\r\nNoon in town.\r\n[#scene s-night]\r\n*Night* by the river.\r\n');
+    expect(parseMDF(mdfc).ops.filter(op => op.attributes && op.attributes.scene).map(op => op.attributes.scene))
+      .toEqual(['s-noon', 's-night']);
+    expect(parseMDF('A\r\n[\\#scene] is text\r\n').ops[2]).toEqual({ insert: '[#scene] is text' });
+  });
+
+  test('chapters are divided into scenes with their own metadata and word counts', () => {
+    const chap = proj.chapters[0];
+    scenes.setSceneMetadata(chap, 's-noon', { title: 'Town', summary: 'Anna shops.', status: 'Draft' });
+
+    expect(scenes.listScenes(chap).map(s => [s.number, s.id, s.title, s.status, s.words])).toEqual([
+      [1, 'opening', '', null, 4],
+      [2, 's-noon', 'Town', 'draft', 3],
+      [3, 's-night', '', null, 4]
+    ]);
+    expect(scenes.getSceneAt(chap.contents, 25).id).toBe('s-noon');
+    expect(() => scenes.setSceneMetadata(chap, 2, { status: 'done' })).toThrow('Invalid status');
+    expect(() => scenes.setSceneMetadata(chap, 9, { title: 'x' })).toThrow('Unknown scene');
+  });
+
+  test('breaks without ids, or with copied ids, get ids of their own', () => {
+    const chap = addChapter('Three', [
+      { insert: 'A\n' },
+      { insert: '\n', attributes: { scene: true } },
+      { insert: 'B\n' },
+      { insert: '\n', attributes: { scene: 's-copy' } },
+      { insert: '\n', attributes: { scene: 's-copy' } }
+    ]);
+
+    expect(scenes.ensureSceneIds(chap)).toBe(true);
+    const ids = scenes.getScenes(chap.contents).map(s => s.id);
+    expect(new Set(ids).size).toBe(4);
+    expect(ids[2]).toBe('s-copy');
+    expect(chap.hasUnsavedChanges).toBe(true);
+  });
+
+  test('a scene moves to the end of another chapter with its metadata', () => {
+    const [one, two] = proj.chapters;
+    scenes.setSceneMetadata(one, 's-noon', { summary: 'Anna shops.' });
+
+    const moved = scenes.moveScene(one, 's-noon', two);
+
+    expect(text(one)).toBe('Morning at the farm.\n\nNight by the river.\n');
+    expect(text(two)).toBe('The next day.\n\nNoon in town.\n');
+    expect(moved).toMatchObject({ id: 's-noon', number: 2 });
+    expect(two.scenes['s-noon']).toEqual({ summary: 'Anna shops.' });
+    expect(one.scenes['s-noon']).toBeUndefined();
+
+    //The opening scene needs a break of its own in its new chapter, and the next scene opens the old one
+    const movedOpening = scenes.moveScene(one, 1, two);
+    expect(movedOpening.id).not.toBe('opening');
+    expect(text(one)).toBe('Night by the river.\n');
+    expect(scenes.getScenes(one.contents).map(s => s.id)).toEqual(['opening']);
+  });
+
+  test('splitting at a scene puts it and the scenes after it in a new chapter', () => {
+    const one = proj.chapters[0];
+    scenes.setSceneMetadata(one, 's-noon', { title: 'Town' });
+    scenes.setSceneMetadata(one, 's-night', { summary: 'By the water.' });
+    proj.activeChapterIndex = 1;
+
+    const newChap = scenes.splitChapterAtScene(proj, one, 's-noon');
+
+    expect(proj.chapters.map(c => c.title)).toEqual(['One', 'Town', 'Two']);
+    expect(proj.activeChapterIndex).toBe(2);
+    expect(text(one)).toBe('Morning at the farm.\n');
+    expect(text(newChap)).toBe('Noon in town.\n\nNight by the river.\n');
+    expect(newChap.scenes).toEqual({ opening: { title: 'Town' }, 's-night': { summary: 'By the water.' } });
+    expect(() => scenes.splitChapterAtScene(proj, one, 1)).toThrow('no scene break');
+  });
+
+  test('compiled scene breaks use the text for the format, and a leading break is dropped', () => {
+    const delta = { ops: [{ insert: '\n', attributes: { scene: 'a' } }].concat(proj.chapters[0].contents.ops) };
+
+    expect(scenes.renderSceneBreaks(delta, '#').ops).toEqual([
+      { insert: 'Morning at the farm.\n' },
+      { insert: '#' },
+      { insert: '\n', attributes: { align: 'center' } },
+      { insert: 'Noon in town.\n' },
+      { insert: '#' },
+      { insert: '\n', attributes: { align: 'center' } },
+      { insert: 'Night', attributes: { italic: true } },
+      { insert: ' by the river.\n' }
+    ]);
+    expect(scenes.getSceneBreakStyle('.docx')).toBe('#');
+    expect(scenes.getSceneBreakStyle('.docx', { '.docx': '~' })).toBe('~');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the project-wide search index
+ * Tests query modes, snippets, incremental updates from memory and saves, and persisting the index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSearchIndex, getSearchIndex, indexFilename } = require('../../src/components/controllers/search-index');
+const newProject = require('../../src/components/models/project');
+
+describe('Search index', () => {
+  let projDir;
+  let proj;
+
+  beforeEach(() => {
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-search-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+    fs.writeFileSync(projDir + 'Novel.woolf', JSON.stringify({
+      title: 'Novel',
+      chapsDirectory: 'Novel_chapters/',
+      chapters: [
+        { id: 'c1', title: 'Storm', filename: 'Storm.txt' },
+        { id: 'c2', title: 'Calm', filename: 'Calm.txt' }
+      ],
+      reference: [{ id: 'r1', title: 'Places', filename: 'Places.txt' }],
+      trash: [{ id: 't1', title: 'Cut', filename: 'Cut.txt' }]
+    }, null, '\t'));
+    fs.writeFileSync(projDir + 'Novel_chapters/Storm.txt', 'The storm broke over\r\nthe harbour. Stormy nights followed.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Calm.txt', 'After the storm came the calm.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/-notes_Calm.txt', 'Move the storm earlier?\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Places.txt', 'The harbour town of Storm Point.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Cut.txt', 'A storm that was cut.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/-notes_project_.txt', 'Storms everywhere.\r\n');
+
+    proj = newProject();
+    proj.loadFile(projDir + 'Novel.woolf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+  });
+
+  function where(results) {
+    return results.map(r => r.kind + ':' + r.title);
+  }
+
+  test('finds words in chapters, reference and notes but not the trash', () => {
+    const results = createSearchIndex(proj).search('storm');
+
+    expect(where(results)).toEqual([
+      'chapter:Storm', 'chapter:Storm',
+      'chapter:Calm', 'notes:Calm',
+      'reference:Places',
+      'project-notes:Project Notes'
+    ]);
+    expect(results[0].chapterIndex).toBe(0);
+    expect(results[2].chapterIndex).toBe(1);
+    expect(results[4].chapterIndex).toBe(2);
+    expect(results[5].chapterIndex).toBe(-1);
+  });
+
+  test('whole-word and case-sensitive modes narrow the hits', () => {
+    const index = createSearchIndex(proj);
+
+    expect(index.search('storm', { wholeWord: true })).toHaveLength(4);
+    expect(where(index.search('Storm', { caseSensitive: true }))).toEqual(['chapter:Storm', 'reference:Places', 'project-notes:Project Notes']);
+    expect(where(index.search('Storm', { caseSensitive: true, wholeWord: true }))).toEqual(['reference:Places']);
+  });
+
+  test('phrases match across line breaks and give offsets and snippets', () => {
+    const results = createSearchIndex(proj).search('broke over the harbour');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].offset).toBe(10);
+    expect(results[0].match).toBe('broke over\nthe harbour');
+    expect(results[0].snippet).toContain('The storm broke over the harbour.');
+    expect(results[0].snippet.substr(results[0].snippetOffset, 5)).toBe('broke');
+    expect(createSearchIndex(proj).search('storm harbour')).toHaveLength(0);
+  });
+
+  test('regular expressions are supported and invalid ones throw', () => {
+    const index = createSearchIndex(proj);
+
+    expect(index.search('storm\\w+', { regex: true }).map(r => r.match)).toEqual(['Stormy', 'Storms']);
+    expect(() => index.search('storm(', { regex: true })).toThrow();
+  });
+
+  test('unsaved edits are searched from memory and saves update the index', () => {
+    const index = getSearchIndex(proj);
+    expect(index.search('lighthouse')).toHaveLength(0);
+
+    proj.chapters[1].contents = { ops: [{ insert: 'The lighthouse went dark.\n' }] };
+    proj.chapters[1].hasUnsavedChanges = true;
+    expect(where(index.search('lighthouse'))).toEqual(['chapter:Calm']);
+
+    proj.saveFile();
+    expect(proj.chapters[1].contents).toBeNull();
+    expect(where(index.search('lighthouse'))).toEqual(['chapter:Calm']);
+    expect(index.search('the calm')).toHaveLength(0);
+
+    proj.chapters.splice(0, 1);
+    expect(index.search('stormy')).toHaveLength(0);
+  });
+
+  test('files changed outside WareWoolf are reindexed', () => {
+    const index = createSearchIndex(proj);
+    expect(index.search('lantern')).toHaveLength(0);
+
+    const file = projDir + 'Novel_chapters/Calm.txt';
+    fs.writeFileSync(file, 'A lantern swung.\r\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+
+    expect(where(index.search('lantern'))).toEqual(['chapter:Calm']);
+  });
+
+  test('a persisted index is saved with the project and reused', () => {
+    getSearchIndex(proj, true).search('storm');
+    proj.chapters[0].hasUnsavedChanges = true;
+    proj.saveFile();
+    expect(fs.existsSync(projDir + 'Novel_chapters/' + indexFilename)).toBe(true);
+
+    const reopened = newProject();
+    reopened.loadFile(projDir + 'Novel.woolf');
+    expect(reopened.searchIndex).toBeNull();
+    const index = createSearchIndex(reopened, true);
+    expect(index.getDocumentCount()).toBeGreaterThan(0);
+    expect(index.search('harbour')).toHaveLength(2);
+  });
+});
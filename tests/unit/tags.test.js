@@ -0,0 +1,82 @@
+/**
+ * Unit tests for chapter tags and saved filter views
+ * Tests tag parsing, matching and the active filter view
+ */
+
+const tags = require('../../src/components/controllers/tags');
+
+describe('Tags', () => {
+  let project;
+
+  beforeEach(() => {
+    project = {
+      chapters: [
+        { title: 'One', filter: ['pov:Walton', 'location:Arctic'] },
+        { title: 'Two', filter: ['pov:Victor', 'location:Geneva', 'draft'] },
+        { title: 'Three', filter: [] },
+        { title: 'Four', filter: null } //As in projects from before tags
+      ],
+      reference: [{ title: 'Characters', filter: ['draft'] }],
+      filters: [],
+      activeFilterId: null
+    };
+  });
+
+  test('parseTagList trims, drops empties and removes duplicates ignoring case', () => {
+    expect(tags.parseTagList(' pov:Anna ,, Draft, draft,  two  words ')).toEqual(['pov:Anna', 'Draft', 'two words']);
+    expect(tags.parseTagList(['a', 'A', ' b '])).toEqual(['a', 'b']);
+    expect(tags.parseTagList(undefined)).toEqual([]);
+  });
+
+  test('tagChapter and untagChapter report what changed', () => {
+    const chap = project.chapters[3];
+    expect(tags.tagChapter(chap, 'draft, pov:Elizabeth')).toEqual(['draft', 'pov:Elizabeth']);
+    expect(tags.tagChapter(chap, 'DRAFT')).toEqual([]);
+    expect(tags.untagChapter(chap, 'Draft')).toEqual(['draft']);
+    expect(chap.filter).toEqual(['pov:Elizabeth']);
+  });
+
+  test('a key with a trailing colon matches any value', () => {
+    expect(tags.hasTag(project.chapters[0], 'POV:')).toBe(true);
+    expect(tags.hasTag(project.chapters[2], 'pov:')).toBe(false);
+    expect(tags.hasTag(project.chapters[0], 'pov')).toBe(false);
+  });
+
+  test('queryChapters matches all or any of the tags', () => {
+    expect(tags.queryChapters(project, { tags: 'pov:, draft' })).toEqual([1]);
+    expect(tags.queryChapters(project, { tags: 'location:Arctic, draft', match: 'any' })).toEqual([0, 1]);
+    expect(tags.queryChapters(project, { tags: '' })).toEqual([0, 1, 2, 3]);
+  });
+
+  test('getAllTags counts chapters and reference documents', () => {
+    expect(tags.getAllTags(project)).toEqual([
+      { tag: 'draft', count: 2 },
+      { tag: 'location:Arctic', count: 1 },
+      { tag: 'location:Geneva', count: 1 },
+      { tag: 'pov:Victor', count: 1 },
+      { tag: 'pov:Walton', count: 1 }
+    ]);
+  });
+
+  test('saving a view under an existing name updates it', () => {
+    const view = tags.saveFilterView(project, 'Drafts', 'draft', 'all');
+    const again = tags.saveFilterView(project, 'drafts', 'draft, pov:', 'any');
+    expect(again).toBe(view);
+    expect(project.filters).toHaveLength(1);
+    expect(view.tags).toEqual(['draft', 'pov:']);
+    expect(view.match).toBe('any');
+  });
+
+  test('the active view decides which chapters are shown', () => {
+    const view = tags.saveFilterView(project, 'Victor', 'pov:Victor');
+    expect(tags.isChapterInActiveView(project, project.chapters[0])).toBe(true);
+
+    tags.setActiveFilterView(project, view.id);
+    expect(tags.isChapterInActiveView(project, project.chapters[0])).toBe(false);
+    expect(tags.isChapterInActiveView(project, project.chapters[1])).toBe(true);
+
+    tags.removeFilterView(project, view.id);
+    expect(project.activeFilterId).toBeNull();
+    expect(tags.isChapterInActiveView(project, project.chapters[0])).toBe(true);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the story timeline
+ * Tests story order and in-story dates, chronology conflicts with the codex, the reading/story order view and the appendix
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const timeline = require('../../src/components/controllers/timeline');
+const codex = require('../../src/components/controllers/codex');
+const scenes = require('../../src/components/controllers/scenes');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+
+describe('Timeline', () => {
+  let proj;
+
+  function addChapter(title, ops) {
+    const chap = newChapter(proj);
+    chap.title = title;
+    chap.contents = { ops: ops };
+    proj.chapters.push(chap);
+    return chap;
+  }
+
+  beforeEach(() => {
+    proj = newProject();
+    addChapter('Arrival', [
+      { insert: 'The train.\n' },
+      { insert: '\n', attributes: { scene: 's-ball' } },
+      { insert: 'The ball.\n' }
+    ]);
+    addChapter('Childhood', [{ insert: 'Years before.\n' }]);
+    addChapter('Letters', [{ insert: 'Meanwhile.\n' }]);
+    proj.chapters[0].scenes = { 's-ball': { title: 'The Ball' } };
+  });
+
+  test('dated events take their place in story order and the timeline is saved in the project file', () => {
+    const [arrival, childhood, letters] = proj.chapters;
+    codex.addEntry(proj, { name: 'Anna' });
+    const first = timeline.addEvent(proj, { chapterId: arrival.id, date: '1873-05-14', codex: 'Anna' });
+    const ball = timeline.addEvent(proj, { chapterId: arrival.id, sceneId: 's-ball', date: '1873-05-14 21:00' });
+    const undated = timeline.addEvent(proj, { chapterId: letters.id });
+    const early = timeline.addEvent(proj, { chapterId: childhood.id, date: '1850-01-01' });
+
+    expect(timeline.getTimeline(proj).map(e => e.id)).toEqual([early.id, first.id, ball.id, undated.id]);
+    expect(() => timeline.addEvent(proj, { chapterId: arrival.id })).toThrow('already on the timeline');
+
+    timeline.moveEvent(proj, undated.id, 1);
+    timeline.updateEvent(proj, early.id, { date: '1873-05-15' });
+    expect(timeline.getTimeline(proj).map(e => e.id)).toEqual([undated.id, first.id, ball.id, early.id]);
+    expect(proj.hasUnsavedChanges).toBe(true);
+
+    const projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-timeline-')) + '/';
+    try {
+      proj.saveAs(projDir + 'Novel.woolf');
+      const saved = newProject();
+      saved.loadFile(projDir + 'Novel.woolf');
+      expect(saved.timeline.map(e => [e.chapterId, e.sceneId, e.date])).toEqual([
+        [letters.id, null, ''],
+        [arrival.id, null, '1873-05-14'],
+        [arrival.id, 's-ball', '1873-05-14 21:00'],
+        [childhood.id, null, '1873-05-15']
+      ]);
+      expect(saved.timeline[1].codex).toEqual([codex.findEntry(proj, 'Anna').id]);
+    }
+    finally {
+      fs.rmSync(projDir, { recursive: true, force: true });
+    }
+  });
+
+  test('story dates are checked', () => {
+    const chap = proj.chapters[0];
+    expect(timeline.parseStoryDate('-44-03-15').start).toBeLessThan(timeline.parseStoryDate('1-01-01').start);
+    expect(() => timeline.addEvent(proj, { chapterId: chap.id, date: 'May 14th' })).toThrow('Invalid story date: May 14th');
+    expect(() => timeline.addEvent(proj, { chapterId: chap.id, date: '1873-13-01' })).toThrow('Invalid story date');
+    expect(() => timeline.addEvent(proj, { chapterId: chap.id, end: '1873-05-14' })).toThrow('needs a date');
+    expect(() => timeline.addEvent(proj, { chapterId: chap.id, date: '1873-05-14', end: '1873-05-13' })).toThrow('cannot end before it starts');
+    expect(() => timeline.addEvent(proj, { chapterId: 'nope' })).toThrow('Unknown chapter');
+    expect(timeline.getTimeline(proj)).toEqual([]);
+  });
+
+  test('conflicts flag events out of date order and a character in two places at once', () => {
+    const [arrival, childhood, letters] = proj.chapters;
+    codex.addEntry(proj, { name: 'Anna' });
+    codex.addEntry(proj, { name: 'Moscow', type: 'place' });
+    codex.addEntry(proj, { name: 'Petersburg', type: 'place' });
+    letters.filter = ['pov:Anna'];
+
+    timeline.addEvent(proj, { chapterId: arrival.id, date: '1873-05-14 18:00', codex: 'Anna, Moscow' });
+    const away = timeline.addEvent(proj, { chapterId: letters.id, date: '1873-05-14', codex: 'Petersburg' });
+    expect(() => timeline.updateEvent(proj, away.id, { codex: 'Kitty' })).toThrow('Unknown codex entry');
+
+    expect(timeline.getEventEntries(proj, away).map(e => e.name)).toEqual(['Petersburg', 'Anna']);
+    expect(timeline.findConflicts(proj).map(c => [c.type, c.message])).toEqual([
+      ['place', 'Anna is in Petersburg (Letters) and Moscow (Arrival) at once']
+    ]);
+
+    //The next day, but placed before the rest by hand
+    const later = timeline.addEvent(proj, { chapterId: childhood.id, date: '1873-05-15' });
+    timeline.moveEvent(proj, later.id, 0);
+    //A new date puts the event back among the dated events
+    timeline.updateEvent(proj, away.id, { date: '1873-05-12' });
+    expect(timeline.getTimeline(proj)[0].id).toBe(away.id);
+    expect(timeline.findConflicts(proj).map(c => [c.type, c.message])).toEqual([
+      ['order', 'Arrival (1873-05-14 18:00) comes after Childhood (1873-05-15)']
+    ]);
+  });
+
+  test('the view sets reading order against story order and moved scenes keep their events', async () => {
+    const [arrival, childhood, letters] = proj.chapters;
+    timeline.addEvent(proj, { chapterId: arrival.id, sceneId: 's-ball', date: '1873-05-14' });
+    timeline.addEvent(proj, { chapterId: childhood.id, date: '1850-01-01' });
+
+    let view = await timeline.getTimelineView(proj);
+    expect(view.narrative.map(i => [i.title, i.narrative, i.chronology])).toEqual([
+      ['Arrival', 1, 0],
+      ['Arrival - The Ball', 2, 2],
+      ['Childhood', 3, 1],
+      ['Letters', 4, 0]
+    ]);
+    expect(view.story.map(i => i.title)).toEqual(['Childhood', 'Arrival - The Ball']);
+
+    scenes.moveScene(arrival, 's-ball', letters);
+    view = await timeline.getTimelineView(proj);
+    expect(view.story.map(i => [i.chapterId, i.title])).toEqual([[childhood.id, 'Childhood'], [letters.id, 'Letters - The Ball']]);
+
+    expect(timeline.getTimelineAppendix(proj).ops).toEqual([
+      { insert: 'Timeline' },
+      { insert: '\n', attributes: { header: 1 } },
+      { insert: '1850-01-01: Childhood\n' },
+      { insert: '1873-05-14: Letters - The Ball\n' }
+    ]);
+  });
+});
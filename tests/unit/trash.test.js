@@ -0,0 +1,114 @@
+/**
+ * Unit tests for the trash retention and purge log
+ * Tests purging expired trash, the log entries, recovering purged chapters and carrying the log through Save As
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const trash = require('../../src/components/controllers/trash');
+const chapterCache = require('../../src/components/controllers/chapter-cache');
+const newProject = require('../../src/components/models/project');
+
+describe('Trash', () => {
+  let projDir;
+  let proj;
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  beforeEach(() => {
+    chapterCache.clear();
+    projDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-trash-')) + '/';
+    fs.mkdirSync(projDir + 'Novel_chapters');
+    fs.writeFileSync(projDir + 'Novel.woolf', JSON.stringify({
+      title: 'Novel',
+      chapsDirectory: 'Novel_chapters/',
+      chapters: [{ id: 'c1', title: 'One', filename: 'One.txt' }],
+      reference: [],
+      trash: [
+        { id: 'c2', title: 'Old', filename: 'Old.txt', filter: ['pov:Anna'], trashedAt: '2026-01-01T00:00:00Z' },
+        { id: 'c3', title: 'Recent', filename: 'Recent.txt', trashedAt: '2026-03-09T00:00:00Z' },
+        { id: 'c4', title: 'Legacy', filename: 'Legacy.txt' }
+      ],
+      activeChapterIndex: 3
+    }, null, '\t'));
+    fs.writeFileSync(projDir + 'Novel_chapters/One.txt', 'Chapter one.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Old.txt', 'An *old* draft of the opening.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/-notes_Old.txt', 'Cut for pacing.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Recent.txt', 'Recently cut.\r\n');
+    fs.writeFileSync(projDir + 'Novel_chapters/Legacy.txt', 'Trashed long ago.\r\n');
+
+    proj = newProject();
+    proj.loadFile(projDir + 'Novel.woolf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projDir, { recursive: true, force: true });
+    chapterCache.clear();
+  });
+
+  function loadAgain() {
+    const again = newProject();
+    again.loadFile(projDir + 'Novel.woolf');
+    return again;
+  }
+
+  test('chapters past the retention period are purged into the log and their files removed', () => {
+    const purged = trash.purgeExpired(proj, 30, now);
+
+    expect(purged.map(e => [e.title, e.words, e.reason])).toEqual([['Old', 6, 'retention']]);
+    expect(proj.trash.map(c => c.title)).toEqual(['Recent', 'Legacy']);
+    expect(proj.activeChapterIndex).toBe(2); //Still on Recent
+    expect(fs.existsSync(projDir + 'Novel_chapters/Old.txt')).toBe(false);
+    expect(fs.existsSync(projDir + 'Novel_chapters/-notes_Old.txt')).toBe(false);
+
+    //Chapters trashed before retention existed start their period now, and it is saved
+    const saved = loadAgain();
+    expect(saved.trash.find(c => c.title == 'Legacy').trashedAt).toBe(now.toISOString());
+    expect(trash.listPurged(saved)).toEqual([expect.objectContaining({
+      chapterId: 'c2', title: 'Old', words: 6, trashedAt: '2026-01-01T00:00:00Z', deletedAt: now.toISOString(), reason: 'retention'
+    })]);
+  });
+
+  test('nothing is purged when retention is off', () => {
+    expect(trash.purgeExpired(proj, 0, now)).toEqual([]);
+    expect(proj.trash.length).toBe(3);
+    expect(fs.existsSync(projDir + 'Novel_chapters/' + trash.purgeLogFilename)).toBe(false);
+  });
+
+  test('a deleted chapter is recovered with its contents, notes and metadata', () => {
+    trash.purgeChapters(proj, [proj.trash[0]], 'deleted', now);
+    const entryId = trash.listPurged(loadAgain())[0].id;
+
+    const again = loadAgain();
+    const chap = trash.recoverPurged(again, entryId);
+    expect(chap.id).toBe('c2');
+    expect(chap.filter).toEqual(['pov:Anna']);
+    expect(chap.trashedAt).toBeNull();
+    expect(chap.contents.ops[1]).toMatchObject({ insert: 'old', attributes: { italic: expect.anything() } });
+    expect(chap.notes.ops[0].insert).toContain('Cut for pacing.');
+    expect(again.chapters.indexOf(chap)).toBe(1);
+    expect(again.activeChapterIndex).toBe(3); //Recent, shifted along by the new chapter
+
+    again.saveFile();
+    const saved = loadAgain();
+    expect(saved.chapters.map(c => c.title)).toEqual(['One', 'Old']);
+    expect(saved.chapters[1].getWordCount()).toBe(6);
+    expect(trash.listPurged(saved)).toEqual([]);
+    expect(() => trash.recoverPurged(saved, entryId)).toThrow('Unknown purged chapter');
+  });
+
+  test('the purge log goes along with Save As', () => {
+    trash.purgeChapters(proj, [proj.chapters[0]], 'deleted', now);
+    const newDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-trash-copy-')) + '/';
+
+    try {
+      proj.saveAs(newDir + 'Copy.woolf');
+      const copy = newProject();
+      copy.loadFile(newDir + 'Copy.woolf');
+      expect(trash.listPurged(copy).map(e => e.title)).toEqual(['One']);
+    }
+    finally {
+      fs.rmSync(newDir, { recursive: true, force: true });
+    }
+  });
+});
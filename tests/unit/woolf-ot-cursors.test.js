@@ -0,0 +1,82 @@
+/**
+ * Unit tests for collaborator cursors
+ * Tests the positions of other users' cursors and selections, that they move with edits, arrive over the control
+ * bus, and go with users who are no longer active
+ */
+
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { WoolfWorkerBridge } = require('../../src/components/controllers/woolf-controlbus');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Collaborator cursors', () => {
+  let quill;
+  let otDoc;
+  let onCursorsChange;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    quill = createDeltaQuill({ ops: [{ insert: 'The train came in late.\n' }] });
+    onCursorsChange = jest.fn();
+    otDoc = new WoolfOTDocument(quill, 'chapter', { onCursorsChange });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('cursors and selections are labelled with their user and move with the text', () => {
+    otDoc.announcePresence('agent', 'Drafting agent', 'llm');
+    otDoc.setSelection('agent', 18, 4);
+    otDoc.setCursor('Ed', 4);
+    otDoc.setSelection('system', 0, 3);
+    expect(onCursorsChange).toHaveBeenCalledTimes(3);
+
+    quill.insertText(0, 'At last ', {}, 'user');
+    expect(otDoc.getCollaboratorPositions()).toEqual([
+      { userId: 'agent', name: 'Drafting agent', type: 'llm', index: 26, length: 4 },
+      { userId: 'Ed', name: 'Ed', type: 'agent', index: 12, length: 0 }
+    ]);
+    expect(onCursorsChange).toHaveBeenCalledTimes(4);
+
+    //A caret replaces the selection
+    otDoc.setCursor('agent', 2);
+    expect(otDoc.getCollaboratorPositions('Ed')).toMatchObject([{ userId: 'agent', index: 2, length: 0 }, { userId: 'system' }]);
+  });
+
+  test('users no longer active go with their cursors', () => {
+    otDoc.announcePresence('agent', 'Drafting agent', 'llm');
+    otDoc.setCursor('agent', 4);
+    otDoc.setCursor('Ed', 10);
+    otDoc.setCursor('system', 0);
+
+    jest.advanceTimersByTime(30000);
+    otDoc.setCursor('Ed', 11);
+    expect(otDoc.pruneInactiveUsers()).toEqual([]);
+
+    jest.advanceTimersByTime(40000);
+    expect(otDoc.pruneInactiveUsers()).toEqual(['agent']);
+    expect(otDoc.getCollaboratorPositions().map(position => position.userId)).toEqual(['Ed']);
+    expect(otDoc.getCursor('system')).toMatchObject({ index: 0 });
+
+    jest.advanceTimersByTime(30000);
+    expect(otDoc.pruneInactiveUsers()).toEqual(['Ed']);
+  });
+
+  test('cursor events from the control bus move the cursor of their user', async () => {
+    global.window = { addEventListener: jest.fn() };
+    try {
+      const handler = setupRexxJSControl({ editorQuill: quill });
+      const bridge = new WoolfWorkerBridge(global.window.ADDRESS_WOOLF);
+
+      await bridge.handleMessage({ data: { type: 'woolf-cursor-event', userId: 'agent', userName: 'Drafting agent', cursor: { index: 4, length: 5 } } });
+      await bridge.handleMessage({ data: { type: 'woolf-cursor-event', userId: 'agent', cursor: { index: 10 } } });
+
+      expect(handler.otDoc.getCollaboratorPositions()).toEqual([
+        { userId: 'agent', name: 'Drafting agent', type: 'agent', index: 10, length: 0 }
+      ]);
+    } finally {
+      delete global.window;
+    }
+  });
+});
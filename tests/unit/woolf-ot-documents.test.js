@@ -0,0 +1,135 @@
+/**
+ * Unit tests for per-chapter OT documents
+ * Tests that each chapter has its own OT document, addressed by the chapter's id, that edits of chapters out of
+ * the editor go into the chapter, and that documents move with their chapter into and out of the editor
+ */
+
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { WoolfWorkerBridgeStream } = require('../../src/components/controllers/woolf-controlbus-stream');
+const newProject = require('../../src/components/models/project');
+const newChapter = require('../../src/components/models/chapter');
+const batchReplace = require('../../src/components/controllers/batch-replace');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Per-chapter OT documents', () => {
+  let project;
+  let editorQuill;
+  let handler;
+
+  beforeEach(() => {
+    global.window = {};
+    project = newProject();
+    ['The train came in late.\n', 'She waited alone.\n'].forEach((text, i) => {
+      const chap = newChapter(project);
+      chap.title = 'Chapter ' + (i + 1);
+      chap.contents = { ops: [{ insert: text }] };
+      project.chapters.push(chap);
+    });
+
+    editorQuill = createDeltaQuill();
+    editorQuill.setContents(project.chapters[0].contents, 'silent');
+    handler = setupRexxJSControl({ editorQuill, project, createQuill: () => createDeltaQuill() });
+    handler.documents.showChapter(project.chapters[0]);
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  test('a chapter out of the editor is edited through its own document while the writer types', async () => {
+    const [first, second] = project.chapters;
+
+    const edit = await handler.run('insert-at', { document: second.id, index: 16, text: ' at the station', userId: 'agent' });
+    expect(edit).toMatchObject({ version: 1, userId: 'agent' });
+    expect(second.contents.ops).toEqual([{ insert: 'She waited alone at the station.\n' }]);
+    expect(second.hasUnsavedChanges).toBe(true);
+    expect(editorQuill.getText()).toBe('The train came in late.\n');
+
+    //The writer's typing counts in the first chapter's document only
+    editorQuill.insertText(0, 'At last ', {}, 'user');
+    expect(await handler.run('get-version', {})).toMatchObject({ version: 1, documentId: first.id });
+    expect(await handler.run('get-version', { document: second.id })).toMatchObject({ version: 1, documentId: second.id });
+    expect(await handler.run('get-changes-since', { document: second.id, since: 0 })).toHaveLength(1);
+
+    //Chapters can also be addressed by position
+    expect(await handler.run('get-range-text', { chapter: 1, index: 0, length: 10 })).toMatchObject({ text: 'She waited' });
+
+    await expect(handler.run('get-version', { document: 'no-such-chapter' })).rejects.toThrow('Unknown document: no-such-chapter');
+    expect(await handler.run('list-documents', {})).toEqual({
+      active: first.id,
+      documents: [
+        { documentId: first.id, title: 'Chapter 1', inEditor: true, version: 1 },
+        { documentId: second.id, title: 'Chapter 2', inEditor: false, version: 1 }
+      ]
+    });
+  });
+
+  test('documents keep their versions, cursors and review when their chapter goes into the editor', async () => {
+    const [first, second] = project.chapters;
+    await handler.run('set-cursor', { document: second.id, userId: 'agent', index: 4 });
+    await handler.run('annotate-range', { document: second.id, index: 4, length: 6, text: 'How long?' });
+    await handler.run('insert-at', { index: 0, text: 'Finally. ', userId: 'agent' });
+
+    //As the editor does when showing another chapter
+    first.contents = editorQuill.getContents();
+    handler.documents.showChapter(second);
+    editorQuill.setContents(second.contents, 'api');
+
+    const active = handler.otDoc;
+    expect(active.documentId).toBe(second.id);
+    expect(active.quill).toBe(editorQuill);
+    expect(active.getCursor('agent')).toMatchObject({ index: 4 });
+    expect(active.getAnnotations()).toMatchObject([{ range: { index: 4, length: 6 }, text: 'How long?' }]);
+
+    //The writer's edits move the annotation of this chapter, and no longer touch the other document
+    editorQuill.insertText(0, 'Then ', {}, 'user');
+    expect(active.getAnnotations()[0].range).toEqual({ index: 9, length: 6 });
+    expect(handler.getDocument({ document: first.id }).getVersion().version).toBe(1);
+    expect(handler.getDocument({ document: first.id }).getRangeText(0, 9)).toBe('Finally. ');
+
+    //A chapter changed some other way is read again before its document is used
+    first.contents = { ops: [{ insert: 'Replaced.\n' }] };
+    expect(await handler.run('get-range-text', { document: first.id, index: 0, length: 9 })).toMatchObject({ text: 'Replaced.' });
+  });
+
+  test('a chapter batch-replaced out of the editor takes the replacement in as a version of its document', async () => {
+    const [, second] = project.chapters;
+    await handler.run('insert-at', { document: second.id, index: 16, text: ' at the station', userId: 'agent' });
+
+    const hits = batchReplace.findReplacements(project, 'waited', 'lingered');
+    batchReplace.applyReplacements(project, hits, batchReplace.createEditorApplier(project, editorQuill));
+    expect(await handler.run('get-version', { document: second.id })).toMatchObject({ version: 2 });
+    expect(await handler.run('get-changes-since', { document: second.id, since: 1 })).toMatchObject([
+      { version: 2, type: 'external', delta: { ops: [{ retain: 4 }, { delete: 4 }, { insert: 'linger' }] } }
+    ]);
+
+    //An edit made on the version before the replacement still lands where it was meant to
+    const otDoc = handler.getDocument({ document: second.id });
+    otDoc.insertAt(31, ' today', 'agent', {}, 1);
+    expect(otDoc.quill.getText()).toBe('She lingered alone at the station today.\n');
+
+    //And reverting to it takes the replacement back out
+    otDoc.revertToVersion(1, 'agent');
+    expect(otDoc.quill.getText()).toBe('She waited alone at the station.\n');
+    expect(second.contents.ops).toEqual([{ insert: 'She waited alone at the station.\n' }]);
+  });
+
+  test('control bus streams follow the document they ask for', () => {
+    const [, second] = project.chapters;
+    const bridge = new WoolfWorkerBridgeStream(global.window.ADDRESS_WOOLF);
+    const targetWindow = { postMessage: jest.fn() };
+
+    const streamId = bridge.registerEventStream(targetWindow, '*', { documentId: second.id });
+    expect(targetWindow.postMessage.mock.calls[0][0]).toMatchObject({ type: 'woolf-initial-state', state: { documentId: second.id } });
+
+    handler.getDocument({ document: second.id }).insertAt(0, 'Alone, ', 'agent');
+    handler.otDoc.insertAt(0, 'Late. ', 'agent');
+    const changes = targetWindow.postMessage.mock.calls.filter(call => call[0].type === 'woolf-change-event');
+    expect(changes).toHaveLength(1);
+    expect(changes[0][0]).toMatchObject({ documentId: second.id, change: { text: 'Alone, ' } });
+
+    bridge.unregisterEventStream(streamId);
+    handler.getDocument({ document: second.id }).insertAt(0, 'Still ', 'agent');
+    expect(targetWindow.postMessage.mock.calls.filter(call => call[0].type === 'woolf-change-event')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for OT document history
+ * Tests reverting a document to an earlier version, viewing it as of a version, comparing two versions, and
+ * keeping change log entries beyond maxLogSize on disk
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const { WoolfOTHistoryFile } = require('../../src/components/controllers/woolf-ot-history');
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('OT document history', () => {
+  let quill;
+  let otDoc;
+
+  beforeEach(() => {
+    quill = createDeltaQuill({ ops: [{ insert: 'The train came in late.\n' }] });
+    otDoc = new WoolfOTDocument(quill, 'chapter');
+  });
+
+  test('a document is reverted to an earlier version, undoing the writer\'s edits too', () => {
+    otDoc.insertAt(0, 'At last ', 'agent');
+    quill.updateContents({ ops: [{ retain: 8 }, { retain: 3, attributes: { bold: true } }] }, 'user');
+    otDoc.replaceRange(26, 4, 'early', 'agent');
+    quill.deleteText(0, 8, 'user');
+    expect(quill.getText()).toBe('The train came in early.\n');
+
+    const result = otDoc.revertToVersion(1, 'Ed');
+    expect(result).toEqual({ reverted: true, fromVersion: 4, toVersion: 1, version: 5 });
+    expect(quill.getContents().ops).toEqual([{ insert: 'At last The train came in late.\n' }]);
+    expect(otDoc.getHistory(1)[0]).toMatchObject({ type: 'revert', userId: 'Ed', fromVersion: 4, targetVersion: 1 });
+
+    //The reversion can be reverted in turn
+    otDoc.revertToVersion(4);
+    expect(quill.getText()).toBe('The train came in early.\n');
+
+    expect(() => otDoc.revertToVersion(9)).toThrow('Unknown version: 9');
+  });
+
+  test('a reversion is logged as one change undoing those since, which earlier operations are transformed past', () => {
+    otDoc.insertAt(0, 'At last ', 'agent');
+    quill.updateContents({ ops: [{ retain: 8 }, { retain: 3, attributes: { bold: true } }] }, 'user');
+    otDoc.replaceRange(26, 4, 'early', 'agent');
+    quill.deleteText(0, 8, 'user');
+
+    otDoc.revertToVersion(1, 'Ed');
+    expect(otDoc.getHistory(1)[0].delta.ops).toEqual([
+      { insert: 'At last ' }, { retain: 3, attributes: { bold: null } }, { retain: 15 }, { delete: 5 }, { insert: 'late' }
+    ]);
+
+    //An insert made on the version before the reversion stays between the words it was put between
+    otDoc.insertAt(9, ' indeed', 'agent', {}, 4);
+    expect(quill.getText()).toBe('At last The train indeed came in late.\n');
+  });
+
+  test('a version is viewed and compared without changing the document', () => {
+    otDoc.insertAt(0, 'At last ', 'agent');
+    otDoc.replaceRange(26, 4, 'early', 'Ed');
+
+    const view = otDoc.getVersionView(0);
+    expect(view).toMatchObject({ version: 0, text: 'The train came in late.\n', readOnly: true });
+    expect(quill.getText()).toBe('At last The train came in early.\n');
+    expect(otDoc.version).toBe(2);
+
+    const diff = otDoc.diffVersions(0);
+    expect(diff).toMatchObject({
+      fromVersion: 0,
+      toVersion: 2,
+      fromText: 'The train came in late.\n',
+      toText: 'At last The train came in early.\n'
+    });
+    expect(diff.changes).toMatchObject([
+      { version: 1, userId: 'agent', type: 'insert', hunks: [{ index: 0, removed: '', added: 'At last ' }] },
+      { version: 2, userId: 'Ed', type: 'replace', hunks: [{ index: 26, removed: 'late', added: 'early' }] }
+    ]);
+    expect(otDoc.diffVersions(1, 0).changes).toHaveLength(1);
+  });
+
+  test('changes beyond maxLogSize go to the history file and can still be reverted', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'woolf-history-'));
+    try {
+      const archived = new WoolfOTDocument(quill, 'chapter', { historyArchive: new WoolfOTHistoryFile(dir + '/chapter.jsonl') });
+      archived.maxLogSize = 2;
+      ['One. ', 'Two. ', 'Three. ', 'Four. '].forEach(text => archived.insertAt(0, text, 'agent'));
+
+      expect(archived.changeLog).toHaveLength(2);
+      expect(fs.readFileSync(dir + '/chapter.jsonl', 'utf8').split('\n').filter(line => line)).toHaveLength(2);
+      expect(archived.getChangesSince(0).map(change => change.version)).toEqual([1, 2, 3, 4]);
+
+      archived.revertToVersion(1);
+      expect(quill.getText()).toBe('One. The train came in late.\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    //Without a history file they are dropped
+    otDoc.maxLogSize = 2;
+    ['One. ', 'Two. ', 'Three. '].forEach(text => otDoc.insertAt(0, text, 'agent'));
+    expect(otDoc.getOldestVersion()).toBe(1);
+    expect(() => otDoc.getVersionView(0)).toThrow('Version 0 is no longer kept (the oldest is 1)');
+  });
+
+  test('view-version and diff-versions commands', async () => {
+    global.window = {};
+    try {
+      const handler = setupRexxJSControl({ editorQuill: quill });
+      await handler.run('insert-at', { index: 0, text: 'At last ', userId: 'agent' });
+
+      expect(await handler.run('view-version', { version: 0 })).toMatchObject({ text: 'The train came in late.\n' });
+      expect(await handler.run('diff-versions', { from: 0 })).toMatchObject({ toVersion: 1, changes: [{ hunks: [{ added: 'At last ' }] }] });
+      await expect(handler.run('diff-versions', {})).rejects.toThrow('Version parameters required (from=, to=)');
+
+      expect(await handler.run('revert-to-version', { version: 0, userId: 'Ed' })).toMatchObject({ reverted: true, version: 2 });
+      expect(quill.getText()).toBe('The train came in late.\n');
+    } finally {
+      delete global.window;
+    }
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for range locks
+ * Tests that the writer's edits of locked text are taken back, and that locks move with their text through every edit
+ */
+
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Range locks', () => {
+  let quill;
+  let otDoc;
+  let onLocksChange;
+  let onLockedEdit;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    quill = createDeltaQuill({ ops: [{ insert: 'The train came in late.\n' }] });
+    onLocksChange = jest.fn();
+    onLockedEdit = jest.fn();
+    otDoc = new WoolfOTDocument(quill, 'chapter', { onLocksChange, onLockedEdit });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('the writer cannot change locked text', () => {
+    const lock = otDoc.lockRange('agent', 10, 7);
+    expect(onLocksChange).toHaveBeenCalledTimes(1);
+
+    quill.insertText(0, 'At last ', {}, 'user');
+    expect(lock.range).toEqual({ index: 18, length: 7 });
+    expect(onLocksChange).toHaveBeenCalledTimes(2);
+
+    //Typing inside the lock, and deleting across its edge, are taken back
+    quill.insertText(20, 'x', {}, 'user');
+    quill.deleteText(15, 5, 'user');
+    quill.updateContents({ ops: [{ retain: 24 }, { retain: 2, attributes: { bold: true } }] }, 'user');
+    expect(quill.getContents().ops).toEqual([{ insert: 'At last The train came in late.\n' }]);
+    expect(onLockedEdit).toHaveBeenCalledTimes(3);
+    expect(onLockedEdit).toHaveBeenCalledWith(otDoc, lock);
+    expect(otDoc.version).toBe(1);
+
+    //Typing at its edges is not
+    quill.insertText(25, ' very', {}, 'user');
+    quill.insertText(18, 'finally ', {}, 'user');
+    expect(quill.getText()).toBe('At last The train finally came in very late.\n');
+    expect(lock.range).toEqual({ index: 26, length: 7 });
+
+    //The writer's own locks do not stop them
+    otDoc.unlockRange(lock.lockId, 'agent');
+    otDoc.lockRange('system', 0, 7);
+    quill.deleteText(0, 3, 'user');
+    expect(quill.getText()).toBe('last The train finally came in very late.\n');
+    expect(otDoc.getLocks()).toMatchObject([{ userId: 'system', range: { index: 0, length: 4 } }]);
+  });
+
+  test('text inserted through the document at a lock\'s edges stays outside it, as the writer\'s does', () => {
+    const lock = otDoc.lockRange('agent', 10, 7);
+
+    otDoc.insertAt(17, ' slowly', 'editor');
+    otDoc.insertAt(10, 'finally ', 'editor');
+    expect(quill.getText()).toBe('The train finally came in slowly late.\n');
+    expect(lock.range).toEqual({ index: 18, length: 7 });
+
+    expect(() => otDoc.insertAt(20, 'x', 'editor')).toThrow('Range is locked by another user');
+    expect(() => otDoc.replaceRange(20, 0, 'x', 'editor')).toThrow('Range is locked by another user');
+  });
+
+  test('locks follow edits made through the document, and their holder\'s edits stay inside them', () => {
+    const lock = otDoc.lockRange('agent', 10, 7);
+
+    otDoc.replaceRange(10, 7, 'pulled into', 'agent');
+    expect(lock.range).toEqual({ index: 10, length: 11 });
+
+    expect(() => otDoc.insertAt(12, 'x', 'editor')).toThrow('Range is locked by another user');
+    expect(() => otDoc.applyDelta({ ops: [{ retain: 12 }, { delete: 2 }] }, 'editor')).toThrow('Range is locked by another user');
+
+    otDoc.deleteRange(0, 4, 'editor');
+    expect(lock.range).toEqual({ index: 6, length: 11 });
+
+    //Only the lock's holder can revert what was done inside it
+    expect(() => otDoc.revertToVersion(0, 'editor')).toThrow('Range is locked by another user');
+    expect(quill.getText()).toBe('train pulled into late.\n');
+    expect(otDoc.version).toBe(2);
+
+    otDoc.revertToVersion(0, 'agent');
+    expect(quill.getText()).toBe('The train came in late.\n');
+    expect(lock.range).toEqual({ index: 10, length: 7 });
+
+    //Locks go when they expire
+    jest.advanceTimersByTime(60000);
+    expect(otDoc.getLocks()).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for reviewing suggestions
+ * Tests that suggestions keep to their text through every edit, that accepting all of an agent's suggestions applies
+ * each where it belongs, and that whoever resolves a suggestion is recorded
+ */
+
+const { WoolfOTDocument } = require('../../src/components/controllers/woolf-ot-document');
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Suggestion review', () => {
+  let quill;
+  let otDoc;
+  let onSuggestionsChange;
+
+  beforeEach(() => {
+    quill = createDeltaQuill({ ops: [{ insert: 'The train came in late.\n' }] });
+    onSuggestionsChange = jest.fn();
+    otDoc = new WoolfOTDocument(quill, 'chapter', { onSuggestionsChange });
+  });
+
+  test('suggestions move with edits made by anyone, and accepting one leaves the others in place', () => {
+    const train = otDoc.suggestEdit('agent', 4, 5, 'bus');
+    const late = otDoc.suggestEdit('agent', 18, 4, 'early');
+    expect(onSuggestionsChange).toHaveBeenCalledTimes(2);
+
+    otDoc.insertAt(0, 'At last ', 'editor');
+    quill.insertText(0, 'So ', {}, 'user');
+    expect(train.range).toEqual({ index: 15, length: 5 });
+    expect(late.range).toEqual({ index: 29, length: 4 });
+
+    otDoc.acceptSuggestion(train.suggestionId);
+    expect(quill.getText()).toBe('So At last The bus came in late.\n');
+    expect(train.range).toEqual({ index: 15, length: 3 });
+    expect(late.range).toEqual({ index: 27, length: 4 });
+    expect(otDoc.getRangeText(late.range.index, late.range.length)).toBe('late');
+  });
+
+  test('suggestions and annotations move back with their text when the document is reverted', () => {
+    const late = otDoc.suggestEdit('agent', 18, 4, 'early');
+    const note = otDoc.annotate('editor', 10, 4, 'Too slow?');
+    otDoc.insertAt(0, 'At last ', 'agent');
+    quill.deleteText(8, 4, 'user');
+    expect(late.range).toEqual({ index: 22, length: 4 });
+    expect(note.range).toEqual({ index: 14, length: 4 });
+
+    otDoc.revertToVersion(0, 'Ed');
+    expect(quill.getText()).toBe('The train came in late.\n');
+    expect(late.range).toEqual({ index: 18, length: 4 });
+    expect(note.range).toEqual({ index: 10, length: 4 });
+    expect(otDoc.getRangeText(late.range.index, late.range.length)).toBe('late');
+  });
+
+  test('all of one agent\'s suggestions are accepted, leaving those it cannot apply', () => {
+    otDoc.suggestEdit('agent', 18, 4, 'early');
+    otDoc.suggestEdit('editor', 10, 4, 'pulled');
+    otDoc.suggestEdit('agent', 0, 3, 'A');
+    const locked = otDoc.suggestEdit('agent', 15, 2, 'into');
+    otDoc.lockRange('editor', 15, 2);
+
+    const result = otDoc.acceptSuggestionsFrom('agent', 'Ed');
+    expect(result.accepted.map(suggestion => suggestion.newText)).toEqual(['A', 'early']);
+    expect(result.failed).toEqual([{ suggestionId: locked.suggestionId, error: 'Range is locked by another user' }]);
+    expect(quill.getText()).toBe('A train came in early.\n');
+    expect(otDoc.getSuggestions('pending').map(suggestion => suggestion.userId)).toEqual(['editor', 'agent']);
+  });
+
+  test('a suggestion is resolved only once', () => {
+    const train = otDoc.suggestEdit('agent', 4, 5, 'bus');
+    const late = otDoc.suggestEdit('agent', 18, 4, 'early');
+    otDoc.acceptSuggestion(train.suggestionId, 'Ed');
+    otDoc.rejectSuggestion(late.suggestionId, 'Ed');
+
+    expect(() => otDoc.rejectSuggestion(train.suggestionId, 'Jo')).toThrow('Suggestion already accepted');
+    expect(() => otDoc.acceptSuggestion(late.suggestionId, 'Jo')).toThrow('Suggestion already rejected');
+    expect(train).toMatchObject({ status: 'accepted', resolvedBy: 'Ed' });
+    expect(late).toMatchObject({ status: 'rejected', resolvedBy: 'Ed' });
+    expect(quill.getText()).toBe('The bus came in late.\n');
+  });
+
+  test('who resolved each suggestion is recorded', async () => {
+    global.window = {};
+    try {
+      const handler = setupRexxJSControl({ editorQuill: quill });
+      const first = await handler.run('suggest-edit', { userId: 'agent', index: 18, length: 4, text: 'early' });
+      const second = await handler.run('suggest-edit', { userId: 'agent', index: 4, length: 5, text: 'bus' });
+
+      expect(await handler.run('reject-suggestion', { id: first.suggestionId, userId: 'Ed' }))
+        .toMatchObject({ status: 'rejected', resolvedBy: 'Ed', resolvedAt: expect.any(Number) });
+      expect(await handler.run('accept-all-suggestions', { from: 'agent' }))
+        .toMatchObject({ accepted: [{ suggestionId: second.suggestionId, status: 'accepted', resolvedBy: 'system' }], failed: [] });
+      expect(quill.getText()).toBe('The bus came in late.\n');
+
+      await expect(handler.run('accept-all-suggestions', {})).rejects.toThrow('Suggesting user required (from=)');
+    } finally {
+      delete global.window;
+    }
+  });
+});
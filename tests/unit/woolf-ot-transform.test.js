@@ -0,0 +1,89 @@
+/**
+ * Unit tests for operational transformation
+ * Tests that operations computed on an earlier version are transformed against the changes made since, and that
+ * operations on versions no longer in the change log are rejected
+ */
+
+const { WoolfOTDocument, transformOps } = require('../../src/components/controllers/woolf-ot-document');
+const { setupRexxJSControl } = require('../../src/components/controllers/woolf-rexx-handler');
+const { createDeltaQuill } = require('../helpers/test-utils');
+
+describe('Operational transformation', () => {
+  let quill;
+  let otDoc;
+
+  beforeEach(() => {
+    quill = createDeltaQuill({ ops: [{ insert: 'The train came in late.\n' }] });
+    otDoc = new WoolfOTDocument(quill, 'chapter');
+  });
+
+  test('operations made on an earlier version apply to the text they were meant for', () => {
+    //The writer types while the agent works on version 0
+    quill.insertText(0, 'At last ', {}, 'user');
+
+    const change = otDoc.replaceRange(18, 4, 'early', 'agent', {}, 0);
+    expect(change).toMatchObject({ index: 26, oldLength: 4, baseVersion: 0, version: 2 });
+    expect(quill.getText()).toBe('At last The train came in early.\n');
+
+    //Inserts at the same place go after the one already made
+    otDoc.insertAt(0, 'So ', 'agent', {}, 1);
+    otDoc.insertAt(0, 'Then ', 'agent', {}, 1);
+    expect(quill.getText()).toBe('So Then At last The train came in early.\n');
+
+    //Formatting follows its text
+    otDoc.applyDelta({ ops: [{ retain: 18 }, { retain: 4, attributes: { italic: true } }] }, 'agent', 1);
+    expect(quill.getContents().ops[1]).toEqual({ insert: 'came', attributes: { italic: true } });
+  });
+
+  test('text deleted or inserted meanwhile is respected', () => {
+    quill.deleteText(4, 6, 'user');
+    const overlap = otDoc.deleteRange(4, 9, 'agent', 0);
+    expect(overlap).toMatchObject({ index: 4, length: 3 });
+    expect(quill.getText()).toBe('The e in late.\n');
+
+    otDoc.revertToVersion(0);
+    //Text typed inside a deleted range is kept
+    quill.insertText(15, 'slowly ', {}, 'user');
+    otDoc.deleteRange(10, 8, 'agent', 3);
+    expect(quill.getText()).toBe('The train slowly late.\n');
+
+    //Undone by what it was transformed into
+    otDoc.revertToVersion(4);
+    expect(quill.getText()).toBe('The train came slowly in late.\n');
+  });
+
+  test('text already deleted by someone else is not deleted again, and no version is made for it', () => {
+    quill.deleteText(10, 8, 'user');
+
+    expect(otDoc.deleteRange(15, 2, 'agent', 0)).toMatchObject({ noop: true, length: 0, version: 1 });
+    expect(otDoc.replaceRange(10, 4, '', 'agent', {}, 0)).toMatchObject({ noop: true, oldLength: 0, version: 1 });
+    expect(otDoc.version).toBe(1);
+    expect(otDoc.getChangesSince(0)).toHaveLength(1);
+    expect(quill.getText()).toBe('The train late.\n');
+  });
+
+  test('transformOps leaves the change\'s text alone', () => {
+    expect(transformOps([{ retain: 2 }, { insert: 'ab' }], [{ retain: 1 }, { delete: 3 }])).toEqual([{ retain: 1 }, { delete: 1 }, { retain: 2 }, { delete: 2 }]);
+    expect(transformOps([{ delete: 5 }], [{ retain: 3 }, { insert: 'x' }])).toEqual([{ insert: 'x' }]);
+  });
+
+  test('operations on versions no longer in the change log are rejected', async () => {
+    global.window = {};
+    try {
+      const handler = setupRexxJSControl({ editorQuill: quill });
+      handler.otDoc.maxLogSize = 2;
+      for (const text of ['One. ', 'Two. ', 'Three. ']) {
+        await handler.run('insert-at', { index: 0, text, userId: 'agent' });
+      }
+
+      await expect(handler.run('insert-at', { index: 0, text: 'Late. ', baseVersion: 0 }))
+        .rejects.toThrow('Base version 0 is no longer in the change log (the oldest is 1)');
+      await expect(handler.run('insert-at', { index: 0, text: 'Late. ', baseVersion: 7 })).rejects.toThrow('Unknown base version: 7');
+
+      expect(await handler.run('insert-at', { index: 0, text: 'Now. ', 'base-version': 1 })).toMatchObject({ index: 12, version: 4 });
+      expect(quill.getText()).toBe('Three. Two. Now. One. The train came in late.\n');
+    } finally {
+      delete global.window;
+    }
+  });
+});
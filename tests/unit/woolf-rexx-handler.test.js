@@ -4,6 +4,7 @@
  */
 
 const { WoolfRexxHandler } = require('../../src/components/controllers/woolf-rexx-handler');
+const { createDeltaQuill } = require('../helpers/test-utils');
 
 describe('WoolfRexxHandler', () => {
   let handler;
@@ -21,6 +22,7 @@ describe('WoolfRexxHandler', () => {
       getLength: jest.fn(() => 13),
       getSelection: jest.fn(() => ({ index: 0, length: 4 })),
       formatText: jest.fn(),
+      on: jest.fn(),
       history: {
         undo: jest.fn(),
         redo: jest.fn()
@@ -30,8 +32,8 @@ describe('WoolfRexxHandler', () => {
     // Create mock project
     mockProject = {
       chapters: [
-        { title: 'Chapter 1', filename: 'chapter1.txt', summary: 'First chapter', getContentsOrFile: jest.fn(() => ({ ops: [{ insert: 'Content 1' }] })) },
-        { title: 'Chapter 2', filename: 'chapter2.txt', summary: 'Second chapter', getContentsOrFile: jest.fn(() => ({ ops: [{ insert: 'Content 2' }] })) }
+        { id: 'c0a8e7b2-1111-4a1a-9a1a-000000000001', title: 'Chapter 1', filename: 'chapter1.txt', summary: 'First chapter', getContentsOrFile: jest.fn(() => ({ ops: [{ insert: 'Content 1' }] })) },
+        { id: 'c0a8e7b2-2222-4a1a-9a1a-000000000002', title: 'Chapter 2', filename: 'chapter2.txt', summary: 'Second chapter', getContentsOrFile: jest.fn(() => ({ ops: [{ insert: 'Content 2' }] })) }
       ]
     };
 
@@ -65,25 +67,49 @@ describe('WoolfRexxHandler', () => {
       expect(result).toEqual({ ops: [{ insert: 'Test content\n' }] });
     });
 
-    test('set-content replaces document content', async () => {
-      const result = await handler.run('set-content', { text: 'New content' });
-      expect(mockQuill.setText).toHaveBeenCalledWith('New content');
-      expect(result.success).toBe(true);
-      expect(result.length).toBe(11);
-    });
+    describe('editing the text', () => {
+      // Edits go through the OT document, so they take a Quill that keeps its text
+      let quill;
 
-    test('append adds text to end', async () => {
-      const result = await handler.run('append', { text: ' appended' });
-      expect(mockQuill.insertText).toHaveBeenCalledWith(13, ' appended');
-      expect(result.success).toBe(true);
-      expect(result.position).toBe(13);
-    });
+      beforeEach(() => {
+        quill = createDeltaQuill({ ops: [{ insert: 'Test content\n' }] });
+        handler = new WoolfRexxHandler({ ...mockContext, editorQuill: quill });
+      });
 
-    test('insert adds text at position', async () => {
-      const result = await handler.run('insert', { text: 'inserted', position: 5 });
-      expect(mockQuill.insertText).toHaveBeenCalledWith(5, 'inserted');
-      expect(result.success).toBe(true);
-      expect(result.position).toBe(5);
+      test('set-content replaces document content', async () => {
+        const result = await handler.run('set-content', { text: 'New content' });
+        expect(quill.getText()).toBe('New content\n');
+        expect(result.success).toBe(true);
+        expect(result.length).toBe(11);
+        expect(result.version).toBe(1);
+      });
+
+      test('append adds text to end', async () => {
+        const result = await handler.run('append', { text: ' appended' });
+        expect(quill.getText()).toBe('Test content appended\n');
+        expect(result.success).toBe(true);
+        expect(result.position).toBe(12);
+      });
+
+      test('insert adds text at position', async () => {
+        const result = await handler.run('insert', { text: 'inserted', position: 5 });
+        expect(quill.getText()).toBe('Test insertedcontent\n');
+        expect(result.success).toBe(true);
+        expect(result.position).toBe(5);
+      });
+
+      test('each edit is a version of the document, which can be reverted', async () => {
+        await handler.run('insert-at', { index: 0, text: 'Old ', userId: 'agent' });
+        await handler.run('set-content', { text: 'Old Test content, changed' });
+        expect(await handler.run('get-version')).toMatchObject({ version: 2 });
+
+        //An operation made before it is transformed past it
+        await handler.run('insert-at', { index: 16, text: '!', userId: 'agent', baseVersion: 1 });
+        expect(quill.getText()).toBe('Old Test content, changed!\n');
+
+        await handler.run('revert-to-version', { version: 0 });
+        expect(quill.getText()).toBe('Test content\n');
+      });
     });
   });
 
@@ -134,6 +160,299 @@ describe('WoolfRexxHandler', () => {
       expect(mockContext.onGoToChapter).toHaveBeenCalledWith(1);
       expect(result.success).toBe(true);
     });
+
+    test('list-chapters includes stable chapter ids', async () => {
+      const result = await handler.run('list-chapters');
+      expect(result[1].id).toBe('c0a8e7b2-2222-4a1a-9a1a-000000000002');
+    });
+
+    test('chapter commands accept id=<uuid>', async () => {
+      const result = await handler.run('get-chapter', { id: 'c0a8e7b2-2222-4a1a-9a1a-000000000002', format: 'text' });
+      expect(result.title).toBe('Chapter 2');
+
+      await handler.run('go-to-chapter', { id: 'c0a8e7b2-2222-4a1a-9a1a-000000000002' });
+      expect(mockContext.onGoToChapter).toHaveBeenCalledWith(1);
+    });
+
+    test('chapter ids follow the chapter when it is reordered', async () => {
+      mockProject.chapters.reverse();
+      const result = await handler.run('set-chapter-title', { id: 'c0a8e7b2-1111-4a1a-9a1a-000000000001', title: 'Moved' });
+      expect(result.index).toBe(1);
+      expect(mockProject.chapters[1].title).toBe('Moved');
+    });
+
+    test('numeric id is still treated as an index', async () => {
+      await handler.run('go-to-chapter', { id: '1' });
+      expect(mockContext.onGoToChapter).toHaveBeenCalledWith(1);
+    });
+
+    test('unknown chapter id throws error', async () => {
+      await expect(handler.run('get-chapter', { id: 'no-such-chapter' }))
+        .rejects.toThrow('Unknown chapter id');
+    });
+  });
+
+  describe('Chapter Metadata', () => {
+    test('set-chapter-metadata updates status, targets and custom fields', async () => {
+      const result = await handler.run('set-chapter-metadata', {
+        id: 'c0a8e7b2-2222-4a1a-9a1a-000000000002',
+        status: 'revision',
+        'target-words': '4000',
+        'revision-pass': '2',
+        field: 'Beta reader',
+        value: 'Sam'
+      });
+
+      expect(result.index).toBe(1);
+      expect(result.status).toBe('revision');
+      expect(result.targetWords).toBe(4000);
+      expect(result.customFields).toEqual({ 'Beta reader': 'Sam' });
+      expect(mockProject.hasUnsavedChanges).toBe(true);
+
+      const meta = await handler.run('get-chapter-metadata', { number: 1 });
+      expect(meta.revisionPass).toBe(2);
+      expect(meta.title).toBe('Chapter 2');
+    });
+
+    test('set-chapter-metadata rejects an invalid status', async () => {
+      await expect(handler.run('set-chapter-metadata', { number: 0, status: 'finished' }))
+        .rejects.toThrow('Invalid status');
+    });
+  });
+
+  describe('Project Search', () => {
+    beforeEach(() => {
+      mockProject.reference = [];
+      mockProject.directory = '';
+      mockProject.chapters[0].contents = { ops: [{ insert: 'The storm broke.\n' }] };
+      mockProject.chapters[1].contents = { ops: [{ insert: 'After the Storm.\n' }] };
+      mockProject.getChapterById = id => mockProject.chapters.find(chap => chap.id === id);
+      mockProject.getChapterIndexById = id => mockProject.chapters.findIndex(chap => chap.id === id);
+    });
+
+    test('search-project returns hits across chapters with offsets and snippets', async () => {
+      const results = await handler.run('search-project', { query: 'storm' });
+      expect(results.map(r => [r.index, r.offset])).toEqual([[0, 4], [1, 10]]);
+      expect(results[1].snippet).toBe('After the Storm. ');
+      expect(results[1].kind).toBe('chapter');
+
+      const exact = await handler.run('search-project', { query: 'Storm', case: 'true' });
+      expect(exact.map(r => r.title)).toEqual(['Chapter 2']);
+    });
+
+    test('search-project needs a query', async () => {
+      await expect(handler.run('search-project', {})).rejects.toThrow('needs query');
+    });
+  });
+
+  describe('Scenes', () => {
+    beforeEach(() => {
+      mockProject.reference = [];
+      mockProject.trash = [];
+      mockProject.activeChapterIndex = 0;
+      mockProject.chapters.forEach(chap => {
+        chap.getContentsOrFile = () => chap.contents;
+        chap.getNotesContentOrFile = () => null;
+      });
+      mockProject.chapters[0].contents = { ops: [
+        { insert: 'Dawn.\n' },
+        { insert: '\n', attributes: { scene: 's-dusk' } },
+        { insert: 'Dusk falls.\n' }
+      ] };
+      mockProject.chapters[1].contents = { ops: [{ insert: 'Later.\n' }] };
+      mockContext.onChaptersChanged = jest.fn();
+    });
+
+    test('list-scenes and set-scene read and change scene metadata', async () => {
+      const result = await handler.run('set-scene', { number: 0, scene: 2, title: 'Evening', status: 'draft' });
+      expect(result.scene).toMatchObject({ number: 2, id: 's-dusk', title: 'Evening', status: 'draft' });
+
+      const list = await handler.run('list-scenes', { id: mockProject.chapters[0].id });
+      expect(list.map(s => [s.number, s.id, s.title, s.words])).toEqual([[1, 'opening', '', 1], [2, 's-dusk', 'Evening', 2]]);
+    });
+
+    test('move-scene and split-chapter change chapters and refresh the editor', async () => {
+      const moved = await handler.run('move-scene', { number: 0, scene: 's-dusk', to: 1 });
+      expect(moved).toMatchObject({ success: true, from: 0, to: 1, scene: 's-dusk', number: 2 });
+      expect(mockContext.onChaptersChanged).toHaveBeenCalled();
+
+      const split = await handler.run('split-chapter', { number: 1, scene: 's-dusk' });
+      expect(split.newIndex).toBe(2);
+      expect(mockProject.chapters[2].contents.ops[0].insert).toBe('Dusk falls.\n');
+      await expect(handler.run('split-chapter', { number: 0, scene: 1 })).rejects.toThrow('no scene break');
+    });
+  });
+
+  describe('Codex', () => {
+    beforeEach(() => {
+      mockProject.codex = { entries: [], removed: [] };
+      mockProject.chapters.forEach(chap => {
+        chap.getContentsOrFileAsync = jest.fn(async () => chap.getContentsOrFile());
+      });
+      mockProject.chapters[1].getContentsOrFile = jest.fn(() => ({ ops: [{ insert: 'Anna met Vronsky.' }] }));
+    });
+
+    test('add-codex-entry and set-codex-entry edit entries and list-codex filters by type', async () => {
+      const added = await handler.run('add-codex-entry', { name: 'Anna', aliases: 'Annushka', description: 'The lead' });
+      expect(added.entry).toMatchObject({ name: 'Anna', type: 'character', aliases: ['Annushka'] });
+      await handler.run('add-codex-entry', { name: 'Moscow', type: 'place' });
+
+      const set = await handler.run('set-codex-entry', { entry: 'annushka', name: 'Anna Karenina', field: 'Age', value: '28' });
+      expect(set.entry).toMatchObject({ id: added.entry.id, name: 'Anna Karenina', fields: { Age: '28' } });
+      expect(mockProject.hasUnsavedChanges).toBe(true);
+
+      const places = await handler.run('list-codex', { type: 'place' });
+      expect(places.map(e => e.name)).toEqual(['Moscow']);
+      await expect(handler.run('set-codex-entry', { name: 'Kitty' })).rejects.toThrow('Codex entry required');
+      await expect(handler.run('get-codex-entry', { name: 'Kitty' })).rejects.toThrow('Unknown codex entry');
+    });
+
+    test('codex-mentions reports chapters and codex-unmentioned lists entries never mentioned', async () => {
+      await handler.run('add-codex-entry', { name: 'Anna' });
+      await handler.run('add-codex-entry', { name: 'Levin' });
+
+      const mentions = await handler.run('codex-mentions', { name: 'Anna' });
+      expect(mentions).toMatchObject({ name: 'Anna', mentions: 1, unmentioned: false });
+      expect(mentions.chapters).toEqual([{ index: 1, id: mockProject.chapters[1].id, title: 'Chapter 2', count: 1 }]);
+
+      const unmentioned = await handler.run('codex-unmentioned', {});
+      expect(unmentioned.map(e => e.name)).toEqual(['Levin']);
+    });
+  });
+
+  describe('Timeline', () => {
+    beforeEach(() => {
+      mockProject.codex = { entries: [], removed: [] };
+      mockProject.chapters.forEach(chap => {
+        chap.getContentsOrFileAsync = jest.fn(async () => chap.getContentsOrFile());
+      });
+    });
+
+    test('set-timeline-event adds chapters in story order and move-timeline-event reorders them', async () => {
+      await handler.run('set-timeline-event', { number: 0, date: '1873-05-14' });
+      const added = await handler.run('set-timeline-event', { number: 1, date: '1850-01-01' });
+      expect(added.event).toMatchObject({ position: 1, index: 1, title: 'Chapter 2', date: '1850-01-01' });
+      expect(mockProject.hasUnsavedChanges).toBe(true);
+
+      const moved = await handler.run('move-timeline-event', { number: 1, to: 2 });
+      expect(moved.event.position).toBe(2);
+      expect((await handler.run('list-timeline', {})).map(e => e.title)).toEqual(['Chapter 1', 'Chapter 2']);
+      expect((await handler.run('timeline-conflicts', {})).map(c => c.type)).toEqual(['order']);
+
+      await expect(handler.run('set-timeline-event', { number: 0, date: 'Tuesday' })).rejects.toThrow('Invalid story date');
+      await handler.run('remove-timeline-event', { number: 1 });
+      await expect(handler.run('remove-timeline-event', { number: 1 })).rejects.toThrow('Not on the timeline');
+    });
+  });
+
+  describe('Anchored Notes', () => {
+    test('add-anchored-note anchors a note to a passage of a chapter and remove-anchored-note takes it out', async () => {
+      const chap = mockProject.chapters[0];
+      chap.getNotesContentOrFile = () => chap.notes;
+
+      const added = await handler.run('add-anchored-note', { number: 0, at: 0, length: 7, text: 'Stronger verb' });
+      expect(added).toMatchObject({ success: true, index: 0, note: { passage: 'Content', note: 'Stronger verb', detached: false } });
+      expect(mockContext.onUpdateChapterList).toHaveBeenCalled();
+      expect((await handler.run('list-anchored-notes', { number: 0 })).map(n => n.id)).toEqual([added.note.id]);
+
+      await expect(handler.run('add-anchored-note', { number: 0, at: 5, length: 20 })).rejects.toThrow('outside the chapter');
+      await expect(handler.run('add-anchored-note', { number: 0, text: 'Where?' })).rejects.toThrow('needs at= and length=');
+      await handler.run('remove-anchored-note', { number: 0, note: added.note.id });
+      await expect(handler.run('remove-anchored-note', { number: 0, note: added.note.id })).rejects.toThrow('Unknown anchored note');
+      expect(await handler.run('list-anchored-notes', { number: 0 })).toEqual([]);
+    });
+  });
+
+  describe('Footnotes', () => {
+    test('insert-footnote adds a numbered footnote to the editor and set-footnote and remove-footnote change it', async () => {
+      const Delta = require('quill-delta');
+      let contents = new Delta([{ insert: 'Test content\n' }]);
+      mockQuill.getContents.mockImplementation(() => contents);
+      mockQuill.updateContents = jest.fn(change => { contents = contents.compose(new Delta(change.ops)); });
+
+      expect(await handler.run('insert-footnote', { at: 4, text: 'A trial.' })).toEqual({ success: true, position: 4, number: 1 });
+      // Without at= it goes after the selection
+      mockQuill.getSelection.mockReturnValue({ index: 0, length: 0 });
+      const inserted = await handler.run('insert-footnote', { text: 'Before the other.' });
+      expect(inserted.number).toBe(1);
+      expect(await handler.run('list-footnotes', {})).toEqual([
+        { number: 1, references: [0], text: 'Before the other.' },
+        { number: 2, references: [8], text: 'A trial.' }
+      ]);
+
+      await handler.run('set-footnote', { footnote: 2, text: 'A test.' });
+      await handler.run('remove-footnote', { footnote: 1 });
+      expect(contents.ops.map(op => op.insert).join('')).toBe('Test[^1] content\n[^1]: A test.\n');
+      await expect(handler.run('set-footnote', { text: 'Which?' })).rejects.toThrow('footnote=');
+      await expect(handler.run('remove-footnote', { footnote: 5 })).rejects.toThrow('Unknown footnote: 5');
+    });
+  });
+
+  describe('Purged Chapters', () => {
+    test('list-purged lists the log and recover-purged needs an entry id', async () => {
+      mockProject.purgeLog = [{ id: 'p1', chapterId: 'c9', title: 'Cut', words: 120, trashedAt: null, deletedAt: '2026-03-01T00:00:00.000Z', reason: 'deleted', chapter: {}, content: '' }];
+
+      const result = await handler.run('list-purged', {});
+      expect(result).toEqual([{ id: 'p1', chapterId: 'c9', title: 'Cut', words: 120, trashedAt: null, deletedAt: '2026-03-01T00:00:00.000Z', reason: 'deleted' }]);
+      await expect(handler.run('recover-purged', {})).rejects.toThrow('requires id');
+      await expect(handler.run('recover-purged', { id: 'nope' })).rejects.toThrow('Unknown purged chapter');
+    });
+  });
+
+  describe('Tags', () => {
+    beforeEach(() => {
+      mockProject.reference = [];
+      mockProject.filters = [];
+    });
+
+    test('tag-chapter adds tags and marks the project changed', async () => {
+      const result = await handler.run('tag-chapter', { number: 0, tags: 'pov:Anna, draft' });
+      expect(result.added).toEqual(['pov:Anna', 'draft']);
+      expect(mockProject.chapters[0].filter).toEqual(['pov:Anna', 'draft']);
+      expect(mockProject.hasUnsavedChanges).toBe(true);
+      expect(mockContext.onUpdateChapterList).toHaveBeenCalled();
+    });
+
+    test('untag-chapter removes tags by id', async () => {
+      mockProject.chapters[1].filter = ['pov:Anna', 'draft'];
+      const result = await handler.run('untag-chapter', { id: 'c0a8e7b2-2222-4a1a-9a1a-000000000002', tag: 'DRAFT' });
+      expect(result.removed).toEqual(['draft']);
+      expect(mockProject.chapters[1].filter).toEqual(['pov:Anna']);
+    });
+
+    test('query-chapters matches all or any tags', async () => {
+      mockProject.chapters[0].filter = ['pov:Anna', 'draft'];
+      mockProject.chapters[1].filter = ['pov:Ben'];
+
+      let result = await handler.run('query-chapters', { tags: 'pov:,draft' });
+      expect(result.map(r => r.index)).toEqual([0]);
+
+      result = await handler.run('query-chapters', { tags: 'pov:Ben,draft', match: 'any' });
+      expect(result.map(r => r.id)).toEqual(mockProject.chapters.map(c => c.id));
+    });
+
+    test('query-chapters can use a saved filter view', async () => {
+      mockProject.chapters[1].filter = ['location:Geneva'];
+      mockProject.filters = [{ id: 'v1', name: 'Geneva', tags: ['location:Geneva'], match: 'all' }];
+
+      const result = await handler.run('query-chapters', { view: 'geneva' });
+      expect(result.map(r => r.title)).toEqual(['Chapter 2']);
+
+      await expect(handler.run('query-chapters', { view: 'Nowhere' }))
+        .rejects.toThrow('Unknown filter view');
+    });
+
+    test('list-tags counts tag use', async () => {
+      mockProject.chapters[0].filter = ['draft'];
+      mockProject.chapters[1].filter = ['Draft', 'pov:Ben'];
+      const result = await handler.run('list-tags');
+      expect(result).toEqual([{ tag: 'draft', count: 2 }, { tag: 'pov:Ben', count: 1 }]);
+    });
+
+    test('tag-chapter rejects an invalid chapter', async () => {
+      await expect(handler.run('tag-chapter', { number: 5, tags: 'x' }))
+        .rejects.toThrow('Invalid chapter index');
+    });
   });
 
   describe('Search & Replace', () => {
@@ -152,38 +471,96 @@ describe('WoolfRexxHandler', () => {
       expect(result.count).toBe(0);
     });
 
-    test('replace replaces all occurrences', async () => {
-      mockQuill.getText.mockReturnValue('old old old');
-      mockQuill.setText.mockImplementation(() => {});
+    test('replace replaces all occurrences and keeps formatting', async () => {
+      mockQuill.getText.mockReturnValue('old old old\n');
+      mockQuill.getContents.mockReturnValue({ ops: [{ insert: 'old ' }, { insert: 'old', attributes: { bold: true } }, { insert: ' old\n' }] });
+      mockQuill.updateContents = jest.fn();
 
       const result = await handler.run('replace', { search: 'old', 'replace-with': 'new' });
-      expect(mockQuill.setText).toHaveBeenCalledWith('new new new');
-      expect(result.success).toBe(true);
+      expect(mockQuill.setText).not.toHaveBeenCalled();
+      expect(mockQuill.updateContents).toHaveBeenCalledWith({ ops: [
+        { insert: 'new' }, { delete: 3 }, { retain: 1 },
+        { insert: 'new', attributes: { bold: true } }, { delete: 3 }, { retain: 1 },
+        { insert: 'new' }, { delete: 3 }
+      ] }, 'user');
+      expect(result.replacements).toBe(3);
+    });
+
+    test('replace counts an embed before a hit as one character', async () => {
+      mockQuill.getText.mockReturnValue('A  old old\n');
+      mockQuill.getContents.mockReturnValue({ ops: [{ insert: 'A ' }, { insert: { image: 'map.png' } }, { insert: ' old old\n' }] });
+      mockQuill.updateContents = jest.fn();
+
+      const result = await handler.run('replace', { search: 'old', 'replace-with': 'new' });
+      expect(mockQuill.updateContents).toHaveBeenCalledWith({ ops: [
+        { retain: 4 }, { insert: 'new' }, { delete: 3 }, { retain: 1 },
+        { insert: 'new' }, { delete: 3 }
+      ] }, 'user');
+      expect(result.replacements).toBe(2);
+    });
+
+    describe('replace-in-project', () => {
+      beforeEach(() => {
+        mockProject.reference = [];
+        mockProject.directory = '';
+        mockProject.chapters[0].contents = { ops: [{ insert: 'The old mill.\n' }] };
+        mockProject.chapters[1].contents = { ops: [{ insert: 'An old ', attributes: { italic: true } }, { insert: 'old road.\n' }] };
+        mockProject.getChapterById = id => mockProject.chapters.find(chap => chap.id === id);
+        mockProject.getChapterIndexById = id => mockProject.chapters.findIndex(chap => chap.id === id);
+        mockProject.chapters.forEach(chap => {
+          chap.getContentsOrFile = () => chap.contents;
+          chap.getNotesContentOrFile = () => null;
+        });
+      });
+
+      test('dry-run lists the hits without changing anything', async () => {
+        const result = await handler.run('replace-in-project', { search: 'old', 'replace-with': 'new', 'dry-run': 'true' });
+        expect(result.dryRun).toBe(true);
+        expect(result.hits.map(h => [h.number, h.index, h.offset, h.replacement])).toEqual([[1, 0, 4, 'new'], [2, 1, 3, 'new'], [3, 1, 7, 'new']]);
+        expect(mockProject.chapters[0].contents.ops[0].insert).toBe('The old mill.\n');
+        expect(mockProject.hasUnsavedChanges).toBeFalsy();
+      });
+
+      test('replaces the chosen hits across chapters keeping formatting', async () => {
+        const result = await handler.run('replace-in-project', { search: 'old', 'replace-with': 'new', hits: '2,3' });
+        expect(result.replacements).toBe(2);
+        expect(result.chapters).toEqual([{ id: mockProject.chapters[1].id, title: 'Chapter 2', replacements: 2 }]);
+        expect(mockProject.chapters[0].contents.ops[0].insert).toBe('The old mill.\n');
+        expect(mockProject.chapters[1].contents.ops).toEqual([{ insert: 'An new ', attributes: { italic: true } }, { insert: 'new road.\n' }]);
+        expect(mockContext.onUpdateChapterList).toHaveBeenCalled();
+      });
     });
   });
 
   describe('Formatting', () => {
+    let quill;
+
+    beforeEach(() => {
+      quill = createDeltaQuill({ ops: [{ insert: 'Test content\n' }] });
+      quill.getSelection = jest.fn(() => ({ index: 0, length: 4 }));
+      handler = new WoolfRexxHandler({ ...mockContext, editorQuill: quill });
+    });
+
     test('format-selection applies bold', async () => {
       const result = await handler.run('format-selection', { bold: 'true' });
-      expect(mockQuill.formatText).toHaveBeenCalledWith(0, 4, { bold: true });
+      expect(quill.getContents().ops).toEqual([{ insert: 'Test', attributes: { bold: true } }, { insert: ' content\n' }]);
       expect(result.success).toBe(true);
+      expect(result.version).toBe(1);
     });
 
     test('format-selection applies multiple formats', async () => {
+      quill.updateContents({ ops: [{ retain: 4, attributes: { underline: true } }] });
       const result = await handler.run('format-selection', {
         bold: 'true',
         italic: 'true',
         underline: 'false'
       });
-      expect(mockQuill.formatText).toHaveBeenCalledWith(0, 4, {
-        bold: true,
-        italic: true,
-        underline: false
-      });
+      expect(result.formats).toEqual({ bold: true, italic: true, underline: false });
+      expect(quill.getContents().ops[0]).toEqual({ insert: 'Test', attributes: { bold: true, italic: true } });
     });
 
     test('format-selection throws error with no selection', async () => {
-      mockQuill.getSelection.mockReturnValue(null);
+      quill.getSelection.mockReturnValue(null);
       await expect(handler.run('format-selection', { bold: 'true' }))
         .rejects.toThrow('No selection');
     });
@@ -237,6 +614,16 @@ describe('WoolfRexxHandler', () => {
       expect(mockContext.onNewProject).toHaveBeenCalledWith('My Novel');
       expect(result.success).toBe(true);
     });
+
+    test('new-document passes the template on', async () => {
+      const result = await handler.run('new-document', { title: 'Book Two', template: 'Novel' });
+      expect(mockContext.onNewProject).toHaveBeenCalledWith('Book Two', 'Novel');
+      expect(result).toEqual({ success: true, title: 'Book Two', template: 'Novel' });
+    });
+
+    test('list-templates needs the templates directory', async () => {
+      await expect(handler.run('list-templates', {})).rejects.toThrow('Project templates not available');
+    });
   });
 
   describe('Editor Operations', () => {